@@ -0,0 +1,62 @@
+// dev-token.js - Mint Firebase-style ID tokens for offline testing
+//
+// Usage: node dev-token.js <firebaseUid> <email>
+//
+// Creates .dev-auth/private-key.json and .dev-auth/jwks.json on first run.
+// Start the server with FIREBASE_JWKS_FILE=.dev-auth/jwks.json and send the
+// printed token as "Authorization: Bearer <token>".
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'smart-attendance-a9ab4';
+const KEY_DIR = path.join(__dirname, '.dev-auth');
+const PRIVATE_KEY_FILE = path.join(KEY_DIR, 'private-key.json');
+const JWKS_FILE = path.join(KEY_DIR, 'jwks.json');
+const KID = 'dev-key-1';
+
+const [uid, email] = process.argv.slice(2);
+
+if (!uid || !email) {
+  console.error('Usage: node dev-token.js <firebaseUid> <email>');
+  process.exit(1);
+}
+
+if (!fs.existsSync(PRIVATE_KEY_FILE)) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  fs.mkdirSync(KEY_DIR, { recursive: true });
+  fs.writeFileSync(PRIVATE_KEY_FILE, JSON.stringify(privateKey.export({ format: 'jwk' })));
+  fs.writeFileSync(JWKS_FILE, JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }]
+  }, null, 2));
+
+  console.error(`🔑 Created dev keys in ${KEY_DIR}`);
+}
+
+const privateKey = crypto.createPrivateKey({
+  key: JSON.parse(fs.readFileSync(PRIVATE_KEY_FILE, 'utf8')),
+  format: 'jwk'
+});
+
+const now = Math.floor(Date.now() / 1000);
+const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+const header = encode({ alg: 'RS256', kid: KID, typ: 'JWT' });
+const payload = encode({
+  iss: `https://securetoken.google.com/${PROJECT_ID}`,
+  aud: PROJECT_ID,
+  auth_time: now,
+  user_id: uid,
+  sub: uid,
+  iat: now,
+  exp: now + 60 * 60,
+  email,
+  email_verified: true,
+  firebase: { identities: { email: [email] }, sign_in_provider: 'password' }
+});
+
+const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey)
+  .toString('base64url');
+
+console.log(`${header}.${payload}.${signature}`);
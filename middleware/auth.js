@@ -0,0 +1,241 @@
+// ============================================================================
+// middleware/auth.js - Firebase ID Token Verification
+// ============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'smart-attendance-a9ab4';
+const FIREBASE_ISSUER = `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`;
+
+// Google's public signing keys for Firebase ID tokens
+const FIREBASE_JWKS_URL = process.env.FIREBASE_JWKS_URL ||
+  'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+// Optional local key file (JWKS or { kid: PEM } map) - used instead of the URL
+// so tokens can be verified offline, e.g. with keys from dev-token.js
+const FIREBASE_JWKS_FILE = process.env.FIREBASE_JWKS_FILE;
+
+const CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_KEY_TTL = 60 * 60 * 1000;
+
+// ============================================================================
+// SIGNING KEYS
+// ============================================================================
+
+let keyCache = { keys: null, expiresAt: 0 };
+
+/**
+ * Parse a key set into a Map of kid -> KeyObject.
+ * Accepts a JWKS document ({ keys: [...] }) or Google's x509 map ({ kid: PEM }).
+ */
+function parseKeySet(data) {
+  const keys = new Map();
+
+  if (Array.isArray(data.keys)) {
+    data.keys.forEach(jwk => {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    });
+  } else {
+    Object.entries(data).forEach(([kid, pem]) => {
+      keys.set(kid, crypto.createPublicKey(pem));
+    });
+  }
+
+  return keys;
+}
+
+async function getSigningKeys(forceRefresh = false) {
+  if (!forceRefresh && keyCache.keys && Date.now() < keyCache.expiresAt) {
+    return keyCache.keys;
+  }
+
+  if (FIREBASE_JWKS_FILE) {
+    const raw = fs.readFileSync(path.resolve(FIREBASE_JWKS_FILE), 'utf8');
+    keyCache = { keys: parseKeySet(JSON.parse(raw)), expiresAt: Date.now() + DEFAULT_KEY_TTL };
+    return keyCache.keys;
+  }
+
+  const response = await axios.get(FIREBASE_JWKS_URL, { timeout: 5000 });
+  const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+
+  keyCache = {
+    keys: parseKeySet(response.data),
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_KEY_TTL)
+  };
+
+  return keyCache.keys;
+}
+
+// ============================================================================
+// TOKEN VERIFICATION
+// ============================================================================
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a Firebase ID token and return its claims.
+ * Throws an Error describing the first check that failed.
+ */
+async function verifyIdToken(idToken) {
+  const parts = idToken.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+  let header, claims;
+  try {
+    header = decodeSegment(headerSegment);
+    claims = decodeSegment(payloadSegment);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== 'RS256') {
+    throw new Error('Unsupported token algorithm');
+  }
+
+  // Unknown kid usually means Google rotated its keys - refetch once
+  let keys = await getSigningKeys();
+  if (!keys.has(header.kid)) {
+    keys = await getSigningKeys(true);
+  }
+
+  const key = keys.get(header.kid);
+  if (!key) {
+    throw new Error('Token signed with unknown key');
+  }
+
+  const signatureValid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    key,
+    Buffer.from(signatureSegment, 'base64url')
+  );
+
+  if (!signatureValid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.aud !== FIREBASE_PROJECT_ID) {
+    throw new Error('Token audience mismatch');
+  }
+
+  if (claims.iss !== FIREBASE_ISSUER) {
+    throw new Error('Token issuer mismatch');
+  }
+
+  if (!claims.sub || typeof claims.sub !== 'string') {
+    throw new Error('Token has no subject');
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+    throw new Error('Token expired');
+  }
+
+  if (typeof claims.iat !== 'number' || claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new Error('Token issued in the future');
+  }
+
+  return claims;
+}
+
+// ============================================================================
+// TEACHER LOOKUP
+// ============================================================================
+
+async function findTeacher(db, claims) {
+  const teachers = db.collection('teachers');
+
+  let teacher = await teachers.findOne({ firebaseUid: claims.sub });
+
+  // Seeded teachers may only have an email - link the Firebase UID on first login.
+  // Only a verified email may claim a profile, or anyone could register the address.
+  if (!teacher && claims.email && claims.email_verified === true) {
+    teacher = await teachers.findOne({ email: claims.email, firebaseUid: { $in: [null, ''] } });
+
+    if (teacher) {
+      await teachers.updateOne(
+        { _id: teacher._id },
+        { $set: { firebaseUid: claims.sub, updatedAt: new Date() } }
+      );
+      teacher.firebaseUid = claims.sub;
+      console.log('🔗 [AUTH] Linked Firebase UID to teacher:', claims.email);
+    }
+  }
+
+  return teacher;
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Require a valid Firebase ID token in the Authorization header.
+ *
+ * Sets req.auth to the verified token claims and req.user to the matching
+ * teacher document. Requests without a teacher profile are rejected unless
+ * listed in options.allowUnregistered as 'METHOD /path' (relative to the mount).
+ */
+function authenticate(options = {}) {
+  const allowUnregistered = new Set(options.allowUnregistered || []);
+
+  return async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+
+    if (!match) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    let claims;
+    try {
+      claims = await verifyIdToken(match[1]);
+    } catch (error) {
+      if (error.isAxiosError || error.code === 'ENOENT') {
+        console.error('❌ [AUTH] Signing keys unavailable:', error.message);
+        return res.status(503).json({ success: false, error: 'Authentication service unavailable' });
+      }
+
+      console.warn('🔒 [AUTH] Token rejected:', error.message);
+      return res.status(401).json({ success: false, error: `Invalid token: ${error.message}` });
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(503).json({ success: false, error: 'Database unavailable' });
+    }
+
+    try {
+      const teacher = await findTeacher(db, claims);
+
+      if (!teacher && !allowUnregistered.has(`${req.method} ${req.path}`)) {
+        return res.status(403).json({ success: false, error: 'No teacher profile for this account' });
+      }
+
+      req.auth = claims;
+      req.user = teacher;
+      next();
+    } catch (error) {
+      console.error('❌ [AUTH] Error loading teacher profile:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  authenticate,
+  verifyIdToken
+};
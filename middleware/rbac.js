@@ -0,0 +1,214 @@
+// ============================================================================
+// middleware/rbac.js - Role-Based Access Control
+// ============================================================================
+//
+// Runs after authenticate() (middleware/auth.js), which puts the teacher
+// document on req.user. The role lives on that document:
+//
+//   role:   'teacher' | 'hod' | 'principal' | 'admin'  (missing => 'teacher')
+//   stream: String - the department an HOD manages
+//
+// Scope rules on top of the permission matrix:
+//   teacher   - only subjects in their createdSubjects list, which they can
+//               only extend with subjects the timetable gives them
+//   hod       - everything in their own stream
+//   principal - everything, read-only permissions
+//   admin     - everything
+
+const ROLES = ['teacher', 'hod', 'principal', 'admin'];
+
+const PERMISSIONS = {
+  'attendance:mark':      ['teacher', 'hod', 'admin'],
+  'attendance:view':      ['teacher', 'hod', 'principal', 'admin'],
+  'attendance:edit':      ['teacher', 'hod', 'admin'],
+  'corrections:approve':  ['hod', 'admin'],
+  'recycle:purge':        ['hod', 'admin'],
+  'reports:view':         ['hod', 'principal', 'admin'],
+  'students:manage':      ['hod', 'admin'],
+  'students:bulk-delete': ['admin'],
+  'alumni:view':          ['hod', 'principal', 'admin'],
+  'subjects:manage':      ['hod', 'admin'],
+  'subjects:assign':      ['hod', 'admin'],
+  'timetable:manage':     ['hod', 'admin'],
+  'calendar:manage':      ['hod', 'admin'],
+  'messages:send':        ['hod', 'admin'],
+  'templates:manage':     ['admin'],
+  'streams:manage':       ['admin'],
+  'promotion:run':        ['admin'],
+  'roles:assign':         ['admin'],
+  'settings:manage':      ['admin']
+};
+
+// Roles whose access is not limited to a stream or subject list
+const UNSCOPED_ROLES = ['principal', 'admin'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function getRole(user) {
+  return ROLES.includes(user?.role) ? user.role : 'teacher';
+}
+
+function hasPermission(user, permission) {
+  return (PERMISSIONS[permission] || []).includes(getRole(user));
+}
+
+function getPermissions(user) {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(user, permission));
+}
+
+function sameText(a, b) {
+  return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+function parseSemester(semester) {
+  return parseInt(String(semester).replace('sem', ''));
+}
+
+function canAccessStream(user, stream) {
+  const role = getRole(user);
+  if (UNSCOPED_ROLES.includes(role)) return true;
+  if (role === 'hod') return sameText(user.stream, stream);
+  return (user.createdSubjects || []).some(s => sameText(s.stream, stream));
+}
+
+function canAccessSubject(user, { stream, semester, subject }) {
+  const role = getRole(user);
+  if (UNSCOPED_ROLES.includes(role)) return true;
+  if (role === 'hod') return sameText(user.stream, stream);
+
+  const semesterNumber = parseSemester(semester);
+  return (user.createdSubjects || []).some(s =>
+    sameText(s.stream, stream) &&
+    parseInt(s.semester) === semesterNumber &&
+    sameText(s.subject, subject)
+  );
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive whole-value match for a name typed by a user
+ * (stream, subject, email...), for use as a MongoDB filter value.
+ */
+function exactMatch(text) {
+  return new RegExp(`^${escapeRegex(String(text ?? '').trim())}$`, 'i');
+}
+
+/**
+ * MongoDB filter limiting attendance sessions to what the user may see.
+ */
+function attendanceScopeFilter(user) {
+  const role = getRole(user);
+  if (UNSCOPED_ROLES.includes(role)) return {};
+
+  if (role === 'hod') {
+    return { stream: exactMatch(user.stream) };
+  }
+
+  const subjects = user.createdSubjects || [];
+  if (subjects.length === 0) return { _id: null };
+
+  return {
+    $or: subjects.map(s => ({
+      stream: exactMatch(s.stream),
+      semester: parseInt(s.semester),
+      subject: exactMatch(s.subject)
+    }))
+  };
+}
+
+function forbidden(res, message) {
+  return res.status(403).json({ success: false, error: message });
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      console.warn(`🚫 [RBAC] ${req.user?.email} (${getRole(req.user)}) denied ${permission}`);
+      return forbidden(res, `Your role does not allow ${permission}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Require access to the stream/semester/subject named by the request.
+ * By default reads req.params; pass a resolver for body- or query-based routes.
+ */
+function requireSubjectAccess(resolve = req => req.params) {
+  return (req, res, next) => {
+    const target = resolve(req);
+    if (!canAccessSubject(req.user, target)) {
+      return forbidden(res, `No access to ${target.subject} (${target.stream} Sem ${parseSemester(target.semester)})`);
+    }
+    next();
+  };
+}
+
+/**
+ * Require access to the stream(s) named by the request. The resolver may
+ * return a single stream or an array (e.g. every row of a bulk upload).
+ */
+function requireStreamAccess(resolve = req => req.params.stream) {
+  return (req, res, next) => {
+    const streams = [].concat(resolve(req));
+    const denied = streams.find(stream => !canAccessStream(req.user, stream));
+    if (denied !== undefined) {
+      return forbidden(res, `No access to stream ${denied}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Require access to the streams of existing documents, e.g. the student being
+ * edited. lookup(req) returns a filter on `collection`; a stream being moved
+ * to via req.body.stream must be in scope as well.
+ */
+function requireDocumentStreamAccess(collection, lookup) {
+  return async (req, res, next) => {
+    try {
+      const docs = await req.db.collection(collection)
+        .find(lookup(req))
+        .project({ stream: 1 })
+        .toArray();
+
+      const streams = docs.map(d => d.stream);
+      if (req.body?.stream) streams.push(req.body.stream);
+
+      const denied = streams.find(stream => !canAccessStream(req.user, stream));
+      if (denied !== undefined) {
+        return forbidden(res, `No access to stream ${denied}`);
+      }
+      next();
+    } catch (error) {
+      console.error('❌ [RBAC] Error checking document access:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  getRole,
+  hasPermission,
+  getPermissions,
+  canAccessStream,
+  canAccessSubject,
+  escapeRegex,
+  exactMatch,
+  attendanceScopeFilter,
+  requirePermission,
+  requireSubjectAccess,
+  requireStreamAccess,
+  requireDocumentStreamAccess
+};
@@ -0,0 +1,64 @@
+// ============================================================================
+// models/Attendance.js - Attendance Session Model (shared by all routers)
+// ============================================================================
+
+const mongoose = require('mongoose');
+const { STATUS_CODES } = require('./attendanceStatus');
+
+const studentRecordSchema = new mongoose.Schema({
+  studentID: { type: String, required: true, trim: true },
+  status: { type: String, required: true, enum: STATUS_CODES },
+  remark: { type: String, trim: true }
+}, { _id: false });
+
+const attendanceSchema = new mongoose.Schema({
+  stream: { type: String, required: true, trim: true },
+  semester: { type: Number, required: true, min: 1, max: 8 },
+  subject: { type: String, required: true, trim: true },
+  date: { type: Date, required: true },
+  time: { type: String, required: true },
+  // Timetable period the session was resolved to (missing if none matched)
+  period: { type: Number, min: 1 },
+  timetableId: { type: mongoose.Schema.Types.ObjectId },
+  // Sections taught (['A'], or ['A', 'B'] combined) - missing for the whole class
+  sections: { type: [String], default: undefined },
+  // Lab batch of a practical subject (subjects.batches) - missing for the whole class
+  batch: { type: String, trim: true },
+  studentsPresent: { type: [String], required: true },
+  totalStudents: { type: Number, required: true, min: 0 },
+  presentCount: { type: Number, required: true, min: 0 },
+  absentCount: { type: Number, required: true, min: 0 },
+  // Per-student statuses - missing on sessions saved before statuses existed
+  records: { type: [studentRecordSchema], default: undefined },
+  statusCounts: { type: mongoose.Schema.Types.Mixed },
+  // Teacher who took the session (the signed-in user) - missing on sessions saved before this was recorded
+  conductedBy: {
+    teacherId: { type: mongoose.Schema.Types.ObjectId },
+    email: { type: String, trim: true },
+    name: { type: String, trim: true }
+  },
+  // Class slot (models/sessionSlots.js) - missing on sessions saved before slot keys
+  slotKey: { type: String },
+  // Client's Idempotency-Key for the submission that created the session
+  idempotencyKey: { type: String }
+}, {
+  timestamps: true,
+  collection: 'attendance'
+});
+
+// Optimized indexes
+attendanceSchema.index({ stream: 1, semester: 1, subject: 1, date: -1 }, { background: true });
+attendanceSchema.index({ date: -1, stream: 1 }, { background: true });
+attendanceSchema.index({ createdAt: -1 }, { background: true });
+attendanceSchema.index({ 'conductedBy.email': 1, date: -1 }, { background: true });
+attendanceSchema.index({ slotKey: 1 }, { unique: true, partialFilterExpression: { slotKey: { $type: 'string' } } });
+attendanceSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+
+// Pre-save hook
+attendanceSchema.pre('save', function(next) {
+  if (!this.presentCount) this.presentCount = this.studentsPresent.length;
+  if (!this.absentCount) this.absentCount = this.totalStudents - this.presentCount;
+  next();
+});
+
+module.exports = mongoose.models.Attendance || mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,206 @@
+// ============================================================================
+// models/absenceSummary.js - Daily Absence Summary for Parent Messages
+// ============================================================================
+
+const { getStatusMap, getStudentStatus, getStatusRules, percentOf } = require('./attendanceStatus');
+const { startOfDay, endOfDay } = require('./academicCalendar');
+const { getTemplate, renderTemplate, absenceValues } = require('./messageTemplates');
+const { coversSection } = require('./roster');
+const { coversBatch } = require('./labBatches');
+const { withEnrollments } = require('./enrollments');
+const { exactMatch } = require('../middleware/rbac');
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Whether a student takes `subject` - the same rules /attendance-students
+ * uses. Subjects loaded through withEnrollments() carry their enrolled
+ * students; others use the legacy language/elective fields. Unknown
+ * subjects are taken by everyone.
+ */
+function takesSubject(student, subject) {
+  if (!subject) return true;
+  if (Array.isArray(subject.enrolledStudentIDs)) {
+    return subject.enrolledStudentIDs.includes(student.studentID);
+  }
+  if (subject.isLanguageSubject === true) {
+    return String(student.languageSubject || '').toUpperCase() === subject.name.toUpperCase();
+  }
+  if (subject.subjectType === 'ELECTIVE') {
+    return String(student.electiveSubject || '').toUpperCase() === subject.name.toUpperCase();
+  }
+  return true;
+}
+
+/**
+ * The student's status in a session, or null if the session doesn't cover
+ * them. Sessions with per-student records only cover the students in them;
+ * older sessions use the subject's enrollment rules, sections and lab batches.
+ */
+function sessionStatus(session, statusMap, student, subjectByName) {
+  const hasRecords = Array.isArray(session.records) && session.records.length > 0;
+  const subject = subjectByName.get(session.subject.toLowerCase());
+  const enrolled = hasRecords
+    ? statusMap.has(student.studentID)
+    : coversSection(session, student) && coversBatch(session, student, subject) && takesSubject(student, subject);
+  return enrolled ? getStudentStatus(statusMap, student.studentID) : null;
+}
+
+// ============================================================================
+// MESSAGE TEXT
+// ============================================================================
+
+const ABSENCE_TEMPLATE_KEYS = {
+  full_day: 'absence-full-day',
+  partial_day: 'absence-partial-day'
+};
+
+/**
+ * Both absence templates, loaded once per batch.
+ */
+async function loadAbsenceTemplates(db) {
+  const [fullDay, partialDay] = await Promise.all([
+    getTemplate(db, ABSENCE_TEMPLATE_KEYS.full_day),
+    getTemplate(db, ABSENCE_TEMPLATE_KEYS.partial_day)
+  ]);
+  return { full_day: fullDay, partial_day: partialDay };
+}
+
+/**
+ * Message for one absence entry in the student's preferred language.
+ * Returns { body, language, templateKey }.
+ */
+function buildAbsenceMessage(templates, student, summary) {
+  const template = templates[student.messageType];
+  const rendered = renderTemplate(template, absenceValues(student, summary), student.preferredLanguage);
+  return { ...rendered, templateKey: template.key };
+}
+
+// ============================================================================
+// DAILY SUMMARY
+// ============================================================================
+
+/**
+ * Absentees of a class on one day, from the attendance sessions of that day.
+ *
+ * A student is absent from a session when their status counts as absent
+ * (excused/medical statuses never trigger a message). Students absent from
+ * every session they had are full-day absentees, the rest with at least
+ * one absence are partial. cumulativePercentage covers the semester up to
+ * and including `date`.
+ */
+async function buildDailyAbsenceSummary(db, { stream, semester, date }) {
+  const semesterNumber = parseInt(String(semester).replace('sem', ''));
+  const day = startOfDay(date);
+
+  const [students, semesterSessions, subjects, statusRules] = await Promise.all([
+    db.collection('students')
+      .find({ stream: exactMatch(stream), semester: semesterNumber, isActive: true })
+      .project({ studentID: 1, name: 1, section: 1, parentPhone: 1, languageSubject: 1, electiveSubject: 1, preferredLanguage: 1 })
+      .sort({ studentID: 1 })
+      .toArray(),
+    db.collection('attendance')
+      .find({ stream: exactMatch(stream), semester: semesterNumber, date: { $lte: endOfDay(day) } })
+      .project({ subject: 1, date: 1, time: 1, sections: 1, batch: 1, records: 1, studentsPresent: 1 })
+      .sort({ date: 1, time: 1 })
+      .toArray(),
+    db.collection('subjects')
+      .find({ stream: exactMatch(stream), semester: semesterNumber })
+      .toArray(),
+    getStatusRules(db)
+  ]);
+
+  const subjectByName = new Map((await withEnrollments(db, subjects)).map(s => [s.name.toLowerCase(), s]));
+  const statusMaps = semesterSessions.map(getStatusMap);
+  const isToday = session => session.date >= day;
+  const sessions = semesterSessions.filter(isToday);
+  const subjectsWithAttendance = [...new Set(sessions.map(s => s.subject))];
+
+  let countedTotal = 0;
+  let presentTotal = 0;
+
+  const absenceSummary = students.map(student => {
+    const absentSubjects = [];
+    let counted = 0;
+    let present = 0;
+    let semesterCounted = 0;
+    let semesterPresent = 0;
+
+    semesterSessions.forEach((session, index) => {
+      const status = sessionStatus(session, statusMaps[index], student, subjectByName);
+      const countsAs = status && statusRules[status]?.countsAs;
+      if (!status || countsAs === 'excluded') return;
+
+      semesterCounted++;
+      if (countsAs === 'present') semesterPresent++;
+      if (!isToday(session)) return;
+
+      counted++;
+      if (countsAs === 'present') {
+        present++;
+      } else if (!absentSubjects.includes(session.subject)) {
+        absentSubjects.push(session.subject);
+      }
+    });
+
+    countedTotal += counted;
+    presentTotal += present;
+
+    const isFullDayAbsent = counted > 0 && present === 0;
+    const messageType = isFullDayAbsent ? 'full_day' : absentSubjects.length > 0 ? 'partial_day' : 'present';
+
+    return {
+      studentID: student.studentID,
+      studentName: student.name,
+      parentPhone: student.parentPhone || '',
+      preferredLanguage: student.preferredLanguage,
+      absentSubjects,
+      absentSubjectCount: absentSubjects.length,
+      isFullDayAbsent,
+      messageType,
+      attendancePercentage: counted > 0 ? percentOf(present, counted) : null,
+      cumulativePercentage: semesterCounted > 0 ? percentOf(semesterPresent, semesterCounted) : null,
+      willReceiveMessage: messageType !== 'present' && !!student.parentPhone
+    };
+  });
+
+  const toNotify = absenceSummary.filter(s => s.willReceiveMessage);
+  const fullDayMessages = toNotify.filter(s => s.isFullDayAbsent).length;
+
+  return {
+    date: formatDate(day),
+    isoDate: day,
+    stream,
+    semester: semesterNumber,
+    summary: {
+      totalStudents: students.length,
+      totalSubjects: subjects.length,
+      subjectsWithAttendance: subjectsWithAttendance.length,
+      totalSessions: sessions.length,
+      studentsToNotify: toNotify.length,
+      fullDayAbsent: absenceSummary.filter(s => s.isFullDayAbsent).length,
+      partialDayAbsent: absenceSummary.filter(s => s.messageType === 'partial_day').length,
+      studentsPresent: absenceSummary.filter(s => s.messageType === 'present').length,
+      studentsWithoutPhone: absenceSummary.filter(s => s.messageType !== 'present' && !s.parentPhone).length,
+      overallAttendanceRate: countedTotal > 0 ? `${percentOf(presentTotal, countedTotal)}%` : '100%'
+    },
+    absenceSummary,
+    subjectsWithAttendance,
+    consolidatedMessaging: {
+      totalMessagesToSend: toNotify.length,
+      fullDayMessages,
+      partialDayMessages: toNotify.length - fullDayMessages
+    }
+  };
+}
+
+module.exports = {
+  ABSENCE_TEMPLATE_KEYS,
+  takesSubject,
+  sessionStatus,
+  loadAbsenceTemplates,
+  buildAbsenceMessage,
+  buildDailyAbsenceSummary
+};
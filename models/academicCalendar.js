@@ -0,0 +1,275 @@
+// ============================================================================
+// models/academicCalendar.js - Terms, Holidays and Working Days
+// ============================================================================
+//
+// Entries in the `academicCalendar` collection share one shape:
+//
+//   { type, name, stream, semester, startDate, endDate, createdBy, ... }
+//
+//   type:     'term' | 'holiday' | 'exam' | 'working-saturday'
+//   stream:   '' applies to every stream
+//   semester: null applies to every semester
+//
+// Working days are Monday-Friday plus working Saturdays, minus holidays and
+// exam days. Sundays never count.
+
+const { ObjectId } = require('mongodb');
+const { exactMatch } = require('../middleware/rbac');
+
+const ENTRY_TYPES = ['term', 'holiday', 'exam', 'working-saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+// Days are UTC dates: 'YYYY-MM-DD' parses to midnight UTC, which is how
+// sessions and calendar entries store their day, so the server's time zone
+// never shifts a date, weekday or holiday key.
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+}
+
+function endOfDay(date) {
+  const d = new Date(date);
+  d.setUTCHours(23, 59, 59, 999);
+  return d;
+}
+
+function dateKey(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * $gte/$lte filter for optional from/to query parameters, or null when
+ * neither is given. Throws with .status 400 on a date that can't be read.
+ */
+function dateRange(from, to) {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+
+  if (Object.values(range).some(date => isNaN(date)) || range.$gte > range.$lte) {
+    const error = new Error('from and to must be dates, from not after to');
+    error.status = 400;
+    throw error;
+  }
+  return range;
+}
+
+function covers(entry, date) {
+  return entry.startDate <= date && date <= entry.endDate;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Normalize a calendar entry. Throws an Error with a user-facing message.
+ */
+function validateEntry(input) {
+  const type = String(input.type || '').toLowerCase();
+  const name = String(input.name || '').trim();
+
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${ENTRY_TYPES.join(', ')}`);
+  }
+  if (!name) throw new Error('name is required');
+
+  const start = new Date(input.startDate || input.date);
+  const end = new Date(input.endDate || input.startDate || input.date);
+
+  if (isNaN(start) || isNaN(end)) throw new Error('startDate (or date) must be a valid date');
+  if (startOfDay(end) < startOfDay(start)) throw new Error('endDate must not be before startDate');
+
+  if (type === 'working-saturday') {
+    if (start.getUTCDay() !== 6 || dateKey(start) !== dateKey(end)) {
+      throw new Error('A working Saturday must be a single Saturday');
+    }
+  }
+
+  let semester = null;
+  if (input.semester !== undefined && input.semester !== null && input.semester !== '') {
+    semester = parseInt(String(input.semester).replace('sem', ''));
+    if (isNaN(semester) || semester < 1 || semester > 8) throw new Error('semester must be 1-8');
+  }
+
+  return {
+    type,
+    name,
+    stream: String(input.stream || '').trim(),
+    semester,
+    startDate: startOfDay(start),
+    endDate: endOfDay(end)
+  };
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Filter for entries that apply to a class (college-wide entries included).
+ */
+function appliesTo(stream, semester) {
+  const filter = {};
+  if (stream) {
+    filter.stream = { $in: ['', exactMatch(stream)] };
+  }
+  if (semester) {
+    filter.semester = { $in: [null, parseInt(String(semester).replace('sem', ''))] };
+  }
+  return filter;
+}
+
+async function loadEntries(db, { stream, semester, from, to, type }) {
+  const query = {
+    ...appliesTo(stream, semester),
+    startDate: { $lte: endOfDay(to) },
+    endDate: { $gte: startOfDay(from) }
+  };
+  if (type) query.type = type;
+
+  return db.collection('academicCalendar')
+    .find(query)
+    .sort({ startDate: 1 })
+    .toArray();
+}
+
+async function getTerm(db, termId) {
+  if (!ObjectId.isValid(termId)) return null;
+  return db.collection('academicCalendar').findOne({ _id: new ObjectId(termId), type: 'term' });
+}
+
+/**
+ * Most specific term covering `date` - stream and semester specific terms
+ * win over college-wide ones.
+ */
+function findTermFor(entries, date) {
+  const specificity = term => (term.stream ? 2 : 0) + (term.semester ? 1 : 0);
+
+  return entries
+    .filter(e => e.type === 'term' && covers(e, date))
+    .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+// ============================================================================
+// WORKING DAYS
+// ============================================================================
+
+/**
+ * Whether `date` is a working day under `entries`, and why not if it isn't.
+ */
+function classifyDay(entries, date) {
+  const holiday = entries.find(e => e.type === 'holiday' && covers(e, date));
+  if (holiday) return { working: false, type: 'holiday', reason: `Holiday: ${holiday.name}` };
+
+  const exam = entries.find(e => e.type === 'exam' && covers(e, date));
+  if (exam) return { working: false, type: 'exam', reason: `Exams: ${exam.name}` };
+
+  const weekday = new Date(date).getUTCDay();
+  if (weekday === 0) return { working: false, type: 'sunday', reason: 'Sunday' };
+
+  if (weekday === 6 && !entries.some(e => e.type === 'working-saturday' && covers(e, date))) {
+    return { working: false, type: 'saturday', reason: 'Saturday (not a working Saturday)' };
+  }
+
+  return { working: true, type: 'working' };
+}
+
+function countWorkingDays(entries, from, to) {
+  let count = 0;
+  for (let day = startOfDay(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    if (classifyDay(entries, day).working) count++;
+  }
+  return count;
+}
+
+/**
+ * Term summary used by the register and reports: working days in the whole
+ * term and up to today.
+ */
+async function describeTerm(db, term, { stream, semester }) {
+  const entries = await loadEntries(db, { stream, semester, from: term.startDate, to: term.endDate });
+  const today = endOfDay(new Date());
+
+  return {
+    _id: term._id,
+    name: term.name,
+    startDate: term.startDate,
+    endDate: term.endDate,
+    workingDays: countWorkingDays(entries, term.startDate, term.endDate),
+    workingDaysToDate: term.startDate > today
+      ? 0
+      : countWorkingDays(entries, term.startDate, term.endDate < today ? term.endDate : today)
+  };
+}
+
+/**
+ * Date filter and summary for `?termId=` on the register and reports.
+ * Returns null when the term does not exist.
+ */
+async function termWindow(db, termId, { stream, semester }) {
+  const term = await getTerm(db, termId);
+  if (!term) return null;
+
+  return {
+    term: await describeTerm(db, term, { stream, semester }),
+    dateFilter: { $gte: term.startDate, $lte: term.endDate }
+  };
+}
+
+/**
+ * Calendar checks for a session on `date`. Errors block the submission
+ * (outside every term once terms exist, or a holiday); warnings don't.
+ */
+async function checkSessionDate(db, { stream, semester, date }) {
+  const day = startOfDay(date);
+  const entries = await loadEntries(db, { stream, semester, from: day, to: day });
+  const term = findTermFor(entries, day);
+  const errors = [];
+  const warnings = [];
+
+  if (!term) {
+    const termCount = await db.collection('academicCalendar')
+      .countDocuments({ type: 'term', ...appliesTo(stream, semester) });
+    if (termCount > 0) {
+      errors.push(`${dateKey(day)} is outside every academic term for ${stream} Sem ${semester}`);
+    }
+  }
+
+  const dayInfo = classifyDay(entries, day);
+  if (dayInfo.type === 'holiday') {
+    errors.push(`${dateKey(day)} is a holiday (${dayInfo.reason.replace('Holiday: ', '')})`);
+  } else if (!dayInfo.working) {
+    warnings.push(`${dateKey(day)} is not a working day: ${dayInfo.reason}`);
+  }
+
+  return { term, day: dayInfo, errors, warnings };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  startOfDay,
+  endOfDay,
+  dateKey,
+  dateRange,
+  validateEntry,
+  appliesTo,
+  loadEntries,
+  getTerm,
+  findTermFor,
+  classifyDay,
+  countWorkingDays,
+  describeTerm,
+  termWindow,
+  checkSessionDate
+};
@@ -0,0 +1,196 @@
+// ============================================================================
+// models/alumni.js - Alumni / Archived Students
+// ============================================================================
+//
+// Students who graduate (semester promotion) move from `students` to
+// `alumni` with their original _id, so attendance sessions, which reference
+// students by studentID, can still be read and the student can be restored
+// later. Deleted students go to the recycle bin first (models/recycleBin.js)
+// and land here as 'removed' when the bin entry is purged, as do students
+// removed before the bin existed.
+//
+// An archived document is the student as it was, plus:
+//
+//   archiveReason - 'graduated' | 'removed'
+//   batchYear     - the year the student joined (students.academicYear)
+//   archivedAt, archivedBy
+//   promotionId   - promotion_history entry that graduated them (graduates)
+
+const { escapeRegex } = require('../middleware/rbac');
+
+const GRADUATED = 'graduated';
+
+const ARCHIVE_REASONS = [GRADUATED, 'removed'];
+
+const ARCHIVE_FIELDS = ['archiveReason', 'batchYear', 'archivedAt', 'archivedBy', 'promotionId'];
+
+// Set by promotion on graduates; dropped when a graduate is restored
+const GRADUATION_FIELDS = ['status', 'graduatedAt', 'graduatedFromSemester'];
+
+function batchYearOf(student, archivedAt) {
+  const year = parseInt(student.academicYear);
+  return year > 0 ? year : archivedAt.getFullYear();
+}
+
+/**
+ * Move `students` (full documents) into `alumni` and delete them from
+ * `students`. Returns the number of students removed from `students`.
+ * Pass `session` to run inside a transaction.
+ */
+async function archiveStudents(db, students, { reason, archivedBy, promotionId, session } = {}) {
+  if (!ARCHIVE_REASONS.includes(reason)) {
+    throw new Error(`reason must be one of: ${ARCHIVE_REASONS.join(', ')}`);
+  }
+  if (students.length === 0) return 0;
+
+  const archivedAt = new Date();
+
+  // Upsert by _id: archiving a student twice keeps one alumni document
+  await db.collection('alumni').bulkWrite(students.map(student => ({
+    replaceOne: {
+      filter: { _id: student._id },
+      replacement: {
+        ...student,
+        archiveReason: reason,
+        batchYear: batchYearOf(student, archivedAt),
+        archivedAt,
+        archivedBy: archivedBy || null,
+        ...(promotionId && { promotionId })
+      },
+      upsert: true
+    }
+  })), { session });
+
+  const result = await db.collection('students').deleteMany(
+    { _id: { $in: students.map(s => s._id) } },
+    { session }
+  );
+
+  return result.deletedCount;
+}
+
+/**
+ * Move archived students back into `students` exactly as they were archived
+ * (minus the archive fields). Returns the documents put back.
+ */
+async function unarchiveStudents(db, ids, { session } = {}) {
+  const archived = await db.collection('alumni').find({ _id: { $in: ids } }, { session }).toArray();
+  if (archived.length === 0) return [];
+
+  const students = archived.map(doc => {
+    const student = { ...doc };
+    ARCHIVE_FIELDS.forEach(field => delete student[field]);
+    return student;
+  });
+
+  await db.collection('students').insertMany(students, { session });
+  await db.collection('alumni').deleteMany({ _id: { $in: archived.map(doc => doc._id) } }, { session });
+
+  return students;
+}
+
+/**
+ * Alumni search filter from query parameters:
+ * q (name/studentID/phone), stream, semester, batchYear, reason.
+ */
+function alumniQuery({ q, stream, semester, batchYear, reason } = {}) {
+  const query = {};
+
+  if (stream) query.stream = stream;
+  if (semester) query.semester = parseInt(String(semester).replace('sem', ''));
+  if (batchYear) query.batchYear = parseInt(batchYear);
+  if (reason) query.archiveReason = reason;
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    query.$or = [
+      { name: pattern },
+      { studentID: pattern },
+      { parentPhone: pattern }
+    ];
+  }
+
+  return query;
+}
+
+/**
+ * Put an archived student back into `students`.
+ * Throws if a current student already uses the studentID.
+ */
+async function restoreStudent(db, archived, { restoredBy } = {}) {
+  const existing = await db.collection('students').findOne({ studentID: archived.studentID });
+  if (existing) {
+    const error = new Error(`Student ID ${archived.studentID} is already in use by a current student`);
+    error.status = 409;
+    throw error;
+  }
+
+  const student = { ...archived };
+  ARCHIVE_FIELDS.forEach(field => delete student[field]);
+
+  if (archived.archiveReason === GRADUATED) {
+    GRADUATION_FIELDS.forEach(field => delete student[field]);
+    student.isActive = true;
+  }
+
+  student.restoredAt = new Date();
+  student.restoredBy = restoredBy || null;
+  student.updatedAt = student.restoredAt;
+
+  await db.collection('students').insertOne(student);
+  await db.collection('alumni').deleteOne({ _id: archived._id });
+
+  return student;
+}
+
+/**
+ * Add students that appear in `sessions` but are no longer in the class
+ * (graduated, removed or moved on) to `students`, so old sessions still show
+ * names. Added rows carry former: true, archived: true when they came
+ * from `alumni` and deleted: true when they are in the recycle bin; IDs
+ * found nowhere get name null.
+ */
+async function withFormerStudents(db, students, sessions) {
+  const current = new Set(students.map(s => s.studentID));
+  const missing = new Set();
+
+  sessions.forEach(session => {
+    const ids = Array.isArray(session.records) && session.records.length > 0
+      ? session.records.map(r => r.studentID)
+      : session.studentsPresent || [];
+    ids.forEach(id => { if (!current.has(id)) missing.add(id); });
+  });
+
+  if (missing.size === 0) return students;
+
+  const projection = { _id: 1, name: 1, studentID: 1, rollNumber: 1, section: 1 };
+  const filter = { studentID: { $in: [...missing] } };
+  const [moved, archived, deleted] = await Promise.all([
+    db.collection('students').find(filter).project(projection).toArray(),
+    db.collection('alumni').find(filter).project(projection).toArray(),
+    db.collection('recycleBin').find({ kind: 'student', ...filter }).project({ item: 1 }).toArray()
+  ]);
+
+  const found = new Map();
+  deleted.forEach(({ item: s }) => found.set(s.studentID, {
+    _id: s._id, name: s.name, studentID: s.studentID, rollNumber: s.rollNumber, section: s.section,
+    former: true, archived: false, deleted: true
+  }));
+  moved.forEach(s => found.set(s.studentID, { ...s, former: true, archived: false }));
+  archived.forEach(s => found.set(s.studentID, { ...s, former: true, archived: true }));
+
+  const former = [...missing].map(studentID =>
+    found.get(studentID) || { studentID, name: null, rollNumber: null, former: true, archived: false }
+  );
+
+  return [...students, ...former.sort((a, b) => String(a.studentID).localeCompare(String(b.studentID)))];
+}
+
+module.exports = {
+  ARCHIVE_REASONS,
+  archiveStudents,
+  unarchiveStudents,
+  alumniQuery,
+  restoreStudent,
+  withFormerStudents
+};
@@ -0,0 +1,188 @@
+// ============================================================================
+// models/attendanceAudit.js - Audit Trail for Attendance Sessions
+// ============================================================================
+//
+// Every attendance create, edit, delete and restore (from the recycle bin)
+// appends one entry to `attendanceAudit`. Entries are never updated or
+// removed:
+//
+//   { action: 'create' | 'update' | 'delete' | 'restore', sessionId,
+//     stream, semester, subject, date, time,       - the session's class
+//     changedBy: { email, name, role }, changedAt, ip, reason,
+//     correctionId?,                               - approved correction request
+//     before, after,                               - session snapshots (null on create/restore and delete)
+//     changes: [{ studentID, from, to }],          - per-student status changes
+//     studentIDs }                                 - students in `changes`, for lookups
+//
+// The class fields use the same names as attendance sessions, so
+// attendanceScopeFilter() limits audit queries the same way.
+
+const { ObjectId } = require('mongodb');
+const { getStatusMap, getStudentStatus } = require('./attendanceStatus');
+const { exactMatch } = require('../middleware/rbac');
+const { dateRange } = require('./academicCalendar');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+const MAX_REASON_LENGTH = 500;
+
+// Session fields worth keeping in a snapshot
+const SNAPSHOT_FIELDS = [
+  'stream', 'semester', 'subject', 'date', 'time', 'period', 'sections', 'batch',
+  'totalStudents', 'presentCount', 'absentCount', 'statusCounts'
+];
+
+/**
+ * The parts of a session an audit entry keeps. Sessions saved before
+ * per-student records get records built from studentsPresent.
+ */
+function snapshot(session) {
+  if (!session) return null;
+  const doc = typeof session.toObject === 'function' ? session.toObject() : session;
+
+  const fields = Object.fromEntries(SNAPSHOT_FIELDS.filter(f => doc[f] !== undefined).map(f => [f, doc[f]]));
+  const records = [...getStatusMap(doc).entries()].map(([studentID, status]) => ({ studentID, status }));
+  return { ...fields, records };
+}
+
+/**
+ * Per-student status changes between two snapshots. Students missing from
+ * one side are absent there, as in getStudentStatus().
+ */
+function diffStatuses(before, after) {
+  const beforeMap = getStatusMap(before || {});
+  const afterMap = getStatusMap(after || {});
+  const ids = [...new Set([...beforeMap.keys(), ...afterMap.keys()])];
+
+  return ids
+    .map(studentID => ({
+      studentID,
+      from: before ? getStudentStatus(beforeMap, studentID) : null,
+      to: after ? getStudentStatus(afterMap, studentID) : null
+    }))
+    .filter(change => change.from !== change.to)
+    .sort((a, b) => String(a.studentID).localeCompare(String(b.studentID), undefined, { numeric: true }));
+}
+
+/**
+ * Caller's IP, preferring the first X-Forwarded-For hop (the app runs
+ * behind a proxy in production).
+ */
+function clientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.ip || req.connection?.remoteAddress || null;
+}
+
+/**
+ * Optional reason from the body or, for DELETE requests, the query string.
+ */
+function auditReason(req) {
+  const reason = String(req.body?.reason ?? req.query?.reason ?? '').trim();
+  return reason ? reason.slice(0, MAX_REASON_LENGTH) : null;
+}
+
+/**
+ * Append one audit entry. `before`/`after` are session documents (either
+ * may be null). `reason` defaults to the request's. Updates that changed
+ * nothing are not recorded.
+ */
+async function recordAudit(db, req, { action, before, after, reason, correctionId }) {
+  if (!AUDIT_ACTIONS.includes(action)) throw new Error(`action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+  const changes = diffStatuses(beforeSnapshot, afterSnapshot);
+  const session = afterSnapshot || beforeSnapshot;
+
+  // Saving a session unchanged (the register re-saves every session it shows)
+  const withoutRecords = snap => JSON.stringify({ ...snap, records: undefined });
+  if (action === 'update' && changes.length === 0 && withoutRecords(beforeSnapshot) === withoutRecords(afterSnapshot)) {
+    return null;
+  }
+
+  const entry = {
+    action,
+    sessionId: new ObjectId(String((after || before)._id)),
+    stream: session.stream,
+    semester: session.semester,
+    subject: session.subject,
+    date: session.date,
+    time: session.time,
+    changedBy: {
+      email: req.user?.email || null,
+      name: req.user?.name || null,
+      role: req.user?.role || null
+    },
+    changedAt: new Date(),
+    ip: clientIp(req),
+    reason: reason ?? auditReason(req),
+    ...(correctionId && { correctionId }),
+    before: action === 'create' || action === 'restore' ? null : beforeSnapshot,
+    after: action === 'delete' ? null : afterSnapshot,
+    changes,
+    studentIDs: changes.map(c => c.studentID)
+  };
+
+  await db.collection('attendanceAudit').insertOne(entry);
+  return entry;
+}
+
+/**
+ * Audit search filter from query parameters: sessionId, studentID,
+ * teacher (email), action, from/to (changedAt). Throws with .status 400
+ * on an invalid from/to.
+ */
+function auditQuery({ sessionId, studentID, teacher, action, from, to } = {}) {
+  const query = {};
+
+  if (sessionId) query.sessionId = ObjectId.isValid(sessionId) ? new ObjectId(sessionId) : null;
+  if (studentID) query.studentIDs = String(studentID).trim();
+  if (teacher) query['changedBy.email'] = exactMatch(teacher);
+  if (action) query.action = action;
+
+  const changedAt = dateRange(from, to);
+  if (changedAt) query.changedAt = changedAt;
+
+  return query;
+}
+
+/**
+ * Edits per session for the register: Map of sessionId -> { count,
+ * lastEditedAt, lastEditedBy, studentIDs } for sessions edited after they
+ * were saved.
+ */
+async function editSummary(db, sessionIds) {
+  if (sessionIds.length === 0) return new Map();
+
+  const rows = await db.collection('attendanceAudit').aggregate([
+    { $match: { sessionId: { $in: sessionIds.map(id => new ObjectId(String(id))) }, action: 'update' } },
+    { $sort: { changedAt: 1 } },
+    {
+      $group: {
+        _id: '$sessionId',
+        count: { $sum: 1 },
+        lastEditedAt: { $last: '$changedAt' },
+        lastEditedBy: { $last: '$changedBy.email' },
+        studentIDs: { $push: '$studentIDs' }
+      }
+    }
+  ]).toArray();
+
+  return new Map(rows.map(row => [String(row._id), {
+    count: row.count,
+    lastEditedAt: row.lastEditedAt,
+    lastEditedBy: row.lastEditedBy,
+    studentIDs: [...new Set(row.studentIDs.flat())]
+  }]));
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  snapshot,
+  diffStatuses,
+  clientIp,
+  recordAudit,
+  auditQuery,
+  editSummary
+};
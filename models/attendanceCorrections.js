@@ -0,0 +1,263 @@
+// ============================================================================
+// models/attendanceCorrections.js - Edit Lock Window and Correction Requests
+// ============================================================================
+//
+// Teachers can edit a session directly until the lock window has passed
+// (48 hours by default, counted from the end of the class day). After that
+// they file a correction request with a reason; the HOD approves it, which
+// applies the change and writes the audit entry, or rejects it.
+//
+//   attendanceCorrections: { sessionId, stream, semester, subject, date, time,
+//     requestedBy: { email, name }, requestedAt, reason,
+//     records,                          - the session's records as requested
+//     changes: [{ studentID, from, to }],
+//     status: 'pending' | 'approving' | 'approved' | 'rejected',
+//     reviewedBy, reviewedAt, reviewNote }
+//
+// 'approving' is held only while an approval is being applied.
+
+const { ObjectId } = require('mongodb');
+const { buildSessionFields, buildSessionUpdate, getStatusMap } = require('./attendanceStatus');
+const { snapshot, diffStatuses, recordAudit } = require('./attendanceAudit');
+const { endOfDay } = require('./academicCalendar');
+const { getSetting, saveSetting } = require('./settings');
+
+const SETTINGS_KEY = 'attendanceEditLock';
+const MAX_WINDOW_HOURS = 24 * 90;
+
+const CORRECTION_STATUSES = ['pending', 'approving', 'approved', 'rejected'];
+
+// A request in one of these still blocks a new request for its session
+const OPEN_STATUSES = ['pending', 'approving'];
+
+const DEFAULT_SETTINGS = {
+  windowHours: parseInt(process.env.ATTENDANCE_EDIT_WINDOW_HOURS) || 48
+};
+
+// ============================================================================
+// CONFIGURABLE LOCK WINDOW
+// ============================================================================
+
+async function getLockSettings(db) {
+  return getSetting(db, SETTINGS_KEY, DEFAULT_SETTINGS);
+}
+
+/**
+ * Validate and store lock settings ({ windowHours: 48 }).
+ */
+async function saveLockSettings(db, input, updatedBy) {
+  const windowHours = Number(input?.windowHours);
+  if (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > MAX_WINDOW_HOURS) {
+    throw new Error(`windowHours must be a whole number of hours between 1 and ${MAX_WINDOW_HOURS}`);
+  }
+
+  const settings = { ...(await getLockSettings(db)), windowHours };
+  return saveSetting(db, SETTINGS_KEY, settings, updatedBy);
+}
+
+// ============================================================================
+// LOCK CHECK
+// ============================================================================
+
+/**
+ * When a session stops being directly editable.
+ */
+function lockTime(session, settings) {
+  return new Date(endOfDay(session.date).getTime() + settings.windowHours * 60 * 60 * 1000);
+}
+
+/**
+ * Whether the lock window for `session` has passed. Routes let users who
+ * approve corrections (HODs, admins) edit locked sessions anyway.
+ */
+function isLocked(session, settings, now = new Date()) {
+  return now > lockTime(session, settings);
+}
+
+/**
+ * 403 body for an edit blocked by the lock window.
+ */
+function lockedResponse(sessions, settings) {
+  const list = Array.isArray(sessions) ? sessions : [sessions];
+  return {
+    success: false,
+    error: `Attendance can only be changed within ${settings.windowHours} hours of the class - file a correction request`,
+    locked: true,
+    windowHours: settings.windowHours,
+    sessionIds: list.map(s => s._id)
+  };
+}
+
+// ============================================================================
+// CORRECTION REQUESTS
+// ============================================================================
+
+function correctionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * File a correction request for `session`. `records` is the session as the
+ * teacher wants it ([{ studentID, status }]); a reason is required.
+ * Throws (with .status) on invalid records, no changes, or a request for
+ * the session already pending.
+ */
+async function createCorrection(db, user, session, { records, reason }) {
+  const text = String(reason ?? '').trim();
+  if (!text) throw correctionError('A reason is required for a correction request', 400);
+
+  let fields;
+  try {
+    fields = buildSessionFields({ records });
+  } catch (validationError) {
+    throw correctionError(validationError.message, 400);
+  }
+
+  const changes = diffStatuses(snapshot(session), fields);
+  if (changes.length === 0) throw correctionError('The request does not change any status', 400);
+
+  const pending = await db.collection('attendanceCorrections').findOne({ sessionId: session._id, status: { $in: OPEN_STATUSES } });
+  if (pending) {
+    throw correctionError(`A correction for this session is already pending (requested by ${pending.requestedBy.email})`, 409);
+  }
+
+  const correction = {
+    sessionId: session._id,
+    stream: session.stream,
+    semester: session.semester,
+    subject: session.subject,
+    date: session.date,
+    time: session.time,
+    requestedBy: { email: user.email, name: user.name || null },
+    requestedAt: new Date(),
+    reason: text.slice(0, 500),
+    records: fields.records,
+    changes,
+    status: 'pending'
+  };
+
+  const result = await db.collection('attendanceCorrections').insertOne(correction);
+  return { ...correction, _id: result.insertedId };
+}
+
+/**
+ * Records to save on approval: the requested statuses for the students the
+ * request changes, the session's current statuses for everyone else (so
+ * edits made since the request are kept).
+ */
+function approvedRecords(session, correction) {
+  const current = getStatusMap(session);
+  const changed = new Set(correction.changes.map(c => c.studentID));
+  const requested = new Set(correction.records.map(r => r.studentID));
+
+  return [
+    ...correction.records.map(r => changed.has(r.studentID) || !current.has(r.studentID)
+      ? r
+      : { studentID: r.studentID, status: current.get(r.studentID) }),
+    ...[...current.entries()]
+      .filter(([studentID]) => !requested.has(studentID))
+      .map(([studentID, status]) => ({ studentID, status }))
+  ];
+}
+
+/**
+ * Claim a pending correction for review by moving it to `status`, so two
+ * reviewers can't both act on it. Throws 409 if it is no longer pending.
+ */
+async function claimCorrection(db, correction, status) {
+  const claimed = await db.collection('attendanceCorrections').findOneAndUpdate(
+    { _id: correction._id, status: 'pending' },
+    { $set: { status } },
+    { returnDocument: 'after' }
+  );
+  if (claimed) return claimed;
+
+  const current = await db.collection('attendanceCorrections').findOne({ _id: correction._id });
+  throw correctionError(current ? `Correction is already ${current.status}` : 'Correction request not found', 409);
+}
+
+/**
+ * Approve a pending correction: claim it, apply it to the session, audit
+ * it and close the request. If the change can't be applied the request
+ * goes back to pending. Returns { correction, session }.
+ */
+async function approveCorrection(db, req, correction, { note } = {}) {
+  const claimed = await claimCorrection(db, correction, 'approving');
+
+  let session, after;
+  try {
+    session = await db.collection('attendance').findOne({ _id: claimed.sessionId });
+    if (!session) throw correctionError('The session has been deleted', 409);
+
+    await db.collection('attendance').updateOne(
+      { _id: session._id },
+      buildSessionUpdate({ records: approvedRecords(session, claimed) })
+    );
+    after = await db.collection('attendance').findOne({ _id: session._id });
+  } catch (error) {
+    await db.collection('attendanceCorrections').updateOne(
+      { _id: claimed._id, status: 'approving' },
+      { $set: { status: 'pending' } }
+    );
+    throw error;
+  }
+
+  await recordAudit(db, req, {
+    action: 'update',
+    before: session,
+    after,
+    reason: `Correction requested by ${claimed.requestedBy.email}: ${claimed.reason}`,
+    correctionId: claimed._id
+  });
+
+  const closed = await closeCorrection(db, req, claimed, 'approved', note);
+  return { correction: closed, session: after };
+}
+
+/**
+ * Reject a pending correction. Returns the closed request.
+ */
+async function rejectCorrection(db, req, correction, { note } = {}) {
+  const claimed = await claimCorrection(db, correction, 'rejected');
+  return closeCorrection(db, req, claimed, 'rejected', note);
+}
+
+// Record the review on a request this reviewer has claimed
+async function closeCorrection(db, req, claimed, status, note) {
+  const review = {
+    status,
+    reviewedBy: req.user.email,
+    reviewedAt: new Date(),
+    reviewNote: String(note ?? '').trim().slice(0, 500) || null
+  };
+
+  await db.collection('attendanceCorrections').updateOne(
+    { _id: claimed._id, status: claimed.status },
+    { $set: review }
+  );
+  return { ...claimed, ...review };
+}
+
+/**
+ * Correction from a route parameter, or null.
+ */
+async function findCorrection(db, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return db.collection('attendanceCorrections').findOne({ _id: new ObjectId(id) });
+}
+
+module.exports = {
+  CORRECTION_STATUSES,
+  getLockSettings,
+  saveLockSettings,
+  lockTime,
+  isLocked,
+  lockedResponse,
+  createCorrection,
+  approvedRecords,
+  approveCorrection,
+  rejectCorrection,
+  findCorrection
+};
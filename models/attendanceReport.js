@@ -0,0 +1,335 @@
+// ============================================================================
+// models/attendanceReport.js - Per-Student, Per-Subject Attendance Totals
+// ============================================================================
+//
+// Shared by the student-subject report, the shortage alert job and the
+// student self-service lookup.
+
+const { STATUS_CODES, getStatusMap, percentOf } = require('./attendanceStatus');
+const { sessionStatus, takesSubject } = require('./absenceSummary');
+const { sessionSectionFilter } = require('./roster');
+const { withEnrollments, studentEnrollments } = require('./enrollments');
+const { exactMatch } = require('../middleware/rbac');
+
+/**
+ * Aggregation over attendance sessions producing, per student and subject,
+ * the sessions attended (present) and the sessions that count (total). A
+ * student only counts for a session if they take its subject (its enrolled
+ * students, see withEnrollments, or without enrollments the matching
+ * languageSubject / electiveSubject - the rules /attendance-students marks
+ * by), are in a section it was taught to and, for practicals, in its lab
+ * batch. Streams and subject names match case-insensitively. `dateFilter`
+ * limits the sessions to a date range (an academic term) and `sections` the
+ * report to those sections.
+ */
+function buildReportPipeline(stream, semester, subjects, statusRules, dateFilter, sections = []) {
+  const subjectRules = subjects.map(s => ({
+    key: s.name.toLowerCase(),
+    name: s.name,
+    enrollment: Array.isArray(s.enrolledStudentIDs) ? 'enrolled'
+      : s.isLanguageSubject === true ? 'language'
+      : s.subjectType === 'ELECTIVE' ? 'elective'
+      : 'all',
+    enrolled: s.enrolledStudentIDs || [],
+    batches: (s.batches || []).map(b => ({ name: b.name.toLowerCase(), studentIDs: b.studentIDs }))
+  }));
+
+  const codesCounting = countsAs => STATUS_CODES.filter(code => statusRules[code]?.countsAs === countsAs);
+  const streamMatch = exactMatch(stream);
+
+  return [
+    {
+      $match: {
+        stream: streamMatch,
+        semester,
+        ...(dateFilter && { date: dateFilter }),
+        ...sessionSectionFilter(sections)
+      }
+    },
+    // Attach the subject's enrollment rule; sessions of unknown subjects drop out
+    {
+      $addFields: {
+        subjectRule: {
+          $arrayElemAt: [
+            {
+              $filter: {
+                input: { $literal: subjectRules },
+                cond: { $eq: ['$$this.key', { $toLower: '$subject' }] }
+              }
+            },
+            0
+          ]
+        }
+      }
+    },
+    { $match: { subjectRule: { $ne: null } } },
+    {
+      $facet: {
+        bySubject: [
+          {
+            $group: {
+              _id: '$subjectRule.name',
+              sessions: { $sum: 1 },
+              // Teachers who took the subject's sessions (older sessions record none)
+              teachers: { $addToSet: { $ifNull: ['$conductedBy.name', '$conductedBy.email'] } }
+            }
+          }
+        ],
+        byStudent: [
+          {
+            $lookup: {
+              from: 'students',
+              let: {
+                enrollment: '$subjectRule.enrollment',
+                subjectName: '$subjectRule.name',
+                enrolledIDs: '$subjectRule.enrolled',
+                sessionSections: { $ifNull: ['$sections', []] },
+                // Students of the session's lab batch; null when it has none
+                batchMembers: {
+                  $let: {
+                    vars: {
+                      batch: {
+                        $arrayElemAt: [
+                          {
+                            $filter: {
+                              input: '$subjectRule.batches',
+                              cond: { $eq: ['$$this.name', { $toLower: { $ifNull: ['$batch', ''] } }] }
+                            }
+                          },
+                          0
+                        ]
+                      }
+                    },
+                    in: { $ifNull: ['$$batch.studentIDs', null] }
+                  }
+                }
+              },
+              pipeline: [
+                { $match: { stream: streamMatch, semester, isActive: true, ...(sections.length > 0 && { section: { $in: sections } }) } },
+                // Sessions without sections cover the whole class
+                {
+                  $match: {
+                    $expr: {
+                      $or: [
+                        { $eq: [{ $size: '$$sessionSections' }, 0] },
+                        { $in: [{ $toUpper: { $ifNull: ['$section', ''] } }, '$$sessionSections'] }
+                      ]
+                    }
+                  }
+                },
+                {
+                  $match: {
+                    $expr: {
+                      $or: [
+                        { $eq: ['$$batchMembers', null] },
+                        { $in: ['$studentID', { $ifNull: ['$$batchMembers', []] }] }
+                      ]
+                    }
+                  }
+                },
+                {
+                  $match: {
+                    $expr: {
+                      $switch: {
+                        branches: [
+                          {
+                            case: { $eq: ['$$enrollment', 'enrolled'] },
+                            then: { $in: ['$studentID', '$$enrolledIDs'] }
+                          },
+                          {
+                            case: { $eq: ['$$enrollment', 'language'] },
+                            then: { $eq: [{ $toUpper: { $ifNull: ['$languageSubject', ''] } }, { $toUpper: '$$subjectName' }] }
+                          },
+                          {
+                            case: { $eq: ['$$enrollment', 'elective'] },
+                            then: { $eq: [{ $toUpper: { $ifNull: ['$electiveSubject', ''] } }, { $toUpper: '$$subjectName' }] }
+                          }
+                        ],
+                        default: true
+                      }
+                    }
+                  }
+                },
+                { $project: { _id: 0, studentID: 1 } }
+              ],
+              as: 'enrolled'
+            }
+          },
+          { $unwind: '$enrolled' },
+          // Status of this student in this session (old sessions: studentsPresent only)
+          {
+            $addFields: {
+              status: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$records', []] } }, 0] },
+                  {
+                    $ifNull: [
+                      {
+                        $arrayElemAt: [
+                          {
+                            $map: {
+                              input: {
+                                $filter: {
+                                  input: '$records',
+                                  cond: { $eq: ['$$this.studentID', '$enrolled.studentID'] }
+                                }
+                              },
+                              in: '$$this.status'
+                            }
+                          },
+                          0
+                        ]
+                      },
+                      'A'
+                    ]
+                  },
+                  {
+                    $cond: [
+                      { $in: ['$enrolled.studentID', { $ifNull: ['$studentsPresent', []] }] },
+                      'P',
+                      'A'
+                    ]
+                  }
+                ]
+              }
+            }
+          },
+          {
+            $group: {
+              _id: { studentID: '$enrolled.studentID', subject: '$subjectRule.name' },
+              sessions: { $sum: 1 },
+              present: {
+                $sum: { $cond: [{ $in: ['$status', codesCounting('present')] }, 1, 0] }
+              },
+              total: {
+                $sum: { $cond: [{ $in: ['$status', codesCounting('excluded')] }, 0, 1] }
+              },
+              presentDates: {
+                $addToSet: {
+                  $cond: [
+                    { $in: ['$status', codesCounting('present')] },
+                    { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+                    '$$REMOVE'
+                  ]
+                }
+              }
+            }
+          }
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Run the report aggregation for one class, or some of its sections. Only
+ * the class's own students are counted; students of other streams taking
+ * an open elective here are left out (studentAttendance covers them).
+ * Returns { byStudent: [{ _id: { studentID, subject }, sessions, present,
+ * total, presentDates }], bySubject: [{ _id: subject, sessions, teachers }] }.
+ */
+async function aggregateClassAttendance(db, { stream, semester, subjects, statusRules, dateFilter, sections }) {
+  const enrolledSubjects = await withEnrollments(db, subjects);
+  const rows = await db.collection('attendance')
+    .aggregate(buildReportPipeline(stream, semester, enrolledSubjects, statusRules, dateFilter, sections))
+    .toArray();
+
+  return rows[0] || { byStudent: [], bySubject: [] };
+}
+
+/**
+ * One student's attendance for their current semester: totals per subject
+ * they take (including open electives of other streams), overall, and their
+ * most recent absences (newest first).
+ */
+async function studentAttendance(db, student, { statusRules, recentLimit = 10 }) {
+  const classFilter = {
+    stream: exactMatch(student.stream),
+    semester: student.semester
+  };
+
+  const [classSubjects, enrollments] = await Promise.all([
+    db.collection('subjects')
+      .find({ ...classFilter, isActive: true })
+      .sort({ name: 1 })
+      .toArray(),
+    studentEnrollments(db, student.studentID, { semester: student.semester })
+  ]);
+
+  // Open electives the student takes in other streams
+  const classSubjectIds = new Set(classSubjects.map(s => String(s._id)));
+  const classSubjectNames = new Set(classSubjects.map(s => s.name.toLowerCase()));
+  const otherSubjects = (await db.collection('subjects')
+    .find({ _id: { $in: enrollments.map(e => e.subjectId).filter(id => !classSubjectIds.has(String(id))) }, isActive: true })
+    .toArray())
+    .filter(s => !classSubjectNames.has(s.name.toLowerCase()));
+
+  const subjects = await withEnrollments(db, [...classSubjects, ...otherSubjects]);
+
+  const sessions = await db.collection('attendance')
+    .find({
+      $or: [
+        classFilter,
+        ...otherSubjects.map(s => ({
+          stream: exactMatch(s.stream),
+          semester: s.semester,
+          subject: exactMatch(s.name)
+        }))
+      ]
+    })
+    .project({ subject: 1, date: 1, time: 1, sections: 1, batch: 1, records: 1, studentsPresent: 1 })
+    .sort({ date: -1, time: -1 })
+    .toArray();
+
+  const subjectByName = new Map(subjects.map(s => [s.name.toLowerCase(), s]));
+  const totals = new Map(
+    subjects
+      .filter(subject => takesSubject(student, subject))
+      .map(subject => [subject.name, { present: 0, total: 0 }])
+  );
+  const recentAbsences = [];
+
+  sessions.forEach(session => {
+    const status = sessionStatus(session, getStatusMap(session), student, subjectByName);
+    const countsAs = status && statusRules[status]?.countsAs;
+    if (!status || countsAs === 'excluded') return;
+
+    const name = subjectByName.get(session.subject.toLowerCase())?.name || session.subject;
+    if (!totals.has(name)) totals.set(name, { present: 0, total: 0 });
+    const subjectTotals = totals.get(name);
+
+    subjectTotals.total++;
+    if (countsAs === 'present') {
+      subjectTotals.present++;
+    } else if (recentAbsences.length < recentLimit) {
+      recentAbsences.push({
+        date: session.date,
+        time: session.time,
+        subject: name,
+        status,
+        statusLabel: statusRules[status]?.label || status
+      });
+    }
+  });
+
+  const bySubject = [...totals.entries()].map(([subject, t]) => ({
+    subject,
+    present: t.present,
+    total: t.total,
+    percentage: percentOf(t.present, t.total)
+  }));
+  const present = bySubject.reduce((sum, s) => sum + s.present, 0);
+  const total = bySubject.reduce((sum, s) => sum + s.total, 0);
+
+  return {
+    bySubject,
+    overall: { present, total, percentage: percentOf(present, total) },
+    recentAbsences
+  };
+}
+
+module.exports = {
+  buildReportPipeline,
+  aggregateClassAttendance,
+  studentAttendance
+};
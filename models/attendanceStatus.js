@@ -0,0 +1,232 @@
+// ============================================================================
+// models/attendanceStatus.js - Per-Student Attendance Statuses
+// ============================================================================
+//
+// Each session stores one record per student:
+//
+//   records: [{ studentID, status, remark }]
+//
+// Older sessions only have studentsPresent - everyone listed there is read as
+// 'P' and everyone else as 'A'. studentsPresent is still written on new
+// sessions (students physically in class) so older readers keep working.
+//
+// Whether a status counts toward the percentage is configurable per status:
+//   present  - counts as attended
+//   absent   - counts as missed
+//   excluded - the session is left out of that student's percentage
+
+const { getSetting, saveSetting } = require('./settings');
+
+const STATUS_CODES = ['P', 'A', 'L', 'E', 'OD', 'ML'];
+
+const DEFAULT_STATUS_RULES = {
+  P:  { label: 'Present',       countsAs: 'present' },
+  A:  { label: 'Absent',        countsAs: 'absent' },
+  L:  { label: 'Late',          countsAs: 'present' },
+  E:  { label: 'Excused',       countsAs: 'excluded' },
+  OD: { label: 'On Duty',       countsAs: 'present' },
+  ML: { label: 'Medical Leave', countsAs: 'excluded' }
+};
+
+const COUNTS_AS = ['present', 'absent', 'excluded'];
+
+// Statuses where the student was in the room - these go into studentsPresent
+const IN_CLASS_STATUSES = ['P', 'L'];
+
+// P and A keep their meaning whatever the configuration says
+const FIXED_RULES = { P: 'present', A: 'absent' };
+
+const SETTINGS_KEY = 'attendanceStatusRules';
+
+// ============================================================================
+// WRITING SESSIONS
+// ============================================================================
+
+function countStatuses(records) {
+  const counts = Object.fromEntries(STATUS_CODES.map(code => [code, 0]));
+  records.forEach(r => { counts[r.status]++; });
+  return counts;
+}
+
+/**
+ * Build the stored fields of a session from a submission.
+ * Accepts `records` or the legacy `studentsPresent` + `totalStudents` pair.
+ * Throws an Error with a user-facing message when the payload is invalid.
+ */
+function buildSessionFields({ records, studentsPresent, totalStudents }) {
+  if (Array.isArray(records) && records.length > 0) {
+    const seen = new Set();
+
+    const normalized = records.map(r => {
+      const studentID = String(r?.studentID || '').trim();
+      const status = String(r?.status || '').toUpperCase();
+
+      if (!studentID) throw new Error('Each record needs a studentID');
+      if (!STATUS_CODES.includes(status)) {
+        throw new Error(`Invalid status "${r.status}" for ${studentID}. Use one of: ${STATUS_CODES.join(', ')}`);
+      }
+      if (seen.has(studentID)) throw new Error(`Duplicate record for ${studentID}`);
+      seen.add(studentID);
+
+      const record = { studentID, status };
+      if (r.remark) record.remark = String(r.remark).trim();
+      return record;
+    });
+
+    const present = normalized
+      .filter(r => IN_CLASS_STATUSES.includes(r.status))
+      .map(r => r.studentID);
+
+    return {
+      records: normalized,
+      studentsPresent: present,
+      totalStudents: normalized.length,
+      presentCount: present.length,
+      absentCount: normalized.length - present.length,
+      statusCounts: countStatuses(normalized)
+    };
+  }
+
+  if (!Array.isArray(studentsPresent)) {
+    throw new Error('records or studentsPresent array required');
+  }
+
+  const total = parseInt(totalStudents);
+  if (isNaN(total) || total < studentsPresent.length) {
+    throw new Error('totalStudents must be at least the number of students present');
+  }
+
+  return {
+    studentsPresent,
+    totalStudents: total,
+    presentCount: studentsPresent.length,
+    absentCount: total - studentsPresent.length,
+    statusCounts: { ...countStatuses([]), P: studentsPresent.length, A: total - studentsPresent.length }
+  };
+}
+
+/**
+ * MongoDB update document replacing a session's attendance. A legacy
+ * studentsPresent update drops stale records so the two never disagree.
+ */
+function buildSessionUpdate(payload) {
+  const fields = buildSessionFields(payload);
+  if (fields.records) return { $set: fields };
+  return { $set: fields, $unset: { records: '' } };
+}
+
+// ============================================================================
+// READING SESSIONS
+// ============================================================================
+
+/**
+ * Map of studentID -> status for a stored session (old or new shape).
+ */
+function getStatusMap(session) {
+  if (Array.isArray(session.records) && session.records.length > 0) {
+    return new Map(session.records.map(r => [r.studentID, r.status]));
+  }
+  return new Map((session.studentsPresent || []).map(id => [id, 'P']));
+}
+
+function getStudentStatus(statusMap, studentID) {
+  return statusMap.get(studentID) || 'A';
+}
+
+/**
+ * `present` out of `total` as a percentage rounded to two decimals
+ * (0 when there is nothing to count). Every report uses this rounding.
+ */
+function percentOf(present, total) {
+  return total > 0 ? Math.round((present / total) * 10000) / 100 : 0;
+}
+
+/**
+ * Totals for one student's statuses under the given rules.
+ */
+function summarizeStatuses(statuses, rules) {
+  const counts = Object.fromEntries(STATUS_CODES.map(code => [code, 0]));
+  let presentCount = 0;
+  let countedSessions = 0;
+
+  statuses.forEach(status => {
+    counts[status] = (counts[status] || 0) + 1;
+
+    const countsAs = rules[status]?.countsAs || 'absent';
+    if (countsAs === 'excluded') return;
+
+    countedSessions++;
+    if (countsAs === 'present') presentCount++;
+  });
+
+  return {
+    statusCounts: counts,
+    presentCount,
+    absentCount: countedSessions - presentCount,
+    countedSessions,
+    attendancePercentage: percentOf(presentCount, countedSessions)
+  };
+}
+
+// ============================================================================
+// CONFIGURABLE RULES
+// ============================================================================
+
+function mergeRules(overrides = {}) {
+  return Object.fromEntries(STATUS_CODES.map(code => {
+    const override = overrides[code] || {};
+    const rule = { ...DEFAULT_STATUS_RULES[code] };
+
+    if (override.label) rule.label = String(override.label).trim();
+    if (COUNTS_AS.includes(override.countsAs)) rule.countsAs = override.countsAs;
+    if (FIXED_RULES[code]) rule.countsAs = FIXED_RULES[code];
+
+    return [code, rule];
+  }));
+}
+
+async function getStatusRules(db) {
+  return mergeRules(await getSetting(db, SETTINGS_KEY, {}, { field: 'rules' }));
+}
+
+/**
+ * Validate and store rule overrides ({ L: { countsAs: 'absent' }, ... }).
+ */
+async function saveStatusRules(db, overrides, updatedBy) {
+  if (!overrides || typeof overrides !== 'object') {
+    throw new Error('rules object required');
+  }
+
+  Object.entries(overrides).forEach(([code, rule]) => {
+    if (!STATUS_CODES.includes(code)) {
+      throw new Error(`Unknown status ${code}`);
+    }
+    if (rule?.countsAs !== undefined && !COUNTS_AS.includes(rule.countsAs)) {
+      throw new Error(`countsAs for ${code} must be one of: ${COUNTS_AS.join(', ')}`);
+    }
+    if (FIXED_RULES[code] && rule?.countsAs && rule.countsAs !== FIXED_RULES[code]) {
+      throw new Error(`${code} always counts as ${FIXED_RULES[code]}`);
+    }
+  });
+
+  const current = await getStatusRules(db);
+  const rules = mergeRules(Object.fromEntries(STATUS_CODES.map(code =>
+    [code, { ...current[code], ...overrides[code] }]
+  )));
+
+  return saveSetting(db, SETTINGS_KEY, rules, updatedBy, { field: 'rules' });
+}
+
+module.exports = {
+  STATUS_CODES,
+  DEFAULT_STATUS_RULES,
+  IN_CLASS_STATUSES,
+  buildSessionFields,
+  buildSessionUpdate,
+  getStatusMap,
+  getStudentStatus,
+  percentOf,
+  summarizeStatuses,
+  getStatusRules,
+  saveStatusRules
+};
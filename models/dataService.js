@@ -0,0 +1,456 @@
+// ============================================================================
+// models/dataService.js - Shared Data Access for Streams, Subjects, Students
+// and Attendance
+// ============================================================================
+//
+// Every router reaches MongoDB through the one pooled connection server.js
+// opens (app.locals.db / app.locals.client) and through the helpers here, so
+// a stream, subject or student is validated and stored the same way whichever
+// endpoint touched it. Helpers throw errors carrying .status for the router
+// to send back.
+
+const { ObjectId } = require('mongodb');
+const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage } = require('./messageTemplates');
+const { normalizeDateOfBirth } = require('./studentAccess');
+const { normalizeSection } = require('./roster');
+const { moveToBin } = require('./recycleBin');
+const { recordAudit } = require('./attendanceAudit');
+const { syncProfileEnrollments } = require('./enrollments');
+const { exactMatch } = require('../middleware/rbac');
+
+// Student fields that move the student's language/elective enrollments
+const ENROLLMENT_FIELDS = ['languageSubject', 'electiveSubject', 'stream', 'semester', 'isActive'];
+
+function dataError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function objectId(id, label) {
+  if (!ObjectId.isValid(id)) throw dataError(`Invalid ${label} ID`, 400);
+  return new ObjectId(id);
+}
+
+/**
+ * ObjectIds for the valid ids in `ids` (anything else is dropped).
+ */
+function toObjectIds(ids) {
+  return (Array.isArray(ids) ? ids : [])
+    .filter(id => ObjectId.isValid(id))
+    .map(id => new ObjectId(id));
+}
+
+// ============================================================================
+// CONNECTION
+// ============================================================================
+
+/** Database of the app's pooled connection, or null before it is up. */
+function getDb(app) {
+  return app.locals.db || app.get('db') || null;
+}
+
+/** MongoClient behind getDb(app), for transactions. */
+function getClient(app) {
+  return app.locals.client || null;
+}
+
+// Router middleware: 503 until the connection is up, otherwise sets req.db
+function checkDB(req, res, next) {
+  const db = getDb(req.app);
+  if (!db) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database connection not available'
+    });
+  }
+  req.db = db;
+  next();
+}
+
+// ============================================================================
+// STREAMS
+// ============================================================================
+
+// Semesters are stored as a list; a count (6) becomes [1..6]
+function semesterList(semesters) {
+  return Array.isArray(semesters)
+    ? semesters.map(s => parseInt(s)).filter(s => s > 0)
+    : Array.from({ length: parseInt(semesters) || 0 }, (_, i) => i + 1);
+}
+
+/** Streams sorted by name; `activeOnly` skips deactivated ones. */
+async function listStreams(db, { activeOnly = false } = {}) {
+  return db.collection('streams')
+    .find(activeOnly ? { isActive: true } : {})
+    .sort({ name: 1 })
+    .toArray();
+}
+
+/** Active stream by name or streamCode (any case), or null. */
+async function findActiveStream(db, nameOrCode) {
+  return db.collection('streams').findOne({
+    $or: [
+      { streamCode: exactMatch(nameOrCode) },
+      { name: exactMatch(nameOrCode) }
+    ],
+    isActive: true
+  });
+}
+
+async function createStream(db, { name, streamCode, semesters }) {
+  if (!name || !streamCode || !semesters) {
+    throw dataError('Name, streamCode, and semesters are required', 400);
+  }
+
+  const existing = await db.collection('streams').findOne({
+    $or: [
+      { name: name.toUpperCase() },
+      { streamCode: streamCode.toLowerCase() }
+    ]
+  });
+  if (existing) throw dataError('Stream with this name or code already exists', 400);
+
+  const stream = {
+    name: name.toUpperCase(),
+    streamCode: streamCode.toLowerCase(),
+    semesters: semesterList(semesters),
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  const result = await db.collection('streams').insertOne(stream);
+  return { ...stream, _id: result.insertedId };
+}
+
+async function updateStream(db, id, { name, streamCode, semesters, isActive }) {
+  const update = { updatedAt: new Date() };
+  if (name) update.name = name.toUpperCase();
+  if (streamCode) update.streamCode = streamCode.toLowerCase();
+  if (semesters) update.semesters = semesterList(semesters);
+  if (typeof isActive !== 'undefined') update.isActive = isActive;
+
+  const result = await db.collection('streams').updateOne({ _id: objectId(id, 'stream') }, { $set: update });
+  if (result.matchedCount === 0) throw dataError('Stream not found', 404);
+}
+
+// Streams still holding students can't be deleted
+async function deleteStream(db, id) {
+  const stream = await db.collection('streams').findOne({ _id: objectId(id, 'stream') });
+  if (!stream) throw dataError('Stream not found', 404);
+
+  const students = await db.collection('students').countDocuments({ stream: stream.name });
+  if (students > 0) {
+    throw dataError(`Cannot delete stream. ${students} students are using this stream.`, 400);
+  }
+
+  await db.collection('streams').deleteOne({ _id: stream._id });
+  return stream;
+}
+
+// ============================================================================
+// SUBJECTS
+// ============================================================================
+
+/**
+ * Subjects sorted by stream, semester and name. Filters: stream (any case),
+ * semester, subjectType, activeOnly.
+ */
+async function listSubjects(db, { stream, semester, subjectType, activeOnly = false } = {}) {
+  const query = {};
+  if (stream) query.stream = exactMatch(stream);
+  if (semester) query.semester = parseInt(semester);
+  if (subjectType) query.subjectType = subjectType.toUpperCase();
+  if (activeOnly) query.isActive = true;
+
+  return db.collection('subjects')
+    .find(query)
+    .sort({ stream: 1, semester: 1, name: 1 })
+    .toArray();
+}
+
+// Subject codes are unique within a stream and semester
+async function createSubject(db, { name, subjectCode, stream, semester, subjectType, isLanguageSubject, languageType }) {
+  if (!name || !subjectCode || !stream || !semester || !subjectType) {
+    throw dataError('Name, subjectCode, stream, semester, and subjectType are required', 400);
+  }
+
+  const existing = await db.collection('subjects').findOne({
+    subjectCode: subjectCode.toUpperCase(),
+    stream: stream.toUpperCase(),
+    semester: parseInt(semester)
+  });
+  if (existing) throw dataError('Subject with this code already exists for this stream and semester', 400);
+
+  const subject = {
+    name: name.toUpperCase(),
+    subjectCode: subjectCode.toUpperCase(),
+    stream: stream.toUpperCase(),
+    semester: parseInt(semester),
+    subjectType: subjectType.toUpperCase(),
+    isLanguageSubject: isLanguageSubject || subjectType.toUpperCase() === 'LANGUAGE',
+    languageType: languageType ? languageType.toUpperCase() : null,
+    isActive: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  const result = await db.collection('subjects').insertOne(subject);
+  return { ...subject, _id: result.insertedId };
+}
+
+async function updateSubject(db, id, { name, subjectCode, stream, semester, subjectType, isLanguageSubject, languageType, isActive }) {
+  const update = { updatedAt: new Date() };
+  if (name) update.name = name.toUpperCase();
+  if (subjectCode) update.subjectCode = subjectCode.toUpperCase();
+  if (stream) update.stream = stream.toUpperCase();
+  if (semester) update.semester = parseInt(semester);
+  if (subjectType) {
+    update.subjectType = subjectType.toUpperCase();
+    update.isLanguageSubject = subjectType.toUpperCase() === 'LANGUAGE';
+  }
+  if (typeof isLanguageSubject !== 'undefined') update.isLanguageSubject = isLanguageSubject;
+  if (languageType !== undefined) update.languageType = languageType ? languageType.toUpperCase() : null;
+  if (typeof isActive !== 'undefined') update.isActive = isActive;
+
+  const result = await db.collection('subjects').updateOne({ _id: objectId(id, 'subject') }, { $set: update });
+  if (result.matchedCount === 0) throw dataError('Subject not found', 404);
+}
+
+async function deleteSubject(db, id) {
+  const result = await db.collection('subjects').deleteOne({ _id: objectId(id, 'subject') });
+  if (result.deletedCount === 0) throw dataError('Subject not found', 404);
+}
+
+// ============================================================================
+// STUDENTS
+// ============================================================================
+
+/** Filter matching a student by Mongo _id or by studentID. */
+function studentIdFilter(id) {
+  return ObjectId.isValid(id)
+    ? { $or: [{ _id: new ObjectId(id) }, { studentID: id }] }
+    : { studentID: id };
+}
+
+// New student document from a form or an uploaded row
+function prepareStudent(data) {
+  return {
+    studentID: data.studentID?.toString().trim() || '',
+    name: data.name?.toString().trim() || '',
+    stream: data.stream?.toString().trim() || '',
+    semester: parseInt(data.semester) || 1,
+    parentPhone: data.parentPhone?.toString().trim() || '',
+    languageSubject: data.languageSubject?.toString().trim() || '',
+    electiveSubject: data.electiveSubject?.toString().trim() || '',
+    section: normalizeSection(data.section),
+    preferredLanguage: normalizeLanguage(data.preferredLanguage) || DEFAULT_LANGUAGE,
+    dateOfBirth: normalizeDateOfBirth(data.dateOfBirth),
+    academicYear: data.academicYear || new Date().getFullYear(),
+    isActive: data.isActive !== false,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+}
+
+/**
+ * Students sorted by stream, semester and name. Filters (query-string
+ * values): stream, semester, section, language, elective, status ('true'|'false').
+ */
+async function listStudents(db, { stream, semester, section, language, elective, status } = {}, { projection } = {}) {
+  const query = {};
+  if (stream) query.stream = stream;
+  if (semester) query.semester = parseInt(semester);
+  if (section) query.section = normalizeSection(section);
+  if (language) query.languageSubject = language;
+  if (elective) query.electiveSubject = elective;
+  if (status !== undefined) query.isActive = status === 'true';
+
+  return db.collection('students')
+    .find(query, { projection })
+    .sort({ stream: 1, semester: 1, name: 1 })
+    .toArray();
+}
+
+/** Student by _id, falling back to studentID, or null. */
+async function findStudent(db, id, { projection } = {}) {
+  const students = db.collection('students');
+  const student = ObjectId.isValid(id) && await students.findOne({ _id: new ObjectId(id) }, { projection });
+  return student || students.findOne({ studentID: id }, { projection });
+}
+
+async function createStudent(db, data, { performedBy } = {}) {
+  const required = { studentID: 'Student ID', name: 'Student name', stream: 'Stream', semester: 'Semester' };
+  const missing = Object.keys(required).find(field => !data[field]);
+  if (missing) throw dataError(`${required[missing]} is required`, 400);
+
+  const existing = await db.collection('students').findOne({ studentID: String(data.studentID).trim() });
+  if (existing) throw dataError('Student ID already exists', 400);
+
+  const student = prepareStudent(data);
+  const result = await db.collection('students').insertOne(student);
+  await syncProfileEnrollments(db, student, { performedBy });
+
+  return { ...student, _id: result.insertedId };
+}
+
+/**
+ * Insert uploaded rows, skipping rows without an ID or name, repeats within
+ * the upload and studentIDs already in the database. Returns the counts.
+ */
+async function importStudents(db, rows, { performedBy } = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) throw dataError('No students provided', 400);
+
+  const valid = rows.map(prepareStudent).filter(s => s.studentID && s.name);
+  if (valid.length === 0) throw dataError('No valid students found (missing ID or name)', 400);
+
+  const seenIDs = new Set();
+  const unique = [];
+  let duplicateRows = 0;
+  valid.forEach(student => {
+    if (seenIDs.has(student.studentID)) {
+      duplicateRows++;
+    } else {
+      seenIDs.add(student.studentID);
+      unique.push(student);
+    }
+  });
+
+  const existing = await db.collection('students')
+    .find({ studentID: { $in: unique.map(s => s.studentID) } })
+    .project({ studentID: 1 })
+    .toArray();
+  const existingIDs = new Set(existing.map(s => s.studentID));
+  const newStudents = unique.filter(s => !existingIDs.has(s.studentID));
+
+  let insertedCount = 0;
+  if (newStudents.length > 0) {
+    const result = await db.collection('students').insertMany(newStudents);
+    insertedCount = result.insertedCount;
+
+    for (const student of newStudents) {
+      await syncProfileEnrollments(db, student, { performedBy });
+    }
+  }
+
+  return {
+    totalProcessed: rows.length,
+    insertedCount,
+    alreadyInDatabase: unique.length - newStudents.length,
+    duplicateRows
+  };
+}
+
+/**
+ * Apply profile changes to the student matched by _id or studentID and
+ * move their enrollments along. Returns the update result.
+ */
+async function updateStudent(db, id, changes, { performedBy } = {}) {
+  const { _id, createdAt, ...update } = changes;
+  update.updatedAt = new Date();
+
+  if (update.semester) update.semester = parseInt(update.semester);
+  if (update.section !== undefined) update.section = normalizeSection(update.section);
+
+  if (update.preferredLanguage !== undefined) {
+    update.preferredLanguage = normalizeLanguage(update.preferredLanguage);
+    if (!update.preferredLanguage) {
+      throw dataError(`preferredLanguage must be one of: ${Object.keys(LANGUAGES).join(', ')}`, 400);
+    }
+  }
+
+  if (update.dateOfBirth !== undefined && update.dateOfBirth !== null && update.dateOfBirth !== '') {
+    update.dateOfBirth = normalizeDateOfBirth(update.dateOfBirth);
+    if (!update.dateOfBirth) {
+      throw dataError('dateOfBirth must be a past date (YYYY-MM-DD or DD/MM/YYYY)', 400);
+    }
+  } else if (update.dateOfBirth !== undefined) {
+    update.dateOfBirth = null;
+  }
+
+  const student = await findStudent(db, id);
+  if (!student) throw dataError('Student not found', 404);
+
+  const result = await db.collection('students').updateOne({ _id: student._id }, { $set: update });
+
+  if (ENROLLMENT_FIELDS.some(field => field in update)) {
+    await syncProfileEnrollments(db, { ...student, ...update }, { performedBy });
+  }
+
+  return result;
+}
+
+/** Activate or deactivate students by _id. Returns the number changed. */
+async function setStudentsActive(db, ids, isActive) {
+  if (!Array.isArray(ids) || ids.length === 0) throw dataError('studentIds array is required', 400);
+  if (typeof isActive !== 'boolean') throw dataError('isActive must be a boolean', 400);
+
+  const result = await db.collection('students').updateMany(
+    { _id: { $in: toObjectIds(ids) } },
+    { $set: { isActive, updatedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Move students to the recycle bin: the given _ids, or everyone in a
+ * stream and/or semester. Returns the students removed.
+ */
+async function deleteStudents(db, { studentIds, stream, semester }, { deletedBy, reason } = {}) {
+  let query = {};
+  if (Array.isArray(studentIds) && studentIds.length > 0) {
+    query = { _id: { $in: toObjectIds(studentIds) } };
+  } else {
+    if (stream) query.stream = stream;
+    if (semester) query.semester = parseInt(semester);
+    if (Object.keys(query).length === 0) {
+      throw dataError('Please provide studentIds or stream/semester filter', 400);
+    }
+  }
+
+  const students = await db.collection('students').find(query).toArray();
+  await moveToBin(db, 'student', students, { deletedBy, reason });
+  return students;
+}
+
+// ============================================================================
+// ATTENDANCE
+// ============================================================================
+
+/**
+ * Move an attendance session to the recycle bin and audit it.
+ * Returns false if it was already gone.
+ */
+async function deleteSession(db, req, session, reason) {
+  const removed = await moveToBin(db, 'attendance', [session], { deletedBy: req.user.email, reason });
+  if (!removed) return false;
+
+  await recordAudit(db, req, { action: 'delete', before: session });
+  return true;
+}
+
+module.exports = {
+  getDb,
+  getClient,
+  checkDB,
+  listStreams,
+  findActiveStream,
+  createStream,
+  updateStream,
+  deleteStream,
+  listSubjects,
+  createSubject,
+  updateSubject,
+  deleteSubject,
+  toObjectIds,
+  studentIdFilter,
+  listStudents,
+  findStudent,
+  createStudent,
+  importStudents,
+  updateStudent,
+  setStudentsActive,
+  deleteStudents,
+  deleteSession
+};
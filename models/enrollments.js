@@ -0,0 +1,336 @@
+// ============================================================================
+// models/enrollments.js - Student Enrollments in Language and Elective Subjects
+// ============================================================================
+//
+// Core and practical subjects are taken by the whole class. Language and
+// elective subjects are taken by the students enrolled in them:
+//
+//   enrollments: { studentID, subjectId, subject, stream, semester, kind,
+//                  studentStream, status: 'active' | 'dropped', source,
+//                  enrolledAt, enrolledBy, droppedAt, droppedBy }
+//
+// stream/semester are the subject's; studentStream differs for open
+// electives taken by students of another stream. A student may hold any
+// number of active enrollments.
+//
+// Subjects nobody has been enrolled in yet (no enrollment documents at all)
+// still use the old single-value fields students.languageSubject and
+// students.electiveSubject, so classes keep working until they are migrated.
+
+const ACTIVE = 'active';
+const DROPPED = 'dropped';
+
+const ENROLLMENT_SOURCES = ['manual', 'bulk', 'migration', 'profile'];
+
+// Enrollments the student profile's language/elective fields own
+const PROFILE_SOURCES = ['migration', 'profile'];
+
+/**
+ * 'language' or 'elective' for subjects taken by enrollment, else null.
+ */
+function enrollmentKind(subjectDoc) {
+  if (subjectDoc?.isLanguageSubject === true) return 'language';
+  if (subjectDoc?.subjectType === 'ELECTIVE') return 'elective';
+  return null;
+}
+
+/**
+ * Student IDs from an array or a comma/newline separated string.
+ */
+function parseStudentIDs(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return [...new Set(list.map(id => String(id ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Active students enrolled in a subject, or null when the subject doesn't
+ * use enrollments yet (the legacy student fields apply).
+ */
+async function enrolledStudentIDs(db, subjectDoc) {
+  if (!enrollmentKind(subjectDoc)) return null;
+
+  const enrollments = await db.collection('enrollments')
+    .find({ subjectId: subjectDoc._id })
+    .project({ studentID: 1, status: 1 })
+    .toArray();
+
+  if (enrollments.length === 0) return null;
+  return enrollments.filter(e => e.status === ACTIVE).map(e => e.studentID);
+}
+
+/**
+ * Copies of `subjects` with `enrolledStudentIDs` set on every language or
+ * elective subject that uses enrollments. takesSubject() and the report
+ * pipeline read it in place of the legacy student fields.
+ */
+async function withEnrollments(db, subjects) {
+  const ids = subjects.filter(s => enrollmentKind(s) && s._id).map(s => s._id);
+  if (ids.length === 0) return subjects;
+
+  const enrollments = await db.collection('enrollments')
+    .find({ subjectId: { $in: ids } })
+    .project({ subjectId: 1, studentID: 1, status: 1 })
+    .toArray();
+
+  const bySubject = new Map();
+  enrollments.forEach(e => {
+    const key = String(e.subjectId);
+    if (!bySubject.has(key)) bySubject.set(key, []);
+    if (e.status === ACTIVE) bySubject.get(key).push(e.studentID);
+  });
+
+  return subjects.map(s => bySubject.has(String(s._id))
+    ? { ...s, enrolledStudentIDs: bySubject.get(String(s._id)) }
+    : s);
+}
+
+// ============================================================================
+// ENROLL / DROP
+// ============================================================================
+
+/**
+ * Enroll students in a language or elective subject. Students must be
+ * active and in the subject's semester; any stream may take an elective.
+ * Dropped enrollments are reactivated.
+ *
+ * Returns { enrolled, alreadyEnrolled, notFound, wrongSemester }.
+ */
+async function enrollStudents(db, subjectDoc, studentIDs, { enrolledBy, source = 'manual' } = {}) {
+  const kind = enrollmentKind(subjectDoc);
+  if (!kind) {
+    const error = new Error(`${subjectDoc.name} is taken by the whole class; only language and elective subjects take enrollments`);
+    error.status = 400;
+    throw error;
+  }
+
+  const ids = parseStudentIDs(studentIDs);
+  const [students, existing] = await Promise.all([
+    db.collection('students')
+      .find({ studentID: { $in: ids }, isActive: true })
+      .project({ studentID: 1, stream: 1, semester: 1 })
+      .toArray(),
+    db.collection('enrollments')
+      .find({ subjectId: subjectDoc._id, studentID: { $in: ids }, status: ACTIVE })
+      .project({ studentID: 1 })
+      .toArray()
+  ]);
+
+  const studentByID = new Map(students.map(s => [s.studentID, s]));
+  const active = new Set(existing.map(e => e.studentID));
+  const result = { enrolled: [], alreadyEnrolled: [], notFound: [], wrongSemester: [] };
+
+  ids.forEach(id => {
+    const student = studentByID.get(id);
+    if (!student) result.notFound.push(id);
+    else if (student.semester !== subjectDoc.semester) result.wrongSemester.push(id);
+    else if (active.has(id)) result.alreadyEnrolled.push(id);
+    else result.enrolled.push(id);
+  });
+
+  if (result.enrolled.length > 0) {
+    const now = new Date();
+    await db.collection('enrollments').bulkWrite(result.enrolled.map(id => ({
+      updateOne: {
+        filter: { subjectId: subjectDoc._id, studentID: id },
+        update: {
+          $set: {
+            subject: subjectDoc.name,
+            stream: subjectDoc.stream,
+            semester: subjectDoc.semester,
+            kind,
+            studentStream: studentByID.get(id).stream,
+            status: ACTIVE,
+            source,
+            enrolledAt: now,
+            enrolledBy: enrolledBy || null
+          },
+          $unset: { droppedAt: '', droppedBy: '' }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  return result;
+}
+
+/**
+ * Drop students from a subject. The enrollment is kept as 'dropped' so the
+ * subject stays on enrollments even when everyone has dropped it.
+ *
+ * Returns { dropped, notEnrolled }.
+ */
+async function dropStudents(db, subjectDoc, studentIDs, { droppedBy } = {}) {
+  const ids = parseStudentIDs(studentIDs);
+  const existing = await db.collection('enrollments')
+    .find({ subjectId: subjectDoc._id, studentID: { $in: ids }, status: ACTIVE })
+    .project({ studentID: 1 })
+    .toArray();
+
+  const dropped = existing.map(e => e.studentID);
+  if (dropped.length > 0) {
+    await db.collection('enrollments').updateMany(
+      { subjectId: subjectDoc._id, studentID: { $in: dropped }, status: ACTIVE },
+      { $set: { status: DROPPED, droppedAt: new Date(), droppedBy: droppedBy || null } }
+    );
+  }
+
+  return { dropped, notEnrolled: ids.filter(id => !dropped.includes(id)) };
+}
+
+/**
+ * A student's enrollments, newest semester first. Dropped ones are left
+ * out unless `includeDropped`.
+ */
+async function studentEnrollments(db, studentID, { semester, includeDropped = false } = {}) {
+  const query = { studentID };
+  if (semester) query.semester = parseInt(String(semester).replace('sem', ''));
+  if (!includeDropped) query.status = ACTIVE;
+
+  return db.collection('enrollments')
+    .find(query)
+    .sort({ semester: -1, subject: 1 })
+    .toArray();
+}
+
+// ============================================================================
+// LEGACY FIELDS
+// ============================================================================
+
+// The subject a legacy field value names in the student's class
+function subjectForField(subjects, student, kind) {
+  const value = String(kind === 'language' ? student.languageSubject || '' : student.electiveSubject || '').trim();
+  if (!value) return { value, subject: null };
+
+  const subject = subjects.find(s =>
+    enrollmentKind(s) === kind &&
+    s.semester === student.semester &&
+    String(s.stream).toLowerCase() === String(student.stream).toLowerCase() &&
+    (kind === 'language' ? s.name.toUpperCase() === value.toUpperCase() : s.name === value)
+  );
+  return { value, subject: subject || null };
+}
+
+/**
+ * One-off migration: enroll every active student in the subjects named by
+ * students.languageSubject / students.electiveSubject. Safe to run again -
+ * existing enrollments, including dropped ones, are left alone.
+ *
+ * Returns { students, created, existing, unmatched: [{ studentID, field, value }] }.
+ */
+async function migrateLegacyEnrollments(db, { performedBy } = {}) {
+  const [students, subjects] = await Promise.all([
+    db.collection('students')
+      .find({
+        isActive: true,
+        $or: [{ languageSubject: { $nin: [null, ''] } }, { electiveSubject: { $nin: [null, ''] } }]
+      })
+      .project({ studentID: 1, stream: 1, semester: 1, languageSubject: 1, electiveSubject: 1 })
+      .toArray(),
+    db.collection('subjects')
+      .find({ isActive: true, $or: [{ isLanguageSubject: true }, { subjectType: 'ELECTIVE' }] })
+      .toArray()
+  ]);
+
+  const now = new Date();
+  const operations = [];
+  const unmatched = [];
+
+  students.forEach(student => {
+    ['language', 'elective'].forEach(kind => {
+      const { value, subject } = subjectForField(subjects, student, kind);
+      if (!value) return;
+      if (!subject) {
+        unmatched.push({ studentID: student.studentID, field: `${kind}Subject`, value });
+        return;
+      }
+      operations.push({
+        updateOne: {
+          filter: { subjectId: subject._id, studentID: student.studentID },
+          update: {
+            $setOnInsert: {
+              subject: subject.name,
+              stream: subject.stream,
+              semester: subject.semester,
+              kind,
+              studentStream: student.stream,
+              status: ACTIVE,
+              source: 'migration',
+              enrolledAt: now,
+              enrolledBy: performedBy || null
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+  });
+
+  let created = 0;
+  if (operations.length > 0) {
+    const result = await db.collection('enrollments').bulkWrite(operations, { ordered: false });
+    created = result.upsertedCount;
+  }
+
+  return {
+    students: students.length,
+    created,
+    existing: operations.length - created,
+    unmatched
+  };
+}
+
+/**
+ * Keep enrollments in step with a student's languageSubject/electiveSubject
+ * after the profile is saved: enroll them in the named subject if that
+ * subject already uses enrollments, and drop the enrollment a previous
+ * value (or the migration) created. Hand-made enrollments are left alone.
+ */
+async function syncProfileEnrollments(db, student, { performedBy } = {}) {
+  if (!student?.studentID || !student.stream || !student.semester) return;
+
+  const subjects = await db.collection('subjects')
+    .find({ stream: student.stream, semester: student.semester, isActive: true })
+    .toArray();
+
+  for (const kind of ['language', 'elective']) {
+    const { subject } = subjectForField(subjects, student, kind);
+
+    const stale = await db.collection('enrollments')
+      .find({
+        studentID: student.studentID,
+        semester: student.semester,
+        kind,
+        status: ACTIVE,
+        source: { $in: PROFILE_SOURCES },
+        ...(subject && { subjectId: { $ne: subject._id } })
+      })
+      .toArray();
+
+    for (const enrollment of stale) {
+      await dropStudents(db, { _id: enrollment.subjectId }, [student.studentID], { droppedBy: performedBy });
+    }
+
+    if (!subject || student.isActive === false || !(await enrolledStudentIDs(db, subject))) continue;
+
+    // A student dropped from the subject by hand stays dropped
+    const previous = await db.collection('enrollments').findOne({ subjectId: subject._id, studentID: student.studentID });
+    if (!previous) {
+      await enrollStudents(db, subject, [student.studentID], { enrolledBy: performedBy, source: 'profile' });
+    }
+  }
+}
+
+module.exports = {
+  ENROLLMENT_SOURCES,
+  enrollmentKind,
+  parseStudentIDs,
+  enrolledStudentIDs,
+  withEnrollments,
+  enrollStudents,
+  dropStudents,
+  studentEnrollments,
+  migrateLegacyEnrollments,
+  syncProfileEnrollments
+};
@@ -0,0 +1,171 @@
+// ============================================================================
+// models/labBatches.js - Lab Batches for Practical Subjects
+// ============================================================================
+//
+// A practical subject can be taken in batches (BCA Sem 3 Java Lab: Batch 1
+// on Monday, Batch 2 on Thursday). Batches are stored on the subject:
+//
+//   subjects.batches: [{ name, studentIDs, from?, to? }]
+//
+// from/to are the studentID range the batch was split by, kept for display.
+// A session saved with `batch` only counts for that batch's students;
+// sessions without a batch count for everyone taking the subject.
+
+const { exactMatch } = require('../middleware/rbac');
+
+const MAX_BATCHES = 10;
+
+function normalizeBatchName(value) {
+  return String(value ?? '').trim();
+}
+
+// studentIDs sort the way they are printed on rolls: BCA2 before BCA10
+const compareStudentIDs = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+/**
+ * The batch called `name` on a subject document, or null.
+ */
+function findBatch(subjectDoc, name) {
+  const batchName = normalizeBatchName(name).toLowerCase();
+  if (!batchName || !Array.isArray(subjectDoc?.batches)) return null;
+  return subjectDoc.batches.find(b => b.name.toLowerCase() === batchName) || null;
+}
+
+/**
+ * Name of the batch a student is in for a subject, or null.
+ */
+function batchOf(subjectDoc, studentID) {
+  const batch = (subjectDoc?.batches || []).find(b => b.studentIDs.includes(studentID));
+  return batch ? batch.name : null;
+}
+
+/**
+ * Whether a session was taken by the student's batch. Sessions without a
+ * batch, and sessions of batches the subject no longer defines, cover
+ * everyone.
+ */
+function coversBatch(session, student, subjectDoc) {
+  if (!session?.batch) return true;
+  const batch = findBatch(subjectDoc, session.batch);
+  return !batch || batch.studentIDs.includes(student.studentID);
+}
+
+/**
+ * Session filter for sessions of `batchName` plus sessions without a batch.
+ */
+function sessionBatchFilter(batchName) {
+  if (!batchName) return {};
+  // null in $in also matches sessions without the field
+  return { batch: { $in: [null, exactMatch(batchName)] } };
+}
+
+// ============================================================================
+// DEFINING BATCHES
+// ============================================================================
+
+/**
+ * Validate manually defined batches against the subject's roster.
+ * `input` is [{ name, studentIDs }]; throws on duplicate names, unknown
+ * students or students in two batches.
+ */
+function validateBatches(input, rosterIDs) {
+  if (!Array.isArray(input)) throw new Error('batches must be an array');
+  if (input.length > MAX_BATCHES) throw new Error(`At most ${MAX_BATCHES} batches per subject`);
+
+  const roster = new Set(rosterIDs);
+  const names = new Set();
+  const assigned = new Map();
+
+  return input.map((batch, index) => {
+    const name = normalizeBatchName(batch?.name) || `Batch ${index + 1}`;
+    if (names.has(name.toLowerCase())) throw new Error(`Duplicate batch name: ${name}`);
+    names.add(name.toLowerCase());
+
+    const studentIDs = [...new Set((batch.studentIDs || []).map(id => String(id).trim()).filter(Boolean))];
+    studentIDs.forEach(id => {
+      if (!roster.has(id)) throw new Error(`${id} does not take this subject`);
+      if (assigned.has(id)) throw new Error(`${id} is in both ${assigned.get(id)} and ${name}`);
+      assigned.set(id, name);
+    });
+
+    return { name, studentIDs: studentIDs.sort(compareStudentIDs) };
+  });
+}
+
+// from/to of a sorted batch, for display
+const withRange = (name, studentIDs) => ({
+  name,
+  studentIDs,
+  from: studentIDs[0] || null,
+  to: studentIDs[studentIDs.length - 1] || null
+});
+
+/**
+ * Split the roster into `count` batches of consecutive studentIDs, sizes
+ * differing by at most one. Batches are named Batch 1..n unless `names`
+ * are given.
+ */
+function splitByCount(rosterIDs, count, names = []) {
+  const total = parseInt(count);
+  if (isNaN(total) || total < 1 || total > MAX_BATCHES) {
+    throw new Error(`count must be between 1 and ${MAX_BATCHES}`);
+  }
+
+  const sorted = [...rosterIDs].sort(compareStudentIDs);
+  const size = Math.floor(sorted.length / total);
+  const extra = sorted.length % total;
+  let start = 0;
+
+  return Array.from({ length: total }, (_, i) => {
+    const end = start + size + (i < extra ? 1 : 0);
+    const batch = withRange(normalizeBatchName(names[i]) || `Batch ${i + 1}`, sorted.slice(start, end));
+    start = end;
+    return batch;
+  });
+}
+
+/**
+ * Assign roster students to batches by studentID range:
+ * [{ name, from, to }], both ends inclusive. Throws if ranges overlap.
+ * Students outside every range stay unassigned.
+ */
+function splitByRanges(rosterIDs, ranges) {
+  if (!Array.isArray(ranges) || ranges.length === 0) throw new Error('ranges must be a non-empty array');
+  if (ranges.length > MAX_BATCHES) throw new Error(`At most ${MAX_BATCHES} batches per subject`);
+
+  const sorted = [...rosterIDs].sort(compareStudentIDs);
+  const seen = new Set();
+
+  const batches = ranges.map((range, index) => {
+    const name = normalizeBatchName(range?.name) || `Batch ${index + 1}`;
+    const from = String(range?.from ?? '').trim();
+    const to = String(range?.to ?? '').trim();
+    if (!from || !to) throw new Error(`${name}: from and to are required`);
+    if (compareStudentIDs(from, to) > 0) throw new Error(`${name}: from must not be after to`);
+    if (seen.has(name.toLowerCase())) throw new Error(`Duplicate batch name: ${name}`);
+    seen.add(name.toLowerCase());
+
+    const studentIDs = sorted.filter(id => compareStudentIDs(id, from) >= 0 && compareStudentIDs(id, to) <= 0);
+    return { name, studentIDs, from, to };
+  });
+
+  const assigned = new Map();
+  batches.forEach(batch => batch.studentIDs.forEach(id => {
+    if (assigned.has(id)) throw new Error(`${assigned.get(id)} and ${batch.name} overlap at ${id}`);
+    assigned.set(id, batch.name);
+  }));
+
+  return batches;
+}
+
+module.exports = {
+  MAX_BATCHES,
+  normalizeBatchName,
+  findBatch,
+  batchOf,
+  coversBatch,
+  sessionBatchFilter,
+  validateBatches,
+  splitByCount,
+  splitByRanges
+};
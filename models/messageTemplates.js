@@ -0,0 +1,352 @@
+// ============================================================================
+// models/messageTemplates.js - Parent Message Templates
+// ============================================================================
+//
+// Templates in the `messageTemplates` collection, keyed by `key`:
+//
+//   { key, name, description, variants: { en, kn, hi }, updatedBy, ... }
+//
+// Each variant is text with {{placeholders}} (see PLACEHOLDERS). The variant
+// is picked by the student's preferredLanguage and falls back to English.
+// Keys without a stored template use the built-in DEFAULT_TEMPLATES.
+
+const LANGUAGES = {
+  en: 'English',
+  kn: 'Kannada',
+  hi: 'Hindi'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const PLACEHOLDERS = {
+  studentName: 'Student name',
+  studentID: 'Student ID',
+  date: 'Date of the absence or alert (DD/MM/YYYY)',
+  stream: 'Stream',
+  semester: 'Semester number',
+  subjects: 'Numbered list of subjects missed (shortage alerts: subjects below the threshold)',
+  subjectCount: 'Number of subjects missed',
+  percentage: 'Cumulative attendance this semester, e.g. 82% (N/A without sessions)',
+  threshold: 'Attendance threshold that was crossed, e.g. 75%',
+  collegeName: 'College name (COLLEGE_NAME)'
+};
+
+const COLLEGE_NAME = process.env.COLLEGE_NAME || 'MLA Academy of Higher Learning';
+
+// ============================================================================
+// BUILT-IN TEMPLATES
+// ============================================================================
+
+const DEFAULT_TEMPLATES = {
+  'absence-full-day': {
+    name: 'Full day absence',
+    description: 'Sent when a student missed every class of the day',
+    variants: {
+      en: `🚨 *FULL DAY ABSENCE ALERT*
+
+Dear Parent/Guardian,
+
+Your child *{{studentName}}* (ID: {{studentID}}) was *ABSENT FOR THE ENTIRE DAY* on {{date}}.
+
+📚 *Academic Details:*
+• Stream: {{stream}}
+• Semester: {{semester}}
+• Total Classes Missed: {{subjectCount}}
+• Attendance This Semester: {{percentage}}
+
+📞 Please contact the school office if this information is incorrect.
+
+🏫 *{{collegeName}}*
+Smart Attendance System`,
+      kn: `🚨 *ಪೂರ್ಣ ದಿನದ ಗೈರುಹಾಜರಿ ಸೂಚನೆ*
+
+ಆತ್ಮೀಯ ಪೋಷಕರೇ,
+
+ನಿಮ್ಮ ಮಗು *{{studentName}}* (ID: {{studentID}}) {{date}} ರಂದು *ಇಡೀ ದಿನ ಗೈರುಹಾಜರಾಗಿದ್ದಾರೆ*.
+
+📚 *ವಿವರಗಳು:*
+• ವಿಭಾಗ: {{stream}}
+• ಸೆಮಿಸ್ಟರ್: {{semester}}
+• ತಪ್ಪಿದ ತರಗತಿಗಳು: {{subjectCount}}
+• ಈ ಸೆಮಿಸ್ಟರ್ ಹಾಜರಾತಿ: {{percentage}}
+
+📞 ಈ ಮಾಹಿತಿ ತಪ್ಪಾಗಿದ್ದರೆ ದಯವಿಟ್ಟು ಕಾಲೇಜು ಕಚೇರಿಯನ್ನು ಸಂಪರ್ಕಿಸಿ.
+
+🏫 *{{collegeName}}*
+Smart Attendance System`,
+      hi: `🚨 *पूरे दिन की अनुपस्थिति सूचना*
+
+प्रिय अभिभावक,
+
+आपका बच्चा *{{studentName}}* (ID: {{studentID}}) {{date}} को *पूरे दिन अनुपस्थित* रहा।
+
+📚 *विवरण:*
+• स्ट्रीम: {{stream}}
+• सेमेस्टर: {{semester}}
+• छूटी कक्षाएँ: {{subjectCount}}
+• इस सेमेस्टर की उपस्थिति: {{percentage}}
+
+📞 यदि यह जानकारी गलत है तो कृपया कॉलेज कार्यालय से संपर्क करें।
+
+🏫 *{{collegeName}}*
+Smart Attendance System`
+    }
+  },
+  'absence-partial-day': {
+    name: 'Partial day absence',
+    description: 'Sent when a student missed some classes of the day',
+    variants: {
+      en: `⚠️ *PARTIAL ABSENCE ALERT*
+
+Dear Parent/Guardian,
+
+Your child *{{studentName}}* (ID: {{studentID}}) was *ABSENT* for specific classes on {{date}}.
+
+📚 *Missing Classes:*
+{{subjects}}
+
+📊 *Details:*
+• Stream: {{stream}}
+• Semester: {{semester}}
+• Classes Missed: {{subjectCount}}
+• Attendance This Semester: {{percentage}}
+
+📞 Please contact school if incorrect.
+
+🏫 *{{collegeName}}*
+Smart Attendance System`,
+      kn: `⚠️ *ಭಾಗಶಃ ಗೈರುಹಾಜರಿ ಸೂಚನೆ*
+
+ಆತ್ಮೀಯ ಪೋಷಕರೇ,
+
+ನಿಮ್ಮ ಮಗು *{{studentName}}* (ID: {{studentID}}) {{date}} ರಂದು ಕೆಲವು ತರಗತಿಗಳಿಗೆ *ಗೈರುಹಾಜರಾಗಿದ್ದಾರೆ*.
+
+📚 *ತಪ್ಪಿದ ತರಗತಿಗಳು:*
+{{subjects}}
+
+📊 *ವಿವರಗಳು:*
+• ವಿಭಾಗ: {{stream}}
+• ಸೆಮಿಸ್ಟರ್: {{semester}}
+• ತಪ್ಪಿದ ತರಗತಿಗಳು: {{subjectCount}}
+• ಈ ಸೆಮಿಸ್ಟರ್ ಹಾಜರಾತಿ: {{percentage}}
+
+📞 ಮಾಹಿತಿ ತಪ್ಪಾಗಿದ್ದರೆ ಕಾಲೇಜನ್ನು ಸಂಪರ್ಕಿಸಿ.
+
+🏫 *{{collegeName}}*
+Smart Attendance System`,
+      hi: `⚠️ *आंशिक अनुपस्थिति सूचना*
+
+प्रिय अभिभावक,
+
+आपका बच्चा *{{studentName}}* (ID: {{studentID}}) {{date}} को कुछ कक्षाओं में *अनुपस्थित* रहा।
+
+📚 *छूटी कक्षाएँ:*
+{{subjects}}
+
+📊 *विवरण:*
+• स्ट्रीम: {{stream}}
+• सेमेस्टर: {{semester}}
+• छूटी कक्षाएँ: {{subjectCount}}
+• इस सेमेस्टर की उपस्थिति: {{percentage}}
+
+📞 जानकारी गलत होने पर कॉलेज से संपर्क करें।
+
+🏫 *{{collegeName}}*
+Smart Attendance System`
+    }
+  },
+  'attendance-shortage': {
+    name: 'Attendance shortage',
+    description: 'Sent by the shortage alert job when overall attendance drops below a threshold',
+    variants: {
+      en: `📉 *ATTENDANCE SHORTAGE ALERT*
+
+Dear Parent/Guardian,
+
+The attendance of your child *{{studentName}}* (ID: {{studentID}}) has fallen to *{{percentage}}* this semester, below the required {{threshold}}.
+
+📚 *Subjects below {{threshold}}:*
+{{subjects}}
+
+📊 *Details:*
+• Stream: {{stream}}
+• Semester: {{semester}}
+• As of: {{date}}
+
+📞 Please contact the college office to discuss.
+
+🏫 *{{collegeName}}*
+Smart Attendance System`,
+      kn: `📉 *ಹಾಜರಾತಿ ಕೊರತೆ ಸೂಚನೆ*
+
+ಆತ್ಮೀಯ ಪೋಷಕರೇ,
+
+ನಿಮ್ಮ ಮಗು *{{studentName}}* (ID: {{studentID}}) ಅವರ ಈ ಸೆಮಿಸ್ಟರ್ ಹಾಜರಾತಿ *{{percentage}}* ಗೆ ಇಳಿದಿದೆ, ಅಗತ್ಯವಿರುವ {{threshold}} ಗಿಂತ ಕಡಿಮೆ.
+
+📚 *{{threshold}} ಗಿಂತ ಕಡಿಮೆ ಇರುವ ವಿಷಯಗಳು:*
+{{subjects}}
+
+📊 *ವಿವರಗಳು:*
+• ವಿಭಾಗ: {{stream}}
+• ಸೆಮಿಸ್ಟರ್: {{semester}}
+• ದಿನಾಂಕ: {{date}}
+
+📞 ದಯವಿಟ್ಟು ಕಾಲೇಜು ಕಚೇರಿಯನ್ನು ಸಂಪರ್ಕಿಸಿ.
+
+🏫 *{{collegeName}}*
+Smart Attendance System`,
+      hi: `📉 *उपस्थिति कमी सूचना*
+
+प्रिय अभिभावक,
+
+आपके बच्चे *{{studentName}}* (ID: {{studentID}}) की इस सेमेस्टर की उपस्थिति *{{percentage}}* रह गई है, जो आवश्यक {{threshold}} से कम है।
+
+📚 *{{threshold}} से कम वाले विषय:*
+{{subjects}}
+
+📊 *विवरण:*
+• स्ट्रीम: {{stream}}
+• सेमेस्टर: {{semester}}
+• दिनांक: {{date}}
+
+📞 कृपया कॉलेज कार्यालय से संपर्क करें।
+
+🏫 *{{collegeName}}*
+Smart Attendance System`
+    }
+  }
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Language code for a student's preferredLanguage ('kn', 'Kannada', ...),
+ * or null when it isn't one of LANGUAGES.
+ */
+function normalizeLanguage(language) {
+  const value = String(language || '').trim().toLowerCase();
+  if (!value) return null;
+  if (LANGUAGES[value]) return value;
+  return Object.keys(LANGUAGES).find(code => LANGUAGES[code].toLowerCase() === value) || null;
+}
+
+/**
+ * Normalize a template. Throws an Error with a user-facing message.
+ */
+function validateTemplate(input) {
+  const key = String(input.key || '').trim().toLowerCase();
+  const name = String(input.name || '').trim();
+  const variants = {};
+
+  if (!/^[a-z0-9-]+$/.test(key)) throw new Error('key must be lowercase letters, digits and dashes');
+  if (!name) throw new Error('name is required');
+  if (!input.variants || typeof input.variants !== 'object') throw new Error('variants is required');
+
+  Object.entries(input.variants).forEach(([language, text]) => {
+    const code = normalizeLanguage(language);
+    if (!code) {
+      throw new Error(`Unknown language "${language}" - use one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    if (typeof text !== 'string' || !text.trim()) return;
+
+    const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)]
+      .map(match => match[1])
+      .filter(placeholder => !PLACEHOLDERS[placeholder]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder(s) in ${code}: ${[...new Set(unknown)].join(', ')}`);
+    }
+
+    variants[code] = text;
+  });
+
+  if (!variants[DEFAULT_LANGUAGE]) throw new Error('An English (en) variant is required');
+
+  return {
+    key,
+    name,
+    description: String(input.description || '').trim(),
+    variants
+  };
+}
+
+// ============================================================================
+// LOOKUP AND RENDERING
+// ============================================================================
+
+function builtIn(key) {
+  return DEFAULT_TEMPLATES[key] ? { key, ...DEFAULT_TEMPLATES[key], isDefault: true } : null;
+}
+
+async function getTemplate(db, key) {
+  const stored = await db.collection('messageTemplates').findOne({ key });
+  return stored || builtIn(key);
+}
+
+/**
+ * Stored templates merged over the built-ins, sorted by key.
+ */
+async function listTemplates(db) {
+  const stored = await db.collection('messageTemplates').find({}).toArray();
+  const byKey = new Map(Object.keys(DEFAULT_TEMPLATES).map(key => [key, builtIn(key)]));
+  stored.forEach(template => byKey.set(template.key, template));
+  return [...byKey.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function pickVariant(template, language) {
+  const code = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+  return template.variants[code]
+    ? { language: code, text: template.variants[code] }
+    : { language: DEFAULT_LANGUAGE, text: template.variants[DEFAULT_LANGUAGE] };
+}
+
+function renderText(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, placeholder) =>
+    values[placeholder] !== undefined && values[placeholder] !== null ? String(values[placeholder]) : match
+  );
+}
+
+/**
+ * Placeholder values for an absence entry of buildDailyAbsenceSummary.
+ */
+function absenceValues(student, { date, stream, semester }) {
+  return {
+    studentName: student.studentName,
+    studentID: student.studentID,
+    date,
+    stream,
+    semester,
+    subjects: student.absentSubjects.map((subject, i) => `${i + 1}. ${subject}`).join('\n'),
+    subjectCount: student.absentSubjectCount,
+    percentage: student.cumulativePercentage !== null && student.cumulativePercentage !== undefined
+      ? `${student.cumulativePercentage}%`
+      : 'N/A',
+    collegeName: COLLEGE_NAME
+  };
+}
+
+/**
+ * Render `template` for a student in their preferred language.
+ * Returns { body, language }.
+ */
+function renderTemplate(template, values, language) {
+  const variant = pickVariant(template, language);
+  return { body: renderText(variant.text, values), language: variant.language };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  COLLEGE_NAME,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  normalizeLanguage,
+  validateTemplate,
+  getTemplate,
+  listTemplates,
+  absenceValues,
+  renderTemplate
+};
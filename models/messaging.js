@@ -0,0 +1,294 @@
+// ============================================================================
+// models/messaging.js - Parent Message Providers and Delivery Log
+// ============================================================================
+//
+// A provider is { name, send({ to, body, channel }) } resolving to
+// { id } or throwing on failure. MESSAGE_PROVIDER picks one:
+//
+//   twilio  - Twilio SMS/WhatsApp (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN,
+//             TWILIO_WHATSAPP_FROM, TWILIO_SMS_FROM)
+//   console - logs each message and appends it to MESSAGE_LOG_FILE if set
+//
+// Without MESSAGE_PROVIDER, Twilio is used when its credentials are set.
+//
+// Every attempt is written to the `messageLog` collection:
+//
+//   { batchId, kind, stream, semester, date, studentID, studentName,
+//     parentPhone, channel, provider, messageType, templateKey, language,
+//     body, status, providerMessageId, error, forceResend, sentBy, createdAt }
+//
+// A class/day send first claims its slot in `messageBatches` (unique on
+// kind, stream, semester, date), so two senders can't message the same
+// parents at once:
+//
+//   { kind, stream, semester, date, batchId, status: 'sending' | 'sent',
+//     channel, sentBy, startedAt, finishedAt, messagesSent, messagesFailed }
+
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+const CHANNELS = ['whatsapp', 'sms'];
+
+// A 'sending' claim older than this is from a send that died part way
+// and can be replaced by a resend
+const STALE_BATCH_MS = 30 * 60 * 1000;
+
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '91';
+
+// ============================================================================
+// PHONE NUMBERS
+// ============================================================================
+
+/**
+ * E.164 form of a parent phone number, or null if it can't be one.
+ * Ten-digit local numbers get DEFAULT_COUNTRY_CODE.
+ */
+function normalizePhone(phone) {
+  const raw = String(phone || '').trim();
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+') && digits.length >= 10) return `+${digits}`;
+  if (digits.length === 10) return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  if (digits.length === 12 && digits.startsWith(DEFAULT_COUNTRY_CODE)) return `+${digits}`;
+  return null;
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+function createTwilioProvider() {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_WHATSAPP_FROM, TWILIO_SMS_FROM } = process.env;
+
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+    throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be set for the twilio provider');
+  }
+
+  const client = require('twilio')(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+
+  return {
+    name: 'twilio',
+    async send({ to, body, channel }) {
+      const from = channel === 'whatsapp' ? TWILIO_WHATSAPP_FROM : TWILIO_SMS_FROM;
+      if (!from) {
+        throw new Error(`No Twilio sender configured for ${channel}`);
+      }
+
+      const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+      const message = await client.messages.create({
+        from: `${prefix}${from.replace(/^whatsapp:/, '')}`,
+        to: `${prefix}${to}`,
+        body
+      });
+
+      return { id: message.sid };
+    }
+  };
+}
+
+function createConsoleProvider() {
+  const logFile = process.env.MESSAGE_LOG_FILE;
+
+  return {
+    name: 'console',
+    async send({ to, body, channel }) {
+      const id = `local-${new ObjectId().toString()}`;
+      console.log(`📨 [MESSAGING] ${channel} to ${to} (${id})\n${body}\n`);
+
+      if (logFile) {
+        await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+        await fs.promises.appendFile(
+          logFile,
+          `--- ${new Date().toISOString()} ${channel} ${to} ${id}\n${body}\n\n`
+        );
+      }
+
+      return { id };
+    }
+  };
+}
+
+const PROVIDERS = {
+  twilio: createTwilioProvider,
+  console: createConsoleProvider
+};
+
+let provider = null;
+
+function getProvider() {
+  if (provider) return provider;
+
+  const name = process.env.MESSAGE_PROVIDER ||
+    (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN ? 'twilio' : 'console');
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown MESSAGE_PROVIDER "${name}" - use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  provider = PROVIDERS[name]();
+  console.log(`📨 [MESSAGING] Using ${provider.name} provider`);
+  return provider;
+}
+
+/**
+ * Swap the provider (e.g. a custom adapter); null goes back to the
+ * environment default.
+ */
+function setProvider(custom) {
+  provider = custom;
+}
+
+// ============================================================================
+// DELIVERY LOG
+// ============================================================================
+
+/**
+ * Send one message and log the attempt. Never throws for delivery errors -
+ * the failure is logged and returned.
+ */
+async function deliver(db, { batchId, channel, message, meta }) {
+  const to = normalizePhone(message.parentPhone);
+  const entry = {
+    batchId,
+    ...meta,
+    studentID: message.studentID,
+    studentName: message.studentName,
+    parentPhone: message.parentPhone,
+    channel,
+    messageType: message.messageType,
+    templateKey: message.templateKey,
+    language: message.language,
+    body: message.body,
+    createdAt: new Date()
+  };
+
+  try {
+    if (!to) throw new Error(`Invalid phone number "${message.parentPhone || ''}"`);
+
+    const active = getProvider();
+    const result = await active.send({ to, body: message.body, channel });
+
+    entry.provider = active.name;
+    entry.status = 'sent';
+    entry.providerMessageId = result.id;
+  } catch (error) {
+    entry.provider = provider ? provider.name : null;
+    entry.status = 'failed';
+    entry.error = error.message;
+  }
+
+  await db.collection('messageLog').insertOne(entry);
+  return entry;
+}
+
+/**
+ * Summary of the latest batch already sent for `filter`
+ * (e.g. { kind, stream, semester, date }), or null if none was sent.
+ */
+async function findPreviousBatch(db, filter) {
+  const latest = await db.collection('messageLog')
+    .find({ ...filter, status: 'sent' })
+    .sort({ createdAt: -1 })
+    .limit(1)
+    .toArray();
+
+  if (latest.length === 0) return null;
+
+  const entries = await db.collection('messageLog')
+    .find({ batchId: latest[0].batchId })
+    .toArray();
+
+  const sent = entries.filter(e => e.status === 'sent');
+
+  return {
+    batchId: latest[0].batchId,
+    sentAt: entries.reduce((first, e) => (e.createdAt < first ? e.createdAt : first), latest[0].createdAt),
+    sentBy: latest[0].sentBy,
+    messagesSent: sent.length,
+    messagesFailed: entries.length - sent.length,
+    totalStudentsNotified: new Set(sent.map(e => e.studentID)).size,
+    fullDayAbsentCount: entries.filter(e => e.messageType === 'full_day').length,
+    partialDayAbsentCount: entries.filter(e => e.messageType === 'partial_day').length,
+    subjectsIncluded: latest[0].subjectsIncluded || []
+  };
+}
+
+// ============================================================================
+// BATCH CLAIMS
+// ============================================================================
+
+/**
+ * Claim the class/day `key` ({ kind, stream, semester, date }) for a new
+ * batch. A free slot or a stale claim can always be taken; with `force` a
+ * finished batch is replaced too, but never one still sending.
+ * Returns { claimed: true } or { claimed: false, existing }.
+ */
+async function claimBatch(db, key, { batchId, channel, sentBy, force = false }) {
+  const staleBefore = new Date(Date.now() - STALE_BATCH_MS);
+  const replaceable = [{ status: 'sending', startedAt: { $lt: staleBefore } }];
+  if (force) replaceable.push({ status: 'sent' });
+
+  try {
+    // No match inserts a new claim, which the unique index refuses if the
+    // slot is held
+    await db.collection('messageBatches').updateOne(
+      { ...key, $or: replaceable },
+      {
+        $set: {
+          batchId,
+          status: 'sending',
+          channel,
+          sentBy,
+          startedAt: new Date(),
+          finishedAt: null,
+          messagesSent: 0,
+          messagesFailed: 0
+        }
+      },
+      { upsert: true }
+    );
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { claimed: false, existing: await db.collection('messageBatches').findOne(key) };
+  }
+}
+
+/**
+ * Close a claimed batch with its counts. A batch that reached nobody
+ * frees the slot, so the class/day can be sent without forceResend.
+ */
+async function finishBatch(db, batchId, { messagesSent, messagesFailed }) {
+  if (messagesSent === 0) {
+    await db.collection('messageBatches').deleteOne({ batchId });
+    return;
+  }
+
+  await db.collection('messageBatches').updateOne(
+    { batchId },
+    { $set: { status: 'sent', finishedAt: new Date(), messagesSent, messagesFailed } }
+  );
+}
+
+function timeAgo(date) {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+module.exports = {
+  CHANNELS,
+  normalizePhone,
+  getProvider,
+  setProvider,
+  deliver,
+  findPreviousBatch,
+  claimBatch,
+  finishBatch,
+  timeAgo
+};
@@ -0,0 +1,412 @@
+// ============================================================================
+// models/promotionEngine.js - Semester Promotion
+// ============================================================================
+//
+// Promotes every active student of a stream by one semester. The number of
+// semesters comes from the stream document (streams.semesters), so a
+// 4-semester stream graduates from Sem 4 and an 8-semester one from Sem 8.
+//
+// Final-semester students are not deleted - they move to `alumni`
+// (models/alumni.js) with status 'graduated'. The backup in
+// `promotion_history` and all student updates are written in one
+// transaction: either the whole stream moves or nothing does.
+//
+// Detained students stay in their semester. By default a student is
+// detained when their attendance this semester is below the critical
+// shortage threshold; admins override that per student with
+// students.promotionOverride:
+//
+//   { action: 'promote' | 'detain', reason, note, semester, setBy, setAt }
+//
+// An override only applies in the semester it was set for and is cleared by
+// the next promotion.
+
+const { ObjectId } = require('mongodb');
+const { streamSemesters } = require('./roster');
+const { getStatusRules, percentOf } = require('./attendanceStatus');
+const { aggregateClassAttendance } = require('./attendanceReport');
+const { getThresholds } = require('./shortageAlerts');
+const { archiveStudents } = require('./alumni');
+const { studentChange, recordDiff } = require('./promotionHistory');
+const { exactMatch } = require('../middleware/rbac');
+
+const GRADUATED = 'graduated';
+
+const DETENTION_REASONS = {
+  attendance: 'Attendance shortage',
+  exams: 'Failed exams',
+  other: 'Other'
+};
+
+const OVERRIDE_ACTIONS = ['promote', 'detain'];
+
+/**
+ * Active stream by name or streamCode (case-insensitive).
+ */
+function findStream(db, streamName, options) {
+  const pattern = exactMatch(streamName);
+  return db.collection('streams').findOne({
+    $or: [{ name: pattern }, { streamCode: pattern }]
+  }, options);
+}
+
+/**
+ * Whether `error` means the server can't run transactions (a standalone
+ * mongod rather than a replica set or mongos).
+ */
+function isTransactionUnsupported(error) {
+  return error?.code === 20 || /Transaction numbers are only allowed|replica set/i.test(error?.message || '');
+}
+
+// ============================================================================
+// DETENTION
+// ============================================================================
+
+/**
+ * Overall attendance of every active student in the stream for their
+ * current semester: Map of studentID -> { present, total, percentage }.
+ */
+async function streamAttendance(db, stream, semesters) {
+  const statusRules = await getStatusRules(db);
+  const totals = new Map();
+
+  for (const semester of semesters) {
+    const subjects = await db.collection('subjects')
+      .find({ stream: stream.name, semester, isActive: true })
+      .toArray();
+    if (subjects.length === 0) continue;
+
+    const { byStudent } = await aggregateClassAttendance(db, { stream: stream.name, semester, subjects, statusRules });
+    byStudent.forEach(row => {
+      const entry = totals.get(row._id.studentID) || { present: 0, total: 0 };
+      entry.present += row.present;
+      entry.total += row.total;
+      totals.set(row._id.studentID, entry);
+    });
+  }
+
+  totals.forEach(entry => { entry.percentage = percentOf(entry.present, entry.total); });
+  return totals;
+}
+
+/**
+ * Attendance and thresholds the detention defaults are computed from.
+ */
+async function loadDetentionInputs(db, stream) {
+  const [attendance, thresholds] = await Promise.all([
+    streamAttendance(db, stream, streamSemesters(stream)),
+    getThresholds(db)
+  ]);
+  return { attendance, thresholds };
+}
+
+function activeOverride(student) {
+  const override = student.promotionOverride;
+  return override && OVERRIDE_ACTIONS.includes(override.action) && override.semester === student.semester
+    ? override
+    : null;
+}
+
+/**
+ * Whether a student is detained: the admin's override if there is one,
+ * otherwise the attendance shortage suggestion.
+ */
+function detentionFor(student, { attendance, thresholds }) {
+  const record = attendance.get(student.studentID) || null;
+  const short = !!record && record.total >= thresholds.minSessions && record.percentage < thresholds.critical;
+  const override = activeOverride(student);
+
+  const detention = {
+    attendance: record ? record.percentage : null,
+    suggested: short ? 'detain' : 'promote',
+    override: override ? override.action : null
+  };
+
+  if (override) {
+    return {
+      ...detention,
+      detained: override.action === 'detain',
+      source: 'override',
+      reason: override.action === 'detain' ? override.reason : null,
+      note: override.note || null
+    };
+  }
+
+  return {
+    ...detention,
+    detained: short,
+    source: short ? 'attendance' : null,
+    reason: short ? 'attendance' : null,
+    note: short ? `Attendance ${record.percentage}% is below ${thresholds.critical}%` : null
+  };
+}
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+/**
+ * What promotion would do to each student of the stream, without writing.
+ *
+ * transitions: [{ studentID, name, section, from, to, action, reason?, detention? }]
+ * where action is 'promoted' (to = next semester), 'graduated'
+ * (to = 'Graduated'), 'detained' (stays in `from`) or 'skipped' (inactive or
+ * outside the stream's semesters). Students keep their section when they
+ * move up. `detentionInputs` comes from
+ * loadDetentionInputs; without it nobody is detained.
+ */
+function planPromotion(stream, students, detentionInputs = null) {
+  const semesters = streamSemesters(stream);
+  const finalSemester = semesters[semesters.length - 1];
+
+  const transitions = students
+    .filter(student => student.status !== GRADUATED)
+    .map(student => {
+      const base = {
+        _id: student._id,
+        studentID: student.studentID,
+        name: student.name,
+        section: student.section || null,
+        from: student.semester
+      };
+      const index = semesters.indexOf(student.semester);
+
+      if (student.isActive === false) {
+        return { ...base, to: student.semester, action: 'skipped', reason: 'inactive' };
+      }
+      if (index === -1) {
+        return { ...base, to: student.semester, action: 'skipped', reason: `semester ${student.semester} is not one of ${stream.name}'s ${semesters.length} semesters` };
+      }
+
+      const detention = detentionInputs ? detentionFor(student, detentionInputs) : null;
+      if (detention && detention.detained) {
+        const label = DETENTION_REASONS[detention.reason] || detention.reason || 'Detained';
+        return { ...base, to: student.semester, action: 'detained', reason: label, detention };
+      }
+      if (student.semester === finalSemester) {
+        return { ...base, to: 'Graduated', action: 'graduated', detention };
+      }
+      return { ...base, to: semesters[index + 1], action: 'promoted', detention };
+    })
+    .sort((a, b) => (b.from - a.from) || String(a.studentID).localeCompare(String(b.studentID)));
+
+  const bySemester = semesters.map(semester => {
+    const inSemester = transitions.filter(t => t.from === semester);
+    return {
+      from: semester,
+      to: semester === finalSemester ? 'Graduated' : semesters[semesters.indexOf(semester) + 1],
+      students: inSemester.filter(t => t.action === 'promoted' || t.action === 'graduated').length,
+      detained: inSemester.filter(t => t.action === 'detained').length
+    };
+  });
+
+  const count = action => transitions.filter(t => t.action === action).length;
+
+  return {
+    stream: stream.name,
+    semesters,
+    semesterCount: semesters.length,
+    finalSemester,
+    totals: {
+      promoted: count('promoted'),
+      graduated: count('graduated'),
+      detained: count('detained'),
+      skipped: count('skipped')
+    },
+    bySemester,
+    detainees: transitions.filter(t => t.action === 'detained'),
+    transitions
+  };
+}
+
+async function loadStreamStudents(db, stream, options) {
+  return db.collection('students')
+    .find({ stream: stream.name }, options)
+    .toArray();
+}
+
+async function previewPromotion(db, stream) {
+  const [students, detentionInputs] = await Promise.all([
+    loadStreamStudents(db, stream),
+    loadDetentionInputs(db, stream)
+  ]);
+  return planPromotion(stream, students, detentionInputs);
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+/**
+ * Promote the stream inside a transaction on `client`.
+ * Returns the plan plus promotionId (the promotion_history entry, which
+ * records each student's change so it can be undone - models/promotionHistory.js).
+ * Throws if the students changed under the promotion - nothing is written then.
+ */
+async function runPromotion(client, db, stream, { performedBy } = {}) {
+  // Attendance is read before the transaction - it isn't changed by promotion
+  const detentionInputs = await loadDetentionInputs(db, stream);
+  const session = client.startSession();
+  let report;
+
+  try {
+    await session.withTransaction(async () => {
+      const students = await loadStreamStudents(db, stream, { session });
+      const plan = planPromotion(stream, students, detentionInputs);
+      const promotionId = new ObjectId();
+      const now = new Date();
+
+      // One diff per student touched, kept in the history entry for undo
+      const byId = new Map(students.map(student => [String(student._id), student]));
+      const changes = new Map();
+      const recordChange = (student, after, fields) => {
+        const key = String(student._id);
+        if (!changes.has(key)) changes.set(key, studentChange(student));
+        Object.assign(recordDiff(changes.get(key), student, after), fields);
+      };
+
+      const studentsCollection = db.collection('students');
+
+      // Graduates move to alumni
+      const graduation = {
+        status: GRADUATED,
+        isActive: false,
+        graduatedAt: now,
+        graduatedFromSemester: plan.finalSemester
+      };
+      const graduating = plan.transitions
+        .filter(t => t.action === 'graduated')
+        .map(t => byId.get(String(t._id)));
+
+      graduating.forEach(student => recordChange(student, graduation, { action: 'graduated', archived: true }));
+
+      const archived = await archiveStudents(
+        db,
+        graduating.map(student => ({ ...student, ...graduation, updatedAt: now })),
+        { reason: GRADUATED, archivedBy: performedBy, promotionId, session }
+      );
+      if (archived !== graduating.length) {
+        throw new Error('Students changed during promotion - nothing was changed, please try again');
+      }
+
+      for (const step of plan.bySemester) {
+        if (step.to === 'Graduated') continue;
+
+        const moving = plan.transitions.filter(t => t.action === 'promoted' && t.from === step.from);
+        if (moving.length === 0) continue;
+
+        moving.forEach(t => recordChange(byId.get(String(t._id)), { semester: step.to }, { action: 'promoted' }));
+
+        const result = await studentsCollection.updateMany(
+          { _id: { $in: moving.map(t => t._id) }, semester: step.from },
+          { $set: { semester: step.to, updatedAt: now } },
+          { session }
+        );
+        if (result.modifiedCount !== moving.length) {
+          throw new Error('Students changed during promotion - nothing was changed, please try again');
+        }
+      }
+
+      for (const t of plan.detainees) {
+        recordChange(byId.get(String(t._id)), {}, { action: 'detained', detention: true });
+
+        await studentsCollection.updateOne(
+          { _id: t._id },
+          {
+            $push: {
+              detentionHistory: {
+                promotionId,
+                semester: t.from,
+                reason: t.detention.reason,
+                source: t.detention.source,
+                note: t.detention.note,
+                attendance: t.detention.attendance,
+                detainedAt: now,
+                detainedBy: performedBy || null
+              }
+            },
+            $set: { updatedAt: now }
+          },
+          { session }
+        );
+      }
+
+      // Overrides were for this promotion only
+      const overridden = students.filter(student => student.promotionOverride && student.status !== GRADUATED);
+      overridden.forEach(student => recordChange(student, { promotionOverride: undefined }, {}));
+
+      if (overridden.length > 0) {
+        await studentsCollection.updateMany(
+          { _id: { $in: overridden.map(student => student._id) } },
+          { $unset: { promotionOverride: '' } },
+          { session }
+        );
+      }
+
+      await db.collection('promotion_history').insertOne({
+        _id: promotionId,
+        stream: stream.name,
+        timestamp: now,
+        performedBy: performedBy || null,
+        semesterCount: plan.semesterCount,
+        totalStudents: students.length,
+        totals: plan.totals,
+        transitions: plan.transitions.map(({ _id, ...t }) => t),
+        changes: [...changes.values()],
+        restored: false
+      }, { session });
+
+      report = {
+        ...plan,
+        promotionId,
+        performedAt: now,
+        performedBy: performedBy || null
+      };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  report.transitions = report.transitions.map(({ _id, ...t }) => t);
+  report.detainees = report.detainees.map(({ _id, ...t }) => t);
+  return report;
+}
+
+/**
+ * Validate an admin override ({ action: 'promote' | 'detain' | 'auto',
+ * reason, note }). Returns the stored form, or null for 'auto' (back to the
+ * attendance suggestion). Throws an Error with a user-facing message.
+ */
+function validateOverride(input, student, setBy) {
+  const action = String(input?.action || '').trim();
+
+  if (action === 'auto') return null;
+  if (!OVERRIDE_ACTIONS.includes(action)) {
+    throw new Error(`action must be one of: auto, ${OVERRIDE_ACTIONS.join(', ')}`);
+  }
+
+  const reason = action === 'detain' ? String(input.reason || 'other').trim() : null;
+  if (reason && !DETENTION_REASONS[reason]) {
+    throw new Error(`reason must be one of: ${Object.keys(DETENTION_REASONS).join(', ')}`);
+  }
+
+  return {
+    action,
+    reason,
+    note: String(input.note || '').trim(),
+    semester: student.semester,
+    setBy,
+    setAt: new Date()
+  };
+}
+
+module.exports = {
+  GRADUATED,
+  DETENTION_REASONS,
+  findStream,
+  validateOverride,
+  isTransactionUnsupported,
+  planPromotion,
+  previewPromotion,
+  runPromotion
+};
@@ -0,0 +1,357 @@
+// ============================================================================
+// models/promotionHistory.js - Promotion History and Undo
+// ============================================================================
+//
+// Every promotion writes one `promotion_history` entry. Instead of a copy of
+// the whole stream it stores a diff per student it touched:
+//
+//   { _id, studentID, name, semester, action,
+//     before:  { field: value before promotion },
+//     after:   { field: value promotion set },
+//     added:   [fields promotion created - unset on undo],
+//     removed: [fields promotion deleted - restored from `before`],
+//     archived?: true   (graduate moved to `alumni`)
+//     detention?: true  (detentionHistory entry pushed with this promotionId) }
+//
+// Undo reverts those diffs on the same documents, so students keep their
+// _id. Any past promotion can be undone while it is inside the undo window;
+// newer promotions of the stream have to be undone with it.
+//
+// Entries written before diffs existed (a `students` snapshot and no
+// `changes`) are listed but can't be undone.
+
+const { ObjectId } = require('mongodb');
+const { unarchiveStudents } = require('./alumni');
+const { getSetting, saveSetting } = require('./settings');
+
+const SETTINGS_KEY = 'promotionUndo';
+const MAX_WINDOW_HOURS = 24 * 365;
+
+const DEFAULT_SETTINGS = {
+  windowHours: parseInt(process.env.PROMOTION_UNDO_WINDOW_HOURS) || 24
+};
+
+// ============================================================================
+// CONFIGURABLE UNDO WINDOW
+// ============================================================================
+
+async function getUndoSettings(db) {
+  return getSetting(db, SETTINGS_KEY, DEFAULT_SETTINGS);
+}
+
+/**
+ * Validate and store undo settings ({ windowHours: 72 }).
+ */
+async function saveUndoSettings(db, input, updatedBy) {
+  const windowHours = Number(input?.windowHours);
+  if (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > MAX_WINDOW_HOURS) {
+    throw new Error(`windowHours must be a whole number of hours between 1 and ${MAX_WINDOW_HOURS}`);
+  }
+
+  const settings = { ...(await getUndoSettings(db)), windowHours };
+  return saveSetting(db, SETTINGS_KEY, settings, updatedBy);
+}
+
+// ============================================================================
+// DIFFS (used by runPromotion)
+// ============================================================================
+
+function studentChange(student) {
+  return {
+    _id: student._id,
+    studentID: student.studentID,
+    name: student.name,
+    semester: student.semester,
+    action: 'updated',
+    before: {},
+    after: {},
+    added: [],
+    removed: []
+  };
+}
+
+/**
+ * Add `after` (field -> new value, undefined = field deleted) to a change,
+ * keeping the first-seen value of each field in `before`.
+ */
+function recordDiff(change, student, after) {
+  Object.entries(after).forEach(([field, value]) => {
+    const seen = field in change.after || change.added.includes(field) || change.removed.includes(field);
+    if (!seen) {
+      if (field in student) change.before[field] = student[field];
+      else if (value !== undefined) change.added.push(field);
+    }
+
+    if (value === undefined) {
+      delete change.after[field];
+      if (field in student && !change.removed.includes(field)) change.removed.push(field);
+    } else {
+      change.after[field] = value;
+    }
+  });
+  return change;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+function isLegacy(entry) {
+  return !Array.isArray(entry.changes);
+}
+
+/**
+ * Whether `entry` can be undone now. `newer` are the stream's unrestored
+ * promotions after it, which would be undone too.
+ */
+function undoStatus(entry, newer, settings) {
+  const expiresAt = new Date(new Date(entry.timestamp).getTime() + settings.windowHours * 60 * 60 * 1000);
+  const status = { allowed: false, reason: null, expiresAt, newerPromotions: newer.length };
+
+  if (entry.restored) status.reason = 'Already undone';
+  else if (isLegacy(entry)) status.reason = 'Recorded before promotion diffs were kept - cannot be undone';
+  else if (Date.now() > expiresAt.getTime()) status.reason = `Older than the ${settings.windowHours}-hour undo window`;
+  else status.allowed = true;
+
+  return status;
+}
+
+function summarize(entry, newer, settings) {
+  return {
+    promotionId: entry._id,
+    stream: entry.stream,
+    timestamp: entry.timestamp,
+    performedBy: entry.performedBy || null,
+    semesterCount: entry.semesterCount || null,
+    totalStudents: entry.totalStudents || 0,
+    totals: entry.totals || null,
+    changeCount: isLegacy(entry) ? null : entry.changes.length,
+    restored: !!entry.restored,
+    restoredAt: entry.restoredAt || null,
+    restoredBy: entry.restoredBy || null,
+    legacy: isLegacy(entry),
+    undo: undoStatus(entry, newer, settings)
+  };
+}
+
+// Unrestored entries of the stream after `entry`, newest first
+function newerThan(entries, entry) {
+  return entries.filter(e => !e.restored && new Date(e.timestamp) > new Date(entry.timestamp));
+}
+
+async function loadEntries(db, streamName, options) {
+  return db.collection('promotion_history')
+    .find({ stream: streamName }, { projection: { students: 0 }, ...options })
+    .sort({ timestamp: -1 })
+    .toArray();
+}
+
+/**
+ * All promotions of a stream, newest first, with undo status.
+ */
+async function listPromotions(db, streamName) {
+  const [entries, settings] = await Promise.all([loadEntries(db, streamName), getUndoSettings(db)]);
+  return entries.map(entry => summarize(entry, newerThan(entries, entry), settings));
+}
+
+/**
+ * One promotion with its per-student diffs, or null.
+ */
+async function getPromotion(db, streamName, promotionId) {
+  if (!ObjectId.isValid(promotionId)) return null;
+
+  const entry = await db.collection('promotion_history').findOne(
+    { _id: new ObjectId(promotionId), stream: streamName },
+    { projection: { students: 0 } }
+  );
+  if (!entry) return null;
+
+  const [entries, settings] = await Promise.all([loadEntries(db, streamName), getUndoSettings(db)]);
+
+  return {
+    ...summarize(entry, newerThan(entries, entry), settings),
+    transitions: entry.transitions || [],
+    changes: entry.changes || null
+  };
+}
+
+// ============================================================================
+// UNDO
+// ============================================================================
+
+/**
+ * Students whose current state no longer matches what the promotion left,
+ * e.g. edited or restored from alumni since. `skip` marks students that no
+ * longer exist anywhere - even a forced undo can't revert them. Reads inside
+ * the transaction, so newer promotions undone just before are accounted for.
+ */
+async function findConflicts(db, entry, session) {
+  const ids = entry.changes.map(change => change._id);
+  const [current, archived] = await Promise.all([
+    db.collection('students').find({ _id: { $in: ids } }, { session }).toArray(),
+    db.collection('alumni').find({ _id: { $in: ids }, promotionId: entry._id }, { session }).project({ _id: 1 }).toArray()
+  ]);
+
+  const currentById = new Map(current.map(doc => [String(doc._id), doc]));
+  const archivedIds = new Set(archived.map(doc => String(doc._id)));
+  const conflicts = [];
+  const conflict = (change, problem, skip = false) =>
+    conflicts.push({ studentID: change.studentID, name: change.name, problem, skip });
+
+  entry.changes.forEach(change => {
+    const key = String(change._id);
+    const doc = currentById.get(key);
+
+    if (change.archived) {
+      if (archivedIds.has(key)) return;
+      if (doc) conflict(change, 'Restored from the alumni archive since');
+      else conflict(change, 'No longer in the alumni archive', true);
+      return;
+    }
+
+    if (!doc) {
+      conflict(change, 'Student no longer exists', true);
+      return;
+    }
+
+    const edited = Object.keys(change.after).filter(field => !sameValue(doc[field], change.after[field]));
+    if (edited.length > 0) conflict(change, `Changed since: ${edited.join(', ')}`);
+  });
+
+  return { conflicts, archivedIds, currentIds: new Set(currentById.keys()) };
+}
+
+async function revertEntry(db, entry, { session, force, performedBy, now }) {
+  const { conflicts, archivedIds, currentIds } = await findConflicts(db, entry, session);
+
+  if (conflicts.length > 0 && !force) {
+    const error = new Error(`${conflicts.length} students changed since the promotion of ${new Date(entry.timestamp).toLocaleString('en-IN')}`);
+    error.status = 409;
+    error.conflicts = conflicts;
+    throw error;
+  }
+
+  // Graduates come back from alumni first, with their original _id
+  const graduates = entry.changes
+    .filter(change => change.archived && archivedIds.has(String(change._id)))
+    .map(change => change._id);
+  await unarchiveStudents(db, graduates, { session });
+
+  const restorable = entry.changes.filter(change =>
+    archivedIds.has(String(change._id)) || currentIds.has(String(change._id))
+  );
+
+  if (restorable.length > 0) {
+    await db.collection('students').bulkWrite(restorable.map(change => {
+      const update = { $set: { ...change.before, updatedAt: now } };
+      if (change.added.length > 0) {
+        update.$unset = Object.fromEntries(change.added.map(field => [field, '']));
+      }
+      if (change.detention) {
+        update.$pull = { detentionHistory: { promotionId: entry._id } };
+      }
+      return { updateOne: { filter: { _id: change._id }, update } };
+    }), { session });
+  }
+
+  await db.collection('promotion_history').updateOne(
+    { _id: entry._id },
+    { $set: { restored: true, restoredAt: now, restoredBy: performedBy || null, restoredCount: restorable.length } },
+    { session }
+  );
+
+  return {
+    promotionId: entry._id,
+    timestamp: entry.timestamp,
+    studentsRestored: restorable.length,
+    skipped: conflicts.filter(c => c.skip),
+    overwritten: conflicts.filter(c => !c.skip)
+  };
+}
+
+/**
+ * Undo promotion `promotionId` of the stream inside a transaction on `client`.
+ *
+ * Newer unrestored promotions must be undone first; pass includeLater to undo
+ * them in the same transaction (newest first). Students changed since the
+ * promotion make the undo fail with error.status 409 and error.conflicts
+ * unless `force` is set, which reverts them anyway and skips students that
+ * no longer exist.
+ */
+async function undoPromotion(client, db, streamName, promotionId, { performedBy, force = false, includeLater = false } = {}) {
+  const fail = (message, status, extra) => Object.assign(new Error(message), { status }, extra);
+
+  if (!ObjectId.isValid(promotionId)) throw fail('Promotion not found', 404);
+
+  const [target, entries, settings] = await Promise.all([
+    db.collection('promotion_history').findOne({ _id: new ObjectId(promotionId), stream: streamName }, { projection: { students: 0 } }),
+    loadEntries(db, streamName),
+    getUndoSettings(db)
+  ]);
+  if (!target) throw fail('Promotion not found', 404);
+
+  const newer = newerThan(entries, target);
+  const status = undoStatus(target, newer, settings);
+  if (!status.allowed) throw fail(status.reason, 400);
+
+  if (newer.length > 0 && !includeLater) {
+    throw fail(`${newer.length} newer promotion(s) of ${streamName} must be undone first`, 409, {
+      newerPromotions: newer.map(e => ({ promotionId: e._id, timestamp: e.timestamp }))
+    });
+  }
+
+  const session = client.startSession();
+  const undone = [];
+
+  try {
+    await session.withTransaction(async () => {
+      undone.length = 0;
+      const now = new Date();
+      const ordered = [...newer, target];
+
+      for (const summary of ordered) {
+        const entry = await db.collection('promotion_history').findOne({ _id: summary._id }, { session, projection: { students: 0 } });
+        if (entry.restored || isLegacy(entry)) {
+          throw fail(`Promotion of ${new Date(entry.timestamp).toLocaleString('en-IN')} cannot be undone`, 409);
+        }
+        undone.push(await revertEntry(db, entry, { session, force, performedBy, now }));
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return {
+    undone,
+    studentsRestored: undone.reduce((sum, u) => sum + u.studentsRestored, 0)
+  };
+}
+
+/**
+ * The newest promotion of the stream that hasn't been undone, or null.
+ */
+async function latestPromotion(db, streamName) {
+  const [entry] = await db.collection('promotion_history')
+    .find({ stream: streamName, restored: { $ne: true } }, { projection: { students: 0 } })
+    .sort({ timestamp: -1 })
+    .limit(1)
+    .toArray();
+  if (!entry) return null;
+
+  return summarize(entry, [], await getUndoSettings(db));
+}
+
+module.exports = {
+  getUndoSettings,
+  saveUndoSettings,
+  studentChange,
+  recordDiff,
+  listPromotions,
+  getPromotion,
+  latestPromotion,
+  undoPromotion
+};
@@ -0,0 +1,295 @@
+// ============================================================================
+// models/recycleBin.js - Recycle Bin for Deleted Sessions and Students
+// ============================================================================
+//
+// Deleting an attendance session or a student moves the document into
+// `recycleBin` under its original _id, so normal queries no longer see it
+// and it can be restored exactly as it was. Items are purged for good by an
+// admin or HOD, or automatically once the retention period has passed;
+// purged students move on to the alumni archive as 'removed' so old
+// registers keep their names (models/alumni.js).
+//
+//   recycleBin: { _id,                       - the deleted document's _id
+//     kind: 'attendance' | 'student',
+//     item,                                  - the deleted document
+//     stream, semester,                      - for scoping and search
+//     subject, date, time,                   - attendance only
+//     studentID, name,                       - students only
+//     deletedAt, deletedBy, reason }
+
+const { ObjectId } = require('mongodb');
+const { archiveStudents } = require('./alumni');
+const { escapeRegex, exactMatch } = require('../middleware/rbac');
+const { getSetting, saveSetting } = require('./settings');
+const { dateRange } = require('./academicCalendar');
+
+const SETTINGS_KEY = 'recycleBin';
+const MAX_RETENTION_DAYS = 365;
+
+const DEFAULT_SETTINGS = {
+  retentionDays: parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 30
+};
+
+// Source collection and summary fields per kind
+const BIN_KINDS = {
+  attendance: {
+    collection: 'attendance',
+    summary: doc => ({
+      stream: doc.stream,
+      semester: doc.semester,
+      subject: doc.subject,
+      date: doc.date,
+      time: doc.time
+    })
+  },
+  student: {
+    collection: 'students',
+    summary: doc => ({
+      stream: doc.stream,
+      semester: doc.semester,
+      studentID: doc.studentID,
+      name: doc.name
+    })
+  }
+};
+
+const KINDS = Object.keys(BIN_KINDS);
+
+function binError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================================================
+// CONFIGURABLE RETENTION
+// ============================================================================
+
+async function getBinSettings(db) {
+  return getSetting(db, SETTINGS_KEY, DEFAULT_SETTINGS);
+}
+
+/**
+ * Validate and store bin settings ({ retentionDays: 30 }).
+ */
+async function saveBinSettings(db, input, updatedBy) {
+  const retentionDays = Number(input?.retentionDays);
+  if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS) {
+    throw new Error(`retentionDays must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}`);
+  }
+
+  const settings = { ...(await getBinSettings(db)), retentionDays };
+  return saveSetting(db, SETTINGS_KEY, settings, updatedBy);
+}
+
+/**
+ * When a bin entry will be purged automatically.
+ */
+function purgeTime(entry, settings) {
+  return new Date(new Date(entry.deletedAt).getTime() + settings.retentionDays * 24 * 60 * 60 * 1000);
+}
+
+// ============================================================================
+// DELETE / RESTORE / PURGE
+// ============================================================================
+
+/**
+ * Move `docs` (full documents from the kind's collection) into the bin and
+ * delete them from their collection. Returns the number removed.
+ */
+async function moveToBin(db, kind, docs, { deletedBy, reason } = {}) {
+  const { collection, summary } = BIN_KINDS[kind];
+  if (docs.length === 0) return 0;
+
+  const deletedAt = new Date();
+  const text = String(reason ?? '').trim().slice(0, 500) || null;
+
+  // Upsert by _id: deleting a restored document again keeps one bin entry
+  await db.collection('recycleBin').bulkWrite(docs.map(doc => ({
+    replaceOne: {
+      filter: { _id: doc._id },
+      replacement: {
+        kind,
+        item: doc,
+        ...summary(doc),
+        deletedAt,
+        deletedBy: deletedBy || null,
+        reason: text
+      },
+      upsert: true
+    }
+  })));
+
+  const result = await db.collection(collection).deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+  return result.deletedCount;
+}
+
+/**
+ * Why a restored document hit a unique index: it is back already, or (for
+ * a session) its class slot has been marked again - that session is the
+ * error's .existing.
+ */
+async function restoreConflict(db, collection, item) {
+  if (await db.collection(collection).findOne({ _id: item._id })) {
+    return binError('The item has already been restored', 409);
+  }
+
+  const taken = item.slotKey && await db.collection(collection).findOne({ slotKey: item.slotKey });
+  if (taken) {
+    const error = binError(`The class slot has been marked again since this session was deleted (session ${taken._id}) - merge or delete that session first`, 409);
+    error.existing = taken;
+    return error;
+  }
+
+  return binError('The item clashes with a current record', 409);
+}
+
+/**
+ * Put a bin entry's document back into its collection with its original
+ * _id. Throws (with .status 409, see restoreConflict) if a current student
+ * already uses the studentID or the item clashes with a current record.
+ * Returns the restored document.
+ */
+async function restoreFromBin(db, entry, { restoredBy } = {}) {
+  const { collection } = BIN_KINDS[entry.kind];
+
+  if (entry.kind === 'student') {
+    const existing = await db.collection('students').findOne({ studentID: entry.item.studentID });
+    if (existing) throw binError(`Student ID ${entry.item.studentID} is already in use by a current student`, 409);
+  }
+
+  const doc = { ...entry.item, restoredAt: new Date(), restoredBy: restoredBy || null };
+
+  try {
+    await db.collection(collection).insertOne(doc);
+  } catch (error) {
+    if (error.code === 11000) throw await restoreConflict(db, collection, entry.item);
+    throw error;
+  }
+  await db.collection('recycleBin').deleteOne({ _id: entry._id });
+
+  return doc;
+}
+
+/**
+ * Delete bin entries for good. Students are archived into `alumni` as
+ * 'removed' (archivedBy: whoever deleted them) rather than dropped.
+ * Returns the number purged.
+ */
+async function purgeFromBin(db, entries) {
+  if (entries.length === 0) return 0;
+
+  const byDeleter = new Map();
+  entries.filter(e => e.kind === 'student').forEach(e => {
+    const key = e.deletedBy || null;
+    if (!byDeleter.has(key)) byDeleter.set(key, []);
+    byDeleter.get(key).push(e.item);
+  });
+  for (const [archivedBy, students] of byDeleter) {
+    await archiveStudents(db, students, { reason: 'removed', archivedBy });
+  }
+
+  const result = await db.collection('recycleBin').deleteMany({ _id: { $in: entries.map(e => e._id) } });
+  return result.deletedCount;
+}
+
+/**
+ * Purge every entry older than the retention period. Returns the entries
+ * purged.
+ */
+async function purgeExpired(db, now = new Date()) {
+  const settings = await getBinSettings(db);
+  const cutoff = new Date(now.getTime() - settings.retentionDays * 24 * 60 * 60 * 1000);
+
+  const expired = await db.collection('recycleBin').find({ deletedAt: { $lt: cutoff } }).toArray();
+  await purgeFromBin(db, expired);
+  return expired;
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Bin search filter from query parameters: kind, stream, semester,
+ * q (subject, studentID or name), from/to (deletedAt). Throws with
+ * .status 400 on an invalid from/to.
+ */
+function binQuery({ kind, stream, semester, q, from, to } = {}) {
+  const query = {};
+
+  if (kind) query.kind = kind;
+  if (stream) query.stream = exactMatch(stream);
+  if (semester) query.semester = parseInt(String(semester).replace('sem', ''));
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    query.$or = [
+      { subject: pattern },
+      { studentID: pattern },
+      { name: pattern }
+    ];
+  }
+
+  const deletedAt = dateRange(from, to);
+  if (deletedAt) query.deletedAt = deletedAt;
+
+  return query;
+}
+
+/**
+ * Bin entry from a route parameter, or null.
+ */
+async function findBinEntry(db, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return db.collection('recycleBin').findOne({ _id: new ObjectId(id) });
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+/**
+ * Purge expired entries every RECYCLE_BIN_PURGE_INTERVAL_HOURS (default 24,
+ * 0 disables), first a minute after start-up. `getDb` is called on each run.
+ */
+function scheduleBinPurge(getDb) {
+  const hours = Number(process.env.RECYCLE_BIN_PURGE_INTERVAL_HOURS ?? 24);
+  if (!hours || hours < 0) {
+    console.log('⏸️ [BIN] Recycle bin purge job disabled');
+    return null;
+  }
+
+  const tick = async () => {
+    const db = getDb();
+    if (!db) return;
+
+    try {
+      const purged = await purgeExpired(db);
+      if (purged.length > 0) console.log(`🧹 [BIN] Purged ${purged.length} expired item(s)`);
+    } catch (error) {
+      console.error('❌ [BIN] Recycle bin purge failed:', error);
+    }
+  };
+
+  setTimeout(tick, 60 * 1000).unref();
+  const timer = setInterval(tick, hours * 60 * 60 * 1000);
+  timer.unref();
+
+  console.log(`⏰ [BIN] Recycle bin purge every ${hours}h`);
+  return timer;
+}
+
+module.exports = {
+  KINDS,
+  getBinSettings,
+  saveBinSettings,
+  purgeTime,
+  moveToBin,
+  restoreFromBin,
+  purgeFromBin,
+  purgeExpired,
+  binQuery,
+  findBinEntry,
+  scheduleBinPurge
+};
@@ -0,0 +1,175 @@
+// ============================================================================
+// models/roster.js - Class Rosters
+// ============================================================================
+//
+// Who sits in a class: the active students of a stream/semester, narrowed to
+// a subject's enrollment and optionally to one or more sections. Core
+// subjects take everyone; language and elective subjects take the students
+// enrolled in them (models/enrollments.js), which for open electives
+// includes students of other streams. Subjects without enrollments yet fall
+// back to students.languageSubject / students.electiveSubject.
+//
+// Sections (A, B, C...) divide a large class. students.section holds the
+// student's section ('' or missing when the class isn't split). A session
+// or teacher subject lists the sections it was taught to in `sections`;
+// no sections means the whole class, several means combined sections.
+//
+// Practical subjects may also be split into lab batches (models/labBatches.js).
+
+const { findBatch } = require('./labBatches');
+const { enrolledStudentIDs } = require('./enrollments');
+const { exactMatch } = require('../middleware/rbac');
+
+const DEFAULT_SEMESTERS = [1, 2, 3, 4, 5, 6];
+
+const ROSTER_FIELDS = {
+  _id: 1,
+  name: 1,
+  studentID: 1,
+  stream: 1,
+  rollNumber: 1,
+  section: 1,
+  languageSubject: 1,
+  electiveSubject: 1,
+  parentPhone: 1
+};
+
+/** Section names are stored trimmed and upper-case ('a ' -> 'A'). */
+function normalizeSection(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+/**
+ * Section list from an array or a comma-separated string ('A,B').
+ * Returns unique, normalized, non-empty names.
+ */
+function parseSections(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(normalizeSection).filter(Boolean))];
+}
+
+/**
+ * Whether a session (or teacher subject) with `sections` was taught to the
+ * student. Sessions without sections cover the whole class.
+ */
+function coversSection(session, student) {
+  const sections = session?.sections;
+  if (!Array.isArray(sections) || sections.length === 0) return true;
+  return sections.includes(normalizeSection(student?.section));
+}
+
+/**
+ * Session filter for sessions taught to any of `sections`: sessions for the
+ * whole class plus those naming one of the sections.
+ */
+function sessionSectionFilter(sections) {
+  if (!sections || sections.length === 0) return {};
+  return {
+    $or: [
+      { sections: { $exists: false } },
+      { sections: { $size: 0 } },
+      { sections: { $in: sections } }
+    ]
+  };
+}
+
+/**
+ * Student filter for the subject's legacy enrollment rule, used until the
+ * subject has enrollments.
+ * Returns { query, filterApplied: 'language' | 'elective' | 'none' }.
+ */
+function enrollmentQuery(subjectDoc) {
+  if (subjectDoc?.isLanguageSubject === true) {
+    return { query: { languageSubject: subjectDoc.name.toUpperCase() }, filterApplied: 'language' };
+  }
+  if (subjectDoc?.subjectType === 'ELECTIVE') {
+    // Electives are typed in by hand on upload, so any case matches
+    return { query: { electiveSubject: exactMatch(subjectDoc.name) }, filterApplied: 'elective' };
+  }
+  return { query: {}, filterApplied: 'none' };
+}
+
+/**
+ * Active students of a class, sorted by studentID. Unknown subjects
+ * don't narrow the roster; filterApplied is 'enrollment' when the subject's
+ * enrollments picked the students. `section` may be one section or several
+ * ('A,B' or ['A', 'B']) for combined classes; `batch` narrows a practical
+ * subject to one of its lab batches (throws with status 400 if the subject
+ * has no such batch).
+ */
+async function getRoster(db, { stream, semester, subject, section, batch }) {
+  const query = { stream: exactMatch(stream), semester, isActive: true };
+  let subjectDoc = null;
+
+  if (subject) {
+    subjectDoc = await db.collection('subjects').findOne({
+      name: exactMatch(subject),
+      stream: exactMatch(stream),
+      semester,
+      isActive: true
+    });
+  }
+
+  // Enrolled students may come from other streams (open electives)
+  const enrolled = await enrolledStudentIDs(db, subjectDoc);
+  const enrollment = enrolled
+    ? { query: { studentID: { $in: enrolled } }, filterApplied: 'enrollment' }
+    : enrollmentQuery(subjectDoc);
+  if (enrolled) delete query.stream;
+  Object.assign(query, enrollment.query);
+  const sections = parseSections(section);
+  if (sections.length === 1) query.section = sections[0];
+  if (sections.length > 1) query.section = { $in: sections };
+
+  let labBatch = null;
+  if (batch) {
+    labBatch = findBatch(subjectDoc, batch);
+    if (!labBatch) {
+      const error = new Error(`${subject || 'This subject'} has no batch "${batch}"`);
+      error.status = 400;
+      throw error;
+    }
+    query.studentID = { $in: enrolled ? labBatch.studentIDs.filter(id => enrolled.includes(id)) : labBatch.studentIDs };
+  }
+
+  const students = await db.collection('students')
+    .find(query)
+    .project(ROSTER_FIELDS)
+    .sort({ studentID: 1 })
+    .toArray();
+
+  return {
+    students,
+    subject: subjectDoc,
+    filterApplied: enrollment.filterApplied,
+    sections,
+    batch: labBatch ? labBatch.name : null,
+    batches: (subjectDoc?.batches || []).map(b => b.name),
+    query
+  };
+}
+
+/**
+ * Semester numbers of a stream document. `semesters` is stored as a count
+ * (6) by the management page and as a list ([1, 2, ...]) by older imports.
+ */
+function streamSemesters(stream) {
+  const value = stream?.semesters;
+  if (Array.isArray(value)) {
+    return [...new Set(value.map(v => parseInt(v)).filter(v => v > 0))].sort((a, b) => a - b);
+  }
+  const count = parseInt(value);
+  return count > 0 ? Array.from({ length: count }, (_, i) => i + 1) : DEFAULT_SEMESTERS;
+}
+
+module.exports = {
+  DEFAULT_SEMESTERS,
+  normalizeSection,
+  parseSections,
+  coversSection,
+  sessionSectionFilter,
+  enrollmentQuery,
+  getRoster,
+  streamSemesters
+};
@@ -0,0 +1,288 @@
+// ============================================================================
+// models/sessionSlots.js - One Attendance Session per Class Slot
+// ============================================================================
+//
+// A class slot is stream + semester + subject + day + period (the time label
+// when there is no timetable period) + sections + batch. Sessions store it as
+// `slotKey`, which has a unique index, so a double tap, a retried request or
+// two teachers marking the same class can't save the slot twice. Sessions
+// saved before slot keys are matched on the fields themselves.
+//
+// Submissions can also carry an idempotency key (Idempotency-Key header); a
+// repeated key gets the session saved the first time instead of a new one.
+// Keys are stored under the submitter's id, so one user's key never replays
+// another user's session.
+
+const { ObjectId } = require('mongodb');
+const { getStatusMap, buildSessionUpdate } = require('./attendanceStatus');
+const { recordAudit } = require('./attendanceAudit');
+const { moveToBin } = require('./recycleBin');
+const { startOfDay, endOfDay, dateKey } = require('./academicCalendar');
+const { getRoster } = require('./roster');
+const { exactMatch } = require('../middleware/rbac');
+
+// Session fields that make up the slot
+const SLOT_FIELDS = ['stream', 'semester', 'subject', 'date', 'time', 'period', 'sections', 'batch'];
+
+// What a repeated submission may do to the session already in the slot
+const DUPLICATE_MODES = ['merge', 'overwrite'];
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+// Longest date range the duplicate finder scans at once
+const MAX_DUPLICATE_SCAN_DAYS = 366;
+
+function lower(text) {
+  return String(text ?? '').trim().toLowerCase();
+}
+
+function slotError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sortedSections(session) {
+  return Array.isArray(session.sections) ? [...session.sections].sort() : [];
+}
+
+// ============================================================================
+// SLOT KEYS
+// ============================================================================
+
+/**
+ * Unique key for a session's class slot, e.g. 'bca|3|java|2024-07-01|p2|a,b|'.
+ */
+function slotKey(session) {
+  const when = session.period ? `p${session.period}` : `t${lower(session.time)}`;
+  return [
+    lower(session.stream),
+    parseInt(session.semester),
+    lower(session.subject),
+    dateKey(session.date),
+    when,
+    sortedSections(session).join(',').toLowerCase(),
+    lower(session.batch)
+  ].join('|');
+}
+
+/**
+ * Filter matching sessions in the same slot as `session`, with or without
+ * a stored slotKey.
+ */
+function slotFilter(session) {
+  const sections = sortedSections(session);
+
+  return {
+    stream: exactMatch(session.stream),
+    semester: parseInt(session.semester),
+    subject: exactMatch(session.subject),
+    date: { $gte: startOfDay(session.date), $lte: endOfDay(session.date) },
+    ...(session.period
+      ? { period: parseInt(session.period) }
+      : { time: session.time, period: { $exists: false } }),
+    ...(sections.length > 0
+      ? { sections: { $size: sections.length, $all: sections } }
+      : { $or: [{ sections: { $exists: false } }, { sections: { $size: 0 } }] }),
+    ...(session.batch
+      ? { batch: exactMatch(session.batch) }
+      : { batch: { $in: [null, ''] } })
+  };
+}
+
+/**
+ * Session already saved in the same slot as `session`, or null.
+ * `excludeId` skips the session itself when it is being edited.
+ */
+async function findSlotSession(db, session, { excludeId } = {}) {
+  const filter = slotFilter(session);
+  if (excludeId) filter._id = { $ne: new ObjectId(String(excludeId)) };
+  return db.collection('attendance').findOne(filter);
+}
+
+/**
+ * 409 body for a submission whose slot is taken. The client can resubmit
+ * with onDuplicate: 'merge' | 'overwrite'.
+ */
+function duplicateResponse(existing) {
+  return {
+    success: false,
+    error: `Attendance for ${existing.subject} (${existing.stream} Sem ${existing.semester}) at ${existing.time} on ${dateKey(existing.date)} has already been submitted`,
+    duplicate: true,
+    existing,
+    options: DUPLICATE_MODES
+  };
+}
+
+/**
+ * Stored idempotency key for the Idempotency-Key header or body - the
+ * client's key prefixed with the signed-in user's id - or null.
+ * Throws on a key that is too long.
+ */
+function idempotencyKey(req) {
+  const key = String(req.get?.('Idempotency-Key') ?? req.body?.idempotencyKey ?? '').trim();
+  if (!key) return null;
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throw new Error(`Idempotency key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+  return `${req.user._id}:${key}`;
+}
+
+// ============================================================================
+// MERGING
+// ============================================================================
+
+/**
+ * Records combining `base` and `other` sessions: every student in either,
+ * with `base`'s status where both have one.
+ */
+function mergeStatuses(base, other) {
+  const merged = new Map(getStatusMap(other));
+  getStatusMap(base).forEach((status, studentID) => merged.set(studentID, status));
+  return [...merged.entries()].map(([studentID, status]) => ({ studentID, status }));
+}
+
+// Sessions saved before statuses only list who was present
+function isLegacySession(session) {
+  return !(Array.isArray(session.records) && session.records.length > 0);
+}
+
+/**
+ * Update replacing a session's attendance with the combined statuses of
+ * `sessions` (earlier ones win). Legacy sessions don't name their absentees,
+ * so when one is involved everyone else on the class roster is marked 'A',
+ * and the session never counts fewer students than a legacy session did.
+ */
+async function mergedSessionUpdate(db, sessions) {
+  const legacy = sessions.filter(isLegacySession);
+  const slot = sessions[0];
+
+  let roster = [];
+  if (legacy.length > 0) {
+    try {
+      ({ students: roster } = await getRoster(db, {
+        stream: slot.stream,
+        semester: parseInt(slot.semester),
+        subject: slot.subject,
+        section: slot.sections,
+        batch: slot.batch
+      }));
+    } catch (error) {
+      // A batch the subject no longer has - fall back to the saved totals
+      if (!error.status) throw error;
+    }
+  }
+
+  const absent = { records: roster.map(student => ({ studentID: student.studentID, status: 'A' })) };
+  const records = sessions.reduceRight((merged, session) => mergeStatuses(session, { records: merged }), absent.records);
+  const update = buildSessionUpdate({ records });
+
+  // Absentees who have left the roster since can't be named; keep their count
+  const total = Math.max(records.length, ...legacy.map(session => session.totalStudents || 0));
+  if (total > records.length) {
+    const fields = update.$set;
+    fields.totalStudents = total;
+    fields.absentCount = total - fields.presentCount;
+    fields.statusCounts = { ...fields.statusCounts, A: fields.statusCounts.A + total - records.length };
+  }
+
+  return update;
+}
+
+/**
+ * Find slots holding more than one session between `from` and `to`
+ * (at most MAX_DUPLICATE_SCAN_DAYS apart). Returns groups of
+ * { slotKey, sessions } (oldest first), largest groups first.
+ * `filter` narrows the sessions scanned further (stream, semester).
+ * Throws (with .status 400) on a missing or too long date range.
+ */
+async function findDuplicateGroups(db, { from, to }, filter = {}) {
+  const start = from && startOfDay(from);
+  const end = to && endOfDay(to);
+  if (!start || !end || isNaN(start) || isNaN(end) || start > end) {
+    throw slotError('from and to dates are required (YYYY-MM-DD)', 400);
+  }
+  if (end - start > MAX_DUPLICATE_SCAN_DAYS * 24 * 60 * 60 * 1000) {
+    throw slotError(`Date range can be at most ${MAX_DUPLICATE_SCAN_DAYS} days`, 400);
+  }
+
+  const sessions = await db.collection('attendance')
+    .find({ ...filter, date: { $gte: start, $lte: end } })
+    .project({ studentsPresent: 0, records: 0 })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const groups = new Map();
+  sessions.forEach(session => {
+    const key = slotKey(session);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(session);
+  });
+
+  return [...groups.entries()]
+    .filter(([, list]) => list.length > 1)
+    .map(([key, list]) => ({ slotKey: key, sessions: list }))
+    .sort((a, b) => b.sessions.length - a.sessions.length);
+}
+
+/**
+ * Merge the sessions in `mergeIds` into `keepId`: students only marked in
+ * a duplicate are added to the kept session (its own statuses win, see
+ * mergedSessionUpdate), the duplicates go to the recycle bin, and every
+ * change is audited.
+ * Throws (with .status) unless all the sessions share one slot.
+ */
+async function mergeDuplicates(db, req, keepId, mergeIds) {
+  const ids = [keepId, ...mergeIds].map(id => String(id));
+  if (ids.some(id => !ObjectId.isValid(id)) || new Set(ids).size !== ids.length || mergeIds.length === 0) {
+    throw slotError('keepId and at least one other session id (mergeIds) are required', 400);
+  }
+
+  const sessions = await db.collection('attendance').find({ _id: { $in: ids.map(id => new ObjectId(id)) } }).toArray();
+  const keep = sessions.find(s => String(s._id) === String(keepId));
+  const others = sessions.filter(s => s !== keep);
+
+  if (!keep || others.length !== mergeIds.length) {
+    throw slotError('Session not found', 404);
+  }
+  const key = slotKey(keep);
+  if (others.some(s => slotKey(s) !== key)) {
+    throw slotError('Only sessions of the same class, day and period can be merged', 400);
+  }
+
+  const update = await mergedSessionUpdate(db, [keep, ...others]);
+
+  // The duplicates leave first so the kept session can take the slot key
+  const reason = `Duplicate of ${keep._id}, merged by ${req.user.email}`;
+  await moveToBin(db, 'attendance', others, { deletedBy: req.user.email, reason });
+  for (const other of others) {
+    await recordAudit(db, req, { action: 'delete', before: other, reason });
+  }
+
+  update.$set.slotKey = key;
+  await db.collection('attendance').updateOne({ _id: keep._id }, update);
+  const after = await db.collection('attendance').findOne({ _id: keep._id });
+
+  await recordAudit(db, req, {
+    action: 'update',
+    before: keep,
+    after,
+    reason: `Merged ${others.length} duplicate session(s): ${others.map(s => s._id).join(', ')}`
+  });
+
+  return { session: after, merged: others.map(s => s._id) };
+}
+
+module.exports = {
+  SLOT_FIELDS,
+  DUPLICATE_MODES,
+  slotKey,
+  slotFilter,
+  findSlotSession,
+  duplicateResponse,
+  idempotencyKey,
+  mergeStatuses,
+  mergedSessionUpdate,
+  findDuplicateGroups,
+  mergeDuplicates
+};
@@ -0,0 +1,48 @@
+// ============================================================================
+// models/settings.js - Stored Feature Settings
+// ============================================================================
+//
+// Each configurable feature keeps one document in `settings`:
+//
+//   { key, settings, updatedBy, updatedAt }
+//
+// Status rules and shortage thresholds predate this module and store their
+// object under `rules` / `thresholds` instead - pass { field }. Values are
+// cached per key for a minute; a save replaces the cached value at once.
+// Validation stays with each feature.
+
+const SETTINGS_TTL = 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * The stored value for `key` over `defaults`.
+ */
+async function getSetting(db, key, defaults = {}, { field = 'settings' } = {}) {
+  const cached = cache.get(key);
+  if (cached && Date.now() < cached.expiresAt) return cached.value;
+
+  const doc = await db.collection('settings').findOne({ key });
+  const value = { ...defaults, ...doc?.[field] };
+  cache.set(key, { value, expiresAt: Date.now() + SETTINGS_TTL });
+  return value;
+}
+
+/**
+ * Store the complete, already validated `value` for `key`. Returns it.
+ */
+async function saveSetting(db, key, value, updatedBy, { field = 'settings' } = {}) {
+  await db.collection('settings').updateOne(
+    { key },
+    { $set: { key, [field]: value, updatedBy, updatedAt: new Date() } },
+    { upsert: true }
+  );
+
+  cache.set(key, { value, expiresAt: Date.now() + SETTINGS_TTL });
+  return value;
+}
+
+module.exports = {
+  getSetting,
+  saveSetting
+};
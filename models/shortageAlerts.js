@@ -0,0 +1,366 @@
+// ============================================================================
+// models/shortageAlerts.js - Attendance Shortage Alerts
+// ============================================================================
+//
+// A job recomputes every active student's overall and per-subject
+// percentage for the semester and compares it with two thresholds (stored in
+// `settings` under `shortageThresholds`):
+//
+//   below warning  (default 80%) -> 'warning'
+//   below critical (default 75%) -> 'critical'
+//
+// Alerts go to the `alerts` collection, one per change of level:
+//
+//   { type: 'attendance-shortage', studentID, studentName, stream, semester,
+//     subject (null = overall), level, previousLevel, percentage, present,
+//     total, threshold, status: 'open' | 'acknowledged' | 'resolved',
+//     current, parentNotified, createdAt, ... }
+//
+// `current` marks the latest alert of each student/subject. A new alert is
+// only raised when the level differs from it; climbing back above the
+// warning threshold resolves it.
+
+const { ObjectId } = require('mongodb');
+const { getStatusRules } = require('./attendanceStatus');
+const { percentOf } = require('./attendanceStatus');
+const { aggregateClassAttendance } = require('./attendanceReport');
+const { getTemplate, renderTemplate, COLLEGE_NAME } = require('./messageTemplates');
+const { deliver } = require('./messaging');
+const { getSetting, saveSetting } = require('./settings');
+
+const ALERT_TYPE = 'attendance-shortage';
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const LEVELS = ['ok', 'warning', 'critical'];
+const SHORTAGE_TEMPLATE_KEY = 'attendance-shortage';
+const SHORTAGE_KIND = 'shortage-alert';
+
+const SETTINGS_KEY = 'shortageThresholds';
+
+const DEFAULT_THRESHOLDS = {
+  warning: 80,
+  critical: 75,
+  // Percentages over fewer counted sessions than this are too noisy to alert on
+  minSessions: 5,
+  notifyParents: false,
+  channel: 'whatsapp'
+};
+
+// ============================================================================
+// CONFIGURABLE THRESHOLDS
+// ============================================================================
+
+async function getThresholds(db) {
+  return getSetting(db, SETTINGS_KEY, DEFAULT_THRESHOLDS, { field: 'thresholds' });
+}
+
+/**
+ * Validate and store threshold changes ({ warning: 85, notifyParents: true }).
+ */
+async function saveThresholds(db, overrides, updatedBy) {
+  if (!overrides || typeof overrides !== 'object') {
+    throw new Error('thresholds object required');
+  }
+
+  const current = await getThresholds(db);
+  const thresholds = { ...current };
+
+  ['warning', 'critical', 'minSessions'].forEach(field => {
+    if (overrides[field] === undefined) return;
+    const value = Number(overrides[field]);
+    if (!Number.isInteger(value) || value < 0 || (field !== 'minSessions' && value > 100)) {
+      throw new Error(field === 'minSessions'
+        ? 'minSessions must be a whole number of sessions'
+        : `${field} must be a whole percentage between 0 and 100`);
+    }
+    thresholds[field] = value;
+  });
+
+  if (overrides.notifyParents !== undefined) {
+    if (typeof overrides.notifyParents !== 'boolean') throw new Error('notifyParents must be true or false');
+    thresholds.notifyParents = overrides.notifyParents;
+  }
+  if (overrides.channel !== undefined) {
+    if (!['whatsapp', 'sms'].includes(overrides.channel)) throw new Error('channel must be whatsapp or sms');
+    thresholds.channel = overrides.channel;
+  }
+
+  if (thresholds.critical >= thresholds.warning) {
+    throw new Error('critical must be below warning');
+  }
+
+  return saveSetting(db, SETTINGS_KEY, thresholds, updatedBy, { field: 'thresholds' });
+}
+
+function levelFor(percentage, thresholds) {
+  if (percentage < thresholds.critical) return 'critical';
+  if (percentage < thresholds.warning) return 'warning';
+  return 'ok';
+}
+
+// ============================================================================
+// PARENT NOTIFICATION
+// ============================================================================
+
+function shortageValues(alert, subjectsBelow, thresholds) {
+  return {
+    studentName: alert.studentName,
+    studentID: alert.studentID,
+    date: new Date(alert.createdAt).toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric' }),
+    stream: alert.stream,
+    semester: alert.semester,
+    subjects: subjectsBelow.length > 0
+      ? subjectsBelow.map((s, i) => `${i + 1}. ${s.subject} (${s.percentage}%)`).join('\n')
+      : '-',
+    subjectCount: subjectsBelow.length,
+    percentage: `${alert.percentage}%`,
+    threshold: `${thresholds[alert.level]}%`,
+    collegeName: COLLEGE_NAME
+  };
+}
+
+// ============================================================================
+// ALERT JOB
+// ============================================================================
+
+/**
+ * Compare one student/subject percentage with its current alert and
+ * raise or resolve. Returns the new alert, or null.
+ */
+async function applyLevel(db, current, scope, thresholds, now, stats) {
+  const level = scope.total >= thresholds.minSessions ? levelFor(scope.percentage, thresholds) : 'ok';
+  const previousLevel = current ? current.level : 'ok';
+
+  if (level === previousLevel) {
+    // Same level - just keep the numbers fresh
+    if (current) {
+      await db.collection('alerts').updateOne(
+        { _id: current._id },
+        { $set: { percentage: scope.percentage, present: scope.present, total: scope.total, checkedAt: now } }
+      );
+    }
+    return null;
+  }
+
+  if (current) {
+    await db.collection('alerts').updateOne(
+      { _id: current._id },
+      {
+        $set: {
+          current: false,
+          ...(current.status !== 'resolved' && { status: 'resolved', resolvedAt: now, resolvedBy: 'system' })
+        }
+      }
+    );
+  }
+
+  if (level === 'ok') {
+    stats.alertsResolved++;
+    return null;
+  }
+
+  const alert = {
+    type: ALERT_TYPE,
+    ...scope.key,
+    studentName: scope.studentName,
+    level,
+    previousLevel,
+    percentage: scope.percentage,
+    present: scope.present,
+    total: scope.total,
+    threshold: thresholds[level],
+    status: 'open',
+    current: true,
+    parentNotified: false,
+    createdAt: now,
+    checkedAt: now
+  };
+  const result = await db.collection('alerts').insertOne(alert);
+  stats.alertsRaised++;
+  return { ...alert, _id: result.insertedId };
+}
+
+async function checkClass(db, { stream, semester }, context) {
+  const { thresholds, statusRules, template, batchId, now, stats } = context;
+
+  const [students, subjects] = await Promise.all([
+    db.collection('students')
+      .find({ stream, semester, isActive: true })
+      .project({ studentID: 1, name: 1, parentPhone: 1, preferredLanguage: 1 })
+      .toArray(),
+    db.collection('subjects')
+      .find({ stream, semester, isActive: true })
+      .toArray()
+  ]);
+
+  if (students.length === 0 || subjects.length === 0) return;
+
+  const [{ byStudent }, currentAlerts] = await Promise.all([
+    aggregateClassAttendance(db, { stream, semester, subjects, statusRules }),
+    db.collection('alerts')
+      .find({ type: ALERT_TYPE, stream, semester, current: true })
+      .toArray()
+  ]);
+
+  const alertKey = (studentID, subject) => `${studentID}|${subject || ''}`;
+  const currentByKey = new Map(currentAlerts.map(a => [alertKey(a.studentID, a.subject), a]));
+
+  const rowsByStudent = new Map();
+  byStudent.forEach(row => {
+    if (!rowsByStudent.has(row._id.studentID)) rowsByStudent.set(row._id.studentID, []);
+    rowsByStudent.get(row._id.studentID).push(row);
+  });
+
+  for (const student of students) {
+    const rows = rowsByStudent.get(student.studentID) || [];
+    const present = rows.reduce((sum, row) => sum + row.present, 0);
+    const total = rows.reduce((sum, row) => sum + row.total, 0);
+
+    const scopes = [
+      { subject: null, present, total },
+      ...rows.map(row => ({ subject: row._id.subject, present: row.present, total: row.total }))
+    ].map(scope => ({
+      ...scope,
+      key: { studentID: student.studentID, stream, semester, subject: scope.subject },
+      studentName: student.name,
+      percentage: percentOf(scope.present, scope.total)
+    }));
+
+    stats.studentsChecked++;
+
+    for (const scope of scopes) {
+      const alert = await applyLevel(db, currentByKey.get(alertKey(student.studentID, scope.subject)), scope, thresholds, now, stats);
+
+      // Parents hear about the overall percentage only, once per new level
+      if (!alert || alert.subject !== null || !thresholds.notifyParents || !student.parentPhone) continue;
+
+      const subjectsBelow = scopes
+        .filter(s => s.subject && s.total > 0 && s.percentage < thresholds[alert.level])
+        .map(s => ({ subject: s.subject, percentage: s.percentage }));
+      const rendered = renderTemplate(template, shortageValues(alert, subjectsBelow, thresholds), student.preferredLanguage);
+
+      const entry = await deliver(db, {
+        batchId,
+        channel: thresholds.channel,
+        message: {
+          studentID: student.studentID,
+          studentName: student.name,
+          parentPhone: student.parentPhone,
+          messageType: alert.level,
+          templateKey: template.key,
+          ...rendered
+        },
+        meta: { kind: SHORTAGE_KIND, stream, semester, alertId: alert._id, sentBy: 'system' }
+      });
+
+      await db.collection('alerts').updateOne(
+        { _id: alert._id },
+        { $set: { parentNotified: entry.status === 'sent', notification: { status: entry.status, error: entry.error, sentAt: entry.createdAt } } }
+      );
+      if (entry.status === 'sent') stats.parentsNotified++;
+      else stats.notificationsFailed++;
+    }
+  }
+
+  stats.classes++;
+}
+
+let running = false;
+
+/**
+ * Recompute every active class and raise/resolve alerts.
+ * Returns counts of what changed. Only one run at a time - check isRunning().
+ */
+async function runShortageAlerts(db) {
+  if (running) throw new Error('Shortage alert job is already running');
+
+  running = true;
+  try {
+    return await checkAllClasses(db);
+  } finally {
+    running = false;
+  }
+}
+
+function isRunning() {
+  return running;
+}
+
+async function checkAllClasses(db) {
+  const startedAt = new Date();
+  const [thresholds, statusRules, template] = await Promise.all([
+    getThresholds(db),
+    getStatusRules(db),
+    getTemplate(db, SHORTAGE_TEMPLATE_KEY)
+  ]);
+
+  const classes = await db.collection('students').aggregate([
+    { $match: { isActive: true } },
+    { $group: { _id: { stream: '$stream', semester: '$semester' } } },
+    { $sort: { '_id.stream': 1, '_id.semester': 1 } }
+  ]).toArray();
+
+  const stats = {
+    classes: 0,
+    studentsChecked: 0,
+    alertsRaised: 0,
+    alertsResolved: 0,
+    parentsNotified: 0,
+    notificationsFailed: 0
+  };
+  const context = { thresholds, statusRules, template, batchId: new ObjectId(), now: startedAt, stats };
+
+  for (const { _id } of classes) {
+    if (!_id.stream || !_id.semester) continue;
+    await checkClass(db, _id, context);
+  }
+
+  return { ...stats, thresholds, startedAt, finishedAt: new Date() };
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+/**
+ * Run the job every SHORTAGE_ALERT_INTERVAL_HOURS (default 24, 0 disables),
+ * first a minute after start-up. `getDb` is called on each run.
+ */
+function scheduleShortageAlerts(getDb) {
+  const hours = Number(process.env.SHORTAGE_ALERT_INTERVAL_HOURS ?? 24);
+  if (!hours || hours < 0) {
+    console.log('⏸️ [ALERTS] Shortage alert job disabled');
+    return null;
+  }
+
+  const tick = async () => {
+    const db = getDb();
+    if (!db || running) return;
+
+    try {
+      const result = await runShortageAlerts(db);
+      console.log(`🔔 [ALERTS] Checked ${result.studentsChecked} students in ${result.classes} classes: ${result.alertsRaised} raised, ${result.alertsResolved} resolved, ${result.parentsNotified} parents notified`);
+    } catch (error) {
+      console.error('❌ [ALERTS] Shortage alert job failed:', error);
+    }
+  };
+
+  setTimeout(tick, 60 * 1000).unref();
+  const timer = setInterval(tick, hours * 60 * 60 * 1000);
+  timer.unref();
+
+  console.log(`⏰ [ALERTS] Shortage alert job every ${hours}h`);
+  return timer;
+}
+
+module.exports = {
+  ALERT_TYPE,
+  ALERT_STATUSES,
+  LEVELS,
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  saveThresholds,
+  levelFor,
+  runShortageAlerts,
+  scheduleShortageAlerts,
+  isRunning
+};
@@ -0,0 +1,304 @@
+// ============================================================================
+// models/studentAccess.js - Student Self-Service Verification
+// ============================================================================
+//
+// Students look up their own attendance without a teacher account. Before
+// the record is shown they prove who they are with one of:
+//
+//   dateOfBirth - matched against students.dateOfBirth (YYYY-MM-DD)
+//   otp         - a 6-digit code sent to students.parentPhone, stored hashed
+//                 in `studentOtps` for OTP_TTL
+//
+// A successful check returns a short-lived access token (HMAC-signed
+// studentID + expiry) that the attendance route requires. Failed checks are
+// counted in `studentAccessAttempts`, per student ID and per IP address, and
+// lock either out for LOCKOUT_WINDOW. Sending codes costs an SMS, so code
+// requests are limited per IP address and overall. Unknown student IDs get
+// the same answers as real ones.
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { deliver } = require('./messaging');
+const { COLLEGE_NAME } = require('./messageTemplates');
+
+const OTP_TTL = 10 * 60 * 1000;
+const OTP_RESEND_AFTER = 60 * 1000;
+const ACCESS_TOKEN_TTL = 30 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+const MAX_FAILED_ATTEMPTS_PER_IP = 20;
+const LOCKOUT_WINDOW = 15 * 60 * 1000;
+const OTP_REQUEST_WINDOW = 60 * 60 * 1000;
+const MAX_OTP_REQUESTS_PER_IP = 5;
+const MAX_OTP_REQUESTS = parseInt(process.env.STUDENT_OTP_HOURLY_LIMIT) || 100;
+
+const OTP_CHANNEL = process.env.STUDENT_OTP_CHANNEL || 'sms';
+
+// Signs access tokens and stored codes; every server instance needs the same one
+const TOKEN_SECRET = process.env.STUDENT_TOKEN_SECRET;
+if (!TOKEN_SECRET) {
+  throw new Error('STUDENT_TOKEN_SECRET is not set - the student attendance lookup needs it to sign access tokens');
+}
+
+// ============================================================================
+// DATE OF BIRTH
+// ============================================================================
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Date of birth as 'YYYY-MM-DD', or null if it can't be read.
+ * Accepts YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY and Excel serial dates.
+ */
+function normalizeDateOfBirth(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let year, month, day;
+  const text = String(value).trim();
+  let match;
+
+  if (typeof value === 'number' || /^\d{5}$/.test(text)) {
+    // Excel serial: days since 1899-12-30
+    const date = new Date(Date.UTC(1899, 11, 30) + Number(text) * 86400000);
+    [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  } else if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text))) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text))) {
+    [day, month, year] = [match[1], match[2], match[3]].map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  if (year < 1900 || date > new Date()) return null;
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// ============================================================================
+// ATTEMPT COUNTERS
+// ============================================================================
+
+// Counters are { key, count, resetAt }: 'student:BCA001' and 'ip:1.2.3.4' for
+// failed checks, 'otp-ip:1.2.3.4' and 'otp' for code requests
+
+/**
+ * Count one attempt against `key` in a window of `window` ms.
+ * Returns the counter after the attempt.
+ */
+async function countAttempt(db, key, window) {
+  const attempts = db.collection('studentAccessAttempts');
+  const now = new Date();
+
+  // A finished window starts over (the TTL index only removes it eventually)
+  await attempts.deleteOne({ key, resetAt: { $lte: now } });
+
+  try {
+    return await attempts.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(now.getTime() + window) } },
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (error) {
+    // Two first attempts raced to create the counter - count again
+    if (error.code !== 11000) throw error;
+    return countAttempt(db, key, window);
+  }
+}
+
+// When the counter for `key` stops blocking, or null if it is under `limit`
+async function lockedUntil(db, key, limit) {
+  const entry = await db.collection('studentAccessAttempts').findOne({ key, resetAt: { $gt: new Date() } });
+  return entry && entry.count >= limit ? entry.resetAt : null;
+}
+
+function clearAttempts(db, key) {
+  return db.collection('studentAccessAttempts').deleteOne({ key });
+}
+
+function findActiveStudent(db, studentID) {
+  return db.collection('students').findOne({ studentID, isActive: true });
+}
+
+// ============================================================================
+// ONE-TIME CODES
+// ============================================================================
+
+function hashCode(studentID, code) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(`${studentID}:${code}`).digest('hex');
+}
+
+function maskPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 4 ? `******${digits.slice(-4)}` : '******';
+}
+
+/**
+ * Send a fresh code to the parent's phone. Returns whether one was sent:
+ * not when a code went out less than OTP_RESEND_AFTER ago.
+ * Throws if the message can't be delivered.
+ */
+async function issueOtp(db, student) {
+  const otps = db.collection('studentOtps');
+  const previous = await otps.findOne({ studentID: student.studentID });
+
+  if (previous && Date.now() - previous.createdAt.getTime() < OTP_RESEND_AFTER) {
+    return false;
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + OTP_TTL);
+
+  await otps.updateOne(
+    { studentID: student.studentID },
+    { $set: { studentID: student.studentID, codeHash: hashCode(student.studentID, code), attempts: 0, expiresAt, createdAt: new Date() } },
+    { upsert: true }
+  );
+
+  const entry = await deliver(db, {
+    batchId: new ObjectId(),
+    channel: OTP_CHANNEL,
+    message: {
+      studentID: student.studentID,
+      studentName: student.name,
+      parentPhone: student.parentPhone,
+      messageType: 'otp',
+      body: `${code} is the code to view the attendance of ${student.name} (${student.studentID}). It expires in ${OTP_TTL / 60000} minutes. - ${COLLEGE_NAME}`
+    },
+    meta: { kind: 'student-otp', stream: student.stream, semester: student.semester, sentBy: 'student-portal' }
+  });
+
+  if (entry.status !== 'sent') {
+    await otps.deleteOne({ studentID: student.studentID });
+    throw new Error(`Could not send the code: ${entry.error}`);
+  }
+
+  console.log(`📱 [STUDENT] Code sent to ${maskPhone(student.parentPhone)} for ${student.studentID}`);
+  return true;
+}
+
+/**
+ * Handle a code request for `studentID` from `ip`. Whether the ID exists, has
+ * a parent phone or just got a code is not revealed - only the per-IP and
+ * overall limits answer differently: { limited: true, retryAfter } (seconds).
+ */
+async function requestOtp(db, studentID, ip) {
+  for (const [key, limit] of [[`otp-ip:${ip}`, MAX_OTP_REQUESTS_PER_IP], ['otp', MAX_OTP_REQUESTS]]) {
+    const counter = await countAttempt(db, key, OTP_REQUEST_WINDOW);
+    if (counter.count > limit) {
+      return { limited: true, retryAfter: Math.ceil((counter.resetAt - Date.now()) / 1000) };
+    }
+  }
+
+  const student = await findActiveStudent(db, studentID);
+  if (!student || !student.parentPhone) return { limited: false };
+
+  try {
+    await issueOtp(db, student);
+  } catch (error) {
+    console.error(`❌ [STUDENT] Could not send a code for ${student.studentID}:`, error.message);
+  }
+  return { limited: false };
+}
+
+async function checkOtp(db, studentID, code) {
+  const otps = db.collection('studentOtps');
+  const stored = await otps.findOne({ studentID });
+
+  if (!stored || stored.expiresAt < new Date() || stored.attempts >= MAX_FAILED_ATTEMPTS) {
+    return false;
+  }
+
+  const expected = Buffer.from(stored.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(studentID, String(code).trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await otps.updateOne({ _id: stored._id }, { $inc: { attempts: 1 } });
+    return false;
+  }
+
+  await otps.deleteOne({ _id: stored._id });
+  return true;
+}
+
+// ============================================================================
+// VERIFICATION AND ACCESS TOKENS
+// ============================================================================
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+function issueAccessToken(studentID) {
+  const expiresAt = Date.now() + ACCESS_TOKEN_TTL;
+  const payload = Buffer.from(JSON.stringify({ sid: studentID, exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt) };
+}
+
+/**
+ * studentID the token was issued for, or null if it is invalid or expired.
+ */
+function verifyAccessToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { sid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof sid === 'string' && exp > Date.now() ? sid : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a date of birth or OTP for the active student `studentID`, asked
+ * from `ip`. An unknown ID fails like a wrong answer.
+ * Returns { studentID, token, expiresAt } or { error, status } on failure.
+ */
+async function verifyStudent(db, studentID, { dateOfBirth, otp, ip }) {
+  if (!otp && !dateOfBirth) {
+    return { status: 400, error: 'dateOfBirth or otp is required' };
+  }
+
+  const studentKey = `student:${studentID}`;
+  const ipKey = `ip:${ip}`;
+  const until = await lockedUntil(db, studentKey, MAX_FAILED_ATTEMPTS) ||
+    await lockedUntil(db, ipKey, MAX_FAILED_ATTEMPTS_PER_IP);
+  if (until) {
+    return { status: 429, error: `Too many failed attempts. Try again after ${until.toLocaleTimeString('en-IN')}` };
+  }
+
+  const student = await findActiveStudent(db, studentID);
+  let verified = false;
+  if (student && otp) {
+    verified = await checkOtp(db, student.studentID, otp);
+  } else if (student) {
+    const given = normalizeDateOfBirth(dateOfBirth);
+    verified = !!given && !!student.dateOfBirth && given === student.dateOfBirth;
+  }
+
+  if (!verified) {
+    await countAttempt(db, studentKey, LOCKOUT_WINDOW);
+    await countAttempt(db, ipKey, LOCKOUT_WINDOW);
+    return { status: 401, error: otp ? 'Invalid or expired code' : 'Student ID and date of birth do not match' };
+  }
+
+  await clearAttempts(db, studentKey);
+  return { studentID: student.studentID, ...issueAccessToken(student.studentID) };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  normalizeDateOfBirth,
+  requestOtp,
+  verifyStudent,
+  verifyAccessToken
+};
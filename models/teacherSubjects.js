@@ -0,0 +1,121 @@
+// ============================================================================
+// models/teacherSubjects.js - Subjects Assigned to Teachers
+// ============================================================================
+//
+// A teacher's createdSubjects is their attendance scope (middleware/rbac.js):
+// every session they may mark, view or edit comes from it. Teachers can only
+// add a subject the timetable already gives them; HODs (in their stream) and
+// admins assign any subject through /api/admin/teachers/:id/subjects.
+
+const { parseSections } = require('./roster');
+const { normalizeBatchName } = require('./labBatches');
+const { exactMatch } = require('../middleware/rbac');
+
+function subjectError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a subject entry, normalizing its sections and batch in place.
+ * Throws an Error with a user-facing message.
+ */
+function validateSubject(subject) {
+  if (!subject || typeof subject !== 'object') {
+    throw new Error('Invalid subject object');
+  }
+
+  const required = ['id', 'stream', 'semester', 'subject', 'createdAt', 'teacherEmail'];
+  const missing = required.filter(field => !subject[field]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required fields: ${missing.join(', ')}`);
+  }
+
+  if (typeof subject.semester !== 'number' || subject.semester < 1 || subject.semester > 6) {
+    throw new Error('Semester must be a number between 1 and 6');
+  }
+
+  // Accepts ["a", "B"] or "A,B"; stored normalized
+  subject.sections = parseSections(subject.sections);
+  subject.batch = normalizeBatchName(subject.batch);
+
+  return true;
+}
+
+// A subject taught to the whole class overlaps every section
+function sectionsOverlap(a = [], b = []) {
+  return a.length === 0 || b.length === 0 || a.some(section => b.includes(section));
+}
+
+// ============================================================================
+// ASSIGNMENT
+// ============================================================================
+
+/**
+ * Whether the timetable has an active period of the subject taught by `email`.
+ */
+async function isTimetabled(db, email, { stream, semester, subject }) {
+  const period = await db.collection('timetable').findOne({
+    teacherEmail: exactMatch(email),
+    stream: exactMatch(stream),
+    semester: parseInt(semester),
+    subject: exactMatch(subject),
+    isActive: { $ne: false }
+  });
+  return Boolean(period);
+}
+
+/**
+ * Add `subject` to the createdSubjects of the teacher with `email`.
+ * Throws (with .status) on an invalid subject, an unknown teacher, or one
+ * overlapping a subject the teacher already has. Returns the teacher.
+ */
+async function addTeacherSubject(db, email, subject) {
+  try {
+    validateSubject(subject);
+  } catch (validationError) {
+    throw subjectError(`Validation failed: ${validationError.message}`, 400);
+  }
+
+  const teacher = await db.collection('teachers').findOne({ email });
+  if (!teacher) throw subjectError('Teacher not found', 404);
+
+  const exists = (teacher.createdSubjects || []).some(s =>
+    s.stream === subject.stream &&
+    s.semester === subject.semester &&
+    s.subject === subject.subject &&
+    sectionsOverlap(s.sections, subject.sections) &&
+    (s.batch || '').toLowerCase() === subject.batch.toLowerCase()
+  );
+
+  if (exists) {
+    const scope = [
+      subject.sections.length > 0 && `section ${subject.sections.join(', ')}`,
+      subject.batch
+    ].filter(Boolean).join(', ');
+    throw subjectError(scope ? `Subject already exists for ${scope}` : 'Subject already exists', 409);
+  }
+
+  await db.collection('teachers').updateOne(
+    { _id: teacher._id },
+    {
+      $push: { createdSubjects: subject },
+      $set: { updatedAt: new Date() }
+    }
+  );
+
+  return db.collection('teachers').findOne({ _id: teacher._id });
+}
+
+module.exports = {
+  validateSubject,
+  sectionsOverlap,
+  isTimetabled,
+  addTeacherSubject
+};
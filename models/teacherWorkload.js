@@ -0,0 +1,289 @@
+// ============================================================================
+// models/teacherWorkload.js - Classes Held per Teacher, Subject and Month
+// ============================================================================
+//
+// Counts the attendance sessions each teacher took (conductedBy) per subject
+// and month: classes held, average attendance and hours taught, against the
+// classes the timetable planned on the working days of the same range. Also
+// lists subjects that have gone without a session for a while.
+//
+// Sessions saved before conductedBy was recorded count for the teacher of
+// their timetable period, or under no teacher when they have none.
+
+const { summarizeStatuses, percentOf } = require('./attendanceStatus');
+const { startOfDay, endOfDay, dateKey, loadEntries, classifyDay } = require('./academicCalendar');
+const { DAYS } = require('./timetable');
+const { exactMatch } = require('../middleware/rbac');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of a session whose time label isn't a range, e.g. '9:00'
+const DEFAULT_SESSION_MINUTES = 60;
+
+const DEFAULT_IDLE_DAYS = parseInt(process.env.IDLE_SUBJECT_DAYS) || 7;
+
+function lower(text) {
+  return String(text ?? '').trim().toLowerCase();
+}
+
+function hoursOf(minutes) {
+  return Math.round((minutes / 60) * 10) / 10;
+}
+
+function subjectKey(doc) {
+  return `${lower(doc.stream)}|${parseInt(doc.semester)}|${lower(doc.subject ?? doc.name)}`;
+}
+
+// ============================================================================
+// SESSION LENGTH
+// ============================================================================
+
+function clockMinutes(hours, minutes, meridiem) {
+  let h = parseInt(hours);
+  if (meridiem) h = (h % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+  return h * 60 + parseInt(minutes);
+}
+
+/**
+ * Minutes a session lasted, from its time label ('9:30 AM - 10:30 AM' or
+ * '09:30 - 10:30'); DEFAULT_SESSION_MINUTES when the label isn't a range.
+ */
+function sessionMinutes(session) {
+  const times = [...String(session.time || '').matchAll(/(\d{1,2}):(\d{2})\s*(AM|PM)?/gi)];
+  if (times.length < 2) return DEFAULT_SESSION_MINUTES;
+
+  const [start, end] = times.map(([, h, m, meridiem]) => clockMinutes(h, m, meridiem));
+  return end > start ? end - start : DEFAULT_SESSION_MINUTES;
+}
+
+/**
+ * Students present and students counted in a session under the status
+ * rules. Sessions saved before statuses only list who was present.
+ */
+function sessionTurnout(session, statusRules) {
+  if (!Array.isArray(session.records) || session.records.length === 0) {
+    return { present: (session.studentsPresent || []).length, counted: session.totalStudents || 0 };
+  }
+  const summary = summarizeStatuses(session.records.map(r => r.status), statusRules);
+  return { present: summary.presentCount, counted: summary.countedSessions };
+}
+
+// ============================================================================
+// PLANNED CLASSES
+// ============================================================================
+
+// Calendar entries apply college-wide or to one stream and/or semester
+function entryApplies(entry, stream, semester) {
+  return (!entry.stream || lower(entry.stream) === lower(stream)) &&
+    (!entry.semester || entry.semester === parseInt(semester));
+}
+
+/**
+ * Timetable periods falling on working days between `from` and `to`, counted
+ * per teacher, subject and month: Map of key -> { period, month, count }.
+ */
+function plannedClasses(periods, calendarEntries, from, to) {
+  const planned = new Map();
+  const workingCache = new Map();
+
+  const isWorking = (period, day) => {
+    const key = `${lower(period.stream)}|${period.semester}|${dateKey(day)}`;
+    if (!workingCache.has(key)) {
+      const entries = calendarEntries.filter(e => entryApplies(e, period.stream, period.semester));
+      workingCache.set(key, classifyDay(entries, day).working);
+    }
+    return workingCache.get(key);
+  };
+
+  for (let day = startOfDay(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    const dayName = DAYS[day.getUTCDay()];
+    const month = dateKey(day).slice(0, 7);
+
+    periods
+      .filter(period => period.day === dayName && isWorking(period, day))
+      .forEach(period => {
+        const key = `${lower(period.teacherEmail)}|${subjectKey(period)}|${month}`;
+        if (!planned.has(key)) planned.set(key, { period, month, count: 0 });
+        planned.get(key).count++;
+      });
+  }
+
+  return planned;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Workload between `from` and `to` (dates), optionally for one stream and/or
+ * teacher (email). Planned classes only count days up to `now`. Returns
+ * { rows, teachers, idleSubjects }:
+ *   rows:         [{ teacherEmail, teacherName, stream, semester, subject, month,
+ *                    classesHeld, plannedClasses, hoursTaught, averageAttendance }]
+ *   teachers:     the same totals per teacher, with their subject count
+ *   idleSubjects: active subjects with no session in the last `idleDays` days,
+ *                 with their last session date and timetabled teachers
+ */
+async function workloadReport(db, { from, to, stream, teacher, idleDays = DEFAULT_IDLE_DAYS, statusRules, now = new Date() }) {
+  const streamFilter = stream ? { stream: exactMatch(stream) } : {};
+  const rangeEnd = endOfDay(to) < now ? endOfDay(to) : now;
+
+  const [sessions, periods, calendarEntries, subjects, lastSessions] = await Promise.all([
+    db.collection('attendance')
+      .find({ ...streamFilter, date: { $gte: startOfDay(from), $lte: endOfDay(to) } })
+      .project({ stream: 1, semester: 1, subject: 1, date: 1, time: 1, timetableId: 1, conductedBy: 1, records: 1, studentsPresent: 1, totalStudents: 1 })
+      .toArray(),
+    db.collection('timetable')
+      .find({ ...streamFilter, isActive: { $ne: false } })
+      .toArray(),
+    loadEntries(db, { from, to: rangeEnd }),
+    db.collection('subjects')
+      .find({ ...streamFilter, isActive: true })
+      .toArray(),
+    db.collection('attendance')
+      .aggregate([
+        { $match: streamFilter },
+        {
+          $group: {
+            _id: { stream: { $toLower: '$stream' }, semester: '$semester', subject: { $toLower: '$subject' } },
+            lastSession: { $max: '$date' }
+          }
+        }
+      ])
+      .toArray()
+  ]);
+
+  const periodById = new Map(periods.map(p => [String(p._id), p]));
+  const planned = plannedClasses(periods, calendarEntries, from, rangeEnd);
+
+  // One row per teacher, subject and month
+  const rows = new Map();
+  const rowFor = (teacherEmail, doc, month) => {
+    const key = `${lower(teacherEmail)}|${subjectKey(doc)}|${month}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        key,
+        teacherEmail: teacherEmail || null,
+        teacherName: null,
+        stream: doc.stream,
+        semester: parseInt(doc.semester),
+        subject: doc.subject,
+        month,
+        classesHeld: 0,
+        plannedClasses: 0,
+        minutes: 0,
+        present: 0,
+        counted: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  sessions.forEach(session => {
+    const conductor = session.conductedBy?.email || periodById.get(String(session.timetableId))?.teacherEmail;
+    const row = rowFor(conductor, session, dateKey(session.date).slice(0, 7));
+    if (session.conductedBy?.name) row.teacherName = session.conductedBy.name;
+
+    const turnout = sessionTurnout(session, statusRules);
+    row.classesHeld++;
+    row.minutes += sessionMinutes(session);
+    row.present += turnout.present;
+    row.counted += turnout.counted;
+  });
+
+  planned.forEach(({ period, month, count }) => {
+    rowFor(period.teacherEmail, period, month).plannedClasses += count;
+  });
+
+  // Names for teachers known only by email (timetable, older sessions)
+  const emails = [...new Set([...rows.values()].map(row => row.teacherEmail).filter(Boolean))];
+  const teacherDocs = await db.collection('teachers')
+    .find({ email: { $in: emails } })
+    .project({ email: 1, name: 1 })
+    .toArray();
+  const nameByEmail = new Map(teacherDocs.map(t => [lower(t.email), t.name]));
+
+  const teacherFilter = teacher ? lower(teacher) : null;
+  const rowList = [...rows.values()]
+    .filter(row => !teacherFilter || lower(row.teacherEmail) === teacherFilter)
+    .map(({ key, minutes, present, counted, ...row }) => ({
+      ...row,
+      teacherName: row.teacherName || nameByEmail.get(lower(row.teacherEmail)) || null,
+      hoursTaught: hoursOf(minutes),
+      averageAttendance: percentOf(present, counted),
+      present,
+      counted,
+      minutes
+    }))
+    .sort((a, b) =>
+      String(a.teacherName || a.teacherEmail || '~').localeCompare(String(b.teacherName || b.teacherEmail || '~')) ||
+      a.month.localeCompare(b.month) ||
+      a.subject.localeCompare(b.subject));
+
+  // Totals per teacher
+  const byTeacher = new Map();
+  rowList.forEach(row => {
+    const key = lower(row.teacherEmail);
+    if (!byTeacher.has(key)) {
+      byTeacher.set(key, {
+        teacherEmail: row.teacherEmail,
+        teacherName: row.teacherName,
+        subjects: new Set(),
+        classesHeld: 0,
+        plannedClasses: 0,
+        minutes: 0,
+        present: 0,
+        counted: 0
+      });
+    }
+    const totals = byTeacher.get(key);
+    totals.subjects.add(subjectKey(row));
+    totals.classesHeld += row.classesHeld;
+    totals.plannedClasses += row.plannedClasses;
+    totals.minutes += row.minutes;
+    totals.present += row.present;
+    totals.counted += row.counted;
+  });
+
+  const teachers = [...byTeacher.values()].map(({ subjects: subjectSet, minutes, present, counted, ...totals }) => ({
+    ...totals,
+    subjects: subjectSet.size,
+    hoursTaught: hoursOf(minutes),
+    averageAttendance: percentOf(present, counted)
+  }));
+
+  // Subjects nobody has taken a session of for idleDays days
+  const lastByKey = new Map(lastSessions.map(s => [subjectKey(s._id), s.lastSession]));
+  const idleSince = new Date(startOfDay(now).getTime() - idleDays * DAY_MS);
+
+  const idleSubjects = subjects
+    .map(subject => {
+      const key = subjectKey(subject);
+      const lastSession = lastByKey.get(key) || null;
+      return {
+        stream: subject.stream,
+        semester: parseInt(subject.semester),
+        subject: subject.name,
+        lastSession,
+        daysSinceLastSession: lastSession ? Math.floor((now - new Date(lastSession)) / DAY_MS) : null,
+        teachers: [...new Set(periods.filter(p => subjectKey(p) === key).map(p => p.teacherEmail).filter(Boolean))]
+      };
+    })
+    .filter(subject => !subject.lastSession || new Date(subject.lastSession) < idleSince)
+    .filter(subject => !teacherFilter || subject.teachers.some(email => lower(email) === teacherFilter))
+    .sort((a, b) => (a.lastSession ? new Date(a.lastSession) : 0) - (b.lastSession ? new Date(b.lastSession) : 0));
+
+  return {
+    rows: rowList.map(({ present, counted, minutes, ...row }) => row),
+    teachers,
+    idleSubjects
+  };
+}
+
+module.exports = {
+  DEFAULT_IDLE_DAYS,
+  sessionMinutes,
+  plannedClasses,
+  workloadReport
+};
@@ -0,0 +1,192 @@
+// ============================================================================
+// models/timetable.js - Weekly Timetable Periods
+// ============================================================================
+//
+// One document per period in the `timetable` collection:
+//
+//   { stream, semester, section, batch, day, period, startTime, endTime,
+//     subject, teacherEmail, room, isActive, createdAt, updatedAt }
+//
+// day is a weekday name ('Monday'), times are 24h 'HH:MM' strings,
+// section is '' for classes that are not split into sections and batch is
+// the lab batch of a practical ('' for the whole class). Different batches
+// of a class may share a period.
+
+const { exactMatch } = require('../middleware/rbac');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ============================================================================
+// TIME HELPERS
+// ============================================================================
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatClock(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const displayHour = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
+  return `${displayHour}:${String(minutes).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Session label stored in attendance.time, e.g. '9:30 AM - 10:30 AM'.
+ */
+function formatSlot(entry) {
+  return `${formatClock(entry.startTime)} - ${formatClock(entry.endTime)}`;
+}
+
+// UTC weekday, like the day helpers in models/academicCalendar.js
+function getDayName(date) {
+  return DAYS[new Date(date).getUTCDay()];
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Normalize a period definition. Throws an Error with a user-facing message.
+ */
+function validatePeriod(input) {
+  const stream = String(input.stream || '').trim();
+  const subject = String(input.subject || '').trim();
+  const semester = parseInt(String(input.semester || '').replace('sem', ''));
+  const period = parseInt(input.period);
+  const day = DAYS.find(d => d.toLowerCase() === String(input.day || '').toLowerCase());
+
+  if (!stream) throw new Error('stream is required');
+  if (!subject) throw new Error('subject is required');
+  if (isNaN(semester) || semester < 1 || semester > 8) throw new Error('semester must be 1-8');
+  if (!day) throw new Error(`day must be one of: ${DAYS.join(', ')}`);
+  if (isNaN(period) || period < 1) throw new Error('period must be a positive number');
+
+  if (!TIME_PATTERN.test(input.startTime || '') || !TIME_PATTERN.test(input.endTime || '')) {
+    throw new Error('startTime and endTime must be HH:MM (24h)');
+  }
+  if (toMinutes(input.startTime) >= toMinutes(input.endTime)) {
+    throw new Error('startTime must be before endTime');
+  }
+
+  return {
+    stream,
+    semester,
+    section: String(input.section || '').trim().toUpperCase(),
+    batch: String(input.batch || '').trim(),
+    day,
+    period,
+    startTime: input.startTime,
+    endTime: input.endTime,
+    subject,
+    teacherEmail: String(input.teacherEmail || '').trim(),
+    room: String(input.room || '').trim()
+  };
+}
+
+/**
+ * Describe the first conflict of `entry` with existing periods, or null.
+ * Conflicts: the class already has that period, or the teacher or room is
+ * booked elsewhere at an overlapping time on the same day.
+ */
+async function findClash(db, entry, excludeId) {
+  const or = [{
+    stream: exactMatch(entry.stream),
+    semester: entry.semester,
+    section: entry.section,
+    period: entry.period
+  }];
+  if (entry.teacherEmail) or.push({ teacherEmail: entry.teacherEmail });
+  if (entry.room) or.push({ room: exactMatch(entry.room) });
+
+  const query = { day: entry.day, isActive: true, $or: or };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const others = await db.collection('timetable').find(query).toArray();
+  const start = toMinutes(entry.startTime);
+  const end = toMinutes(entry.endTime);
+
+  for (const other of others) {
+    const sameClass = other.stream.toLowerCase() === entry.stream.toLowerCase() &&
+      other.semester === entry.semester &&
+      other.section === entry.section &&
+      (!other.batch || !entry.batch || other.batch.toLowerCase() === entry.batch.toLowerCase());
+
+    if (sameClass && other.period === entry.period) {
+      return `${entry.day} period ${entry.period} is already set for this class (${other.subject})`;
+    }
+
+    const overlaps = start < toMinutes(other.endTime) && toMinutes(other.startTime) < end;
+    if (!overlaps) continue;
+
+    if (entry.teacherEmail && other.teacherEmail === entry.teacherEmail) {
+      return `${entry.teacherEmail} already teaches ${other.subject} (${other.stream} Sem ${other.semester}) at ${formatSlot(other)}`;
+    }
+    if (entry.room && (other.room || '').toLowerCase() === entry.room.toLowerCase()) {
+      return `Room ${entry.room} is taken by ${other.stream} Sem ${other.semester} at ${formatSlot(other)}`;
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Find the timetable period a session of `subject` on `date` belongs to.
+ *
+ * An explicit period number wins. Otherwise a period whose label matches
+ * `time` is used, then (for today) the period running now or the last one
+ * that has started, then the first period of the subject that day.
+ * Returns null when the timetable has nothing for that class and day.
+ */
+async function resolvePeriod(db, { stream, semester, section, batch, subject, date, time, period, now = new Date() }) {
+  const sessionDate = date ? new Date(date) : now;
+  const query = {
+    stream: exactMatch(stream),
+    semester: parseInt(String(semester).replace('sem', '')),
+    day: getDayName(sessionDate),
+    subject: exactMatch(subject),
+    isActive: true
+  };
+  if (section) query.section = String(section).trim().toUpperCase();
+  // A batch's periods, or the class's periods without a batch
+  if (batch) query.batch = { $in: [exactMatch(batch), '', null] };
+  if (period) query.period = parseInt(period);
+
+  const periods = await db.collection('timetable')
+    .find(query)
+    .sort({ startTime: 1 })
+    .toArray();
+
+  if (periods.length === 0) return null;
+  if (period) return periods[0];
+
+  const byLabel = time && periods.find(p => formatSlot(p) === time);
+  if (byLabel) return byLabel;
+
+  if (sessionDate.toDateString() === now.toDateString()) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const running = periods.find(p => toMinutes(p.startTime) <= minutes && minutes < toMinutes(p.endTime));
+    const started = [...periods].reverse().find(p => toMinutes(p.startTime) <= minutes);
+    if (running || started) return running || started;
+  }
+
+  return periods[0];
+}
+
+module.exports = {
+  DAYS,
+  toMinutes,
+  formatSlot,
+  getDayName,
+  validatePeriod,
+  findClash,
+  resolvePeriod
+};
@@ -0,0 +1,47 @@
+// ============================================================================
+// AUTH-FETCH.JS - Attach Firebase ID token to every /api request
+// ============================================================================
+//
+// Load as a module in <head> before page scripts:
+//   <script type="module" src="js/auth-fetch.js"></script>
+
+import { initializeApp, getApps, getApp } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-app.js";
+import { getAuth, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js";
+import { firebaseConfig } from '../firebase-config.js';
+
+const app = getApps().length > 0 ? getApp() : initializeApp(firebaseConfig);
+const auth = getAuth(app);
+
+// Resolves once Firebase has restored (or failed to restore) the session
+const authReady = new Promise(resolve => {
+  const unsubscribe = onAuthStateChanged(auth, () => {
+    unsubscribe();
+    resolve();
+  });
+});
+
+function isApiRequest(url) {
+  const target = new URL(url, window.location.href);
+  return target.origin === window.location.origin && target.pathname.startsWith('/api/');
+}
+
+const nativeFetch = window.fetch.bind(window);
+
+window.fetch = async (input, init = {}) => {
+  const url = input instanceof Request ? input.url : String(input);
+
+  if (!isApiRequest(url)) {
+    return nativeFetch(input, init);
+  }
+
+  await authReady;
+
+  const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+
+  if (auth.currentUser && !headers.has('Authorization')) {
+    const idToken = await auth.currentUser.getIdToken();
+    headers.set('Authorization', `Bearer ${idToken}`);
+  }
+
+  return nativeFetch(input, { ...init, headers });
+};
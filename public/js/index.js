@@ -8,6 +8,10 @@ const API_BASE_URL = '/api';
 // Global variables
 let currentClassInfo = null;
 let isPreSelectedSubject = false;
+let resolvedPeriod = null;
+// Idempotency key for the submission in flight - reused when the same
+// attendance is resubmitted after a failure so it is only saved once
+let pendingSubmission = null;
 let userData = {
   userName: 'Teacher',
   userEmail: 'teacher@school.edu',
@@ -31,6 +35,19 @@ const searchStats = document.getElementById('searchStats');
 const submitBtn = document.getElementById('submitAttendance');
 const classInfoCard = document.getElementById('classInfoCard');
 
+// Attendance statuses - labels are refreshed from /api/attendance/status-rules
+let statusRules = {
+  P: { label: 'Present', countsAs: 'present' },
+  A: { label: 'Absent', countsAs: 'absent' },
+  L: { label: 'Late', countsAs: 'present' },
+  E: { label: 'Excused', countsAs: 'excluded' },
+  OD: { label: 'On Duty', countsAs: 'present' },
+  ML: { label: 'Medical Leave', countsAs: 'excluded' }
+};
+
+// Statuses where the student is in class - the Present checkbox stays ticked
+const IN_CLASS_STATUSES = ['P', 'L'];
+
 // ============================================================================
 // PERSISTENCE FUNCTIONS
 // ============================================================================
@@ -52,7 +69,8 @@ function saveToLocalStorage() {
     attendanceData.students.push({
       studentID: checkbox.dataset.studentId || checkbox.value,
       name: checkbox.dataset.studentName || 'Unknown',
-      present: checkbox.checked
+      present: checkbox.checked,
+      status: getRowStatus(checkbox)
     });
   });
 
@@ -97,19 +115,58 @@ function restoreStudentAttendance(savedStudents) {
     const savedStudent = savedStudents.find(s => s.studentID === studentID);
     
     if (savedStudent) {
-      checkbox.checked = savedStudent.present;
+      setRowStatus(checkbox, savedStudent.status || (savedStudent.present ? 'P' : 'A'));
     }
   });
   
-  const total = checkboxes.length;
-  const present = Array.from(checkboxes).filter(cb => cb.checked).length;
-  updateCounts(present, total - present);
+  refreshCounts();
 }
 
 function clearLocalStorage() {
   localStorage.removeItem('attendanceData');
 }
 
+// ============================================================================
+// ATTENDANCE STATUS FUNCTIONS
+// ============================================================================
+
+async function loadStatusRules() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/attendance/status-rules`);
+    const data = await response.json();
+    if (data.success && data.rules) {
+      statusRules = data.rules;
+    }
+  } catch (error) {
+    console.warn('⚠️ Using default status rules:', error.message);
+  }
+}
+
+function renderStatusSelect(studentID, status) {
+  const options = Object.entries(statusRules).map(([code, rule]) =>
+    `<option value="${code}" ${code === status ? 'selected' : ''}>${code} - ${rule.label}</option>`
+  ).join('');
+  
+  return `<select class="status-select" data-student-id="${studentID}">${options}</select>`;
+}
+
+function getRowStatus(checkbox) {
+  const select = checkbox.closest('tr')?.querySelector('.status-select');
+  return select ? select.value : (checkbox.checked ? 'P' : 'A');
+}
+
+function setRowStatus(checkbox, status) {
+  const select = checkbox.closest('tr')?.querySelector('.status-select');
+  if (select) select.value = status;
+  checkbox.checked = IN_CLASS_STATUSES.includes(status);
+}
+
+function refreshCounts() {
+  const checkboxes = studentsList.querySelectorAll('input[type="checkbox"]');
+  const present = Array.from(checkboxes).filter(cb => cb.checked).length;
+  updateCounts(present, checkboxes.length - present);
+}
+
 // ============================================================================
 // SUBJECT SELECTION FUNCTIONS
 // ============================================================================
@@ -135,9 +192,60 @@ function showSubjectDropdown() {
 }
 
 // ============================================================================
-// TIME SLOT CALCULATION
+// TIME SLOT (TIMETABLE)
 // ============================================================================
 
+async function resolveTimetablePeriod(classInfo) {
+  resolvedPeriod = null;
+  
+  if (classInfo) {
+    try {
+      const params = new URLSearchParams({
+        stream: classInfo.stream,
+        semester: classInfo.semester,
+        subject: classInfo.subject,
+        date: dateInput.value
+      });
+      if (classInfo.period) params.set('period', classInfo.period);
+      // Combined sections ('A,B') have no single timetable row
+      if (classInfo.section && !String(classInfo.section).includes(',')) params.set('section', classInfo.section);
+      if (classInfo.batch) params.set('batch', classInfo.batch);
+      
+      const response = await fetch(`${API_BASE_URL}/timetable/resolve?${params}`);
+      const data = await response.json();
+      
+      if (data.success && data.period) {
+        resolvedPeriod = data.period;
+        console.log('🗓️ Timetable period:', resolvedPeriod);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not resolve timetable period:', error.message);
+    }
+  }
+  
+  updateTimeSlotDisplay();
+  return resolvedPeriod;
+}
+
+function getSessionTime() {
+  return resolvedPeriod ? resolvedPeriod.time : calculateCurrentTimeSlot();
+}
+
+function updateTimeSlotDisplay() {
+  const timeSlotElement = document.getElementById('classTimeSlot');
+  if (!timeSlotElement) return;
+  
+  const label = resolvedPeriod
+    ? `Period ${resolvedPeriod.period} • ${resolvedPeriod.time}${resolvedPeriod.room ? ` • ${resolvedPeriod.room}` : ''}`
+    : `${calculateCurrentTimeSlot()} (not in timetable)`;
+  
+  timeSlotElement.innerHTML = `
+      <i class="fas fa-clock" style="margin-right: 4px; opacity: 0.8;"></i>
+      ${label}
+    `;
+}
+
+// Fallback label for classes without a timetable entry
 function calculateCurrentTimeSlot() {
   try {
     const now = new Date();
@@ -183,17 +291,13 @@ function calculateCurrentTimeSlot() {
 
 function showClassInfo(classInfo) {
   document.getElementById('classSubjectName').textContent = classInfo.subject;
-  document.getElementById('classStreamSem').textContent = `${classInfo.stream} • Semester ${classInfo.semester}`;
+  const sectionText = classInfo.section ? ` • Section ${String(classInfo.section).split(',').join('+')}` : '';
+  const batchText = classInfo.batch ? ` • ${classInfo.batch}` : '';
+  document.getElementById('classStreamSem').textContent = `${classInfo.stream} • Semester ${classInfo.semester}${sectionText}${batchText}`;
   document.getElementById('classDate').textContent = new Date().toLocaleDateString();
   
-  const timeSlot = calculateCurrentTimeSlot();
-  const timeSlotElement = document.getElementById('classTimeSlot');
-  if (timeSlotElement) {
-    timeSlotElement.innerHTML = `
-      <i class="fas fa-clock" style="margin-right: 4px; opacity: 0.8;"></i>
-      ${timeSlot}
-    `;
-  }
+  updateTimeSlotDisplay();
+  resolveTimetablePeriod(classInfo);
   
   classInfoCard.classList.remove('hidden');
 }
@@ -207,8 +311,12 @@ async function loadStudentsFromDatabase(classInfo) {
     showLoadingState();
     console.log('📥 Loading students for:', classInfo);
     
-    // Try to load students from database
-    const response = await fetch(`${API_BASE_URL}/students/${encodeURIComponent(classInfo.stream)}/sem${classInfo.semester}`, {
+    // Only the students enrolled in this subject (and section / lab batch, if any)
+    const params = new URLSearchParams({ subject: classInfo.subject });
+    if (classInfo.section) params.set('section', classInfo.section);
+    if (classInfo.batch) params.set('batch', classInfo.batch);
+    
+    const response = await fetch(`${API_BASE_URL}/students/${encodeURIComponent(classInfo.stream)}/sem${classInfo.semester}?${params}`, {
       method: 'GET',
       headers: {
         'Cache-Control': 'no-cache',
@@ -243,7 +351,7 @@ function displayStudents(students) {
   if (!students || students.length === 0) {
     studentsList.innerHTML = `
       <tr>
-        <td colspan="4" style="padding: 20px; text-align: center; color: #6b7280;">
+        <td colspan="5" style="padding: 20px; text-align: center; color: #6b7280;">
           <div style="font-size: 2rem; margin-bottom: 8px; color: #d1d5db;">📚</div>
           <div>No students found for this selection</div>
         </td>
@@ -282,6 +390,7 @@ function displayStudents(students) {
           checked 
         />
       </td>
+      <td>${renderStatusSelect(student.studentID, 'P')}</td>
     </tr>
   `).join('');
   
@@ -299,7 +408,7 @@ function displayStudents(students) {
 function showLoadingState() {
   studentsList.innerHTML = `
     <tr>
-      <td colspan="4" style="padding: 30px; text-align: center;">
+      <td colspan="5" style="padding: 30px; text-align: center;">
         <div style="display: inline-block; width: 24px; height: 24px; border: 3px solid #e5e7eb; border-top-color: #3b82f6; border-radius: 50%; animation: spin 0.8s linear infinite;"></div>
         <div style="margin-top: 12px; color: #6b7280;">Loading students...</div>
       </td>
@@ -312,7 +421,7 @@ function showLoadingState() {
 function showErrorState(message) {
   studentsList.innerHTML = `
     <tr>
-      <td colspan="4" style="padding: 20px; text-align: center; color: #EF5350;">
+      <td colspan="5" style="padding: 20px; text-align: center; color: #EF5350;">
         <div style="font-size: 1.5rem; margin-bottom: 8px;">⚠️</div>
         <div>${message}</div>
         <button onclick="location.reload()" style="margin-top: 12px; padding: 8px 16px; background: #EF5350; color: white; border: none; border-radius: 8px; cursor: pointer; font-weight: 600;">
@@ -719,11 +828,12 @@ function setupSubmitButton() {
             submitBtn.disabled = true;
             submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Submitting...';
 
-            const studentsPresent = Array.from(checkedBoxes).map(cb => 
-              cb.dataset.studentId || cb.value
-            );
+            const records = Array.from(checkboxes).map(cb => ({
+              studentID: cb.dataset.studentId || cb.value,
+              status: getRowStatus(cb)
+            }));
 
-            const timeSlot = calculateCurrentTimeSlot();
+            const timeSlot = getSessionTime();
 
             const apiUrl = currentClassInfo 
               ? `${API_BASE_URL}/attendance/${encodeURIComponent(currentClassInfo.stream)}/sem${currentClassInfo.semester}/${encodeURIComponent(subject)}`
@@ -734,39 +844,67 @@ function setupSubmitButton() {
               time: timeSlot,
               teacherEmail: userData.userEmail,
               subject,
-              presentStudents: studentsPresent.length,
+              presentStudents,
               totalStudents
             });
 
-            const res = await fetch(apiUrl, {
-              method: "POST",
-              headers: { 
-                "Content-Type": "application/json",
-                "Accept": "application/json"
-              },
-              body: JSON.stringify({ 
-                date, 
-                time: timeSlot,
-                teacherEmail: userData.userEmail,
-                subject, 
-                studentsPresent, 
-                totalStudents,
-                presentCount: presentStudents, 
-                absentCount: absentStudents,
-                classInfo: currentClassInfo
-              })
-            });
+            const payload = { 
+              date, 
+              time: timeSlot,
+              period: resolvedPeriod?.period,
+              teacherEmail: userData.userEmail,
+              subject, 
+              records, 
+              totalStudents,
+              presentCount: presentStudents, 
+              absentCount: absentStudents,
+              sections: currentClassInfo?.section || '',
+              batch: currentClassInfo?.batch || '',
+              classInfo: currentClassInfo
+            };
+
+            const payloadText = JSON.stringify(payload);
+            if (!pendingSubmission || pendingSubmission.payloadText !== payloadText) {
+              pendingSubmission = { key: crypto.randomUUID(), payloadText };
+            }
+
+            let res = await postAttendance(apiUrl, payload, pendingSubmission.key);
+
+            // The class was already marked - offer to merge into or overwrite it
+            if (res.status === 409) {
+              const conflict = await res.clone().json().catch(() => ({}));
+              if (conflict.duplicate) {
+                const onDuplicate = chooseDuplicateMode(conflict.existing);
+                if (!onDuplicate) {
+                  showNotification("Not submitted - attendance for this class was already submitted", "warning");
+                  return;
+                }
+                res = await postAttendance(apiUrl, { ...payload, onDuplicate }, pendingSubmission.key);
+              }
+            }
 
             if (!res.ok) {
               const errorText = await res.text();
-              throw new Error(`HTTP ${res.status}: ${errorText}`);
+              let errorMessage = errorText;
+              try {
+                errorMessage = JSON.parse(errorText).error || errorText;
+              } catch (parseError) {
+                // Not JSON - show the raw response
+              }
+              throw new Error(`HTTP ${res.status}: ${errorMessage}`);
             }
 
             const result = await res.json();
 
             if (result.success !== false) {
+              pendingSubmission = null;
               showSubmittedConfirmation(subject, formattedDate, presentStudents, totalStudents);
               
+              // Calendar warnings, e.g. a session on a non-working Saturday
+              if (result.warnings && result.warnings.length > 0) {
+                showNotification(result.warnings.join('; '), 'warning');
+              }
+              
               clearLocalStorage();
               dateInput.value = new Date().toISOString().split("T")[0];
               
@@ -774,7 +912,7 @@ function setupSubmitButton() {
                 subjectSelect.value = "";
               }
               
-              checkboxes.forEach(cb => cb.checked = false);
+              checkboxes.forEach(cb => setRowStatus(cb, 'A'));
               updateCounts(0, 0);
               
             } else {
@@ -794,6 +932,32 @@ function setupSubmitButton() {
   }
 }
 
+function postAttendance(apiUrl, payload, idempotencyKey) {
+  return fetch(apiUrl, {
+    method: "POST",
+    headers: { 
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+      "Idempotency-Key": idempotencyKey
+    },
+    body: JSON.stringify(payload)
+  });
+}
+
+// Ask how to handle a class that already has a session: 'merge', 'overwrite' or null
+function chooseDuplicateMode(existing) {
+  const when = `${new Date(existing.date).toLocaleDateString('en-IN')} ${existing.time || ''}`.trim();
+  const by = existing.conductedBy ? ` by ${existing.conductedBy.name || existing.conductedBy.email}` : '';
+
+  if (confirm(`⚠️ Attendance for ${existing.subject} on ${when} was already submitted${by}.\n\nMerge? Students marked here replace their status in the saved session; everyone else keeps theirs.`)) {
+    return 'merge';
+  }
+  if (confirm('Overwrite the saved session with this attendance instead?')) {
+    return 'overwrite';
+  }
+  return null;
+}
+
 // ============================================================================
 // EVENT LISTENERS
 // ============================================================================
@@ -803,10 +967,14 @@ function setupEventListeners() {
   if (studentsList) {
     studentsList.addEventListener('change', function(event) {
       if (event.target && event.target.matches('input[type="checkbox"]')) {
-        const checkboxes = studentsList.querySelectorAll('input[type="checkbox"]');
-        const total = checkboxes.length;
-        const present = Array.from(checkboxes).filter(cb => cb.checked).length;
-        updateCounts(present, total - present);
+        // Ticking/unticking resets the student to plain Present/Absent
+        setRowStatus(event.target, event.target.checked ? 'P' : 'A');
+        refreshCounts();
+        saveToLocalStorage();
+      } else if (event.target && event.target.matches('.status-select')) {
+        const checkbox = event.target.closest('tr').querySelector('input[type="checkbox"]');
+        setRowStatus(checkbox, event.target.value);
+        refreshCounts();
         saveToLocalStorage();
       }
     });
@@ -823,6 +991,11 @@ function setupEventListeners() {
         dateInput.value = today;
       }
       
+      // A different weekday means a different timetable period
+      if (currentClassInfo) {
+        resolveTimetablePeriod(currentClassInfo);
+      }
+      
       saveToLocalStorage();
     });
   }
@@ -871,6 +1044,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   
   // Load user info
   loadUserInfo();
+  await loadStatusRules();
   
   // Set today's date
   const today = new Date().toISOString().split('T')[0];
@@ -216,7 +216,7 @@ async function extractDynamicData() {
     // Fetch languages
     try {
         const timestamp = new Date().getTime();
-        const languagesResponse = await fetch(`/api/subjects/languages?t=${timestamp}`, {
+        const languagesResponse = await fetch(`/api/students/subjects/languages?t=${timestamp}`, {
             headers: {
                 'Cache-Control': 'no-cache, no-store, must-revalidate',
                 'Pragma': 'no-cache'
@@ -811,7 +811,7 @@ async function deleteStudent(studentId) {
         const data = await response.json();
         
         if (data.success) {
-            showNotification('✅ Student deleted successfully', 'success');
+            showNotification('✅ Student moved to the recycle bin', 'success');
             await loadAllStudents();
         } else {
             showNotification('❌ Error: ' + data.error, 'error');
@@ -833,7 +833,7 @@ async function bulkDelete() {
             fetch(`/api/students/${id}`, { method: 'DELETE' })
         );
         await Promise.all(promises);
-        showNotification(`✅ ${selectedStudents.size} students deleted`, 'success');
+        showNotification(`✅ ${selectedStudents.size} students moved to the recycle bin`, 'success');
         clearSelection();
         await loadAllStudents();
     } catch (error) {
@@ -1091,6 +1091,8 @@ async function processBulkUpload() {
                 parentPhone: row.parentPhone || row.ParentPhone || row.Phone || '',
                 languageSubject: row.languageSubject || row.LanguageSubject || row.Language || '',
                 electiveSubject: row.electiveSubject || row.ElectiveSubject || row.Elective || '',
+                preferredLanguage: row.preferredLanguage || row.PreferredLanguage || '',
+                dateOfBirth: row.dateOfBirth || row.DateOfBirth || row.DOB || '',
                 stream: stream,
                 semester: parseInt(semester),
                 academicYear: new Date().getFullYear(),
@@ -22,6 +22,8 @@ if (!window.firebaseAuth) {
 let attendanceQueue = [];
 let createdSubjects = [];
 let completedClasses = [];
+let todayPeriods = [];
+let shortageAlerts = [];
 let selectedStreamData = null;
 let createSelectedStreamData = null;
 let currentSection = 'todaySection';
@@ -40,6 +42,11 @@ const elements = {
   queueList: document.getElementById('queueList'),
   queueCount: document.getElementById('queueCount'),
   emptyQueuePrompt: document.getElementById('emptyQueuePrompt'),
+  timetableBlock: document.getElementById('timetableBlock'),
+  timetableList: document.getElementById('timetableList'),
+  alertsBlock: document.getElementById('alertsBlock'),
+  alertsList: document.getElementById('alertsList'),
+  alertsCount: document.getElementById('alertsCount'),
   subjectsList: document.getElementById('subjectsList'),
   emptySubjectsPrompt: document.getElementById('emptySubjectsPrompt'),
   completedList: document.getElementById('completedList'),
@@ -48,6 +55,8 @@ const elements = {
   createStreamContainer: document.getElementById('createStreamContainer'),
   createSemester: document.getElementById('createSemester'),
   createSubject: document.getElementById('createSubject'),
+  createSections: document.getElementById('createSections'),
+  createBatch: document.getElementById('createBatch'),
   createSubjectForm: document.getElementById('createSubjectForm'),
   createSubjectPage: document.getElementById('createSubjectPage'),
   todaySection: document.getElementById('todaySection'),
@@ -236,6 +245,29 @@ if (elements.createSubjectForm) {
   elements.createSubjectForm.addEventListener('submit', handleCreateSubject);
 }
 
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+// 'a, b' -> ['A', 'B']; empty means the whole class
+function parseSectionList(value) {
+  return [...new Set(String(value || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean))];
+}
+
+function sectionLabel(sections) {
+  return sections && sections.length > 0 ? ` (${sections.join('+')})` : '';
+}
+
+// Section and lab batch of a subject/queue item, e.g. ' (A) · Batch 1'
+function classLabel(item) {
+  return sectionLabel(item.sections) + (item.batch ? ` · ${item.batch}` : '');
+}
+
+// A class for the whole semester overlaps every section
+function sectionsOverlap(a = [], b = []) {
+  return a.length === 0 || b.length === 0 || a.some(section => b.includes(section));
+}
+
 // ============================================================================
 // HANDLE CREATE SUBJECT
 // ============================================================================
@@ -246,6 +278,8 @@ async function handleCreateSubject(e) {
   const stream = createSelectedStreamData?.name;
   const semester = elements.createSemester?.value;
   const subject = elements.createSubject?.value;
+  const sections = parseSectionList(elements.createSections?.value);
+  const batch = (elements.createBatch?.value || '').trim();
   
   if (!stream || !semester || !subject) {
     showNotification('Please fill all fields', 'error');
@@ -260,7 +294,9 @@ async function handleCreateSubject(e) {
   const exists = createdSubjects.some(s => 
     s.stream === stream && 
     s.semester === parseInt(semester) && 
-    s.subject === subject
+    s.subject === subject &&
+    sectionsOverlap(s.sections, sections) &&
+    (s.batch || '').toLowerCase() === batch.toLowerCase()
   );
   
   if (exists) {
@@ -273,6 +309,8 @@ async function handleCreateSubject(e) {
     stream,
     semester: parseInt(semester),
     subject,
+    sections,
+    batch,
     createdAt: new Date().toISOString(),
     teacherEmail: userData.userEmail
   };
@@ -281,12 +319,14 @@ async function handleCreateSubject(e) {
     await saveSubjectToDatabase(subjectData);
     await loadAllData();
     updateSubjectsDisplay();
+    if (elements.createSections) elements.createSections.value = '';
+    if (elements.createBatch) elements.createBatch.value = '';
     cancelCreateSubject();
     showNotification('Subject created successfully', 'success');
     console.log('✅ Subject created:', subjectData);
   } catch (error) {
     console.error('Failed to save subject:', error);
-    showNotification('Failed to create subject', 'error');
+    showNotification(`Failed to create subject: ${error.message}`, 'error');
   }
 }
 
@@ -311,8 +351,8 @@ async function saveSubjectToDatabase(subjectData) {
     });
     
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
+      const errorBody = await response.json().catch(() => ({}));
+      throw new Error(errorBody.error || `HTTP ${response.status}`);
     }
     
     const result = await response.json();
@@ -494,6 +534,77 @@ async function saveCompletedToDatabase(completedClass) {
   }
 }
 
+async function loadTodayTimetable() {
+  try {
+    console.log('📥 Loading today\'s timetable...');
+    
+    const response = await fetch(`${API_BASE_URL}/timetable/today`, {
+      headers: {
+        'Cache-Control': 'no-cache',
+        'Pragma': 'no-cache'
+      }
+    });
+    
+    const data = await response.json();
+    
+    if (data.success && Array.isArray(data.periods)) {
+      todayPeriods = data.periods;
+      console.log(`✅ Loaded ${todayPeriods.length} periods for ${data.day}`);
+    } else {
+      throw new Error(data.error || 'Invalid response format');
+    }
+    
+  } catch (error) {
+    console.error('❌ Failed to load timetable:', error);
+    todayPeriods = [];
+  }
+}
+
+async function loadShortageAlerts() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/alerts?status=open`, {
+      headers: {
+        'Cache-Control': 'no-cache',
+        'Pragma': 'no-cache'
+      }
+    });
+    
+    const data = await response.json();
+    
+    if (data.success && Array.isArray(data.alerts)) {
+      // Critical first, then the lowest percentage
+      shortageAlerts = data.alerts.sort((a, b) =>
+        (a.level === b.level ? 0 : a.level === 'critical' ? -1 : 1) || a.percentage - b.percentage
+      );
+      console.log(`✅ Loaded ${shortageAlerts.length} shortage alerts`);
+    } else {
+      throw new Error(data.error || 'Invalid response format');
+    }
+    
+  } catch (error) {
+    console.error('❌ Failed to load shortage alerts:', error);
+    shortageAlerts = [];
+  }
+}
+
+async function acknowledgeAlert(alertId) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/alerts/${alertId}/acknowledge`, { method: 'PUT' });
+    const data = await response.json();
+    
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to acknowledge alert');
+    }
+    
+    shortageAlerts = shortageAlerts.filter(a => a._id !== alertId);
+    updateAlertsDisplay();
+    
+  } catch (error) {
+    console.error('❌ Failed to acknowledge alert:', error);
+    showNotification(error.message, 'error');
+  }
+}
+
 async function loadAllData() {
   try {
     if (!userData.userEmail) {
@@ -506,13 +617,17 @@ async function loadAllData() {
     await Promise.all([
       loadSubjectsFromDatabase(),
       loadQueueFromDatabase(),
-      loadCompletedFromDatabase()
+      loadCompletedFromDatabase(),
+      loadTodayTimetable(),
+      loadShortageAlerts()
     ]);
     
     console.log('✅ All data loaded from database:', {
       subjects: createdSubjects.length,
       queue: attendanceQueue.length,
-      completed: completedClasses.length
+      completed: completedClasses.length,
+      periods: todayPeriods.length,
+      alerts: shortageAlerts.length
     });
     
   } catch (error) {
@@ -523,11 +638,86 @@ async function loadAllData() {
 // DISPLAY FUNCTIONS - MOBILE OPTIMIZED
 // ============================================================================
 
+// Today's period for a class, if the timetable has one
+function findTodayPeriod(item) {
+  return todayPeriods.find(p =>
+    p.stream === item.stream &&
+    p.semester === parseInt(item.semester) &&
+    p.subject === item.subject &&
+    (!p.section || sectionsOverlap(item.sections, [p.section])) &&
+    (!p.batch || !item.batch || p.batch.toLowerCase() === item.batch.toLowerCase())
+  );
+}
+
+function updateTimetableDisplay() {
+  if (!elements.timetableList) return;
+  
+  if (todayPeriods.length === 0) {
+    elements.timetableBlock?.classList.add('hidden');
+    elements.timetableList.innerHTML = '';
+    return;
+  }
+  
+  elements.timetableBlock?.classList.remove('hidden');
+  elements.timetableList.style.display = 'flex';
+  elements.timetableList.style.flexDirection = 'column';
+  elements.timetableList.style.gap = '16px';
+  
+  const dateStr = new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  
+  elements.timetableList.innerHTML = todayPeriods.map(period => `
+      <div class="class-card">
+        <div class="class-header">
+          <div class="class-date">${dateStr} • Period ${period.period}</div>
+          <div class="class-time">${period.time}</div>
+        </div>
+        
+        <h3 class="class-title">${period.stream}, Sem ${period.semester}${period.section ? ` (${period.section})` : ''}${period.batch ? ` · ${period.batch}` : ''}</h3>
+        <p class="class-subject">${period.subject}${period.room ? ` • ${period.room}` : ''}</p>
+        
+        <div class="class-actions">
+          <button onclick="attendPeriod('${period._id}')" class="class-btn btn-attend">
+            Attend
+          </button>
+        </div>
+      </div>
+    `).join('');
+}
+
+function updateAlertsDisplay() {
+  if (!elements.alertsList) return;
+  
+  if (shortageAlerts.length === 0) {
+    elements.alertsBlock?.classList.add('hidden');
+    elements.alertsList.innerHTML = '';
+    return;
+  }
+  
+  elements.alertsBlock?.classList.remove('hidden');
+  if (elements.alertsCount) {
+    elements.alertsCount.textContent = shortageAlerts.length;
+  }
+  
+  elements.alertsList.innerHTML = shortageAlerts.map(alert => `
+      <div class="alert-card ${alert.level}">
+        <div class="alert-info">
+          <div class="alert-student">${alert.studentName || alert.studentID}</div>
+          <div class="alert-detail">
+            ${alert.studentID} • ${alert.stream}, Sem ${alert.semester} • ${alert.subject || 'Overall'}
+            • ${alert.present}/${alert.total} sessions, below ${alert.threshold}%
+          </div>
+        </div>
+        <div class="alert-percentage">${alert.percentage}%</div>
+        <button onclick="acknowledgeAlert('${alert._id}')" class="alert-ack">Seen</button>
+      </div>
+    `).join('');
+}
+
 function updateQueueDisplay() {
   if (!elements.queueList) return;
   
   if (attendanceQueue.length === 0) {
-    elements.emptyQueuePrompt?.classList.remove('hidden');
+    elements.emptyQueuePrompt?.classList.toggle('hidden', todayPeriods.length > 0);
     elements.queueList.innerHTML = '';
     elements.queueList.style.display = 'none';
   } else {
@@ -541,8 +731,9 @@ function updateQueueDisplay() {
       const date = new Date();
       const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
       
-      // Format time (10am - 11am)
-      const timeStr = "10am - 11am"; // You can make this dynamic based on item data
+      // Time from today's timetable
+      const period = findTodayPeriod(item);
+      const timeStr = period ? period.time : 'Not in timetable';
       
       return `
       <div class="class-card">
@@ -551,7 +742,7 @@ function updateQueueDisplay() {
           <div class="class-time">${timeStr}</div>
         </div>
         
-        <h3 class="class-title">${item.stream}, Sem ${item.semester}</h3>
+        <h3 class="class-title">${item.stream}, Sem ${item.semester}${classLabel(item)}</h3>
         <p class="class-subject">${item.subject}</p>
         
         <div class="class-actions">
@@ -591,7 +782,8 @@ function updateSubjectsDisplay() {
       const isInQueue = attendanceQueue.some(q => 
         q.stream === item.stream && 
         q.semester === item.semester && 
-        q.subject === item.subject
+        q.subject === item.subject &&
+        classLabel(q) === classLabel(item)
       );
       
       return `
@@ -620,7 +812,7 @@ function updateSubjectsDisplay() {
             <div style="font-size: 13px; color: #64748B; display: flex; align-items: center; gap: 5px;">
               <span>${item.stream}</span>
               <span style="color: #CBD5E1;">•</span>
-              <span>Semester ${item.semester}</span>
+              <span>Semester ${item.semester}${classLabel(item)}</span>
             </div>
           </div>
           
@@ -753,7 +945,8 @@ async function addToQueue(subjectId) {
   const existsInQueue = attendanceQueue.some(item => 
     item.stream === subject.stream && 
     item.semester === subject.semester && 
-    item.subject === subject.subject
+    item.subject === subject.subject &&
+    classLabel(item) === classLabel(subject)
   );
   
   if (existsInQueue) {
@@ -766,6 +959,8 @@ async function addToQueue(subjectId) {
     stream: subject.stream,
     semester: subject.semester,
     subject: subject.subject,
+    sections: subject.sections || [],
+    batch: subject.batch || '',
     addedAt: new Date().toISOString(),
     teacherEmail: userData.userEmail
   };
@@ -839,6 +1034,26 @@ async function deleteSubject(subjectId) {
   }
 }
 
+// Open the register of a completed class once its attendance is saved
+function viewDetails(completedId) {
+  const item = completedClasses.find(c => c.id === completedId);
+  if (!item) return;
+  
+  if (!item.attendanceId) {
+    showNotification('Attendance has not been submitted for this class yet', 'warning');
+    return;
+  }
+  
+  // view-attendance.html reopens the last register it showed
+  localStorage.setItem('attendanceViewState', JSON.stringify({
+    stream: item.stream,
+    semester: String(item.semester),
+    subject: item.subject,
+    timestamp: Date.now()
+  }));
+  window.location.href = 'view-attendance.html';
+}
+
 // ============================================================================
 // TAKE ATTENDANCE
 // ============================================================================
@@ -878,10 +1093,16 @@ async function takeAttendance(itemId) {
     showNotification('Class marked as completed', 'success');
     console.log('✅ Moved to completed history:', completedClass);
     
+    const period = findTodayPeriod(item);
+    
     sessionStorage.setItem('attendanceSession', JSON.stringify({
       stream: item.stream,
       semester: item.semester,
       subject: item.subject,
+      period: period?.period,
+      // The period's section, else the sections the subject is taught to
+      section: period?.section || (item.sections || []).join(','),
+      batch: period?.batch || item.batch || '',
       completedId: completedClass.id,
       teacherEmail: userData.userEmail,
       teacherName: userData.userName
@@ -900,6 +1121,52 @@ async function takeAttendance(itemId) {
   }
 }
 
+// Take attendance straight from a timetable period
+async function attendPeriod(periodId) {
+  const period = todayPeriods.find(p => p._id === periodId);
+  if (!period) {
+    showNotification('Class not found', 'error');
+    return;
+  }
+  
+  console.log('📋 Taking attendance for period:', period);
+  
+  try {
+    const completedClass = {
+      id: Date.now().toString(),
+      stream: period.stream,
+      semester: period.semester,
+      subject: period.subject,
+      completedAt: new Date().toISOString(),
+      teacherEmail: userData.userEmail
+    };
+    
+    await saveCompletedToDatabase(completedClass);
+    completedClasses.push(completedClass);
+    updateCompletedDisplay();
+    
+    sessionStorage.setItem('attendanceSession', JSON.stringify({
+      stream: period.stream,
+      semester: period.semester,
+      subject: period.subject,
+      period: period.period,
+      section: period.section,
+      batch: period.batch || '',
+      completedId: completedClass.id,
+      teacherEmail: userData.userEmail,
+      teacherName: userData.userName
+    }));
+    
+    setTimeout(() => {
+      window.location.href = 'index.html';
+    }, 800);
+    
+  } catch (error) {
+    console.error('❌ Failed to start attendance:', error);
+    showNotification('Failed to start attendance', 'error');
+  }
+}
+
 // ============================================================================
 // NOTIFICATION SYSTEM
 // ============================================================================
@@ -1050,6 +1317,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     await fetchStreamsFromDatabase();
     await loadAllData();
     
+    updateTimetableDisplay();
+    updateAlertsDisplay();
     updateQueueDisplay();
     updateSubjectsDisplay();
     updateCompletedDisplay();
@@ -1068,6 +1337,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 window.addToQueue = addToQueue;
 window.removeFromQueue = removeFromQueue;
 window.takeAttendance = takeAttendance;
+window.attendPeriod = attendPeriod;
+window.acknowledgeAlert = acknowledgeAlert;
 window.deleteSubject = deleteSubject;
 window.cancelCreateSubject = () => {
   if (elements.createSubjectPage) elements.createSubjectPage.classList.add('hidden');
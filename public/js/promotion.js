@@ -3,6 +3,7 @@
 // ============================================================================
 
 let selectedStream = '';
+let undoWindowHours = 24;
 
 document.addEventListener('DOMContentLoaded', function() {
   loadStreamsFromDatabase();
@@ -71,6 +72,7 @@ async function loadPromotionPreview() {
     previewDiv.classList.add('hidden');
     statsRow.style.display = 'none';
     if (undoSection) undoSection.classList.add('hidden');
+    document.getElementById('historySection').classList.add('hidden');
     return;
   }
   
@@ -85,15 +87,16 @@ async function loadPromotionPreview() {
       
       // Update top stats
       document.getElementById('totalStudents').textContent = data.totalStudents || 0;
-      document.getElementById('willGraduate').textContent = data.semesterBreakdown?.semester6 || 0;
-      document.getElementById('willPromote').textContent = (data.totalStudents || 0) - (data.semesterBreakdown?.semester6 || 0);
+      const finalSemester = data.finalSemester || 6;
+      document.getElementById('willGraduate').textContent = data.semesterBreakdown?.[`semester${finalSemester}`] || 0;
+      document.getElementById('willPromote').textContent = (data.totalStudents || 0) - (data.semesterBreakdown?.[`semester${finalSemester}`] || 0);
       document.getElementById('sem1Empty').textContent = data.semesterBreakdown?.semester1 || 0;
       
-      // Update semester grid (6 boxes)
+      // Update semester grid (one box per semester of the stream)
       const semesterGrid = document.getElementById('semesterGrid');
       semesterGrid.innerHTML = '';
       
-      for (let sem = 1; sem <= 6; sem++) {
+      for (let sem = 1; sem <= finalSemester; sem++) {
         const count = data.semesterBreakdown?.[`semester${sem}`] || 0;
         semesterGrid.innerHTML += `
           <div class="semester-box">
@@ -109,7 +112,7 @@ async function loadPromotionPreview() {
       
       promotionFlow.innerHTML = flowItems.map(flow => {
         // Parse: "Sem 1 → Sem 2 (0 students)"
-        const match = flow.match(/Sem (\d) → (Sem \d|Graduate) \((\d+) students\)/);
+        const match = flow.match(/Sem (\d+) → (Sem \d+|Graduate) \((\d+) students\)/);
         if (match) {
           const [, from, to, count] = match;
           return `
@@ -122,6 +125,9 @@ async function loadPromotionPreview() {
         return `<div class="flow-card">${flow}</div>`;
       }).join('');
       
+      renderStudentDecisions(data);
+      loadPromotionHistory();
+      
       // Check if undo is available
       if (undoSection) {
         try {
@@ -134,7 +140,7 @@ async function loadPromotionPreview() {
             
             if (undoBtn) undoBtn.disabled = false;
             if (undoInfo) {
-              undoInfo.textContent = `Backup available from ${new Date(undoData.backupTimestamp).toLocaleString()} (${undoData.studentsInBackup} students · ${undoData.hoursOld} hours old)`;
+              undoInfo.textContent = `Backup available from ${new Date(undoData.backupTimestamp).toLocaleString()} (${undoData.studentsInBackup} students · ${undoData.hoursOld} hours old · undo until ${new Date(undoData.undoExpiresAt).toLocaleString()})`;
             }
             undoSection.classList.remove('hidden');
           } else {
@@ -155,6 +161,75 @@ async function loadPromotionPreview() {
   }
 }
 
+// ============================================================================
+// PER-STUDENT DECISIONS (detain / promote overrides)
+// ============================================================================
+function renderStudentDecisions(data) {
+  const tbody = document.getElementById('studentDecisions');
+  if (!tbody) return;
+  
+  const reasons = data.detentionReasons || {};
+  const students = (data.transitions || []).filter(t => t.action !== 'skipped');
+  document.getElementById('detainedCount').textContent = data.totals?.detained || 0;
+  
+  if (students.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #6B7280;">No active students</td></tr>';
+    return;
+  }
+  
+  tbody.innerHTML = students.map(t => {
+    const detention = t.detention || {};
+    const attendance = detention.attendance === null || detention.attendance === undefined ? '—' : `${detention.attendance}%`;
+    const outcome = t.action === 'detained'
+      ? `Detained (${t.reason})`
+      : t.action === 'graduated' ? 'Graduates' : `→ Sem ${t.to}`;
+    const current = detention.override === 'promote'
+      ? 'promote'
+      : detention.override === 'detain' ? `detain:${detention.reason}` : 'auto';
+    
+    const options = [
+      `<option value="auto">Auto (${detention.suggested === 'detain' ? 'detain' : 'promote'})</option>`,
+      '<option value="promote">Promote</option>',
+      ...Object.entries(reasons).map(([key, label]) => `<option value="detain:${key}">Detain – ${label}</option>`)
+    ].map(option => option.replace(`value="${current}"`, `value="${current}" selected`)).join('');
+    
+    return `
+      <tr class="${t.action === 'detained' ? 'detained' : ''}">
+        <td><strong>${t.studentID}</strong> ${t.name || ''}</td>
+        <td>${t.from}${t.section ? ` (${t.section})` : ''}</td>
+        <td class="${detention.suggested === 'detain' ? 'low' : ''}">${attendance}</td>
+        <td>${outcome}</td>
+        <td>
+          <select onchange="setPromotionOverride('${t.studentID}', this.value)">${options}</select>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function setPromotionOverride(studentID, value) {
+  const [action, reason] = value.split(':');
+  
+  try {
+    const response = await fetch(`/api/promotion-override/${encodeURIComponent(selectedStream)}/${encodeURIComponent(studentID)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, reason })
+    });
+    
+    const result = await response.json();
+    
+    if (!response.ok) {
+      alert('❌ Could not save decision: ' + result.message);
+    }
+  } catch (error) {
+    console.error('Error saving override:', error);
+    alert('❌ Network error. Please check your connection.');
+  } finally {
+    loadPromotionPreview(); // Refresh counts and outcomes
+  }
+}
+
 // ============================================================================
 // EXECUTE PROMOTION
 // ============================================================================
@@ -164,7 +239,7 @@ async function executeSimplePromotion() {
     return;
   }
   
-  if (!confirm(`🎓 Promote all students in ${selectedStream}?\n\n⚠️ A backup will be created. You can undo within 24 hours.\n\nContinue?`)) {
+  if (!confirm(`🎓 Promote all students in ${selectedStream}?\n\n⚠️ A backup will be created. You can undo within ${undoWindowHours} hours.\n\nContinue?`)) {
     return;
   }
   
@@ -182,7 +257,10 @@ async function executeSimplePromotion() {
     const result = await response.json();
     
     if (response.ok) {
-      alert(`✅ Promotion Complete for ${result.stream}!\n\n📊 Results:\n• Promoted: ${result.totalPromoted} students\n• Graduated: ${result.totalGraduated} students\n\n💾 Backup created - You can undo within 24 hours.\n\n${result.note || ''}`);
+      console.log('📋 Promotion report:', result.report);
+      const detained = result.totalDetained ? `\n• Detained: ${result.totalDetained} students (stay in their semester)` : '';
+      const skipped = result.totalSkipped ? `\n• Skipped: ${result.totalSkipped} students (inactive or outside the stream's semesters)` : '';
+      alert(`✅ Promotion Complete for ${result.stream}!\n\n📊 Results:\n• Promoted: ${result.totalPromoted} students\n• Graduated: ${result.totalGraduated} students${detained}${skipped}\n\n💾 Backup created.\n\n${result.note || ''}`);
       loadPromotionPreview(); // Refresh to show undo option
     } else {
       alert('❌ Promotion failed: ' + result.message);
@@ -196,6 +274,92 @@ async function executeSimplePromotion() {
   }
 }
 
+// ============================================================================
+// PROMOTION HISTORY (undo any past promotion inside the undo window)
+// ============================================================================
+async function loadPromotionHistory() {
+  const historySection = document.getElementById('historySection');
+  const historyList = document.getElementById('historyList');
+  
+  try {
+    const response = await fetch(`/api/promotion-history/${encodeURIComponent(selectedStream)}`);
+    const data = await response.json();
+    
+    if (!response.ok) throw new Error(data.message);
+    
+    undoWindowHours = data.undoWindowHours;
+    document.getElementById('undoWindowText').textContent = undoWindowHours;
+    
+    if (data.promotions.length === 0) {
+      historySection.classList.add('hidden');
+      return;
+    }
+    
+    historyList.innerHTML = data.promotions.map(p => {
+      const totals = p.totals || {};
+      const status = p.restored
+        ? `Undone ${p.restoredAt ? new Date(p.restoredAt).toLocaleString() : ''}`
+        : p.undo.allowed
+          ? `Undo until ${new Date(p.undo.expiresAt).toLocaleString()}`
+          : p.undo.reason;
+      
+      return `
+        <div class="history-item">
+          <div class="history-meta">
+            <strong>${new Date(p.timestamp).toLocaleString()}</strong>
+            ${p.performedBy || 'Unknown'} · ${totals.promoted || 0} promoted · ${totals.graduated || 0} graduated · ${totals.detained || 0} detained
+          </div>
+          <span class="history-status">${status}</span>
+          ${p.undo.allowed ? `
+            <button class="undo-btn" onclick="undoPromotionById('${p.promotionId}', ${p.undo.newerPromotions})">
+              <i class="material-icons-round" style="font-size: 16px;">undo</i> Undo
+            </button>` : ''}
+        </div>
+      `;
+    }).join('');
+    
+    historySection.classList.remove('hidden');
+  } catch (error) {
+    console.log('Promotion history failed:', error);
+    historySection.classList.add('hidden');
+  }
+}
+
+async function undoPromotionById(promotionId, newerPromotions, force = false) {
+  const later = newerPromotions > 0
+    ? `\n\n${newerPromotions} newer promotion(s) will be undone first.`
+    : '';
+  
+  if (!force && !confirm(`⚠️ UNDO this promotion of ${selectedStream}?\n\nStudents go back to the semesters they were in before it.${later}\n\nContinue?`)) {
+    return;
+  }
+  
+  try {
+    const response = await fetch(`/api/promotion-history/${encodeURIComponent(selectedStream)}/${promotionId}/undo`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ includeLater: newerPromotions > 0, force })
+    });
+    
+    const result = await response.json();
+    
+    if (response.ok) {
+      alert(`✅ ${result.message}\n\n📊 Restored ${result.studentsRestored} students.`);
+      loadPromotionPreview();
+    } else if (result.conflicts && !force) {
+      const names = result.conflicts.slice(0, 10).map(c => `• ${c.studentID}: ${c.problem}`).join('\n');
+      if (confirm(`⚠️ ${result.message}\n\n${names}\n\nUndo anyway? Changed students are reverted, missing ones are skipped.`)) {
+        undoPromotionById(promotionId, newerPromotions, true);
+      }
+    } else {
+      alert('❌ Undo failed: ' + result.message);
+    }
+  } catch (error) {
+    console.error('Error in undo:', error);
+    alert('❌ Network error. Please check your connection.');
+  }
+}
+
 // ============================================================================
 // UNDO LAST PROMOTION
 // ============================================================================
@@ -0,0 +1,128 @@
+// ============================================================================
+// RECYCLE-BIN.JS - Restore or purge deleted sessions and students
+// ============================================================================
+
+let permissions = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('searchBtn').addEventListener('click', loadBin);
+  document.getElementById('kindSelect').addEventListener('change', loadBin);
+  document.getElementById('searchInput').addEventListener('keydown', event => {
+    if (event.key === 'Enter') loadBin();
+  });
+
+  try {
+    const response = await fetch('/api/teacher/me');
+    const me = await response.json();
+    if (me.success) permissions = me.permissions;
+  } catch (error) {
+    console.error('❌ Error loading permissions:', error);
+  }
+
+  await loadBin();
+});
+
+// ============================================================================
+// LIST
+// ============================================================================
+
+async function loadBin() {
+  const binBody = document.getElementById('binBody');
+  const emptyState = document.getElementById('emptyState');
+  const retentionNote = document.getElementById('retentionNote');
+
+  const params = new URLSearchParams();
+  const kind = document.getElementById('kindSelect').value;
+  const q = document.getElementById('searchInput').value.trim();
+  if (kind) params.set('kind', kind);
+  if (q) params.set('q', q);
+
+  try {
+    const response = await fetch(`/api/recycle-bin?${params.toString()}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      alert('❌ Could not load the recycle bin: ' + data.error);
+      return;
+    }
+
+    retentionNote.textContent = `Items are purged ${data.retentionDays} days after they were deleted (students move to the alumni archive).`;
+    retentionNote.classList.remove('hidden');
+
+    binBody.innerHTML = data.entries.map(renderEntry).join('');
+    emptyState.classList.toggle('hidden', data.entries.length > 0);
+
+    binBody.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.dataset.action === 'restore') restoreEntry(button.dataset.id);
+        else purgeEntry(button.dataset.id);
+      });
+    });
+  } catch (error) {
+    console.error('❌ Error loading recycle bin:', error);
+    alert('Error loading the recycle bin: ' + error.message);
+  }
+}
+
+function renderEntry(entry) {
+  const isSession = entry.kind === 'attendance';
+  const title = isSession
+    ? `<strong>${entry.subject}</strong> · ${entry.stream} Sem ${entry.semester} · ${new Date(entry.date).toLocaleDateString('en-IN')} ${entry.time || ''}`
+    : `<strong>${entry.name || 'Unnamed'}</strong> (${entry.studentID}) · ${entry.stream} Sem ${entry.semester}`;
+
+  const canRestore = permissions.includes(isSession ? 'attendance:edit' : 'students:manage');
+  const canPurge = permissions.includes('recycle:purge');
+
+  return `
+    <tr>
+      <td>
+        <span class="kind-badge ${isSession ? '' : 'kind-student'}">${isSession ? 'Session' : 'Student'}</span>
+        ${title}
+        ${entry.reason ? `<div class="bin-meta">Reason: ${entry.reason}</div>` : ''}
+      </td>
+      <td>
+        ${new Date(entry.deletedAt).toLocaleString('en-IN')}
+        <div class="bin-meta">by ${entry.deletedBy || 'unknown'}</div>
+      </td>
+      <td>${new Date(entry.purgeAt).toLocaleDateString('en-IN')}</td>
+      <td>
+        <div class="bin-actions">
+          ${canRestore ? `<button class="modern-btn btn-success" data-action="restore" data-id="${entry._id}">Restore</button>` : ''}
+          ${canPurge ? `<button class="modern-btn btn-danger" data-action="purge" data-id="${entry._id}">Purge</button>` : ''}
+        </div>
+      </td>
+    </tr>
+  `;
+}
+
+// ============================================================================
+// RESTORE / PURGE
+// ============================================================================
+
+async function restoreEntry(id) {
+  try {
+    const response = await fetch(`/api/recycle-bin/${id}/restore`, { method: 'POST' });
+    const result = await response.json();
+
+    alert(result.success ? `♻️ ${result.message}` : '❌ ' + result.error);
+    await loadBin();
+  } catch (error) {
+    console.error('❌ Error restoring item:', error);
+    alert('Error restoring item: ' + error.message);
+  }
+}
+
+async function purgeEntry(id) {
+  if (!confirm('🗑️ Purge this item? Sessions are deleted for good; students move to the alumni archive.')) return;
+
+  try {
+    const response = await fetch(`/api/recycle-bin/${id}`, { method: 'DELETE' });
+    const result = await response.json();
+
+    alert(result.success ? `✅ ${result.message}` : '❌ ' + result.error);
+    await loadBin();
+  } catch (error) {
+    console.error('❌ Error purging item:', error);
+    alert('Error purging item: ' + error.message);
+  }
+}
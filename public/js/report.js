@@ -15,6 +15,9 @@ document.addEventListener('DOMContentLoaded', async function() {
   console.log('📊 Student Attendance Report System initialized');
   addNotificationStyles();
   await loadAvailableStreams();
+  
+  document.getElementById('reportStream').addEventListener('change', loadTerms);
+  document.getElementById('reportSemester').addEventListener('change', loadTerms);
 });
 
 // ============================================================================
@@ -135,6 +138,36 @@ function populateStreamDropdown() {
   console.log('✅ Stream dropdown populated');
 }
 
+// ============================================================================
+// LOAD ACADEMIC TERMS
+// ============================================================================
+
+async function loadTerms() {
+  const stream = document.getElementById('reportStream').value;
+  const semester = document.getElementById('reportSemester').value;
+  const termSelect = document.getElementById('reportTerm');
+  if (!termSelect) return;
+  
+  termSelect.innerHTML = '<option value="">Whole Semester</option>';
+  if (!stream || !semester) return;
+  
+  try {
+    const response = await fetch(`/api/calendar/terms?stream=${encodeURIComponent(stream)}&semester=${semester}`);
+    const data = await response.json();
+    
+    if (data.success) {
+      data.terms.forEach(term => {
+        const option = document.createElement('option');
+        option.value = term._id;
+        option.textContent = `${term.name} (${new Date(term.startDate).toLocaleDateString('en-IN')} - ${new Date(term.endDate).toLocaleDateString('en-IN')})`;
+        termSelect.appendChild(option);
+      });
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load academic terms:', error.message);
+  }
+}
+
 // ============================================================================
 // SHOW NOTIFICATION
 // ============================================================================
@@ -188,6 +221,8 @@ function showNotification(message, type = 'success') {
 async function generateReport() {
   const stream = document.getElementById('reportStream').value;
   const semester = document.getElementById('reportSemester').value;
+  const termId = document.getElementById('reportTerm').value;
+  const section = document.getElementById('reportSection')?.value.trim() || '';
   
   if (!stream || !semester) {
     showNotification('⚠️ Please select both Stream and Semester', 'warning');
@@ -202,7 +237,11 @@ async function generateReport() {
   try {
     console.log(`📊 Generating report for ${stream} Semester ${semester}`);
     
-    const response = await fetch(`/api/reports/student-subject-report/${stream}/sem${semester}`);
+    const params = new URLSearchParams();
+    if (termId) params.set('termId', termId);
+    if (section) params.set('section', section);
+    const query = params.toString() ? `?${params}` : '';
+    const response = await fetch(`/api/reports/student-subject-report/${stream}/sem${semester}${query}`);
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ message: 'Server error' }));
@@ -239,7 +278,8 @@ async function generateReport() {
 // ============================================================================
 
 function displayReport(data) {
-  document.getElementById('reportTitle').textContent = `${data.stream} Semester ${data.semester} - Attendance Report`;
+  const termName = data.summary && data.summary.term ? ` (${data.summary.term.name})` : '';
+  document.getElementById('reportTitle').textContent = `${data.stream} Semester ${data.semester}${termName} - Attendance Report`;
   document.getElementById('reportDate').textContent = data.reportDate || new Date().toLocaleDateString();
   
   displaySummaryCards(data);
@@ -254,17 +294,8 @@ function displayReport(data) {
 function displaySummaryCards(data) {
   const summaryCards = document.getElementById('summaryCards');
   
-  let totalPercentage = 0;
-  let totalEntries = 0;
-  
-  data.students.forEach(student => {
-    Object.values(student.subjects).forEach(subject => {
-      totalPercentage += subject.percentage;
-      totalEntries++;
-    });
-  });
-  
-  const avgAttendance = totalEntries > 0 ? (totalPercentage / totalEntries).toFixed(1) : 0;
+  const summary = data.summary || {};
+  const avgAttendance = summary.averageAttendance || 0;
   
   summaryCards.innerHTML = `
     <div class="stat-card stat-card-blue">
@@ -281,6 +312,21 @@ function displaySummaryCards(data) {
       <div class="stat-value">${avgAttendance}%</div>
       <div class="stat-label">Average Attendance</div>
     </div>
+    
+    <div class="stat-card stat-card-blue">
+      <div class="stat-value">${summary.totalSessions || 0}</div>
+      <div class="stat-label">Classes Held</div>
+    </div>
+    
+    <div class="stat-card stat-card-purple">
+      <div class="stat-value">${summary.studentsBelowThreshold || 0}</div>
+      <div class="stat-label">Below ${summary.shortageThreshold || 75}%</div>
+    </div>
+    ${summary.term ? `
+    <div class="stat-card stat-card-green">
+      <div class="stat-value">${summary.workingDays} / ${summary.term.workingDays}</div>
+      <div class="stat-label">Working Days So Far</div>
+    </div>` : ''}
   `;
 }
 
@@ -315,7 +361,12 @@ function displayReportTable(data) {
   `;
   
   data.subjects.forEach(subject => {
-    headerHTML += `<th class="text-center">${subject}</th>`;
+    // Teachers who took the subject's sessions
+    const teachers = (data.summary?.subjects || []).find(s => s.subject === subject)?.teachers || [];
+    headerHTML += `<th class="text-center" ${teachers.length ? `title="Taken by ${teachers.join(', ')}"` : ''}>
+      ${subject}
+      ${teachers.length ? `<div class="subject-teachers">${teachers.join(', ')}</div>` : ''}
+    </th>`;
   });
   
   tableHeader.innerHTML = headerHTML;
@@ -337,7 +388,11 @@ function displayReportTable(data) {
       let rowHTML = `
         <tr>
           <td style="font-weight: 600;">${student.studentID}</td>
-          <td>${student.name}</td>
+          <td>
+            ${student.name}
+            ${student.days && student.days.working !== null ? `
+            <div style="font-size: 0.75rem; color: var(--grey-500);">${student.days.present} of ${student.days.working} working days</div>` : ''}
+          </td>
       `;
       
       data.subjects.forEach(subject => {
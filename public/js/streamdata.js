@@ -199,7 +199,7 @@ function renderStudentsTable() {
     const tbody = document.getElementById('studentsTableBody');
     
     if (filteredStudents.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="11" style="text-align:center;padding:40px;color:#6b7280;">No students found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="12" style="text-align:center;padding:40px;color:#6b7280;">No students found</td></tr>';
         return;
     }
 
@@ -224,6 +224,7 @@ function renderStudentsTable() {
                             ${[1,2,3,4,5,6].map(sem => `<option value="${sem}" ${s.semester === sem ? 'selected' : ''}>${sem}</option>`).join('')}
                         </select>
                     </td>
+                    <td><input type="text" class="inline-edit-input" id="edit-section-${s._id}" value="${s.section || ''}" maxlength="5" style="width:50px;" onkeydown="handleInlineEditKeydown(event, '${s._id}')" /></td>
                     <td>
                         <select class="inline-edit-select" id="edit-language-${s._id}" onkeydown="handleInlineEditKeydown(event, '${s._id}')">
                             <option value="">-</option>
@@ -276,6 +277,7 @@ function renderStudentsTable() {
                     <td>${s.name || '-'}</td>
                     <td><span class="badge badge-primary">${s.stream || '-'}</span></td>
                     <td style="text-align:center;">${s.semester || '-'}</td>
+                    <td style="text-align:center;">${s.section || '-'}</td>
                     <td>${s.languageSubject || '-'}</td>
                     <td>${s.electiveSubject || '-'}</td>
                     <td>${s.parentPhone || '-'}</td>
@@ -318,6 +320,15 @@ function populateStudentFilters() {
         });
     }
     
+    // SECTION FILTER
+    const sectionFilter = document.getElementById('studentSectionFilter');
+    sectionFilter.innerHTML = '<option value="">All Sections</option>';
+    
+    const sections = [...new Set(allStudents.map(s => s.section).filter(Boolean))];
+    sections.sort().forEach(section => {
+        sectionFilter.innerHTML += `<option value="${section}">Section ${section}</option>`;
+    });
+    
     // LANGUAGE FILTER
     const languageFilter = document.getElementById('studentLanguageFilter');
     languageFilter.innerHTML = '<option value="">All Languages</option>';
@@ -341,6 +352,7 @@ function populateStudentFilters() {
 function applyStudentFilters() {
     const stream = document.getElementById('studentStreamFilter').value;
     const semester = document.getElementById('studentSemesterFilter').value;
+    const section = document.getElementById('studentSectionFilter').value;
     const language = document.getElementById('studentLanguageFilter').value;
     const elective = document.getElementById('studentElectiveFilter').value;
     const search = document.getElementById('studentSearchInput').value.toLowerCase();
@@ -348,6 +360,7 @@ function applyStudentFilters() {
     filteredStudents = allStudents.filter(s => {
         return (!stream || s.stream === stream) &&
                (!semester || s.semester?.toString() === semester) &&
+               (!section || s.section === section) &&
                (!language || s.languageSubject === language) &&
                (!elective || s.electiveSubject === elective) &&
                (!search || s.name?.toLowerCase().includes(search) || s.studentID?.toLowerCase().includes(search));
@@ -403,6 +416,7 @@ function editStudent(student) {
     document.getElementById('studentName').value = student.name || '';
     document.getElementById('studentSemester').value = student.semester || '';
     document.getElementById('studentPhone').value = student.parentPhone || '';
+    document.getElementById('studentSection').value = student.section || '';
     
     // Populate and set Stream
     const streamSelect = document.getElementById('studentStream');
@@ -443,6 +457,7 @@ async function saveStudent(event) {
         stream: document.getElementById('studentStream').value,
         semester: parseInt(document.getElementById('studentSemester').value),
         parentPhone: document.getElementById('studentPhone').value.trim(),
+        section: document.getElementById('studentSection').value.trim().toUpperCase(),
         languageSubject: document.getElementById('studentLanguage').value, // ✅ Now from dropdown
         electiveSubject: document.getElementById('studentElective').value, // ✅ Now from dropdown
         isActive: true
@@ -485,7 +500,7 @@ async function deleteStudent(id) {
         const result = await response.json();
 
         if (result.success) {
-            alert('✅ Student deleted!');
+            alert('✅ Student moved to the recycle bin!');
             await loadStudents();
         } else {
             alert('❌ Error deleting student');
@@ -509,9 +524,9 @@ function refreshStudents() {
 
 function exportStudents() {
     const csv = [
-        ['ID', 'Name', 'Stream', 'Semester', 'Language', 'Elective', 'Phone'],
+        ['ID', 'Name', 'Stream', 'Semester', 'Section', 'Language', 'Elective', 'Phone'],
         ...filteredStudents.map(s => [
-            s.studentID, s.name, s.stream, s.semester, 
+            s.studentID, s.name, s.stream, s.semester, s.section || '',
             s.languageSubject, s.electiveSubject, s.parentPhone
         ])
     ].map(row => row.join(',')).join('\n');
@@ -583,6 +598,7 @@ async function processBulkUpload() {
                 parentPhone: row.parentPhone || row.ParentPhone || row.Phone || '',
                 languageSubject: row.languageSubject || row.LanguageSubject || row.Language || '',
                 electiveSubject: row.electiveSubject || row.ElectiveSubject || row.Elective || '',
+                section: row.section || row.Section || row.Division || '',
                 stream: stream,
                 semester: parseInt(semester),
                 academicYear: new Date().getFullYear(),
@@ -810,6 +826,9 @@ function renderSubjectsTable() {
                 </span>
             </td>
             <td style="text-align:center;">
+                <button class="action-btn edit" onclick="manageBatches('${subject._id}')" title="Lab batches${subject.batches?.length ? ` (${subject.batches.length})` : ''}">
+                    <i class="material-icons-round">groups</i>
+                </button>
                 <button class="action-btn edit" onclick='editSubject(${JSON.stringify(subject).replace(/'/g, "&apos;")})'>
                     <i class="material-icons-round">edit</i>
                 </button>
@@ -957,6 +976,51 @@ async function deleteSubject(id) {
     }
 }
 
+// Lab batches: show the current split and re-split the subject's students
+// into N batches of consecutive student IDs (0 removes the batches)
+async function manageBatches(id) {
+    try {
+        const response = await fetch(`/api/students/management/subjects/${id}/batches`);
+        const current = await response.json();
+        if (!current.success) {
+            alert('❌ ' + (current.message || current.error));
+            return;
+        }
+
+        const lines = current.batches.map(b => `${b.name}: ${b.from || '?'} – ${b.to || '?'} (${b.count} students)`);
+        const summary = lines.length > 0 ? lines.join('\n') : 'No batches - the whole class takes every session';
+        const answer = prompt(
+            `${current.subject} (${current.stream} Sem ${current.semester})\n\n${summary}\n` +
+            `Not in a batch: ${current.unassigned.length}\n\nSplit into how many batches? (0 removes them)`,
+            current.batches.length || 2
+        );
+        if (answer === null || answer.trim() === '') return;
+
+        const count = parseInt(answer);
+        showLoading(true);
+        const result = await fetch(
+            count === 0 ? `/api/students/management/subjects/${id}/batches` : `/api/students/management/subjects/${id}/batches/split`,
+            {
+                method: count === 0 ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(count === 0 ? { batches: [] } : { count })
+            }
+        ).then(r => r.json());
+
+        if (result.success) {
+            const split = result.batches.map(b => `${b.name}: ${b.from || '-'} – ${b.to || '-'} (${b.count})`).join('\n');
+            alert(`✅ ${result.batches.length ? split : 'Batches removed'}`);
+            await loadSubjects();
+        } else {
+            alert('❌ ' + (result.message || result.error));
+        }
+    } catch (error) {
+        alert('❌ Error: ' + error.message);
+    } finally {
+        showLoading(false);
+    }
+}
+
 function closeSubjectModal() {
     document.getElementById('subjectModal').classList.remove('active');
     document.getElementById('subjectForm').reset();
@@ -1000,6 +1064,7 @@ async function saveInlineEdit(studentId) {
         name: document.getElementById(`edit-name-${studentId}`).value.trim(),
         stream: document.getElementById(`edit-stream-${studentId}`).value,
         semester: parseInt(document.getElementById(`edit-semester-${studentId}`).value),
+        section: document.getElementById(`edit-section-${studentId}`).value.trim().toUpperCase(),
         languageSubject: document.getElementById(`edit-language-${studentId}`).value,
         electiveSubject: document.getElementById(`edit-elective-${studentId}`).value,
         parentPhone: document.getElementById(`edit-phone-${studentId}`).value.trim(),
@@ -1077,6 +1142,7 @@ window.editSubject = editSubject;
 window.deleteStudent = deleteStudent;
 window.deleteStream = deleteStream;
 window.deleteSubject = deleteSubject;
+window.manageBatches = manageBatches;
 window.closeStudentModal = closeStudentModal;
 window.closeStreamModal = closeStreamModal;
 window.closeSubjectModal = closeSubjectModal;
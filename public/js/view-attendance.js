@@ -28,7 +28,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   await loadStreams();
   setupEventListeners();
-  
+  loadCorrections();
+
   setTimeout(() => restoreState(), 500);
 });
 
@@ -281,6 +282,30 @@ async function loadSubjects(stream, semester) {
   }
 }
 
+async function loadTerms(stream, semester) {
+  const termSelect = document.getElementById('termSelect');
+  if (!termSelect) return;
+  
+  termSelect.innerHTML = '<option value="">Whole Semester</option>';
+  if (!stream || !semester) return;
+  
+  try {
+    const response = await fetch(`/api/calendar/terms?stream=${encodeURIComponent(stream)}&semester=${semester}`);
+    const data = await response.json();
+    
+    if (data.success) {
+      data.terms.forEach(term => {
+        const option = document.createElement('option');
+        option.value = term._id;
+        option.textContent = term.name;
+        termSelect.appendChild(option);
+      });
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load academic terms:', error.message);
+  }
+}
+
 // ============================================================================
 // EVENT LISTENERS
 // ============================================================================
@@ -318,6 +343,7 @@ function setupEventListeners() {
     const semester = semesterSelect.value;
     currentSemester = semester;
     await loadSubjects(stream, semester);
+    await loadTerms(stream, semester);
     registerTable.classList.add('hidden');
     if (attendanceStats) {
       attendanceStats.classList.add('hidden');
@@ -382,6 +408,8 @@ async function loadRegister() {
   const stream = streamSelect.value;
   const semester = semesterSelect.value;
   const subject = subjectSelect.value;
+  const termSelect = document.getElementById('termSelect');
+  const termId = termSelect ? termSelect.value : '';
   
   if (!stream || !semester || !subject) {
     alert('Please select stream, semester, and subject');
@@ -397,7 +425,10 @@ async function loadRegister() {
   try {
     showLoadingState();
     
-    const response = await fetch(`/api/attendance/register/${stream}/sem${semester}/${encodeURIComponent(subject)}`);
+    const params = classFilterParams();
+    if (termId) params.set('termId', termId);
+    const query = params.toString() ? `?${params}` : '';
+    const response = await fetch(`/api/attendance/register/${stream}/sem${semester}/${encodeURIComponent(subject)}${query}`);
     const data = await response.json();
     
     console.log('📦 Register data received:', data);
@@ -452,7 +483,9 @@ async function loadSingleDateView() {
   try {
     showLoadingState();
     
-    const response = await fetch(`/api/attendance/date/${currentStream}/sem${currentSemester}/${encodeURIComponent(currentSubject)}/${selectedDate}`);
+    const params = classFilterParams();
+    const query = params.toString() ? `?${params}` : '';
+    const response = await fetch(`/api/attendance/date/${currentStream}/sem${currentSemester}/${encodeURIComponent(currentSubject)}/${selectedDate}${query}`);
     const data = await response.json();
     
     console.log('📅 Single date data:', data);
@@ -487,6 +520,260 @@ async function loadSingleDateView() {
   }
 }
 
+// ============================================================================
+// STATUS HELPERS
+// ============================================================================
+
+function getStatusRules() {
+  return currentDateData?.statusRules || registerData?.statusRules || {
+    P: { label: 'Present', countsAs: 'present' },
+    A: { label: 'Absent', countsAs: 'absent' }
+  };
+}
+
+// Students no longer in the class (graduated, deleted, moved on) are tagged
+function renderStudentName(student) {
+  const name = student.name || 'Unknown student';
+  if (!student.former) return name;
+  const tag = student.deleted ? 'deleted' : student.archived ? 'alumni' : 'former';
+  return `${name} <span style="font-size: 11px; color: #6B7280;">(${tag})</span>`;
+}
+
+// Sections to show, e.g. 'A' or 'A,B' - empty for the whole class
+function currentSectionFilter() {
+  const sectionInput = document.getElementById('sectionInput');
+  return sectionInput ? sectionInput.value.trim().toUpperCase() : '';
+}
+
+// Lab batch of a practical to show - empty for every batch
+function currentBatchFilter() {
+  const batchInput = document.getElementById('batchInput');
+  return batchInput ? batchInput.value.trim() : '';
+}
+
+// ?section= / ?batch= for the register and date views
+function classFilterParams() {
+  const params = new URLSearchParams();
+  const section = currentSectionFilter();
+  const batch = currentBatchFilter();
+  if (section) params.set('section', section);
+  if (batch) params.set('batch', batch);
+  return params;
+}
+
+// Chip colour follows how the status counts (present / absent / excluded).
+// Sessions taught to another section or batch have no status and can't be edited.
+// `edited` marks a status changed after the session was saved.
+function renderStatusChip(status, studentID, sessionId, edited = false) {
+  if (!status) {
+    return '<span title="Taught to another section or batch" style="color: #9CA3AF;">—</span>';
+  }
+  
+  const rule = getStatusRules()[status];
+  const countsAs = rule?.countsAs || (status === 'P' ? 'present' : 'absent');
+  
+  return `<span class="status-chip chip-${countsAs}${edited ? ' chip-edited' : ''}"
+                title="${rule?.label || status}${edited ? ' (edited)' : ''}"
+                data-student="${studentID}"
+                data-session="${sessionId}">${status}</span>`;
+}
+
+// Teacher who took the session; older sessions don't record one
+function renderSessionTeacher(session) {
+  const teacher = session.conductedBy;
+  if (!teacher) return '';
+  return `<div class="session-teacher" title="Taken by ${teacher.name || teacher.email} (${teacher.email})">${teacher.name || teacher.email}</div>`;
+}
+
+// ============================================================================
+// EDIT HISTORY
+// ============================================================================
+
+function isEditedFor(session, studentID) {
+  return !!session?.edited && session.edited.studentIDs.includes(studentID);
+}
+
+function renderEditedBadge(session) {
+  if (!session.edited) return '';
+  const count = session.edited.count;
+  return `<span class="edited-badge" data-session-id="${session._id}"
+                title="Edited ${count} time${count > 1 ? 's' : ''}, last by ${session.edited.lastEditedBy || 'unknown'} - click for history">✎ edited</span>`;
+}
+
+// Show every create/edit/delete recorded for a session
+async function showEditHistory(sessionId) {
+  try {
+    const response = await fetch(`/api/audit/attendance?sessionId=${sessionId}`);
+    const data = await response.json();
+    
+    if (!data.success) {
+      alert('❌ Could not load history: ' + data.error);
+      return;
+    }
+    if (data.entries.length === 0) {
+      alert('No history recorded for this session');
+      return;
+    }
+    
+    const lines = data.entries.map(entry => {
+      const when = new Date(entry.changedAt).toLocaleString('en-IN');
+      const who = entry.changedBy?.name || entry.changedBy?.email || 'unknown';
+      const changes = entry.changes.length > 0
+        ? entry.changes.map(c => `${c.studentID}: ${c.from || '-'} → ${c.to || '-'}`).join(', ')
+        : 'no status changes';
+      const reason = entry.reason ? `\n    Reason: ${entry.reason}` : '';
+      return `${when} - ${entry.action} by ${who}\n    ${entry.action === 'update' ? changes : `${entry.changes.length} student(s)`}${reason}`;
+    });
+    
+    alert(`📝 Session history (newest first)\n\n${lines.join('\n\n')}`);
+  } catch (error) {
+    console.error('❌ Error loading edit history:', error);
+    alert('Error loading history: ' + error.message);
+  }
+}
+
+// Optional reason recorded with edits and deletions; null when cancelled
+function askChangeReason(action) {
+  const reason = prompt(`Reason for this ${action} (optional):`, '');
+  return reason === null ? null : reason.trim();
+}
+
+function bindEditedBadges(container) {
+  container.querySelectorAll('.edited-badge').forEach(badge => {
+    badge.addEventListener('click', event => {
+      event.stopPropagation();
+      showEditHistory(badge.dataset.sessionId);
+    });
+  });
+}
+
+// ============================================================================
+// CORRECTION REQUESTS (sessions past the edit lock window)
+// ============================================================================
+
+// Locked sessions can't be edited directly: send the changes to the HOD.
+// `updates` is [{ sessionId, records }]. Returns the number of requests filed.
+async function requestCorrections(updates, reason, windowHours) {
+  const count = updates.length;
+  if (!confirm(`🔒 ${count} session${count > 1 ? 's are' : ' is'} older than the ${windowHours}-hour edit window.\n\nSend the changes to the HOD as a correction request?`)) {
+    return 0;
+  }
+
+  let text = reason;
+  while (!text) {
+    text = prompt('Reason for the correction (required):', '');
+    if (text === null) return 0;
+    text = text.trim();
+  }
+
+  const results = await Promise.all(updates.map(update =>
+    fetch('/api/corrections', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: update.sessionId, records: update.records, reason: text })
+    }).then(response => response.json())
+  ));
+
+  const failed = results.filter(result => !result.success);
+  const filed = results.length - failed.length;
+  if (failed.length === 0) {
+    alert(`📨 ${filed} correction request${filed > 1 ? 's' : ''} sent to the HOD`);
+  } else {
+    alert(`⚠️ ${filed} request(s) sent, ${failed.length} failed:\n${failed.map(f => f.error).join('\n')}`);
+  }
+
+  await loadCorrections();
+  return filed;
+}
+
+async function loadCorrections() {
+  const panel = document.getElementById('correctionsPanel');
+  const list = document.getElementById('correctionsList');
+  if (!panel || !list) return;
+
+  try {
+    const [meResponse, correctionsResponse] = await Promise.all([
+      fetch('/api/teacher/me'),
+      fetch('/api/corrections?status=pending')
+    ]);
+    const me = await meResponse.json();
+    const data = await correctionsResponse.json();
+
+    if (!data.success || data.corrections.length === 0) {
+      panel.classList.add('hidden');
+      return;
+    }
+
+    const canApprove = me.success && me.permissions.includes('corrections:approve');
+    document.getElementById('correctionsCount').textContent = data.corrections.length;
+
+    list.innerHTML = data.corrections.map(correction => {
+      const date = new Date(correction.date).toLocaleDateString('en-IN');
+      const who = correction.requestedBy.name || correction.requestedBy.email;
+      const changes = correction.changes
+        .map(c => `${c.studentID}: ${c.from || '-'} → ${c.to || '-'}`)
+        .join(', ');
+      const actions = canApprove
+        ? `<div class="correction-actions">
+             <button class="modern-btn btn-success" data-correction="${correction._id}" data-decision="approve">Approve</button>
+             <button class="modern-btn btn-danger" data-correction="${correction._id}" data-decision="reject">Reject</button>
+           </div>`
+        : '<span class="correction-status">Awaiting HOD</span>';
+
+      return `
+        <div class="correction-item">
+          <div>
+            <strong>${correction.subject}</strong> · ${correction.stream} Sem ${correction.semester} · ${date} ${correction.time || ''}
+            <div class="correction-meta">By ${who} - ${correction.reason}</div>
+            <div class="correction-meta">${changes}</div>
+          </div>
+          ${actions}
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('[data-correction]').forEach(button => {
+      button.addEventListener('click', () => reviewCorrection(button.dataset.correction, button.dataset.decision));
+    });
+
+    panel.classList.remove('hidden');
+  } catch (error) {
+    console.error('❌ Error loading correction requests:', error);
+  }
+}
+
+async function reviewCorrection(correctionId, decision) {
+  const note = prompt(`Note for the teacher (optional) - ${decision} this correction:`, '');
+  if (note === null) return;
+
+  try {
+    const response = await fetch(`/api/corrections/${correctionId}/${decision}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ note })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      alert('❌ ' + result.error);
+    } else {
+      alert(`✅ ${result.message}`);
+    }
+
+    await loadCorrections();
+    if (result.success && decision === 'approve') {
+      if (currentViewMode === 'single' && currentDateData) {
+        await loadSingleDateView();
+      } else if (registerData) {
+        await loadRegister();
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error reviewing correction:', error);
+    alert('Error reviewing correction: ' + error.message);
+  }
+}
+
 // ============================================================================
 // VIEW MODES
 // ============================================================================
@@ -568,6 +855,8 @@ function displayFullRegister() {
           <span class="session-header-checkbox"></span>
           <div class="time-badge">${session.time}</div>
           <div style="font-size: 10px; margin-top: 4px; font-weight: 500; color: #6b7280;">${date}</div>
+          ${renderSessionTeacher(session)}
+          ${renderEditedBadge(session)}
         </div>
       </th>
     `;
@@ -584,23 +873,21 @@ function displayFullRegister() {
   sessionHeaders.forEach(header => {
     header.addEventListener('click', () => toggleSessionSelection(header));
   });
+  bindEditedBadges(viewThead);
   
   let bodyHTML = '';
   registerData.students.forEach((student, index) => {
     bodyHTML += '<tr>';
     bodyHTML += `<td>${index + 1}</td>`;
     bodyHTML += `<td style="font-family: monospace;">${student.studentID}</td>`;
-    bodyHTML += `<td>${student.name}</td>`;
+    bodyHTML += `<td>${renderStudentName(student)}</td>`;
     
     student.attendance.forEach((att, attIndex) => {
-      const chipClass = att.status === 'P' ? 'chip-present' : 'chip-absent';
       const sessionId = att.sessionId || registerData.sessions[attIndex]?._id || '';
       
       bodyHTML += `
         <td style="text-align: center;">
-          <span class="status-chip ${chipClass}"
-                data-student="${student.studentID}"
-                data-session="${sessionId}">${att.status}</span>
+          ${renderStatusChip(att.status, student.studentID, sessionId, isEditedFor(registerData.sessions[attIndex], student.studentID))}
         </td>
       `;
     });
@@ -650,12 +937,15 @@ async function deleteSelectedSessions() {
   }
   
   const sessionCount = selectedSessions.size;
-  const confirmMsg = `🗑️ Are you sure you want to delete ${sessionCount} session${sessionCount > 1 ? 's' : ''}?\n\nThis will permanently remove attendance data for all students in ${sessionCount > 1 ? 'these sessions' : 'this session'}.`;
+  const confirmMsg = `🗑️ Are you sure you want to delete ${sessionCount} session${sessionCount > 1 ? 's' : ''}?\n\n${sessionCount > 1 ? 'They' : 'It'} will move to the recycle bin and can be restored from there.`;
   
   if (!confirm(confirmMsg)) {
     return;
   }
   
+  const reason = askChangeReason('deletion');
+  if (reason === null) return;
+  
   try {
     console.log('🗑️ Deleting sessions:', Array.from(selectedSessions));
     
@@ -665,7 +955,7 @@ async function deleteSelectedSessions() {
     deleteSessionBtn.innerHTML = '<i class="material-icons-round">hourglass_empty</i> Deleting...';
     
     const deletePromises = Array.from(selectedSessions).map(sessionId =>
-      fetch(`/api/attendance/${sessionId}`, { 
+      fetch(`/api/attendance/${sessionId}?reason=${encodeURIComponent(reason)}`, { 
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json'
@@ -678,7 +968,7 @@ async function deleteSelectedSessions() {
     const failCount = results.length - successCount;
     
     if (failCount === 0) {
-      alert(`✅ Successfully deleted ${successCount} session${successCount > 1 ? 's' : ''}!`);
+      alert(`✅ Moved ${successCount} session${successCount > 1 ? 's' : ''} to the recycle bin`);
       
       selectedSessions.clear();
       deleteSessionBtn.classList.add('hidden');
@@ -712,27 +1002,27 @@ function displaySingleDate(data) {
     headerHTML += `
       <th style="text-align: center;">
         <div class="time-badge">${session.time}</div>
+        ${renderSessionTeacher(session)}
+        ${renderEditedBadge(session)}
       </th>
     `;
   });
   
   headerHTML += '</tr>';
   viewThead.innerHTML = headerHTML;
+  bindEditedBadges(viewThead);
   
   let bodyHTML = '';
   data.students.forEach((student, index) => {
     bodyHTML += '<tr>';
     bodyHTML += `<td>${index + 1}</td>`;
     bodyHTML += `<td style="font-family: monospace;">${student.studentID}</td>`;
-    bodyHTML += `<td>${student.name}</td>`;
+    bodyHTML += `<td>${renderStudentName(student)}</td>`;
     
-    student.sessions.forEach(session => {
-      const chipClass = session.status === 'P' ? 'chip-present' : 'chip-absent';
+    student.sessions.forEach((session, sessionIndex) => {
       bodyHTML += `
         <td style="text-align: center;">
-          <span class="status-chip ${chipClass}" 
-                data-student="${student.studentID}" 
-                data-session="${session.sessionId}">${session.status}</span>
+          ${renderStatusChip(session.status, student.studentID, session.sessionId, isEditedFor(data.sessions[sessionIndex], student.studentID))}
         </td>
       `;
     });
@@ -770,6 +1060,15 @@ function updateStats() {
   totalSessionsEl.textContent = totalSessions;
   totalStudentsEl.textContent = totalStudents;
   
+  const termStatBadge = document.getElementById('termStatBadge');
+  if (termStatBadge) {
+    const term = registerData.term;
+    termStatBadge.classList.toggle('hidden', !term);
+    if (term) {
+      document.getElementById('termWorkingDays').textContent = `${term.workingDaysToDate} / ${term.workingDays}`;
+    }
+  }
+  
   attendanceStats.classList.remove('hidden');
   
   console.log('✅ Stats updated successfully');
@@ -831,8 +1130,10 @@ function enableEditMode() {
   
   console.log(`✏️ Found ${statusChips.length} status chips to convert`);
   
+  const statusRules = getStatusRules();
+  
   statusChips.forEach((chip, index) => {
-    const isPresent = chip.textContent.trim() === 'P';
+    const currentStatus = chip.textContent.trim();
     const studentId = chip.dataset.student;
     const sessionId = chip.dataset.session;
     
@@ -843,22 +1144,22 @@ function enableEditMode() {
     
     const td = chip.parentElement;
     
-    const checkbox = document.createElement('input');
-    checkbox.type = 'checkbox';
-    checkbox.checked = isPresent;
-    checkbox.className = 'edit-checkbox';
-    checkbox.dataset.student = studentId;
-    checkbox.dataset.session = sessionId;
-    checkbox.style.cssText = `
-      width: 20px;
-      height: 20px;
-      cursor: pointer;
-      accent-color: var(--primary);
-      transform: scale(1.2);
-    `;
+    const select = document.createElement('select');
+    select.className = 'edit-status';
+    select.dataset.student = studentId;
+    select.dataset.session = sessionId;
+    
+    Object.entries(statusRules).forEach(([code, rule]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = code;
+      option.title = rule.label;
+      option.selected = code === currentStatus;
+      select.appendChild(option);
+    });
     
     td.innerHTML = '';
-    td.appendChild(checkbox);
+    td.appendChild(select);
   });
   
   editAttendanceBtn.classList.add('hidden');
@@ -866,7 +1167,15 @@ function enableEditMode() {
   saveAttendanceBtn.classList.remove('hidden');
   cancelEditBtn.classList.remove('hidden');
   
-  console.log('✅ Edit mode enabled with checkboxes');
+  console.log('✅ Edit mode enabled with status pickers');
+}
+
+// Edits replace a session's records; when only some sections are shown, keep
+// the records of students outside the view
+function withUnshownRecords(session, records) {
+  const edited = new Set(records.map(r => r.studentID));
+  const kept = (session?.records || []).filter(r => !edited.has(r.studentID));
+  return [...kept, ...records];
 }
 
 async function saveAttendance() {
@@ -882,15 +1191,18 @@ async function saveAttendance() {
   }
   
   try {
-    const checkboxes = Array.from(viewTbody.querySelectorAll('.edit-checkbox'));
+    const statusSelects = Array.from(viewTbody.querySelectorAll('.edit-status'));
     
-    if (checkboxes.length === 0) {
+    if (statusSelects.length === 0) {
       alert('No attendance data to save');
       return;
     }
     
+    const reason = askChangeReason('edit');
+    if (reason === null) return;
+    
     console.log('💾 Saving attendance changes...');
-    console.log('📊 Total checkboxes:', checkboxes.length);
+    console.log('📊 Total status pickers:', statusSelects.length);
     
     if (currentViewMode === 'single' && currentDateData) {
       console.log('📅 Single date mode - preparing bulk update');
@@ -898,22 +1210,16 @@ async function saveAttendance() {
       const updates = [];
       
       currentDateData.sessions.forEach(session => {
-        const studentsPresent = [];
-        const sessionCheckboxes = checkboxes.filter(cb => cb.dataset.session === session._id);
-        
-        sessionCheckboxes.forEach(checkbox => {
-          if (checkbox.checked) {
-            studentsPresent.push(checkbox.dataset.student);
-          }
-        });
+        const records = statusSelects
+          .filter(select => select.dataset.session === session._id)
+          .map(select => ({ studentID: select.dataset.student, status: select.value }));
         
         updates.push({
           sessionId: session._id,
-          studentsPresent,
-          totalStudents: currentDateData.students.length
+          records: withUnshownRecords(session, records)
         });
         
-        console.log(`📝 Session ${session.time}: ${studentsPresent.length}/${currentDateData.students.length} present`);
+        console.log(`📝 Session ${session.time}: ${records.length} student statuses`);
       });
       
       console.log('🚀 Sending bulk update request...');
@@ -923,7 +1229,7 @@ async function saveAttendance() {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ updates })
+        body: JSON.stringify({ updates, reason })
       });
       
       const result = await response.json();
@@ -938,6 +1244,9 @@ async function saveAttendance() {
         deleteAttendanceBtn.classList.remove('hidden');
         
         await loadSingleDateView();
+      } else if (result.locked) {
+        const locked = updates.filter(update => result.sessionIds.includes(update.sessionId));
+        if (await requestCorrections(locked, reason, result.windowHours)) cancelEdit();
       } else {
         alert('❌ Failed to update: ' + result.error);
       }
@@ -947,33 +1256,34 @@ async function saveAttendance() {
       
       const sessionUpdates = new Map();
       
-      checkboxes.forEach(checkbox => {
-        const sessionId = checkbox.dataset.session;
-        const studentId = checkbox.dataset.student;
-        const isPresent = checkbox.checked;
+      statusSelects.forEach(select => {
+        const sessionId = select.dataset.session;
+        const studentId = select.dataset.student;
         
         if (!sessionId || !studentId) {
-          console.warn('⚠️ Checkbox missing data:', { sessionId, studentId });
+          console.warn('⚠️ Status picker missing data:', { sessionId, studentId });
           return;
         }
         
         if (!sessionUpdates.has(sessionId)) {
           sessionUpdates.set(sessionId, {
             sessionId,
-            studentsPresent: [],
-            totalStudents: registerData.totalStudents
+            records: []
           });
         }
         
-        if (isPresent) {
-          sessionUpdates.get(sessionId).studentsPresent.push(studentId);
-        }
+        sessionUpdates.get(sessionId).records.push({ studentID: studentId, status: select.value });
       });
       
       console.log(`🚀 Updating ${sessionUpdates.size} sessions...`);
       
-      const updatePromises = Array.from(sessionUpdates.values()).map(update => {
-        console.log(`📝 Updating session ${update.sessionId}: ${update.studentsPresent.length}/${update.totalStudents} present`);
+      const updates = Array.from(sessionUpdates.values()).map(update => {
+        const session = registerData.sessions.find(s => s._id === update.sessionId);
+        return { sessionId: update.sessionId, records: withUnshownRecords(session, update.records) };
+      });
+      
+      const updatePromises = updates.map(update => {
+        console.log(`📝 Updating session ${update.sessionId}: ${update.records.length} student statuses`);
         
         return fetch(`/api/attendance/session/${update.sessionId}`, {
           method: 'PUT',
@@ -981,17 +1291,29 @@ async function saveAttendance() {
             'Content-Type': 'application/json'
           },
           body: JSON.stringify({
-            studentsPresent: update.studentsPresent,
-            totalStudents: update.totalStudents
+            records: update.records,
+            reason
           })
-        });
+        }).then(response => response.json());
       });
       
       const results = await Promise.all(updatePromises);
-      const successCount = results.filter(r => r.ok).length;
-      const failCount = results.length - successCount;
+      const lockedResults = results.filter(r => r.locked);
+      const successCount = results.filter(r => r.success).length;
+      const failCount = results.length - successCount - lockedResults.length;
       
-      if (failCount === 0) {
+      if (lockedResults.length > 0) {
+        const lockedIds = lockedResults.flatMap(r => r.sessionIds);
+        if (successCount > 0) alert(`✅ Updated ${successCount} session(s)`);
+        await requestCorrections(updates.filter(update => lockedIds.includes(update.sessionId)), reason, lockedResults[0].windowHours);
+        
+        isEditMode = false;
+        saveAttendanceBtn.classList.add('hidden');
+        cancelEditBtn.classList.add('hidden');
+        editAttendanceBtn.classList.remove('hidden');
+        
+        await loadRegister();
+      } else if (failCount === 0) {
         alert(`✅ Successfully updated ${successCount} session(s)`);
         
         isEditMode = false;
@@ -1048,16 +1370,19 @@ async function deleteAttendance() {
     return;
   }
   
+  const reason = askChangeReason('deletion');
+  if (reason === null) return;
+  
   try {
     const deletePromises = currentDateData.sessions.map(session =>
-      fetch(`/api/attendance/${session._id}`, { method: 'DELETE' })
+      fetch(`/api/attendance/${session._id}?reason=${encodeURIComponent(reason)}`, { method: 'DELETE' })
     );
     
     const results = await Promise.all(deletePromises);
     const allSuccess = results.every(r => r.ok);
     
     if (allSuccess) {
-      alert('✅ Records deleted successfully');
+      alert('✅ Records moved to the recycle bin');
       
       currentDateData = null;
       specificDateInput.value = '';
@@ -1065,7 +1390,7 @@ async function deleteAttendance() {
         <tr>
           <td colspan="10" style="text-align: center; padding: 60px;">
             <i class="material-icons-round" style="font-size: 48px; color: #22C55E; display: block; margin-bottom: 16px;">check_circle</i>
-            <p style="color: #6b7280; font-size: 14px;">Records deleted successfully</p>
+            <p style="color: #6b7280; font-size: 14px;">Records moved to the recycle bin</p>
           </td>
         </tr>
       `;
@@ -1100,10 +1425,11 @@ function exportToExcel() {
   });
   header.push('Present', 'Absent', 'Percentage');
   data.push(header);
+  data.push(['', '', 'Taken by', ...registerData.sessions.map(session => session.conductedBy?.name || session.conductedBy?.email || '-')]);
   
   registerData.students.forEach((student, index) => {
     const row = [index + 1, student.studentID, student.name];
-    student.attendance.forEach(att => row.push(att.status));
+    student.attendance.forEach(att => row.push(att.status || '-'));
     row.push(student.presentCount, student.absentCount, student.attendancePercentage + '%');
     data.push(row);
   });
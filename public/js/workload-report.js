@@ -0,0 +1,178 @@
+// ============================================================================
+// WORKLOAD-REPORT.JS - Classes held per teacher, subject and month
+// ============================================================================
+
+let workloadData = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Default range: the last three months
+  const today = new Date();
+  document.getElementById('fromInput').value = toDateInput(new Date(today.getFullYear(), today.getMonth() - 2, 1));
+  document.getElementById('toInput').value = toDateInput(today);
+
+  document.getElementById('loadBtn').addEventListener('click', loadWorkload);
+  document.getElementById('exportBtn').addEventListener('click', exportWorkload);
+
+  await loadStreams();
+  await loadWorkload();
+});
+
+function toDateInput(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function monthLabel(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+}
+
+function teacherLabel(row) {
+  return row.teacherName || row.teacherEmail || 'Not recorded';
+}
+
+async function loadStreams() {
+  try {
+    const response = await fetch('/api/reports/available-streams');
+    const data = await response.json();
+    if (!data.success) return;
+
+    const streamSelect = document.getElementById('streamSelect');
+    data.streams.forEach(stream => {
+      const option = document.createElement('option');
+      option.value = stream.name;
+      option.textContent = stream.name;
+      streamSelect.appendChild(option);
+    });
+  } catch (error) {
+    console.error('❌ Error loading streams:', error);
+  }
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+async function loadWorkload() {
+  const params = new URLSearchParams({
+    from: document.getElementById('fromInput').value,
+    to: document.getElementById('toInput').value,
+    idleDays: document.getElementById('idleDaysInput').value
+  });
+  const stream = document.getElementById('streamSelect').value;
+  const teacher = document.getElementById('teacherInput').value.trim();
+  if (stream) params.set('stream', stream);
+  if (teacher) params.set('teacher', teacher);
+
+  try {
+    const response = await fetch(`/api/reports/teacher-workload?${params.toString()}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      alert('❌ Could not load the workload report: ' + data.message);
+      return;
+    }
+
+    workloadData = data;
+    renderWorkload(data);
+    document.getElementById('exportBtn').disabled = false;
+  } catch (error) {
+    console.error('❌ Error loading workload report:', error);
+    alert('Error loading the workload report: ' + error.message);
+  }
+}
+
+function renderWorkload(data) {
+  const summaryBar = document.getElementById('summaryBar');
+  summaryBar.innerHTML = `
+    <div><div class="summary-value">${data.summary.teachers}</div><div class="wl-meta">Teachers</div></div>
+    <div><div class="summary-value">${data.summary.classesHeld} / ${data.summary.plannedClasses}</div><div class="wl-meta">Classes held / planned</div></div>
+    <div><div class="summary-value">${data.summary.hoursTaught}</div><div class="wl-meta">Hours taught</div></div>
+    <div><div class="summary-value">${data.summary.idleSubjects}</div><div class="wl-meta">Idle subjects</div></div>
+  `;
+  summaryBar.classList.remove('hidden');
+
+  const heldCell = row => `
+    <td class="num ${row.classesHeld < row.plannedClasses ? 'behind' : ''}">${row.classesHeld}</td>
+    <td class="num">${row.plannedClasses}</td>
+    <td class="num">${row.hoursTaught}</td>
+    <td class="num">${row.classesHeld > 0 ? `${row.averageAttendance}%` : '-'}</td>
+  `;
+
+  document.getElementById('teacherBody').innerHTML = data.teachers.map(teacher => `
+    <tr>
+      <td>
+        ${teacherLabel(teacher)}
+        ${teacher.teacherName ? `<div class="wl-meta">${teacher.teacherEmail}</div>` : ''}
+      </td>
+      <td class="num">${teacher.subjects}</td>
+      ${heldCell(teacher)}
+    </tr>
+  `).join('');
+
+  document.getElementById('rowBody').innerHTML = data.rows.map(row => `
+    <tr>
+      <td>${monthLabel(row.month)}</td>
+      <td>${teacherLabel(row)}</td>
+      <td>${row.stream} Sem ${row.semester}</td>
+      <td>${row.subject}</td>
+      ${heldCell(row)}
+    </tr>
+  `).join('');
+
+  document.getElementById('idleNote').textContent =
+    `Active subjects with no session in the last ${data.idleDays} days (${data.idleSubjects.length}).`;
+  document.getElementById('idleBody').innerHTML = data.idleSubjects.map(subject => `
+    <tr>
+      <td>${subject.stream} Sem ${subject.semester}</td>
+      <td>${subject.subject}</td>
+      <td>${subject.lastSession
+        ? `${new Date(subject.lastSession).toLocaleDateString('en-IN')} <span class="wl-meta">(${subject.daysSinceLastSession} days ago)</span>`
+        : '<span class="behind">Never</span>'}</td>
+      <td>${subject.teachers.join(', ') || '-'}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('emptyState').classList.toggle('hidden', data.rows.length > 0);
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+function exportWorkload() {
+  if (!workloadData) return;
+
+  const wb = XLSX.utils.book_new();
+
+  const teacherSheet = [
+    ['Teacher', 'Email', 'Subjects', 'Classes Held', 'Planned', 'Hours Taught', 'Average Attendance %'],
+    ...workloadData.teachers.map(t => [
+      teacherLabel(t), t.teacherEmail || '', t.subjects, t.classesHeld, t.plannedClasses, t.hoursTaught, t.averageAttendance
+    ])
+  ];
+
+  const rowSheet = [
+    ['Month', 'Teacher', 'Email', 'Stream', 'Semester', 'Subject', 'Classes Held', 'Planned', 'Hours Taught', 'Average Attendance %'],
+    ...workloadData.rows.map(r => [
+      r.month, teacherLabel(r), r.teacherEmail || '', r.stream, r.semester, r.subject,
+      r.classesHeld, r.plannedClasses, r.hoursTaught, r.averageAttendance
+    ])
+  ];
+
+  const idleSheet = [
+    ['Stream', 'Semester', 'Subject', 'Last Session', 'Days Since', 'Timetabled Teachers'],
+    ...workloadData.idleSubjects.map(s => [
+      s.stream, s.semester, s.subject,
+      s.lastSession ? new Date(s.lastSession).toLocaleDateString('en-IN') : 'Never',
+      s.daysSinceLastSession ?? '', s.teachers.join(', ')
+    ])
+  ];
+
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(teacherSheet), 'Teachers');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rowSheet), 'By Month');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(idleSheet), 'Idle Subjects');
+
+  const from = toDateInput(new Date(workloadData.from));
+  const to = toDateInput(new Date(workloadData.to));
+  XLSX.writeFile(wb, `Teacher_Workload${workloadData.stream ? `_${workloadData.stream}` : ''}_${from}_${to}.xlsx`);
+}
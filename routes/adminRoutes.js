@@ -0,0 +1,271 @@
+// ============================================================================
+// adminRoutes.js - Role and Subject Assignment, Duplicate Sessions
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const {
+  ROLES,
+  PERMISSIONS,
+  getRole,
+  canAccessStream,
+  exactMatch,
+  requirePermission,
+  requireStreamAccess
+} = require('../middleware/rbac');
+const { addTeacherSubject } = require('../models/teacherSubjects');
+const { findDuplicateGroups, mergeDuplicates } = require('../models/sessionSlots');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+// Roles and duplicates are admin-only; HODs may assign subjects in their stream
+const adminOnly = requirePermission('roles:assign');
+const canAssignSubjects = requirePermission('subjects:assign');
+
+router.use((req, res, next) => {
+  console.log(`📡 [ADMIN] ${req.method} ${req.path}`);
+  next();
+});
+
+// ============================================================================
+// ROLE ROUTES
+// ============================================================================
+
+// GET - Role list and permission matrix
+router.get('/roles', adminOnly, (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES,
+    permissions: PERMISSIONS
+  });
+});
+
+// GET - All teachers with their roles and subjects
+router.get('/teachers', canAssignSubjects, async (req, res) => {
+  try {
+    const teachers = await req.db.collection('teachers')
+      .find({})
+      .project({ name: 1, email: 1, firebaseUid: 1, role: 1, stream: 1, createdSubjects: 1, updatedAt: 1 })
+      .sort({ name: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      teachers: teachers.map(t => ({ ...t, role: getRole(t) })),
+      count: teachers.length
+    });
+
+  } catch (error) {
+    console.error('❌ [ADMIN] Error fetching teachers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Assign role (and stream for HODs)
+router.put('/teachers/:id/role', adminOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, stream } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid teacher ID' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const teachers = req.db.collection('teachers');
+    const teacher = await teachers.findOne({ _id: new ObjectId(id) });
+
+    if (!teacher) {
+      return res.status(404).json({ success: false, error: 'Teacher not found' });
+    }
+
+    const updateData = { role, updatedAt: new Date() };
+
+    if (role === 'hod') {
+      if (!stream) {
+        return res.status(400).json({ success: false, error: 'Stream is required for HOD role' });
+      }
+
+      const streamDoc = await req.db.collection('streams').findOne({
+        $or: [
+          { name: exactMatch(stream) },
+          { streamCode: exactMatch(stream) }
+        ]
+      });
+
+      if (!streamDoc) {
+        return res.status(404).json({ success: false, error: `Stream ${stream} not found` });
+      }
+
+      updateData.stream = streamDoc.name;
+    }
+
+    // Never leave the system without an admin
+    if (getRole(teacher) === 'admin' && role !== 'admin') {
+      const adminCount = await teachers.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({ success: false, error: 'Cannot remove the last admin' });
+      }
+    }
+
+    const update = { $set: updateData };
+    if (role !== 'hod') update.$unset = { stream: '' };
+
+    await teachers.updateOne({ _id: teacher._id }, update);
+
+    console.log(`✅ [ADMIN] ${req.user.email} set ${teacher.email} role to ${role}${updateData.stream ? ` (${updateData.stream})` : ''}`);
+
+    res.json({
+      success: true,
+      message: `${teacher.email} is now ${role}`,
+      teacher: { _id: teacher._id, email: teacher.email, name: teacher.name, role, stream: updateData.stream }
+    });
+
+  } catch (error) {
+    console.error('❌ [ADMIN] Error assigning role:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// SUBJECT ASSIGNMENT
+// ============================================================================
+
+// Teacher named by :id into req.teacher
+const loadTeacher = async (req, res, next) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid teacher ID' });
+    }
+
+    req.teacher = await req.db.collection('teachers').findOne({ _id: new ObjectId(req.params.id) });
+    if (!req.teacher) {
+      return res.status(404).json({ success: false, error: 'Teacher not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ [ADMIN] Error loading teacher:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// POST - Give a teacher a subject (their attendance scope):
+// { subject: { stream, semester, subject, sections?, batch? } }
+router.post('/teachers/:id/subjects', canAssignSubjects, requireStreamAccess(req => req.body.subject?.stream), loadTeacher, async (req, res) => {
+  try {
+    const input = req.body.subject || {};
+    const subject = {
+      ...input,
+      id: String(input.id || Date.now()),
+      semester: parseInt(input.semester),
+      createdAt: new Date().toISOString(),
+      teacherEmail: req.teacher.email,
+      assignedBy: req.user.email
+    };
+
+    const teacher = await addTeacherSubject(req.db, req.teacher.email, subject);
+
+    console.log(`✅ [ADMIN] ${req.user.email} assigned ${subject.subject} (${subject.stream} Sem ${subject.semester}) to ${req.teacher.email}`);
+
+    res.json({ success: true, teacher: { _id: teacher._id, email: teacher.email, createdSubjects: teacher.createdSubjects } });
+
+  } catch (error) {
+    console.error('❌ [ADMIN] Error assigning subject:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE - Take a subject away from a teacher
+router.delete('/teachers/:id/subjects/:subjectId', canAssignSubjects, loadTeacher, async (req, res) => {
+  try {
+    const subject = (req.teacher.createdSubjects || []).find(s => String(s.id) === req.params.subjectId);
+
+    if (!subject) {
+      return res.status(404).json({ success: false, error: 'Subject not found' });
+    }
+    if (!canAccessStream(req.user, subject.stream)) {
+      return res.status(403).json({ success: false, error: `No access to stream ${subject.stream}` });
+    }
+
+    await req.db.collection('teachers').updateOne(
+      { _id: req.teacher._id },
+      { $pull: { createdSubjects: { id: subject.id } }, $set: { updatedAt: new Date() } }
+    );
+
+    console.log(`🗑️ [ADMIN] ${req.user.email} removed ${subject.subject} (${subject.stream} Sem ${subject.semester}) from ${req.teacher.email}`);
+
+    res.json({ success: true, message: `${subject.subject} removed from ${req.teacher.email}` });
+
+  } catch (error) {
+    console.error('❌ [ADMIN] Error removing subject:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// DUPLICATE SESSIONS
+// ============================================================================
+
+// GET - Class slots holding more than one session
+// Query: ?from=2024-07-01&to=2024-12-31 (required, at most a year) &stream=BCA&semester=3
+router.get('/attendance-duplicates', adminOnly, async (req, res) => {
+  try {
+    const { stream, semester, from, to } = req.query;
+    const filter = {};
+
+    if (stream) filter.stream = exactMatch(stream);
+    if (semester) filter.semester = parseInt(semester);
+
+    const groups = await findDuplicateGroups(req.db, { from, to }, filter);
+
+    res.json({
+      success: true,
+      groups,
+      count: groups.length,
+      duplicateSessions: groups.reduce((sum, group) => sum + group.sessions.length - 1, 0)
+    });
+
+  } catch (error) {
+    console.error('❌ [ADMIN] Error finding duplicate sessions:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Merge duplicates into one session: { keepId, mergeIds: [...] }
+// The merged sessions go to the recycle bin.
+router.post('/attendance-duplicates/merge', adminOnly, async (req, res) => {
+  try {
+    const { keepId, mergeIds } = req.body;
+    const result = await mergeDuplicates(req.db, req, keepId, Array.isArray(mergeIds) ? mergeIds : []);
+
+    console.log(`🔀 [ADMIN] ${req.user.email} merged ${result.merged.length} duplicate(s) into ${keepId}`);
+
+    res.json({
+      success: true,
+      message: `${result.merged.length} duplicate session(s) merged`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ [ADMIN] Error merging duplicate sessions:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
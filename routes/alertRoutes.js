@@ -0,0 +1,169 @@
+// ============================================================================
+// alertRoutes.js - Attendance Shortage Alerts
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { requirePermission, canAccessStream, canAccessSubject } = require('../middleware/rbac');
+const {
+  ALERT_TYPE,
+  ALERT_STATUSES,
+  getThresholds,
+  saveThresholds,
+  runShortageAlerts,
+  isRunning
+} = require('../models/shortageAlerts');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [ALERTS] ${req.method} ${req.path}`);
+  next();
+});
+
+// Subject alerts go to whoever teaches the subject, overall alerts to
+// whoever can see the stream
+function canSeeAlert(user, alert) {
+  return alert.subject
+    ? canAccessSubject(user, alert)
+    : canAccessStream(user, alert.stream);
+}
+
+// ============================================================================
+// THRESHOLDS
+// ============================================================================
+
+// GET - Warning/critical thresholds and parent notification setting
+router.get('/thresholds', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const thresholds = await getThresholds(req.db);
+    res.json({ success: true, thresholds });
+  } catch (error) {
+    console.error('❌ [ALERTS] Error fetching thresholds:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Change thresholds, e.g. { warning: 85, critical: 75, notifyParents: true }
+router.put('/thresholds', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    let thresholds;
+    try {
+      thresholds = await saveThresholds(req.db, req.body, req.user.email);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    console.log(`✅ [ALERTS] Thresholds updated by ${req.user.email}`);
+    res.json({ success: true, thresholds });
+  } catch (error) {
+    console.error('❌ [ALERTS] Error saving thresholds:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ALERTS
+// ============================================================================
+
+// GET - Alerts visible to the user
+// Query: ?status=open|acknowledged|resolved|active (default active = open + acknowledged),
+//        &level=warning|critical, &stream, &semester, &studentID, &limit
+router.get('/', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { status = 'active', level, stream, semester, studentID } = req.query;
+    const query = { type: ALERT_TYPE };
+
+    if (status === 'active') {
+      query.status = { $in: ['open', 'acknowledged'] };
+    } else if (status !== 'all') {
+      if (!ALERT_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: active, all, ${ALERT_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+    if (level) query.level = level;
+    if (stream) query.stream = stream;
+    if (semester) query.semester = parseInt(String(semester).replace('sem', ''));
+    if (studentID) query.studentID = studentID;
+
+    const alerts = await req.db.collection('alerts')
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 500, 2000))
+      .toArray();
+    const visible = alerts.filter(alert => canSeeAlert(req.user, alert));
+
+    res.json({
+      success: true,
+      alerts: visible,
+      count: visible.length,
+      counts: {
+        critical: visible.filter(a => a.level === 'critical').length,
+        warning: visible.filter(a => a.level === 'warning').length
+      }
+    });
+  } catch (error) {
+    console.error('❌ [ALERTS] Error fetching alerts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Run the shortage check now instead of waiting for the schedule
+router.post('/run', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    if (isRunning()) {
+      return res.status(409).json({ success: false, error: 'The shortage alert job is already running' });
+    }
+
+    const result = await runShortageAlerts(req.db);
+
+    console.log(`✅ [ALERTS] Manual run by ${req.user.email}: ${result.alertsRaised} raised, ${result.alertsResolved} resolved`);
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('❌ [ALERTS] Error running shortage check:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Mark an alert as seen; it stays current until the level changes
+router.put('/:id/acknowledge', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert id' });
+    }
+
+    const alerts = req.db.collection('alerts');
+    const alert = await alerts.findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    if (!canSeeAlert(req.user, alert)) {
+      return res.status(403).json({ success: false, error: 'No access to this alert' });
+    }
+    if (alert.status !== 'open') {
+      return res.status(400).json({ success: false, error: `Alert is already ${alert.status}` });
+    }
+
+    const update = { status: 'acknowledged', acknowledgedBy: req.user.email, acknowledgedAt: new Date() };
+    await alerts.updateOne({ _id: alert._id }, { $set: update });
+
+    res.json({ success: true, alert: { ...alert, ...update } });
+  } catch (error) {
+    console.error('❌ [ALERTS] Error acknowledging alert:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
@@ -0,0 +1,142 @@
+// ============================================================================
+// alumniRoutes.js - Alumni / Archived Students
+// ============================================================================
+//
+// Graduated and removed students (models/alumni.js). Mounted at /api/alumni.
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { requirePermission, canAccessStream, getRole } = require('../middleware/rbac');
+const { ARCHIVE_REASONS, alumniQuery, restoreStudent } = require('../models/alumni');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [ALUMNI] ${req.method} ${req.path}`);
+  next();
+});
+
+// Match an archived student by Mongo _id or by studentID
+const alumniIdFilter = (id) => ObjectId.isValid(id)
+  ? { $or: [{ _id: new ObjectId(id) }, { studentID: id }] }
+  : { studentID: id };
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+// GET - Search archived students
+// Query: ?q=name|studentID|phone, &stream, &semester, &batchYear, &reason=graduated|removed, &limit, &page
+router.get('/', requirePermission('alumni:view'), async (req, res) => {
+  try {
+    const { reason } = req.query;
+    if (reason && !ARCHIVE_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, error: `reason must be one of: ${ARCHIVE_REASONS.join(', ')}` });
+    }
+    if (req.query.stream && !canAccessStream(req.user, req.query.stream)) {
+      return res.status(403).json({ success: false, error: `No access to stream ${req.query.stream}` });
+    }
+
+    const query = alumniQuery(req.query);
+
+    // HODs only see their own stream's alumni
+    if (!req.query.stream && getRole(req.user) === 'hod') {
+      query.stream = req.user.stream || null;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [alumni, total, batchYears] = await Promise.all([
+      req.db.collection('alumni')
+        .find(query)
+        .sort({ batchYear: -1, studentID: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      req.db.collection('alumni').countDocuments(query),
+      req.db.collection('alumni').distinct('batchYear', query.stream ? { stream: query.stream } : {})
+    ]);
+
+    res.json({
+      success: true,
+      alumni,
+      count: alumni.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      batchYears: batchYears.sort((a, b) => b - a)
+    });
+  } catch (error) {
+    console.error('❌ [ALUMNI] Error searching alumni:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - One archived student
+router.get('/:id', requirePermission('alumni:view'), async (req, res) => {
+  try {
+    const archived = await req.db.collection('alumni').findOne(alumniIdFilter(req.params.id));
+
+    if (!archived) {
+      return res.status(404).json({ success: false, error: 'Archived student not found' });
+    }
+    if (!canAccessStream(req.user, archived.stream)) {
+      return res.status(403).json({ success: false, error: `No access to stream ${archived.stream}` });
+    }
+
+    res.json({ success: true, student: archived });
+  } catch (error) {
+    console.error('❌ [ALUMNI] Error fetching archived student:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// RESTORE
+// ============================================================================
+
+// POST - Move an archived student back to `students` with its original _id.
+// Graduates come back active in the semester they graduated from.
+router.post('/:id/restore', requirePermission('students:manage'), async (req, res) => {
+  try {
+    const archived = await req.db.collection('alumni').findOne(alumniIdFilter(req.params.id));
+
+    if (!archived) {
+      return res.status(404).json({ success: false, error: 'Archived student not found' });
+    }
+    if (!canAccessStream(req.user, archived.stream)) {
+      return res.status(403).json({ success: false, error: `No access to stream ${archived.stream}` });
+    }
+
+    let student;
+    try {
+      student = await restoreStudent(req.db, archived, { restoredBy: req.user.email });
+    } catch (conflict) {
+      if (conflict.status !== 409) throw conflict;
+      return res.status(409).json({ success: false, error: conflict.message });
+    }
+
+    console.log(`♻️ [ALUMNI] ${student.studentID} restored by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: `${student.name} (${student.studentID}) restored to ${student.stream} Semester ${student.semester}`,
+      student
+    });
+  } catch (error) {
+    console.error('❌ [ALUMNI] Error restoring student:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
@@ -1,40 +1,37 @@
 // attendanceRoutes.js - Production-Ready Attendance System (No Email)
 const express = require('express');
-const mongoose = require('mongoose');
 const router = express.Router();
-
-// ============================================================================
-// SCHEMA - SIMPLIFIED WITHOUT EMAIL
-// ============================================================================
-
-const attendanceSchema = new mongoose.Schema({
-  stream: { type: String, required: true, trim: true },
-  semester: { type: Number, required: true, min: 1, max: 8 },
-  subject: { type: String, required: true, trim: true },
-  date: { type: Date, required: true },
-  time: { type: String, required: true },
-  studentsPresent: { type: [String], required: true },
-  totalStudents: { type: Number, required: true, min: 0 },
-  presentCount: { type: Number, required: true, min: 0 },
-  absentCount: { type: Number, required: true, min: 0 }
-}, { 
-  timestamps: true,
-  collection: 'attendance'
-});
-
-// Optimized indexes
-attendanceSchema.index({ stream: 1, semester: 1, subject: 1, date: -1 }, { background: true });
-attendanceSchema.index({ date: -1, stream: 1 }, { background: true });
-attendanceSchema.index({ createdAt: -1 }, { background: true });
-
-// Pre-save hook
-attendanceSchema.pre('save', function(next) {
-  if (!this.presentCount) this.presentCount = this.studentsPresent.length;
-  if (!this.absentCount) this.absentCount = this.totalStudents - this.presentCount;
-  next();
-});
-
-const Attendance = mongoose.models.Attendance || mongoose.model('Attendance', attendanceSchema);
+const Attendance = require('../models/Attendance');
+const {
+  buildSessionFields,
+  buildSessionUpdate,
+  getStatusRules,
+  saveStatusRules
+} = require('../models/attendanceStatus');
+const { formatSlot, resolvePeriod } = require('../models/timetable');
+const { checkSessionDate } = require('../models/academicCalendar');
+const { getRoster, parseSections } = require('../models/roster');
+const { normalizeBatchName, findBatch } = require('../models/labBatches');
+const { recordAudit } = require('../models/attendanceAudit');
+const { getLockSettings, isLocked, lockedResponse } = require('../models/attendanceCorrections');
+const { checkDB } = require('../models/dataService');
+const {
+  SLOT_FIELDS,
+  DUPLICATE_MODES,
+  slotKey,
+  findSlotSession,
+  duplicateResponse,
+  idempotencyKey,
+  mergedSessionUpdate
+} = require('../models/sessionSlots');
+const {
+  requirePermission,
+  requireSubjectAccess,
+  hasPermission,
+  canAccessSubject,
+  exactMatch,
+  attendanceScopeFilter
+} = require('../middleware/rbac');
 
 // ============================================================================
 // CACHING SYSTEM
@@ -71,12 +68,7 @@ function clearCachePattern(pattern) {
 // MIDDLEWARE
 // ============================================================================
 
-router.use((req, res, next) => {
-  const db = req.app.locals.db || req.app.get('db');
-  if (!db) return res.status(503).json({ success: false, error: 'Database unavailable' });
-  req.db = db;
-  next();
-});
+router.use(checkDB);
 
 // Rate limiting
 const requestCounts = new Map();
@@ -103,41 +95,279 @@ router.use((req, res, next) => {
   next();
 });
 
+// ============================================================================
+// SESSION TIME
+// ============================================================================
+
+// The timetable decides which period a session is; the client's time label
+// is only used for classes that have no timetable entry
+async function resolveSessionTime(db, { stream, semester, subject, section, batch, date, time, period }) {
+  const slot = await resolvePeriod(db, { stream, semester, subject, section, batch, date, time, period });
+  if (slot) return { time: formatSlot(slot), period: slot.period, timetableId: slot._id };
+  return time ? { time } : null;
+}
+
+// Sections a session was taught to: `sections` (['A', 'B'] or 'A,B') or a
+// single `section`. Empty means the whole class.
+function sessionSections(body) {
+  return parseSections(body.sections ?? body.section ?? body.classInfo?.section);
+}
+
+// Lab batch a session was taken by, checked against the subject's batches.
+// Returns { batch } (undefined for the whole class) or { error }.
+async function sessionBatch(db, body, { stream, semester, subject }) {
+  const name = normalizeBatchName(body.batch ?? body.classInfo?.batch);
+  if (!name) return {};
+  
+  const subjectDoc = await db.collection('subjects').findOne({
+    name: exactMatch(subject),
+    stream: exactMatch(stream),
+    semester: parseInt(semester)
+  });
+  const batch = findBatch(subjectDoc, name);
+  return batch ? { batch: batch.name } : { error: `${subject} has no batch "${name}"` };
+}
+
+function noPeriodFound(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'No timetable period found for this class on that day - send time'
+  });
+}
+
+// ============================================================================
+// ACADEMIC CALENDAR
+// ============================================================================
+
+// Dates outside every term and holidays are rejected; calendar managers can
+// still record them by sending overrideCalendar: true
+function calendarBlocks(req, calendar) {
+  if (calendar.errors.length === 0) return false;
+  return !(req.body.overrideCalendar === true && hasPermission(req.user, 'calendar:manage'));
+}
+
+function calendarRejected(res, calendar) {
+  return res.status(400).json({
+    success: false,
+    error: calendar.errors.join('; '),
+    calendar: { errors: calendar.errors, warnings: calendar.warnings, day: calendar.day }
+  });
+}
+
+// ============================================================================
+// EDIT LOCK
+// ============================================================================
+
+// Sessions past the edit lock window; HODs and admins are never locked out
+async function lockedSessions(req, sessions) {
+  const settings = await getLockSettings(req.db);
+  if (hasPermission(req.user, 'corrections:approve')) return { locked: [], settings };
+  return { locked: sessions.filter(session => isLocked(session, settings)), settings };
+}
+
+// ============================================================================
+// DUPLICATE SESSIONS
+// ============================================================================
+
+function savedResponse(session, calendar, extra = {}) {
+  return {
+    success: true,
+    attendanceId: session._id,
+    time: session.time,
+    period: session.period,
+    sections: session.sections || [],
+    batch: session.batch || null,
+    warnings: [...calendar.warnings, ...calendar.errors],
+    ...extra
+  };
+}
+
+// Who took the session - always the signed-in user, whatever teacherEmail the body carries
+function conductedBy(user) {
+  return { teacherId: user._id, email: user.email, name: user.name };
+}
+
+// Point the completed-class entry myclass.html created (classInfo.completedId)
+// at the saved session
+async function linkCompletedClass(req, session) {
+  const completedId = req.body.classInfo?.completedId ?? req.body.completedId;
+  if (!completedId) return;
+  
+  await req.db.collection('teachers').updateOne(
+    { email: req.user.email, 'completedClasses.id': String(completedId) },
+    { $set: { 'completedClasses.$.attendanceId': session._id, updatedAt: new Date() } }
+  );
+}
+
+// Save a new session, once per class slot. A repeated Idempotency-Key gets
+// the session the same user saved the first time; a taken slot gets 409 with the existing
+// session unless the body says onDuplicate: 'merge' | 'overwrite'.
+async function saveSession(req, res, doc, calendar) {
+  let key;
+  try {
+    key = idempotencyKey(req);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+  
+  if (key) {
+    const replayed = await Attendance.findOne({ idempotencyKey: key }).lean();
+    if (replayed) {
+      await linkCompletedClass(req, replayed);
+      return res.json(savedResponse(replayed, calendar, { replayed: true }));
+    }
+  }
+  
+  const existing = await findSlotSession(req.db, doc);
+  if (existing) return resolveDuplicate(req, res, existing, doc, calendar);
+  
+  let saved;
+  try {
+    saved = await new Attendance({
+      ...doc,
+      conductedBy: conductedBy(req.user),
+      slotKey: slotKey(doc),
+      ...(key && { idempotencyKey: key })
+    }).save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Lost a race with an identical submission or another teacher
+    const winner = key && await Attendance.findOne({ idempotencyKey: key }).lean();
+    if (winner) {
+      await linkCompletedClass(req, winner);
+      return res.json(savedResponse(winner, calendar, { replayed: true }));
+    }
+    const taken = await findSlotSession(req.db, doc);
+    if (!taken) throw error;
+    return resolveDuplicate(req, res, taken, doc, calendar);
+  }
+  await recordAudit(req.db, req, { action: 'create', after: saved });
+  await linkCompletedClass(req, saved);
+  
+  clearCachePattern(`attendance:${doc.stream}`);
+  clearCachePattern(`stats:${doc.stream}`);
+  
+  console.log('✅ Attendance saved:', saved._id, saved.time);
+  res.json(savedResponse(saved, calendar));
+}
+
+// The slot already has a session: report it, or merge/overwrite it as asked
+async function resolveDuplicate(req, res, existing, doc, calendar) {
+  const mode = req.body.onDuplicate;
+  if (!DUPLICATE_MODES.includes(mode)) {
+    console.log(`⚠️ Duplicate submission for ${doc.subject} ${doc.stream} Sem ${doc.semester} - existing ${existing._id}`);
+    return res.status(409).json(duplicateResponse(existing));
+  }
+  
+  const { locked, settings } = await lockedSessions(req, [existing]);
+  if (locked.length > 0) return res.status(403).json(lockedResponse(locked, settings));
+  
+  const update = await mergedSessionUpdate(req.db, mode === 'merge' ? [doc, existing] : [doc]);
+  update.$set.slotKey = slotKey(existing);
+  // An overwrite makes the session this teacher's; a merge keeps who took it
+  if (mode === 'overwrite' || !existing.conductedBy) update.$set.conductedBy = conductedBy(req.user);
+  
+  const updated = await Attendance.findByIdAndUpdate(existing._id, update, { new: true }).lean();
+  await recordAudit(req.db, req, {
+    action: 'update',
+    before: existing,
+    after: updated,
+    reason: `Duplicate submission ${mode === 'merge' ? 'merged into' : 'overwrote'} the session`
+  });
+  await linkCompletedClass(req, updated);
+  
+  cache.delete(`attendance:single:${existing._id}`);
+  clearCachePattern(`attendance:${existing.stream}`);
+  clearCachePattern(`stats:${existing.stream}`);
+  
+  const outcome = mode === 'merge' ? 'merged' : 'overwritten';
+  console.log(`🔀 Duplicate submission ${outcome} into ${existing._id}`);
+  res.json(savedResponse(updated, calendar, { [outcome]: true }));
+}
+
+// ============================================================================
+// STATUS RULES
+// ============================================================================
+
+// GET - Status codes and whether each counts toward the percentage
+router.get('/attendance/status-rules', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const rules = await getStatusRules(req.db);
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('❌ Error fetching status rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Change status rules, e.g. { rules: { L: { countsAs: 'absent' } } }
+router.put('/attendance/status-rules', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    let rules;
+    try {
+      rules = await saveStatusRules(req.db, req.body.rules, req.user.email);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    cache.clear();
+    
+    console.log(`✅ Status rules updated by ${req.user.email}`);
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('❌ Error saving status rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================================================
 // ATTENDANCE ROUTES
 // ============================================================================
 
 // POST - Submit attendance (detailed)
-router.post('/attendance/:stream/:semester/:subject', async (req, res) => {
+router.post('/attendance/:stream/:semester/:subject', requirePermission('attendance:mark'), requireSubjectAccess(), async (req, res) => {
   try {
     const { stream, semester, subject } = req.params;
-    const { date, time, studentsPresent, totalStudents, presentCount, absentCount } = req.body;
+    const { date, time, period } = req.body;
     const semesterNumber = parseInt(semester.replace('sem', ''));
+    const sections = sessionSections(req.body);
     
-    if (!date || !time || !studentsPresent || totalStudents === undefined) {
+    if (!date) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing required fields: date, time, studentsPresent, totalStudents' 
+        error: 'Missing required fields: date, records (or studentsPresent, totalStudents)' 
       });
     }
     
-    const saved = await new Attendance({
+    let sessionFields;
+    try {
+      sessionFields = buildSessionFields(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    const calendar = await checkSessionDate(req.db, { stream, semester: semesterNumber, date });
+    if (calendarBlocks(req, calendar)) return calendarRejected(res, calendar);
+    
+    const { batch, error: batchError } = await sessionBatch(req.db, req.body, { stream, semester: semesterNumber, subject });
+    if (batchError) return res.status(400).json({ success: false, error: batchError });
+    
+    const sessionTime = await resolveSessionTime(req.db, {
+      stream, semester: semesterNumber, subject,
+      section: sections.length === 1 ? sections[0] : undefined, batch, date, time, period
+    });
+    if (!sessionTime) return noPeriodFound(res);
+    
+    await saveSession(req, res, {
       stream, 
       semester: semesterNumber, 
       subject, 
       date: new Date(date), 
-      time,
-      studentsPresent, 
-      totalStudents,
-      presentCount: presentCount || studentsPresent.length,
-      absentCount: absentCount || (totalStudents - studentsPresent.length)
-    }).save();
-    
-    clearCachePattern(`attendance:${stream}`);
-    clearCachePattern(`stats:${stream}`);
-    
-    console.log('✅ Attendance saved:', saved._id);
-    res.json({ success: true, attendanceId: saved._id });
+      ...sessionTime,
+      ...(sections.length > 0 && { sections }),
+      ...(batch && { batch }),
+      ...sessionFields
+    }, calendar);
     
   } catch (error) {
     console.error('❌ Error saving attendance:', error);
@@ -146,33 +376,53 @@ router.post('/attendance/:stream/:semester/:subject', async (req, res) => {
 });
 
 // POST - Simple submit
-router.post('/attendance', async (req, res) => {
+router.post('/attendance', requirePermission('attendance:mark'), requireSubjectAccess(req => ({
+  stream: req.body.stream || 'General',
+  semester: req.body.semester || 1,
+  subject: req.body.subject
+})), async (req, res) => {
   try {
-    const { date, time, subject, studentsPresent, totalStudents, stream, semester, presentCount, absentCount } = req.body;
+    const { date, time, subject, stream, semester, period } = req.body;
+    const sections = sessionSections(req.body);
     
-    if (!date || !time || !subject || !studentsPresent || totalStudents === undefined) {
+    if (!date || !subject) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Missing required fields: date, time, subject, studentsPresent, totalStudents' 
+        error: 'Missing required fields: date, subject, records (or studentsPresent, totalStudents)' 
       });
     }
     
-    const saved = await new Attendance({
+    let sessionFields;
+    try {
+      sessionFields = buildSessionFields(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    const calendar = await checkSessionDate(req.db, { stream: stream || 'General', semester: semester || 1, date });
+    if (calendarBlocks(req, calendar)) return calendarRejected(res, calendar);
+    
+    const { batch, error: batchError } = await sessionBatch(req.db, req.body, {
+      stream: stream || 'General', semester: semester || 1, subject
+    });
+    if (batchError) return res.status(400).json({ success: false, error: batchError });
+    
+    const sessionTime = await resolveSessionTime(req.db, {
+      stream: stream || 'General', semester: semester || 1, subject,
+      section: sections.length === 1 ? sections[0] : undefined, batch, date, time, period
+    });
+    if (!sessionTime) return noPeriodFound(res);
+    
+    await saveSession(req, res, {
       stream: stream || 'General', 
       semester: semester || 1, 
       subject,
       date: new Date(date), 
-      time,
-      studentsPresent, 
-      totalStudents,
-      presentCount: presentCount || studentsPresent.length,
-      absentCount: absentCount || (totalStudents - studentsPresent.length)
-    }).save();
-    
-    clearCachePattern(`attendance:${stream || 'General'}`);
-    
-    console.log('✅ Attendance saved:', saved._id);
-    res.json({ success: true, attendanceId: saved._id });
+      ...sessionTime,
+      ...(sections.length > 0 && { sections }),
+      ...(batch && { batch }),
+      ...sessionFields
+    }, calendar);
     
   } catch (error) {
     console.error('❌ Error saving attendance:', error);
@@ -180,74 +430,33 @@ router.post('/attendance', async (req, res) => {
   }
 });
 // GET - Students for attendance (SMART DETECTION via Subjects Collection)
-router.get('/attendance-students/:stream/:semester/:subject', async (req, res) => {
+router.get('/attendance-students/:stream/:semester/:subject', requirePermission('attendance:view'), requireSubjectAccess(), async (req, res) => {
     try {
       const { stream, semester, subject } = req.params;
       const semesterNumber = parseInt(semester.replace('sem', ''));
       
       console.log('📥 Fetching students:', { stream, semester: semesterNumber, subject });
       
-      // Build base query for students
-      const query = { 
-        stream, 
-        semester: semesterNumber, 
-        isActive: true 
-      };
+      // Language/elective subjects narrow the class to their enrolled students,
+      // ?batch= to one lab batch of a practical subject
+      const { students, subject: subjectDoc, filterApplied, query, batch, batches } = await getRoster(req.db, {
+        stream,
+        semester: semesterNumber,
+        subject,
+        section: req.query.section,
+        batch: req.query.batch
+      });
       
-      // ✅ STEP 1: Check subjects collection to determine subject type
-      try {
-        const subjectDoc = await req.db.collection('subjects').findOne({
-          name: subject,
-          stream,
-          semester: semesterNumber,
-          isActive: true
+      if (subjectDoc) {
+        console.log('📚 Subject found:', {
+          name: subjectDoc.name,
+          type: subjectDoc.subjectType,
+          isLanguage: subjectDoc.isLanguageSubject
         });
-        
-        if (subjectDoc) {
-          console.log('📚 Subject found:', {
-            name: subjectDoc.name,
-            type: subjectDoc.subjectType,
-            isLanguage: subjectDoc.isLanguageSubject
-          });
-          
-          // ✅ STEP 2: Filter based on subject type
-          if (subjectDoc.isLanguageSubject === true) {
-            // It's a language subject - filter by languageSubject field
-            const languageName = subjectDoc.name.toUpperCase();
-            query.languageSubject = languageName;
-            console.log(`🔍 Language Filter: ${languageName}`);
-          } 
-          else if (subjectDoc.subjectType === 'ELECTIVE') {
-            // It's an elective - filter by electiveSubject field
-            const electiveName = subjectDoc.name;
-            query.electiveSubject = electiveName;
-            console.log(`🔍 Elective Filter: ${electiveName}`);
-          }
-          else {
-            console.log('✅ Core subject - showing all students');
-          }
-        } else {
-          console.log('⚠️ Subject not found in subjects collection, showing all students');
-        }
-      } catch (err) {
-        console.warn('⚠️ Error checking subject type:', err);
+      } else {
+        console.log('⚠️ Subject not found in subjects collection, showing all students');
       }
       
-      // ✅ STEP 3: Fetch students with the built query
-      const students = await req.db.collection('students')
-        .find(query)
-        .project({ 
-          _id: 1, 
-          name: 1, 
-          studentID: 1, 
-          rollNumber: 1,
-          languageSubject: 1,
-          electiveSubject: 1,
-          parentPhone: 1
-        })
-        .sort({ studentID: 1 })
-        .toArray();
-      
       console.log(`✅ Query used:`, query);
       console.log(`✅ Found ${students.length} students`);
       
@@ -255,32 +464,36 @@ router.get('/attendance-students/:stream/:semester/:subject', async (req, res) =
         success: true, 
         students, 
         count: students.length,
-        filterApplied: query.languageSubject ? 'language' : (query.electiveSubject ? 'elective' : 'none')
+        filterApplied,
+        batch,
+        batches
       });
       
     } catch (error) {
       console.error('❌ Error fetching students:', error);
-      res.status(500).json({ success: false, error: error.message });
+      res.status(error.status || 500).json({ success: false, error: error.message });
     }
   });
   
 
 // GET - All attendance records
-router.get('/attendance', async (req, res) => {
+router.get('/attendance', requirePermission('attendance:view'), async (req, res) => {
   try {
     const { stream, semester, subject, date, time, startDate, endDate, limit = 50, page = 1 } = req.query;
     
-    const cacheKey = getCacheKey('attendance', { stream, semester, subject, date, time, page, limit });
+    const cacheKey = getCacheKey('attendance', { stream, semester, subject, date, time, page, limit, scope: String(req.user._id) });
     let result = getCache(cacheKey);
     
     if (!result) {
-      const query = {};
-      if (stream) query.stream = stream;
-      if (semester) query.semester = parseInt(semester);
-      if (subject) query.subject = subject;
-      if (date) query.date = new Date(date);
-      if (time) query.time = time;
-      if (startDate && endDate) query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+      const filters = {};
+      if (stream) filters.stream = stream;
+      if (semester) filters.semester = parseInt(semester);
+      if (subject) filters.subject = subject;
+      if (date) filters.date = new Date(date);
+      if (time) filters.time = time;
+      if (startDate && endDate) filters.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+      // Kept apart so query parameters can't replace the user's scope
+      const query = { $and: [filters, attendanceScopeFilter(req.user)] };
       
       const skip = (parseInt(page) - 1) * parseInt(limit);
       
@@ -315,7 +528,7 @@ router.get('/attendance', async (req, res) => {
 });
 
 // GET - Single record
-router.get('/attendance/:id', async (req, res) => {
+router.get('/attendance/:id', requirePermission('attendance:view'), async (req, res) => {
   try {
     const cacheKey = `attendance:single:${req.params.id}`;
     let record = getCache(cacheKey);
@@ -326,6 +539,9 @@ router.get('/attendance/:id', async (req, res) => {
     }
     
     if (!record) return res.status(404).json({ success: false, error: 'Record not found' });
+    if (!canAccessSubject(req.user, record)) {
+      return res.status(403).json({ success: false, error: 'No access to this record' });
+    }
     res.json({ success: true, record });
   } catch (error) {
     console.error('❌ Error fetching record:', error);
@@ -333,16 +549,62 @@ router.get('/attendance/:id', async (req, res) => {
   }
 });
 
+// What PUT /attendance/:id may change
+const EDITABLE_SESSION_FIELDS = ['records', 'studentsPresent', 'totalStudents', 'time', 'date', 'sections', 'batch', 'subject'];
+
 // PUT - Update record
-router.put('/attendance/:id', async (req, res) => {
+router.put('/attendance/:id', requirePermission('attendance:edit'), async (req, res) => {
   try {
+    const existing = await Attendance.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ success: false, error: 'Record not found' });
+    if (!canAccessSubject(req.user, existing) || !canAccessSubject(req.user, { ...existing, ...req.body })) {
+      return res.status(403).json({ success: false, error: 'No access to this record' });
+    }
+    
+    const { locked, settings } = await lockedSessions(req, [existing]);
+    if (locked.length > 0) return res.status(403).json(lockedResponse(locked, settings));
+    
+    // `reason` goes to the audit log, not the session; only the fields a
+    // teacher may correct are accepted - counts are derived, and who took
+    // the session is fixed when it is saved
+    const { reason, ...body } = req.body;
+    const unknown = Object.keys(body).filter(field => !EDITABLE_SESSION_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot update ${unknown.join(', ')} - editable fields are: ${EDITABLE_SESSION_FIELDS.join(', ')}`
+      });
+    }
+    
+    // Attendance changes go through buildSessionUpdate so counts stay in sync
+    let update = body;
+    if (body.records || body.studentsPresent) {
+      const { records, studentsPresent, totalStudents, ...rest } = body;
+      try {
+        const sessionUpdate = buildSessionUpdate({ records, studentsPresent, totalStudents });
+        update = { ...sessionUpdate, $set: { ...rest, ...sessionUpdate.$set } };
+      } catch (validationError) {
+        return res.status(400).json({ success: false, error: validationError.message });
+      }
+    }
+    
+    // Moving a session to another class slot must not land on an existing one
+    if (SLOT_FIELDS.some(field => field in body)) {
+      const moved = { ...existing, ...body };
+      const taken = await findSlotSession(req.db, moved, { excludeId: existing._id });
+      if (taken) return res.status(409).json(duplicateResponse(taken));
+      if (update.$set) update.$set.slotKey = slotKey(moved);
+      else update = { ...update, slotKey: slotKey(moved) };
+    }
+    
     const record = await Attendance.findByIdAndUpdate(
       req.params.id, 
-      req.body, 
+      update, 
       { new: true, runValidators: true }
     ).lean();
     
     if (!record) return res.status(404).json({ success: false, error: 'Record not found' });
+    await recordAudit(req.db, req, { action: 'update', before: existing, after: record });
     
     cache.delete(`attendance:single:${req.params.id}`);
     clearCachePattern(`attendance:${record.stream}`);
@@ -354,67 +616,16 @@ router.put('/attendance/:id', async (req, res) => {
   }
 });
 
-// DELETE - Remove record
-router.delete('/attendance/:id', async (req, res) => {
-  try {
-    const record = await Attendance.findByIdAndDelete(req.params.id).lean();
-    if (!record) return res.status(404).json({ success: false, error: 'Record not found' });
-    
-    cache.delete(`attendance:single:${req.params.id}`);
-    clearCachePattern(`attendance:${record.stream}`);
-    
-    res.json({ success: true, message: 'Deleted successfully' });
-  } catch (error) {
-    console.error('❌ Error deleting record:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-// GET - Statistics
-router.get('/attendance/stats/:stream/:semester', async (req, res) => {
-  try {
-    const { stream, semester } = req.params;
-    const semesterNumber = parseInt(semester.replace('sem', ''));
-    
-    const cacheKey = getCacheKey('stats', { stream, semester: semesterNumber });
-    let stats = getCache(cacheKey);
-    
-    if (!stats) {
-      stats = await Attendance.aggregate([
-        { $match: { stream, semester: semesterNumber } },
-        {
-          $group: {
-            _id: '$subject',
-            totalClasses: { $sum: 1 },
-            totalPresent: { $sum: '$presentCount' },
-            totalAbsent: { $sum: '$absentCount' },
-            avgAttendance: { $avg: { $divide: ['$presentCount', '$totalStudents'] } }
-          }
-        },
-        { $sort: { _id: 1 } }
-      ]);
-      
-      setCache(cacheKey, stats);
-    }
-    
-    res.json({ success: true, stats, stream, semester: semesterNumber });
-  } catch (error) {
-    console.error('❌ Error fetching stats:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 // ============================================================================
 // QUEUE ROUTES
 // ============================================================================
 
 router.post('/queue', async (req, res) => {
   try {
-    const { teacherId, firebaseUid, queueData, timestamp } = req.body;
-    const query = firebaseUid ? { firebaseUid } : { email: teacherId };
+    const { queueData, timestamp } = req.body;
     
     const result = await req.db.collection('teachers').findOneAndUpdate(
-      query,
+      { _id: req.user._id },
       { 
         $set: { 
           attendanceQueue: queueData,
@@ -422,7 +633,7 @@ router.post('/queue', async (req, res) => {
           updatedAt: new Date()
         }
       },
-      { returnDocument: 'after', upsert: true }
+      { returnDocument: 'after' }
     );
     
     res.json({ success: true, teacher: result.value });
@@ -435,15 +646,14 @@ router.post('/queue', async (req, res) => {
 router.get('/queue/:identifier', async (req, res) => {
   try {
     const identifier = decodeURIComponent(req.params.identifier);
-    let teacher = await req.db.collection('teachers').findOne({ firebaseUid: identifier });
     
-    if (!teacher) {
-      teacher = await req.db.collection('teachers').findOne({ email: identifier });
+    if (identifier !== req.user.firebaseUid && identifier !== req.user.email) {
+      return res.status(403).json({ success: false, error: 'Cannot read another teacher\'s queue' });
     }
     
     res.json({ 
       success: true, 
-      queueData: teacher?.attendanceQueue || [] 
+      queueData: req.user.attendanceQueue || [] 
     });
   } catch (error) {
     console.error('❌ Error loading queue:', error);
@@ -453,12 +663,10 @@ router.get('/queue/:identifier', async (req, res) => {
 
 router.delete('/queue/item/:itemId', async (req, res) => {
   try {
-    const { teacherId, firebaseUid } = req.body;
     const itemId = parseFloat(req.params.itemId);
-    const query = firebaseUid ? { firebaseUid } : { email: teacherId };
     
     const result = await req.db.collection('teachers').findOneAndUpdate(
-      query,
+      { _id: req.user._id },
       { 
         $pull: { attendanceQueue: { id: itemId } },
         $set: { updatedAt: new Date() }
@@ -477,205 +685,4 @@ router.delete('/queue/item/:itemId', async (req, res) => {
   }
 });
 
-// ============================================================================
-// HEALTH CHECK
-// ============================================================================
-
-router.get('/attendance/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    cache: { size: cache.size, ttl: `${CACHE_TTL / 1000}s` },
-    uptime: Math.round(process.uptime()),
-    memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
-  });
-});
-// GET - Attendance Register (Full Register Book View)
-router.get('/attendance/register/:stream/:semester/:subject', async (req, res) => {
-    try {
-      const { stream, semester, subject } = req.params;
-      const semesterNumber = parseInt(semester.replace('sem', ''));
-      
-      console.log('📚 Fetching register for:', { stream, semester: semesterNumber, subject });
-      
-      // Get all students for this class
-      const students = await req.db.collection('students')
-        .find({ 
-          stream, 
-          semester: semesterNumber, 
-          isActive: true 
-        })
-        .project({ 
-          _id: 1, 
-          name: 1, 
-          studentID: 1, 
-          rollNumber: 1 
-        })
-        .sort({ studentID: 1 })
-        .toArray();
-      
-      // Get all attendance records for this subject
-      const attendanceRecords = await Attendance.find({
-        stream,
-        semester: semesterNumber,
-        subject
-      })
-      .sort({ date: 1, time: 1 })
-      .lean()
-      .exec();
-      
-      // Group attendance by date and time
-      const sessions = attendanceRecords.map(record => ({
-        _id: record._id,
-        date: record.date,
-        time: record.time,
-        studentsPresent: record.studentsPresent,
-        totalStudents: record.totalStudents,
-        presentCount: record.presentCount,
-        absentCount: record.absentCount
-      }));
-      
-      // Calculate statistics
-      const totalSessions = sessions.length;
-      const totalPossibleAttendances = totalSessions * students.length;
-      
-      // Build register data for each student
-      const registerData = students.map(student => {
-        const studentAttendance = sessions.map(session => ({
-          date: session.date,
-          time: session.time,
-          status: session.studentsPresent.includes(student.studentID) ? 'P' : 'A',
-          sessionId: session._id
-        }));
-        
-        const presentCount = studentAttendance.filter(a => a.status === 'P').length;
-        const absentCount = studentAttendance.filter(a => a.status === 'A').length;
-        const attendancePercentage = totalSessions > 0 
-          ? ((presentCount / totalSessions) * 100).toFixed(2) 
-          : 0;
-        
-        return {
-          studentID: student.studentID,
-          name: student.name,
-          rollNumber: student.rollNumber,
-          attendance: studentAttendance,
-          presentCount,
-          absentCount,
-          totalSessions,
-          attendancePercentage
-        };
-      });
-      
-      res.json({
-        success: true,
-        stream,
-        semester: semesterNumber,
-        subject,
-        students: registerData,
-        sessions,
-        totalSessions,
-        totalStudents: students.length,
-        statistics: {
-          totalPossibleAttendances,
-          averageAttendance: registerData.length > 0
-            ? (registerData.reduce((sum, s) => sum + parseFloat(s.attendancePercentage), 0) / registerData.length).toFixed(2)
-            : 0
-        }
-      });
-      
-    } catch (error) {
-      console.error('❌ Error fetching register:', error);
-      res.status(500).json({ success: false, error: error.message });
-    }
-  });
-  
-  // GET - Single Date Attendance
-  router.get('/attendance/date/:stream/:semester/:subject/:date', async (req, res) => {
-    try {
-      const { stream, semester, subject, date } = req.params;
-      const semesterNumber = parseInt(semester.replace('sem', ''));
-      const queryDate = new Date(date);
-      
-      console.log('📅 Fetching attendance for date:', { stream, semester: semesterNumber, subject, date });
-      
-      // Get all students
-      const students = await req.db.collection('students')
-        .find({ 
-          stream, 
-          semester: semesterNumber, 
-          isActive: true 
-        })
-        .project({ 
-          _id: 1, 
-          name: 1, 
-          studentID: 1, 
-          rollNumber: 1 
-        })
-        .sort({ studentID: 1 })
-        .toArray();
-      
-      // Get attendance records for this date
-      const attendanceRecords = await Attendance.find({
-        stream,
-        semester: semesterNumber,
-        subject,
-        date: {
-          $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-          $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-        }
-      })
-      .sort({ time: 1 })
-      .lean()
-      .exec();
-      
-      if (attendanceRecords.length === 0) {
-        return res.json({
-          success: true,
-          hasAttendance: false,
-          message: 'No attendance records found for this date',
-          students,
-          sessions: []
-        });
-      }
-      
-      // Format response
-      const sessions = attendanceRecords.map(record => ({
-        _id: record._id,
-        time: record.time,
-        studentsPresent: record.studentsPresent,
-        presentCount: record.presentCount,
-        absentCount: record.absentCount
-      }));
-      
-      const attendanceData = students.map(student => {
-        const studentSessions = sessions.map(session => ({
-          time: session.time,
-          status: session.studentsPresent.includes(student.studentID) ? 'P' : 'A',
-          sessionId: session._id
-        }));
-        
-        return {
-          studentID: student.studentID,
-          name: student.name,
-          rollNumber: student.rollNumber,
-          sessions: studentSessions
-        };
-      });
-      
-      res.json({
-        success: true,
-        hasAttendance: true,
-        date,
-        stream,
-        semester: semesterNumber,
-        subject,
-        students: attendanceData,
-        sessions
-      });
-      
-    } catch (error) {
-      console.error('❌ Error fetching date attendance:', error);
-      res.status(500).json({ success: false, error: error.message });
-    }
-  });
-  
 module.exports = router;
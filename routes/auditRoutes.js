@@ -0,0 +1,76 @@
+// ============================================================================
+// auditRoutes.js - Attendance Audit Trail
+// ============================================================================
+//
+// Read-only access to `attendanceAudit` (models/attendanceAudit.js).
+// Mounted at /api/audit.
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission, attendanceScopeFilter, getRole } = require('../middleware/rbac');
+const { AUDIT_ACTIONS, auditQuery } = require('../models/attendanceAudit');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [AUDIT] ${req.method} ${req.path}`);
+  next();
+});
+
+// ============================================================================
+// ATTENDANCE AUDIT LOG
+// ============================================================================
+
+// GET - Audit entries, newest first
+// Query: ?sessionId=, &studentID=, &teacher=email, &action=create|update|delete, &from, &to, &limit, &page
+router.get('/attendance', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { action, teacher } = req.query;
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+
+    // Teachers see entries for their own subjects, made by anyone; only
+    // HODs, the principal and admins look up another teacher's changes
+    if (teacher && getRole(req.user) === 'teacher' && String(teacher).toLowerCase() !== String(req.user.email).toLowerCase()) {
+      return res.status(403).json({ success: false, error: 'Teachers can only look up their own changes' });
+    }
+
+    const query = { $and: [auditQuery(req.query), attendanceScopeFilter(req.user)] };
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      req.db.collection('attendanceAudit')
+        .find(query)
+        .sort({ changedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      req.db.collection('attendanceAudit').countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('❌ [AUDIT] Error fetching audit log:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
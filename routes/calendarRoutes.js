@@ -0,0 +1,248 @@
+// ============================================================================
+// calendarRoutes.js - Academic Calendar (terms, holidays, exams, Saturdays)
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const {
+  requirePermission,
+  requireStreamAccess,
+  requireDocumentStreamAccess
+} = require('../middleware/rbac');
+const {
+  ENTRY_TYPES,
+  validateEntry,
+  appliesTo,
+  loadEntries,
+  getTerm,
+  classifyDay,
+  countWorkingDays,
+  describeTerm,
+  checkSessionDate,
+  dateKey,
+  startOfDay
+} = require('../models/academicCalendar');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [CALENDAR] ${req.method} ${req.path}`);
+  next();
+});
+
+// College-wide entries (no stream) are out of an HOD's scope
+const entryInScope = requireDocumentStreamAccess('academicCalendar', req =>
+  ObjectId.isValid(req.params.id) ? { _id: new ObjectId(req.params.id) } : { _id: null }
+);
+
+// ============================================================================
+// READ ROUTES
+// ============================================================================
+
+// GET - Entries, filtered by type/stream/semester/from/to
+router.get('/', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { type, stream, semester, from, to } = req.query;
+    const query = appliesTo(stream, semester);
+
+    if (type) query.type = type;
+    if (from) query.endDate = { $gte: startOfDay(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+
+    const entries = await req.db.collection('academicCalendar')
+      .find(query)
+      .sort({ startDate: 1 })
+      .toArray();
+
+    res.json({ success: true, types: ENTRY_TYPES, entries, count: entries.length });
+
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error fetching entries:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - Terms that apply to a class
+router.get('/terms', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { stream, semester } = req.query;
+
+    const terms = await req.db.collection('academicCalendar')
+      .find({ type: 'term', ...appliesTo(stream, semester) })
+      .sort({ startDate: -1 })
+      .toArray();
+
+    res.json({ success: true, terms, count: terms.length });
+
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error fetching terms:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - Working days for a class (?termId= or ?from=&to=)
+router.get('/working-days', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { stream, semester, termId } = req.query;
+    let { from, to } = req.query;
+
+    if (termId) {
+      const term = await getTerm(req.db, termId);
+      if (!term) return res.status(404).json({ success: false, error: 'Term not found' });
+      from = term.startDate;
+      to = term.endDate;
+    }
+
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'termId or from and to are required' });
+    }
+
+    const fromDate = startOfDay(from);
+    const toDate = new Date(to);
+    const entries = await loadEntries(req.db, { stream, semester, from: fromDate, to: toDate });
+
+    const nonWorkingDays = [];
+    for (let day = fromDate; day <= toDate; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+      const info = classifyDay(entries, day);
+      if (!info.working) nonWorkingDays.push({ date: dateKey(day), type: info.type, reason: info.reason });
+    }
+
+    res.json({
+      success: true,
+      from: dateKey(fromDate),
+      to: dateKey(toDate),
+      workingDays: countWorkingDays(entries, fromDate, toDate),
+      nonWorkingDays
+    });
+
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error counting working days:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - Calendar check for a session date (?stream&semester&date)
+router.get('/check', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { stream, semester, date } = req.query;
+
+    if (!stream || !semester || !date) {
+      return res.status(400).json({ success: false, error: 'stream, semester and date are required' });
+    }
+
+    const result = await checkSessionDate(req.db, { stream, semester, date });
+    const term = result.term && await describeTerm(req.db, result.term, { stream, semester });
+
+    res.json({ success: true, ...result, term });
+
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error checking date:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// MANAGEMENT ROUTES
+// ============================================================================
+
+// POST - Add a term, holiday, exam period or working Saturday
+router.post('/', requirePermission('calendar:manage'), requireStreamAccess(req => req.body.stream || ''), async (req, res) => {
+  try {
+    let entry;
+    try {
+      entry = validateEntry(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const doc = {
+      ...entry,
+      createdBy: req.user.email,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await req.db.collection('academicCalendar').insertOne(doc);
+
+    console.log(`✅ [CALENDAR] Added ${entry.type} "${entry.name}" ${dateKey(entry.startDate)} - ${dateKey(entry.endDate)}`);
+
+    res.status(201).json({ success: true, entry: { ...doc, _id: result.insertedId } });
+
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error adding entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Update an entry
+router.put('/:id', requirePermission('calendar:manage'), entryInScope, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid entry ID' });
+    }
+
+    const calendar = req.db.collection('academicCalendar');
+    const existing = await calendar.findOne({ _id: new ObjectId(id) });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Entry not found' });
+    }
+
+    let entry;
+    try {
+      entry = validateEntry({ ...existing, ...req.body });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    await calendar.updateOne(
+      { _id: existing._id },
+      { $set: { ...entry, updatedBy: req.user.email, updatedAt: new Date() } }
+    );
+
+    console.log(`✅ [CALENDAR] Updated entry ${id}`);
+    res.json({ success: true, entry: { ...existing, ...entry } });
+
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error updating entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE - Remove an entry
+router.delete('/:id', requirePermission('calendar:manage'), entryInScope, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid entry ID' });
+    }
+
+    const result = await req.db.collection('academicCalendar').deleteOne({ _id: new ObjectId(id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Entry not found' });
+    }
+
+    console.log(`🗑️ [CALENDAR] Deleted entry ${id}`);
+    res.json({ success: true, message: 'Entry deleted' });
+
+  } catch (error) {
+    console.error('❌ [CALENDAR] Error deleting entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
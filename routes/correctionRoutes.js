@@ -0,0 +1,183 @@
+// ============================================================================
+// correctionRoutes.js - Attendance Correction Requests
+// ============================================================================
+//
+// Changes to sessions past the edit lock window go through a correction
+// request approved by the HOD (models/attendanceCorrections.js).
+// Mounted at /api/corrections.
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const {
+  requirePermission,
+  canAccessSubject,
+  attendanceScopeFilter,
+  getRole
+} = require('../middleware/rbac');
+const {
+  CORRECTION_STATUSES,
+  getLockSettings,
+  saveLockSettings,
+  createCorrection,
+  approveCorrection,
+  rejectCorrection,
+  findCorrection
+} = require('../models/attendanceCorrections');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [CORRECTION] ${req.method} ${req.path}`);
+  next();
+});
+
+// Load the correction named by :id into req.correction, checking the user
+// may review its class
+const loadCorrection = async (req, res, next) => {
+  try {
+    const correction = await findCorrection(req.db, req.params.id);
+
+    if (!correction) {
+      return res.status(404).json({ success: false, error: 'Correction request not found' });
+    }
+    if (!canAccessSubject(req.user, correction)) {
+      return res.status(403).json({ success: false, error: 'No access to this correction request' });
+    }
+
+    req.correction = correction;
+    next();
+  } catch (error) {
+    console.error('❌ [CORRECTION] Error loading correction:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// ============================================================================
+// LOCK WINDOW SETTINGS
+// ============================================================================
+
+// GET - Hours after the class day during which teachers can edit directly
+router.get('/settings', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    res.json({ success: true, settings: await getLockSettings(req.db) });
+  } catch (error) {
+    console.error('❌ [CORRECTION] Error fetching lock settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Change the lock window: { windowHours: 48 }
+router.put('/settings', requirePermission('settings:manage'), async (req, res) => {
+  let settings;
+  try {
+    settings = await saveLockSettings(req.db, req.body, req.user.email);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  console.log(`⚙️ [CORRECTION] Lock window set to ${settings.windowHours}h by ${req.user.email}`);
+  res.json({ success: true, settings });
+});
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+// GET - Correction requests, newest first. Teachers see their own;
+// HODs their stream's; admins and the principal all.
+// Query: ?status=pending|approving|approved|rejected, &sessionId, &limit
+router.get('/', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { status, sessionId } = req.query;
+    if (status && !CORRECTION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${CORRECTION_STATUSES.join(', ')}` });
+    }
+
+    const filters = {};
+    if (status) filters.status = status;
+    if (sessionId) filters.sessionId = ObjectId.isValid(sessionId) ? new ObjectId(sessionId) : null;
+    if (getRole(req.user) === 'teacher') filters['requestedBy.email'] = req.user.email;
+
+    // Kept apart so query parameters can't replace the user's scope
+    const query = { $and: [filters, attendanceScopeFilter(req.user)] };
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const corrections = await req.db.collection('attendanceCorrections')
+      .find(query)
+      .sort({ requestedAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ success: true, corrections, count: corrections.length });
+  } catch (error) {
+    console.error('❌ [CORRECTION] Error fetching corrections:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - File a correction request: { sessionId, records: [{ studentID, status }], reason }
+router.post('/', requirePermission('attendance:edit'), async (req, res) => {
+  try {
+    const { sessionId, records, reason } = req.body;
+    const session = ObjectId.isValid(sessionId)
+      ? await req.db.collection('attendance').findOne({ _id: new ObjectId(sessionId) })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    if (!canAccessSubject(req.user, session)) {
+      return res.status(403).json({ success: false, error: 'No access to this session' });
+    }
+
+    const correction = await createCorrection(req.db, req.user, session, { records, reason });
+
+    console.log(`📝 [CORRECTION] ${req.user.email} requested ${correction.changes.length} change(s) to ${session.subject} ${session.stream} Sem ${session.semester}`);
+    res.status(201).json({
+      success: true,
+      message: 'Correction request sent to the HOD for approval',
+      correction
+    });
+  } catch (error) {
+    console.error('❌ [CORRECTION] Error filing correction:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Approve and apply a pending request: { note? }
+router.post('/:id/approve', requirePermission('corrections:approve'), loadCorrection, async (req, res) => {
+  try {
+    const { correction, session } = await approveCorrection(req.db, req, req.correction, { note: req.body.note });
+
+    console.log(`✅ [CORRECTION] ${correction._id} approved by ${req.user.email}`);
+    res.json({ success: true, message: 'Correction approved and applied', correction, session });
+  } catch (error) {
+    console.error('❌ [CORRECTION] Error approving correction:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Reject a pending request: { note? }
+router.post('/:id/reject', requirePermission('corrections:approve'), loadCorrection, async (req, res) => {
+  try {
+    const correction = await rejectCorrection(req.db, req, req.correction, { note: req.body.note });
+
+    console.log(`🚫 [CORRECTION] ${correction._id} rejected by ${req.user.email}`);
+    res.json({ success: true, message: 'Correction rejected', correction });
+  } catch (error) {
+    console.error('❌ [CORRECTION] Error rejecting correction:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
@@ -0,0 +1,195 @@
+// ============================================================================
+// enrollmentRoutes.js - Language and Elective Enrollments
+// ============================================================================
+//
+// Which students take which language/elective subject (models/enrollments.js).
+// Mounted at /api/enrollments.
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { requirePermission, canAccessStream, canAccessSubject } = require('../middleware/rbac');
+const {
+  enrollmentKind,
+  parseStudentIDs,
+  enrolledStudentIDs,
+  enrollStudents,
+  dropStudents,
+  studentEnrollments,
+  migrateLegacyEnrollments
+} = require('../models/enrollments');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [ENROLL] ${req.method} ${req.path}`);
+  next();
+});
+
+// Load the subject named by :subjectId into req.subject, checking the
+// user may work with its stream
+const loadSubject = async (req, res, next) => {
+  try {
+    const { subjectId } = req.params;
+    const subject = ObjectId.isValid(subjectId)
+      ? await req.db.collection('subjects').findOne({ _id: new ObjectId(subjectId) })
+      : null;
+
+    if (!subject) {
+      return res.status(404).json({ success: false, error: 'Subject not found' });
+    }
+    if (!canAccessSubject(req.user, { stream: subject.stream, semester: subject.semester, subject: subject.name })) {
+      return res.status(403).json({ success: false, error: `No access to ${subject.name} (${subject.stream} Sem ${subject.semester})` });
+    }
+
+    req.subject = subject;
+    next();
+  } catch (error) {
+    console.error('❌ [ENROLL] Error loading subject:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// studentID or studentIDs (array or 'BCA1,BCA2') from the request body
+const bodyStudentIDs = body => parseStudentIDs(body.studentIDs ?? body.studentID);
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+// GET - Students enrolled in a subject
+// Query: ?includeDropped=true
+router.get('/subject/:subjectId', requirePermission('attendance:view'), loadSubject, async (req, res) => {
+  try {
+    const includeDropped = req.query.includeDropped === 'true';
+    const [enrollments, active] = await Promise.all([
+      req.db.collection('enrollments')
+        .find({ subjectId: req.subject._id, ...(!includeDropped && { status: 'active' }) })
+        .sort({ studentID: 1 })
+        .toArray(),
+      enrolledStudentIDs(req.db, req.subject)
+    ]);
+
+    res.json({
+      success: true,
+      subject: { _id: req.subject._id, name: req.subject.name, stream: req.subject.stream, semester: req.subject.semester },
+      kind: enrollmentKind(req.subject),
+      // false until the subject's first enrollment: rosters use the legacy student fields
+      usesEnrollments: active !== null,
+      enrollments,
+      count: enrollments.length
+    });
+  } catch (error) {
+    console.error('❌ [ENROLL] Error fetching subject enrollments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - A student's enrollments
+// Query: ?semester=, &includeDropped=true
+router.get('/student/:studentID', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const student = await req.db.collection('students').findOne({ studentID: req.params.studentID });
+
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+    if (!canAccessStream(req.user, student.stream)) {
+      return res.status(403).json({ success: false, error: `No access to stream ${student.stream}` });
+    }
+
+    const enrollments = await studentEnrollments(req.db, student.studentID, {
+      semester: req.query.semester,
+      includeDropped: req.query.includeDropped === 'true'
+    });
+
+    res.json({ success: true, studentID: student.studentID, enrollments, count: enrollments.length });
+  } catch (error) {
+    console.error('❌ [ENROLL] Error fetching student enrollments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ENROLL / DROP
+// ============================================================================
+
+// POST - Enroll one student ({ studentID }) or many ({ studentIDs })
+router.post('/subject/:subjectId/enroll', requirePermission('students:manage'), loadSubject, async (req, res) => {
+  try {
+    const studentIDs = bodyStudentIDs(req.body);
+    if (studentIDs.length === 0) {
+      return res.status(400).json({ success: false, error: 'studentID or studentIDs is required' });
+    }
+
+    const result = await enrollStudents(req.db, req.subject, studentIDs, {
+      enrolledBy: req.user.email,
+      source: studentIDs.length > 1 ? 'bulk' : 'manual'
+    });
+
+    console.log(`✅ [ENROLL] ${result.enrolled.length} enrolled in ${req.subject.name} (${req.subject.stream} Sem ${req.subject.semester}) by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: `${result.enrolled.length} student(s) enrolled in ${req.subject.name}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [ENROLL] Error enrolling students:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Drop one student ({ studentID }) or many ({ studentIDs })
+router.post('/subject/:subjectId/drop', requirePermission('students:manage'), loadSubject, async (req, res) => {
+  try {
+    const studentIDs = bodyStudentIDs(req.body);
+    if (studentIDs.length === 0) {
+      return res.status(400).json({ success: false, error: 'studentID or studentIDs is required' });
+    }
+
+    const result = await dropStudents(req.db, req.subject, studentIDs, { droppedBy: req.user.email });
+
+    console.log(`🗑️ [ENROLL] ${result.dropped.length} dropped from ${req.subject.name} (${req.subject.stream} Sem ${req.subject.semester}) by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: `${result.dropped.length} student(s) dropped from ${req.subject.name}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [ENROLL] Error dropping students:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+// POST - Create enrollments from students.languageSubject / electiveSubject.
+// Safe to run more than once.
+router.post('/migrate', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const result = await migrateLegacyEnrollments(req.db, { performedBy: req.user.email });
+
+    console.log(`🔁 [ENROLL] Migration by ${req.user.email}: ${result.created} created, ${result.unmatched.length} unmatched`);
+    res.json({
+      success: true,
+      message: `${result.created} enrollment(s) created from ${result.students} student profile(s)`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [ENROLL] Error migrating enrollments:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
@@ -0,0 +1,277 @@
+// ============================================================================
+// messagingRoutes.js - Parent Absence Messages (msg.html)
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { requirePermission, requireStreamAccess, attendanceScopeFilter } = require('../middleware/rbac');
+const { loadAbsenceTemplates, buildAbsenceMessage, buildDailyAbsenceSummary } = require('../models/absenceSummary');
+const { CHANNELS, deliver, findPreviousBatch, claimBatch, finishBatch, timeAgo } = require('../models/messaging');
+const { dateKey } = require('../models/academicCalendar');
+const { checkDB, findActiveStream } = require('../models/dataService');
+
+const ABSENCE_KIND = 'daily-absence';
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+function parseRequest(req) {
+  const { stream, semester, date } = req.params;
+  const semesterNumber = parseInt(semester.replace('sem', ''));
+
+  if (isNaN(semesterNumber) || isNaN(new Date(date))) {
+    return null;
+  }
+
+  return { stream, semester: semesterNumber, date, day: dateKey(date) };
+}
+
+// The stream as stored (its name), so the log and batch claims for a
+// class/day don't depend on how the URL spelled it. Null if unknown.
+async function withStoredStream(db, target) {
+  const stream = await findActiveStream(db, target.stream);
+  return stream ? { ...target, stream: stream.name } : null;
+}
+
+function streamNotFound(res) {
+  return res.status(404).json({ success: false, message: 'Stream not found' });
+}
+
+function invalidRequest(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Use /:stream/sem<n>/YYYY-MM-DD'
+  });
+}
+
+function describeBatch(previous, { stream, semester, date }) {
+  const attempted = previous.messagesSent + previous.messagesFailed;
+  return {
+    ...previous,
+    date,
+    stream,
+    semester,
+    lastSentAgo: timeAgo(previous.sentAt),
+    successRate: attempted > 0 ? ((previous.messagesSent / attempted) * 100).toFixed(1) : '0'
+  };
+}
+
+function countDeliveries(results) {
+  const messagesSent = results.filter(r => r.success).length;
+  return { messagesSent, messagesFailed: results.length - messagesSent };
+}
+
+function alreadySentResponse(previous, summary) {
+  return {
+    success: true,
+    alreadySent: true,
+    message: `Messages were already sent ${timeAgo(previous.sentAt)}. Send forceResend: true to send again.`,
+    previousSendInfo: describeBatch(previous, summary)
+  };
+}
+
+// ============================================================================
+// DAILY ABSENCE SUMMARY (preview)
+// ============================================================================
+
+router.get('/daily-absence-summary/:stream/:semester/:date', requirePermission('messages:send'), requireStreamAccess(), async (req, res) => {
+  try {
+    const parsed = parseRequest(req);
+    if (!parsed) return invalidRequest(res);
+    const target = await withStoredStream(req.db, parsed);
+    if (!target) return streamNotFound(res);
+
+    const summary = await buildDailyAbsenceSummary(req.db, target);
+    const templates = await loadAbsenceTemplates(req.db);
+
+    // The exact text each parent will get, in their language
+    summary.absenceSummary.forEach(student => {
+      if (!student.willReceiveMessage) return;
+      const message = buildAbsenceMessage(templates, student, summary);
+      student.messagePreview = message.body;
+      student.messageLanguage = message.language;
+    });
+
+    const previous = await findPreviousBatch(req.db, {
+      kind: ABSENCE_KIND,
+      stream: target.stream,
+      semester: target.semester,
+      date: target.day
+    });
+
+    res.json({
+      success: true,
+      ...summary,
+      messageStatus: previous
+        ? {
+          alreadySent: true,
+          ...describeBatch(previous, summary),
+          timeSinceSent: timeAgo(previous.sentAt)
+        }
+        : {
+          alreadySent: false,
+          note: 'No messages sent yet for this date. Ready to send messages.'
+        }
+    });
+
+  } catch (error) {
+    console.error('❌ [MESSAGING] Error building absence summary:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================================
+// SEND ABSENCE MESSAGES
+// ============================================================================
+
+// POST body: { forceResend?: boolean, channel?: 'whatsapp' | 'sms' }
+router.post('/send-absence-messages/:stream/:semester/:date', requirePermission('messages:send'), requireStreamAccess(), async (req, res) => {
+  try {
+    const parsed = parseRequest(req);
+    if (!parsed) return invalidRequest(res);
+
+    const forceResend = req.body.forceResend === true;
+    const channel = req.body.channel || process.env.MESSAGE_CHANNEL || 'whatsapp';
+
+    if (!CHANNELS.includes(channel)) {
+      return res.status(400).json({ success: false, message: `channel must be one of: ${CHANNELS.join(', ')}` });
+    }
+
+    const target = await withStoredStream(req.db, parsed);
+    if (!target) return streamNotFound(res);
+
+    const logFilter = { kind: ABSENCE_KIND, stream: target.stream, semester: target.semester, date: target.day };
+    const summary = await buildDailyAbsenceSummary(req.db, target);
+
+    // A class/day is only messaged once unless the sender confirms a resend
+    const previous = forceResend ? null : await findPreviousBatch(req.db, logFilter);
+    if (previous) return res.json(alreadySentResponse(previous, summary));
+
+    // Claim the class/day before sending, so a second click or another
+    // HOD can't message the same parents at the same time
+    const batchId = new ObjectId();
+    const { claimed, existing } = await claimBatch(req.db, logFilter, {
+      batchId, channel, sentBy: req.user.email, force: forceResend
+    });
+    if (!claimed) {
+      const finished = existing?.status === 'sent' && await findPreviousBatch(req.db, logFilter);
+      if (finished) return res.json(alreadySentResponse(finished, summary));
+      return res.status(409).json({
+        success: false,
+        message: `Messages for this class and day are being sent by ${existing?.sentBy || 'someone else'} - try again when they finish`
+      });
+    }
+
+    const recipients = summary.absenceSummary.filter(s => s.willReceiveMessage);
+    const templates = await loadAbsenceTemplates(req.db);
+    const triggeredAt = new Date();
+
+    console.log(`📨 [MESSAGING] ${req.user.email} sending ${recipients.length} ${channel} messages for ${target.stream} Sem ${target.semester} on ${target.day}${forceResend ? ' (force resend)' : ''}`);
+
+    // Sequential on purpose - providers rate-limit bursts
+    const deliveryResults = [];
+    try {
+      for (const student of recipients) {
+        const entry = await deliver(req.db, {
+          batchId,
+          channel,
+          message: {
+            ...student,
+            ...buildAbsenceMessage(templates, student, summary)
+          },
+          meta: {
+            ...logFilter,
+            subjectsIncluded: summary.subjectsWithAttendance,
+            forceResend,
+            sentBy: req.user.email
+          }
+        });
+
+        deliveryResults.push({
+          studentID: student.studentID,
+          studentName: student.studentName,
+          parentPhone: student.parentPhone,
+          messageType: student.messageType,
+          language: entry.language,
+          success: entry.status === 'sent',
+          messageId: entry.providerMessageId,
+          error: entry.error
+        });
+      }
+    } finally {
+      await finishBatch(req.db, batchId, countDeliveries(deliveryResults));
+    }
+
+    const { messagesSent, messagesFailed } = countDeliveries(deliveryResults);
+
+    console.log(`✅ [MESSAGING] Batch ${batchId}: ${messagesSent} sent, ${messagesFailed} failed`);
+
+    res.json({
+      success: true,
+      alreadySent: false,
+      batchId,
+      date: summary.date,
+      stream: summary.stream,
+      semester: summary.semester,
+      channel,
+      subjectsIncluded: summary.subjectsWithAttendance,
+      triggeredAt,
+      summary: {
+        studentsToNotify: recipients.length,
+        messagesSent,
+        messagesFailed,
+        fullDayAbsent: summary.summary.fullDayAbsent,
+        partialDayAbsent: summary.summary.partialDayAbsent,
+        studentsWithoutPhone: summary.summary.studentsWithoutPhone,
+        successRate: recipients.length > 0 ? ((messagesSent / recipients.length) * 100).toFixed(1) : '0',
+        isForceResend: forceResend
+      },
+      deliveryResults
+    });
+
+  } catch (error) {
+    console.error('❌ [MESSAGING] Error sending absence messages:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================================
+// DELIVERY LOG
+// ============================================================================
+
+// GET - Logged messages, filtered by stream/semester/date/studentID/status
+router.get('/messages/log', requirePermission('messages:send'), async (req, res) => {
+  try {
+    const { stream, semester, date, studentID, status } = req.query;
+    const query = {};
+
+    if (stream) query.stream = stream;
+    if (semester) query.semester = parseInt(String(semester).replace('sem', ''));
+    if (date) query.date = dateKey(date);
+    if (studentID) query.studentID = studentID;
+    if (status) query.status = status;
+
+    // Scoped in the query so the limit counts only messages the user may see
+    const messages = await req.db.collection('messageLog')
+      .find({ $and: [query, attendanceScopeFilter(req.user)] })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 200, 1000))
+      .toArray();
+
+    res.json({ success: true, messages, count: messages.length });
+
+  } catch (error) {
+    console.error('❌ [MESSAGING] Error fetching delivery log:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
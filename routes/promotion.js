@@ -1,32 +1,38 @@
 // ============================================================================
-// STUDENT PROMOTION SYSTEM - FIXED CONNECTION MANAGEMENT
+// STUDENT PROMOTION SYSTEM
 // ============================================================================
 
 const express = require('express');
 const router = express.Router();
-const { MongoClient } = require('mongodb');
+const { requirePermission, requireStreamAccess } = require('../middleware/rbac');
+const {
+  DETENTION_REASONS,
+  findStream,
+  validateOverride,
+  isTransactionUnsupported,
+  previewPromotion,
+  runPromotion
+} = require('../models/promotionEngine');
+const { streamSemesters } = require('../models/roster');
+const {
+  getUndoSettings,
+  saveUndoSettings,
+  listPromotions,
+  getPromotion,
+  latestPromotion,
+  undoPromotion
+} = require('../models/promotionHistory');
 
-const MONGODB_URI = process.env.MONGODB_URI;
-
-// ✅ FIX: Create new client for each route OR use connection pooling
-async function getDatabase() {
-  const client = new MongoClient(MONGODB_URI);
-  await client.connect();
-  return { client, db: client.db() };
-}
+// Routes run on the server's pooled connection (req.db); promotions and
+// undos run their transactions on its client
+const { checkDB, getClient, listStreams, createStudent } = require('../models/dataService');
 
 // ============================================================================
 // 1. GET ALL STREAMS
 // ============================================================================
-router.get('/api/streams', async (req, res) => {
-  let client;
+router.get('/api/streams', checkDB, async (req, res) => {
   try {
-    const connection = await getDatabase();
-    client = connection.client;
-    const db = connection.db;
-    
-    const streamsCollection = db.collection('streams');
-    const streams = await streamsCollection.find({ isActive: true }).toArray();
+    const streams = await listStreams(req.db, { activeOnly: true });
     
     const formattedStreams = streams.map(stream => ({
       streamCode: stream.streamCode,
@@ -47,29 +53,18 @@ router.get('/api/streams', async (req, res) => {
       message: 'Error fetching streams from database',
       error: error.message
     });
-  } finally {
-    if (client) await client.close();
   }
 });
 
 // ============================================================================
 // 2. GET PROMOTION PREVIEW
 // ============================================================================
-router.get('/api/simple-promotion-preview/:stream', async (req, res) => {
-  let client;
+router.get('/api/simple-promotion-preview/:stream', checkDB, requirePermission('promotion:run'), async (req, res) => {
   try {
     const streamName = req.params.stream;
-    const connection = await getDatabase();
-    client = connection.client;
-    const db = connection.db;
-    
-    const streamsCollection = db.collection('streams');
-    const streamData = await streamsCollection.findOne({ 
-      $or: [
-        { name: streamName },
-        { streamCode: streamName.toLowerCase() }
-      ]
-    });
+    const db = req.db;
+    
+    const streamData = await findStream(db, streamName);
     
     if (!streamData) {
       return res.status(404).json({
@@ -78,35 +73,32 @@ router.get('/api/simple-promotion-preview/:stream', async (req, res) => {
       });
     }
     
-    const studentsCollection = db.collection('students');
+    const plan = await previewPromotion(db, streamData);
     
+    // Active students per semester (moving + detained), for the semester boxes
     const semesterBreakdown = {};
-    let totalStudents = 0;
+    plan.bySemester.forEach(step => {
+      semesterBreakdown[`semester${step.from}`] = step.students + step.detained;
+    });
     
-    for (let sem = 1; sem <= 6; sem++) {
-      const count = await studentsCollection.countDocuments({ 
-        stream: streamData.name,
-        semester: sem 
-      });
-      semesterBreakdown[`semester${sem}`] = count;
-      totalStudents += count;
-    }
+    const promotionPreview = plan.bySemester.map(step =>
+      `Sem ${step.from} → ${step.to === 'Graduated' ? 'Graduate' : `Sem ${step.to}`} (${step.students} students)`
+    );
     
-    const promotionPreview = [
-      `Sem 1 → Sem 2 (${semesterBreakdown.semester1} students)`,
-      `Sem 2 → Sem 3 (${semesterBreakdown.semester2} students)`,
-      `Sem 3 → Sem 4 (${semesterBreakdown.semester3} students)`,
-      `Sem 4 → Sem 5 (${semesterBreakdown.semester4} students)`,
-      `Sem 5 → Sem 6 (${semesterBreakdown.semester5} students)`,
-      `Sem 6 → Graduate (${semesterBreakdown.semester6} students)`
-    ];
+    const withoutIds = list => list.map(({ _id, ...t }) => t);
     
     res.json({
       success: true,
       stream: streamData.name,
-      totalStudents: totalStudents,
+      totalStudents: plan.totals.promoted + plan.totals.graduated + plan.totals.detained,
+      semesterCount: plan.semesterCount,
+      finalSemester: plan.finalSemester,
       semesterBreakdown: semesterBreakdown,
-      promotionPreview: promotionPreview
+      promotionPreview: promotionPreview,
+      totals: plan.totals,
+      detainees: withoutIds(plan.detainees),
+      detentionReasons: DETENTION_REASONS,
+      transitions: withoutIds(plan.transitions)
     });
     
   } catch (error) {
@@ -116,29 +108,18 @@ router.get('/api/simple-promotion-preview/:stream', async (req, res) => {
       message: 'Error getting promotion preview',
       error: error.message
     });
-  } finally {
-    if (client) await client.close();
   }
 });
 
 // ============================================================================
-// 3. EXECUTE PROMOTION - WITH BACKUP
+// 3. EXECUTE PROMOTION - ONE TRANSACTION, WITH BACKUP
 // ============================================================================
-router.post('/api/simple-promotion/:stream', async (req, res) => {
-  let client;
+router.post('/api/simple-promotion/:stream', checkDB, requirePermission('promotion:run'), async (req, res) => {
   try {
     const streamName = req.params.stream;
-    const connection = await getDatabase();
-    client = connection.client;
-    const db = connection.db;
-    
-    const streamsCollection = db.collection('streams');
-    const streamData = await streamsCollection.findOne({ 
-      $or: [
-        { name: streamName },
-        { streamCode: streamName.toLowerCase() }
-      ]
-    });
+    const db = req.db;
+    
+    const streamData = await findStream(db, streamName);
     
     if (!streamData) {
       return res.status(404).json({
@@ -147,104 +128,114 @@ router.post('/api/simple-promotion/:stream', async (req, res) => {
       });
     }
     
-    const studentsCollection = db.collection('students');
+    const report = await runPromotion(getClient(req.app), db, streamData, { performedBy: req.user.email });
+    const { windowHours } = await getUndoSettings(db);
+    
+    console.log(`🎓 ${streamData.name} promoted by ${req.user.email}: ${report.totals.promoted} promoted, ${report.totals.graduated} graduated, ${report.totals.detained} detained, ${report.totals.skipped} skipped`);
     
-    // ✅ CREATE BACKUP BEFORE PROMOTION
-    const allStudents = await studentsCollection
-      .find({ stream: streamData.name })
-      .toArray();
+    const promotionFlow = report.bySemester
+      .filter(step => step.students > 0)
+      .map(step => step.to === 'Graduated'
+        ? `✅ Graduated ${step.students} students from Semester ${step.from}`
+        : `✅ Promoted ${step.students} students: Sem ${step.from} → Sem ${step.to}`)
+      .reverse();
     
-    const promotionHistoryCollection = db.collection('promotion_history');
-    await promotionHistoryCollection.insertOne({
+    res.json({
+      success: true,
       stream: streamData.name,
-      timestamp: new Date(),
-      students: allStudents,
-      totalStudents: allStudents.length,
-      restored: false
+      totalPromoted: report.totals.promoted,
+      totalGraduated: report.totals.graduated,
+      totalDetained: report.totals.detained,
+      totalSkipped: report.totals.skipped,
+      promotionFlow: promotionFlow,
+      backupCreated: true,
+      report,
+      note: `Semester ${report.semesters[0]} is now empty and ready for new admissions. Graduated students are kept as alumni. You can undo this within ${windowHours} hours.`
+    });
+    
+  } catch (error) {
+    console.error('Error executing promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: isTransactionUnsupported(error)
+        ? 'Promotion needs MongoDB transactions - run MongoDB as a replica set (Atlas clusters already are)'
+        : 'Error executing promotion',
+      error: error.message
     });
+  }
+});
+
+// ============================================================================
+// 3b. DETAIN / PROMOTE OVERRIDE FOR ONE STUDENT
+// ============================================================================
+// Body: { action: 'detain' | 'promote' | 'auto', reason?: 'attendance' | 'exams' | 'other', note? }
+router.put('/api/promotion-override/:stream/:studentID', checkDB, requirePermission('promotion:run'), async (req, res) => {
+  try {
+    const { stream: streamName, studentID } = req.params;
+    const db = req.db;
     
-    console.log(`💾 Backup created: ${allStudents.length} students`);
+    const streamData = await findStream(db, streamName);
     
-    let totalPromoted = 0;
-    let totalGraduated = 0;
-    const promotionFlow = [];
+    if (!streamData) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream ${streamName} not found`
+      });
+    }
     
-    // Graduate Semester 6 students
-    const deleteResult = await studentsCollection.deleteMany({ 
-      stream: streamData.name,
-      semester: 6 
-    });
+    const studentsCollection = db.collection('students');
+    const student = await studentsCollection.findOne({ stream: streamData.name, studentID, isActive: true });
     
-    if (deleteResult.deletedCount > 0) {
-      totalGraduated = deleteResult.deletedCount;
-      promotionFlow.push(`✅ Graduated ${deleteResult.deletedCount} students from Semester 6`);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: `No active student ${studentID} in ${streamData.name}`
+      });
     }
     
-    // Promote all other semesters
-    for (let currentSem = 5; currentSem >= 1; currentSem--) {
-      const nextSem = currentSem + 1;
-      
-      const updateResult = await studentsCollection.updateMany(
-        { 
-          stream: streamData.name,
-          semester: currentSem 
-        },
-        { 
-          $set: { 
-            semester: nextSem,
-            updatedAt: new Date()
-          }
-        }
-      );
-      
-      if (updateResult.modifiedCount > 0) {
-        totalPromoted += updateResult.modifiedCount;
-        promotionFlow.push(`✅ Promoted ${updateResult.modifiedCount} students: Sem ${currentSem} → Sem ${nextSem}`);
-      }
+    let override;
+    try {
+      override = validateOverride(req.body, student, req.user.email);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
     }
     
+    await studentsCollection.updateOne(
+      { _id: student._id },
+      override
+        ? { $set: { promotionOverride: override, updatedAt: new Date() } }
+        : { $unset: { promotionOverride: '' }, $set: { updatedAt: new Date() } }
+    );
+    
+    console.log(`✏️ Promotion override for ${studentID}: ${override ? override.action : 'auto'} (by ${req.user.email})`);
+    
     res.json({
       success: true,
-      stream: streamData.name,
-      totalPromoted: totalPromoted,
-      totalGraduated: totalGraduated,
-      promotionFlow: promotionFlow,
-      backupCreated: true,
-      note: 'Semester 1 is now empty and ready for new admissions. You can undo this within 24 hours.'
+      studentID,
+      override
     });
     
   } catch (error) {
-    console.error('Error executing promotion:', error);
+    console.error('Error saving promotion override:', error);
     res.status(500).json({
       success: false,
-      message: 'Error executing promotion',
+      message: 'Error saving promotion override',
       error: error.message
     });
-  } finally {
-    if (client) await client.close();
   }
 });
 
 // ============================================================================
-// 4. CHECK IF UNDO IS AVAILABLE
+// 4. CHECK IF UNDO IS AVAILABLE (latest promotion)
 // ============================================================================
-router.get('/api/can-undo-promotion/:stream', async (req, res) => {
+router.get('/api/can-undo-promotion/:stream', checkDB, requirePermission('promotion:run'), async (req, res) => {
   console.log(`📡 GET /api/can-undo-promotion/${req.params.stream}`);
   
-  let client;
   try {
     const streamName = req.params.stream;
-    const connection = await getDatabase();
-    client = connection.client;
-    const db = connection.db;
-    
-    const streamsCollection = db.collection('streams');
-    const streamData = await streamsCollection.findOne({ 
-      $or: [
-        { name: new RegExp(`^${streamName}$`, 'i') },
-        { streamCode: streamName.toLowerCase() }
-      ]
-    });
+    const db = req.db;
+    
+    const streamData = await findStream(db, streamName);
     
     if (!streamData) {
       return res.status(404).json({
@@ -253,18 +244,9 @@ router.get('/api/can-undo-promotion/:stream', async (req, res) => {
       });
     }
     
-    const promotionHistoryCollection = db.collection('promotion_history');
-    
-    const latestBackupArray = await promotionHistoryCollection
-      .find({ 
-        stream: streamData.name,
-        restored: { $ne: true }
-      })
-      .sort({ timestamp: -1 })
-      .limit(1)
-      .toArray();
+    const latest = await latestPromotion(db, streamData.name);
     
-    if (latestBackupArray.length === 0) {
+    if (!latest) {
       return res.json({
         success: true,
         canUndo: false,
@@ -272,48 +254,36 @@ router.get('/api/can-undo-promotion/:stream', async (req, res) => {
       });
     }
     
-    const latestBackup = latestBackupArray[0];
-    
-    const backupAge = Date.now() - new Date(latestBackup.timestamp).getTime();
-    const hoursOld = Math.floor(backupAge / (1000 * 60 * 60));
-    const canUndo = hoursOld <= 24;
+    const hoursOld = Math.floor((Date.now() - new Date(latest.timestamp).getTime()) / (1000 * 60 * 60));
     
     res.json({
       success: true,
-      canUndo: canUndo,
-      backupTimestamp: latestBackup.timestamp,
+      canUndo: latest.undo.allowed,
+      reason: latest.undo.reason,
+      promotionId: latest.promotionId,
+      backupTimestamp: latest.timestamp,
       hoursOld: hoursOld,
-      studentsInBackup: latestBackup.students ? latestBackup.students.length : 0
+      undoExpiresAt: latest.undo.expiresAt,
+      studentsInBackup: latest.changeCount || 0
     });
     
   } catch (error) {
     console.error('❌ Error:', error);
     res.status(500).json({ success: false, message: error.message });
-  } finally {
-    if (client) await client.close();
   }
 });
 
 // ============================================================================
-// 5. UNDO PROMOTION
+// 5. UNDO PROMOTION (latest, or any past one by id)
 // ============================================================================
-router.post('/api/undo-promotion/:stream', async (req, res) => {
-  console.log(`📡 POST /api/undo-promotion/${req.params.stream}`);
-  
-  let client;
+
+// Shared by both undo routes. Body: { force?: boolean, includeLater?: boolean }
+async function handleUndo(req, res, pickPromotionId) {
   try {
     const streamName = req.params.stream;
-    const connection = await getDatabase();
-    client = connection.client;
-    const db = connection.db;
-    
-    const streamsCollection = db.collection('streams');
-    const streamData = await streamsCollection.findOne({ 
-      $or: [
-        { name: new RegExp(`^${streamName}$`, 'i') },
-        { streamCode: streamName.toLowerCase() }
-      ]
-    });
+    const db = req.db;
+    
+    const streamData = await findStream(db, streamName);
     
     if (!streamData) {
       return res.status(404).json({
@@ -322,72 +292,193 @@ router.post('/api/undo-promotion/:stream', async (req, res) => {
       });
     }
     
-    const promotionHistoryCollection = db.collection('promotion_history');
+    const promotionId = await pickPromotionId(db, streamData);
     
-    const latestBackupArray = await promotionHistoryCollection
-      .find({ stream: streamData.name })
-      .sort({ timestamp: -1 })
-      .limit(1)
-      .toArray();
-    
-    if (latestBackupArray.length === 0) {
+    if (!promotionId) {
       return res.status(404).json({
         success: false,
         message: 'No backup found. Cannot undo promotion.'
       });
     }
     
-    const latestBackup = latestBackupArray[0];
+    let result;
+    try {
+      result = await undoPromotion(getClient(req.app), db, streamData.name, promotionId, {
+        performedBy: req.user.email,
+        force: req.body?.force === true,
+        includeLater: req.body?.includeLater === true
+      });
+    } catch (undoError) {
+      if (!undoError.status) throw undoError;
+      return res.status(undoError.status).json({
+        success: false,
+        message: undoError.message,
+        conflicts: undoError.conflicts,
+        newerPromotions: undoError.newerPromotions
+      });
+    }
     
-    const backupAge = Date.now() - new Date(latestBackup.timestamp).getTime();
-    const hoursOld = Math.floor(backupAge / (1000 * 60 * 60));
+    const target = result.undone[result.undone.length - 1];
+    console.log(`↩️ ${streamData.name} promotion ${promotionId} undone by ${req.user.email}: ${result.studentsRestored} students restored`);
     
-    if (hoursOld > 24) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      stream: streamData.name,
+      studentsRestored: result.studentsRestored,
+      backupTimestamp: target.timestamp,
+      undone: result.undone,
+      message: result.undone.length > 1
+        ? `${result.undone.length} promotions successfully undone`
+        : 'Promotion successfully undone'
+    });
+    
+  } catch (error) {
+    console.error('❌ Error:', error);
+    res.status(500).json({
+      success: false,
+      message: isTransactionUnsupported(error)
+        ? 'Undo needs MongoDB transactions - run MongoDB as a replica set (Atlas clusters already are)'
+        : error.message
+    });
+  }
+}
+
+router.post('/api/undo-promotion/:stream', checkDB, requirePermission('promotion:run'), (req, res) => {
+  console.log(`📡 POST /api/undo-promotion/${req.params.stream}`);
+  handleUndo(req, res, async (db, streamData) => {
+    const latest = await latestPromotion(db, streamData.name);
+    return latest ? latest.promotionId : null;
+  });
+});
+
+router.post('/api/promotion-history/:stream/:promotionId/undo', checkDB, requirePermission('promotion:run'), (req, res) => {
+  console.log(`📡 POST /api/promotion-history/${req.params.stream}/${req.params.promotionId}/undo`);
+  handleUndo(req, res, async () => req.params.promotionId);
+});
+
+// ============================================================================
+// 5b. PROMOTION HISTORY
+// ============================================================================
+
+// GET - Every promotion of the stream, newest first, with undo status
+router.get('/api/promotion-history/:stream', checkDB, requirePermission('promotion:run'), async (req, res) => {
+  try {
+    const streamName = req.params.stream;
+    const db = req.db;
+    
+    const streamData = await findStream(db, streamName);
+    
+    if (!streamData) {
+      return res.status(404).json({
         success: false,
-        message: `Backup is ${hoursOld} hours old. Undo only available within 24 hours.`
+        message: `Stream ${streamName} not found`
       });
     }
     
-    const studentsCollection = db.collection('students');
+    const [promotions, settings] = await Promise.all([
+      listPromotions(db, streamData.name),
+      getUndoSettings(db)
+    ]);
     
-    await studentsCollection.deleteMany({ stream: streamData.name });
+    res.json({
+      success: true,
+      stream: streamData.name,
+      undoWindowHours: settings.windowHours,
+      promotions
+    });
     
-    if (latestBackup.students && latestBackup.students.length > 0) {
-      const studentsToInsert = latestBackup.students.map(student => {
-        const { _id, ...studentWithoutId } = student;
-        return studentWithoutId;
+  } catch (error) {
+    console.error('Error fetching promotion history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion history',
+      error: error.message
+    });
+  }
+});
+
+// GET - One promotion with each student's before/after diff
+router.get('/api/promotion-history/:stream/:promotionId', checkDB, requirePermission('promotion:run'), async (req, res) => {
+  try {
+    const { stream: streamName, promotionId } = req.params;
+    const db = req.db;
+    
+    const streamData = await findStream(db, streamName);
+    
+    if (!streamData) {
+      return res.status(404).json({
+        success: false,
+        message: `Stream ${streamName} not found`
       });
-      
-      await studentsCollection.insertMany(studentsToInsert);
     }
     
-    await promotionHistoryCollection.updateOne(
-      { _id: latestBackup._id },
-      { $set: { restored: true, restoredAt: new Date() } }
-    );
+    const promotion = await getPromotion(db, streamData.name, promotionId);
+    
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
     
     res.json({
       success: true,
-      stream: streamData.name,
-      studentsRestored: latestBackup.students ? latestBackup.students.length : 0,
-      backupTimestamp: latestBackup.timestamp,
-      message: 'Promotion successfully undone'
+      promotion
     });
     
   } catch (error) {
-    console.error('❌ Error:', error);
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// 5c. UNDO WINDOW SETTING
+// ============================================================================
+router.get('/api/promotion-settings', checkDB, requirePermission('promotion:run'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await getUndoSettings(req.db)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching promotion settings:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Body: { windowHours: 72 }
+router.put('/api/promotion-settings', checkDB, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    let settings;
+    try {
+      settings = await saveUndoSettings(req.db, req.body, req.user.email);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+    
+    console.log(`✅ Promotion undo window set to ${settings.windowHours}h by ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      settings
+    });
+    
+  } catch (error) {
+    console.error('Error saving promotion settings:', error);
     res.status(500).json({ success: false, message: error.message });
-  } finally {
-    if (client) await client.close();
   }
 });
 
 // ============================================================================
 // 6. ADD STUDENT TO SEMESTER 1
 // ============================================================================
-router.post('/api/add-student/:stream/sem1', async (req, res) => {
-  let client;
+router.post('/api/add-student/:stream/sem1', checkDB, requirePermission('students:manage'), requireStreamAccess(), async (req, res) => {
   try {
     const streamName = req.params.stream;
     const { studentID, name, parentPhone } = req.body;
@@ -399,17 +490,9 @@ router.post('/api/add-student/:stream/sem1', async (req, res) => {
       });
     }
     
-    const connection = await getDatabase();
-    client = connection.client;
-    const db = connection.db;
+    const db = req.db;
     
-    const streamsCollection = db.collection('streams');
-    const streamData = await streamsCollection.findOne({ 
-      $or: [
-        { name: streamName },
-        { streamCode: streamName.toLowerCase() }
-      ]
-    });
+    const streamData = await findStream(db, streamName);
     
     if (!streamData) {
       return res.status(404).json({
@@ -418,49 +501,78 @@ router.post('/api/add-student/:stream/sem1', async (req, res) => {
       });
     }
     
-    const studentsCollection = db.collection('students');
+    const newStudent = await createStudent(db, {
+      studentID,
+      name,
+      parentPhone,
+      stream: streamData.name,
+      semester: 1
+    }, { performedBy: req.user.email });
     
-    const existing = await studentsCollection.findOne({ studentID: studentID });
+    res.json({
+      success: true,
+      message: `Student ${studentID} added to ${streamData.name} Semester 1`,
+      student: newStudent,
+      insertedId: newStudent._id
+    });
     
-    if (existing) {
-      return res.status(400).json({
-        success: false,
-        message: `Student ${studentID} already exists`
-      });
-    }
+  } catch (error) {
+    console.error('Error adding student:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error adding student',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// 7. PROMOTION OPTIONS (streams, semesters and active student counts)
+// ============================================================================
+router.get('/api/promotion-options', checkDB, async (req, res) => {
+  try {
+    const db = req.db;
     
-    const newStudent = {
-      studentID: studentID,
-      name: name,
-      stream: streamData.name,
-      semester: 1,
-      parentPhone: parentPhone,
-      languageSubject: "",
-      electiveSubject: "",
-      isActive: true,
-      academicYear: new Date().getFullYear(),
-      createdAt: new Date(),
-      updatedAt: new Date()
+    const streams = await db.collection('streams').find({ isActive: true }).sort({ name: 1 }).toArray();
+    
+    const counts = await db.collection('students').aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: { stream: '$stream', semester: '$semester' }, students: { $sum: 1 } } }
+    ]).toArray();
+    
+    const countFor = (stream, semester) => {
+      const row = counts.find(c => c._id.stream === stream && c._id.semester === semester);
+      return row ? row.students : 0;
     };
     
-    const result = await studentsCollection.insertOne(newStudent);
+    const options = streams.map(stream => {
+      const semesterNumbers = streamSemesters(stream);
+      const semesters = semesterNumbers.map((sem, index) => ({
+        semester: sem,
+        students: countFor(stream.name, sem),
+        promotesTo: index < semesterNumbers.length - 1 ? semesterNumbers[index + 1] : 'Graduate'
+      }));
+      
+      return {
+        name: stream.name,
+        streamCode: stream.streamCode,
+        semesters,
+        totalStudents: semesters.reduce((sum, s) => sum + s.students, 0)
+      };
+    });
     
     res.json({
       success: true,
-      message: `Student ${studentID} added to ${streamData.name} Semester 1`,
-      student: newStudent,
-      insertedId: result.insertedId
+      streams: options
     });
     
   } catch (error) {
-    console.error('Error adding student:', error);
+    console.error('Error fetching promotion options:', error);
     res.status(500).json({
       success: false,
-      message: 'Error adding student',
+      message: 'Error fetching promotion options',
       error: error.message
     });
-  } finally {
-    if (client) await client.close();
   }
 });
 
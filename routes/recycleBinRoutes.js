@@ -0,0 +1,224 @@
+// ============================================================================
+// recycleBinRoutes.js - Recycle Bin for Deleted Sessions and Students
+// ============================================================================
+//
+// Lists, restores and purges items in `recycleBin` (models/recycleBin.js).
+// Mounted at /api/recycle-bin.
+
+const express = require('express');
+const router = express.Router();
+const {
+  requirePermission,
+  hasPermission,
+  canAccessStream,
+  canAccessSubject,
+  attendanceScopeFilter
+} = require('../middleware/rbac');
+const { recordAudit } = require('../models/attendanceAudit');
+const { findSlotSession, duplicateResponse } = require('../models/sessionSlots');
+const {
+  KINDS,
+  getBinSettings,
+  saveBinSettings,
+  purgeTime,
+  restoreFromBin,
+  purgeFromBin,
+  purgeExpired,
+  binQuery,
+  findBinEntry
+} = require('../models/recycleBin');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [BIN] ${req.method} ${req.path}`);
+  next();
+});
+
+// Deleted sessions follow the subject's access rules, deleted students the stream's
+function canAccessEntry(user, entry) {
+  return entry.kind === 'attendance'
+    ? canAccessSubject(user, entry)
+    : canAccessStream(user, entry.stream);
+}
+
+// Load the bin entry named by :id into req.entry, checking the user may see it
+const loadEntry = async (req, res, next) => {
+  try {
+    const entry = await findBinEntry(req.db, req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Item not found in the recycle bin' });
+    }
+    if (!canAccessEntry(req.user, entry)) {
+      return res.status(403).json({ success: false, error: 'No access to this item' });
+    }
+
+    req.entry = entry;
+    next();
+  } catch (error) {
+    console.error('❌ [BIN] Error loading item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// ============================================================================
+// RETENTION SETTINGS
+// ============================================================================
+
+// GET - Days items stay in the bin before they are purged
+router.get('/settings', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    res.json({ success: true, settings: await getBinSettings(req.db) });
+  } catch (error) {
+    console.error('❌ [BIN] Error fetching settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Change the retention period: { retentionDays: 30 }
+router.put('/settings', requirePermission('settings:manage'), async (req, res) => {
+  let settings;
+  try {
+    settings = await saveBinSettings(req.db, req.body, req.user.email);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  console.log(`⚙️ [BIN] Retention set to ${settings.retentionDays} days by ${req.user.email}`);
+  res.json({ success: true, settings });
+});
+
+// ============================================================================
+// LIST
+// ============================================================================
+
+// GET - Items in the bin, most recently deleted first. Teachers see their
+// subjects' sessions; HODs their stream's sessions and students.
+// Query: ?kind=attendance|student, &stream, &semester, &q, &from, &to, &limit, &page
+router.get('/', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    if (req.query.kind && !KINDS.includes(req.query.kind)) {
+      return res.status(400).json({ success: false, error: `kind must be one of: ${KINDS.join(', ')}` });
+    }
+
+    const query = { $and: [binQuery(req.query), attendanceScopeFilter(req.user)] };
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [entries, total, settings] = await Promise.all([
+      req.db.collection('recycleBin')
+        .find(query)
+        .project({ item: 0 })
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      req.db.collection('recycleBin').countDocuments(query),
+      getBinSettings(req.db)
+    ]);
+
+    res.json({
+      success: true,
+      entries: entries.map(entry => ({ ...entry, purgeAt: purgeTime(entry, settings) })),
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      retentionDays: settings.retentionDays
+    });
+  } catch (error) {
+    console.error('❌ [BIN] Error fetching recycle bin:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - One item with the deleted document
+router.get('/:id', requirePermission('attendance:view'), loadEntry, async (req, res) => {
+  try {
+    const settings = await getBinSettings(req.db);
+    res.json({ success: true, entry: { ...req.entry, purgeAt: purgeTime(req.entry, settings) } });
+  } catch (error) {
+    console.error('❌ [BIN] Error fetching item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// RESTORE / PURGE
+// ============================================================================
+
+// POST - Put an item back where it was deleted from, with its original _id
+router.post('/:id/restore', requirePermission('attendance:view'), loadEntry, async (req, res) => {
+  try {
+    const { entry } = req;
+    const permission = entry.kind === 'attendance' ? 'attendance:edit' : 'students:manage';
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ success: false, error: `Restoring this item requires ${permission}` });
+    }
+
+    // The class slot may have been marked again since the session was deleted
+    if (entry.kind === 'attendance') {
+      const taken = await findSlotSession(req.db, entry.item);
+      if (taken) return res.status(409).json(duplicateResponse(taken));
+    }
+
+    const restored = await restoreFromBin(req.db, entry, { restoredBy: req.user.email });
+
+    if (entry.kind === 'attendance') {
+      await recordAudit(req.db, req, { action: 'restore', before: null, after: restored });
+    }
+
+    const label = entry.kind === 'attendance'
+      ? `${entry.subject} session of ${new Date(entry.date).toLocaleDateString('en-IN', { timeZone: 'UTC' })}`
+      : `${entry.name} (${entry.studentID})`;
+
+    console.log(`♻️ [BIN] ${entry.kind} ${entry._id} restored by ${req.user.email}`);
+    res.json({ success: true, message: `${label} restored`, kind: entry.kind, item: restored });
+  } catch (error) {
+    // Marked again between the check above and the restore
+    if (error.existing) return res.status(409).json(duplicateResponse(error.existing));
+    console.error('❌ [BIN] Error restoring item:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE - Purge an item for good
+router.delete('/:id', requirePermission('recycle:purge'), loadEntry, async (req, res) => {
+  try {
+    await purgeFromBin(req.db, [req.entry]);
+
+    console.log(`🧹 [BIN] ${req.entry.kind} ${req.entry._id} purged by ${req.user.email}`);
+    res.json({
+      success: true,
+      message: req.entry.kind === 'student' ? 'Student moved to the alumni archive' : 'Item permanently deleted'
+    });
+  } catch (error) {
+    console.error('❌ [BIN] Error purging item:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Purge everything past the retention period now instead of waiting for the schedule
+router.post('/purge-expired', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const purged = await purgeExpired(req.db);
+
+    console.log(`🧹 [BIN] ${purged.length} expired item(s) purged by ${req.user.email}`);
+    res.json({ success: true, message: `${purged.length} expired item(s) purged`, purged: purged.length });
+  } catch (error) {
+    console.error('❌ [BIN] Error purging expired items:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
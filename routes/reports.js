@@ -1,18 +1,13 @@
 const express = require('express');
 const router = express.Router();
-
-// Middleware to check DB connection
-const checkDB = (req, res, next) => {
-  const db = req.app.locals.db || req.app.get('db');
-  if (!db) {
-    return res.status(503).json({ 
-      success: false, 
-      message: 'Database connection not available' 
-    });
-  }
-  req.db = db;
-  next();
-};
+const { requirePermission, requireStreamAccess, getRole } = require('../middleware/rbac');
+const { getStatusRules, percentOf } = require('../models/attendanceStatus');
+const { aggregateClassAttendance } = require('../models/attendanceReport');
+const { termWindow, dateKey } = require('../models/academicCalendar');
+const { getThresholds } = require('../models/shortageAlerts');
+const { parseSections } = require('../models/roster');
+const { DEFAULT_IDLE_DAYS, workloadReport } = require('../models/teacherWorkload');
+const { checkDB } = require('../models/dataService');
 
 router.use(checkDB);
 
@@ -107,19 +102,31 @@ router.get('/available-semesters/:stream', async (req, res) => {
 // STUDENT SUBJECT REPORT - FULLY DYNAMIC FROM DB
 // ============================================================================
 
-router.get('/student-subject-report/:stream/:semester', async (req, res) => {
+router.get('/student-subject-report/:stream/:semester', requirePermission('reports:view'), requireStreamAccess(), async (req, res) => {
   try {
     const { stream, semester } = req.params;
     const semesterNum = parseInt(semester.replace('sem', ''));
+    // Optional ?section=A (or A,B) limits the report to those sections
+    const sections = parseSections(req.query.section);
     
-    console.log(`📊 Generating report for ${stream} Semester ${semesterNum}`);
+    console.log(`📊 Generating report for ${stream} Semester ${semesterNum}${sections.length ? ` Section ${sections.join('+')}` : ''}`);
+    
+    // Optional ?termId= limits the report to one academic term
+    let termRange = null;
+    if (req.query.termId) {
+      termRange = await termWindow(req.db, req.query.termId, { stream, semester: semesterNum });
+      if (!termRange) {
+        return res.status(404).json({ success: false, message: 'Term not found' });
+      }
+    }
     
     // 1. Get all students for this stream and semester from DB
     const students = await req.db.collection('students')
       .find({ 
         stream: stream,
         semester: semesterNum,
-        isActive: true
+        isActive: true,
+        ...(sections.length > 0 && { section: { $in: sections } })
       })
       .sort({ studentID: 1, name: 1 })
       .toArray();
@@ -176,62 +183,108 @@ router.get('/student-subject-report/:stream/:semester', async (req, res) => {
     
     const subjectNames = subjects.map(s => s.name);
     
-    // 3. Calculate attendance for each student-subject combination from DB
-    const studentReports = await Promise.all(students.map(async (student) => {
-      const subjectData = {};
-      
-      for (const subject of subjects) {
-        // Get all attendance records for this student and subject from DB
-        const attendanceRecords = await req.db.collection('attendance')
-          .find({
-            studentID: student.studentID,
-            subject: subject.name,
-            stream: stream,
-            semester: semesterNum
-          })
-          .toArray();
-        
-        if (attendanceRecords.length > 0) {
-          const totalClasses = attendanceRecords.length;
-          const presentCount = attendanceRecords.filter(a => 
-            a.status === 'Present' || a.status === 'present'
-          ).length;
-          const percentage = totalClasses > 0 ? 
-            Math.round((presentCount / totalClasses) * 100) : 0;
-          
-          subjectData[subject.name] = {
-            present: presentCount,
-            total: totalClasses,
-            percentage: percentage
-          };
-        } else {
-          // No attendance records found
-          subjectData[subject.name] = {
-            present: 0,
-            total: 0,
-            percentage: 0
-          };
-        }
-      }
+    // 3. One aggregation over the session documents of this class
+    const statusRules = await getStatusRules(req.db);
+    const { byStudent, bySubject } = await aggregateClassAttendance(req.db, {
+      stream,
+      semester: semesterNum,
+      subjects,
+      statusRules,
+      dateFilter: termRange && termRange.dateFilter,
+      sections
+    });
+    
+    const attendanceByStudent = new Map();
+    const daysPresentByStudent = new Map();
+    byStudent.forEach(row => {
+      const { studentID, subject } = row._id;
+      if (!attendanceByStudent.has(studentID)) attendanceByStudent.set(studentID, {});
+      if (!daysPresentByStudent.has(studentID)) daysPresentByStudent.set(studentID, new Set());
+      row.presentDates.forEach(day => daysPresentByStudent.get(studentID).add(day));
+      attendanceByStudent.get(studentID)[subject] = {
+        present: row.present,
+        total: row.total,
+        sessions: row.sessions,
+        percentage: percentOf(row.present, row.total)
+      };
+    });
+    
+    // Working days elapsed in the term; a day counts as attended when the
+    // student was present for at least one session that day
+    const workingDays = termRange ? termRange.term.workingDaysToDate : null;
+    
+    const studentReports = students.map(student => {
+      const subjectData = attendanceByStudent.get(student.studentID) || {};
+      const totals = Object.values(subjectData).reduce(
+        (sum, s) => ({ present: sum.present + s.present, total: sum.total + s.total }),
+        { present: 0, total: 0 }
+      );
+      const daysPresent = (daysPresentByStudent.get(student.studentID) || new Set()).size;
       
       return {
         studentID: student.studentID,
         name: student.name,
-        subjects: subjectData
+        section: student.section || null,
+        subjects: subjectData,
+        overall: { ...totals, percentage: percentOf(totals.present, totals.total) },
+        days: {
+          present: daysPresent,
+          working: workingDays,
+          percentage: workingDays !== null ? percentOf(Math.min(daysPresent, workingDays), workingDays) : null
+        }
       };
-    }));
+    });
     
     console.log(`✅ Calculated attendance for ${studentReports.length} students`);
     
+    // Stream-wide summary
+    const subjectSummary = subjectNames.map(name => {
+      const sessionInfo = bySubject.find(s => s._id === name);
+      const entries = byStudent.filter(row => row._id.subject === name);
+      const present = entries.reduce((sum, row) => sum + row.present, 0);
+      const total = entries.reduce((sum, row) => sum + row.total, 0);
+      
+      return {
+        subject: name,
+        sessions: sessionInfo ? sessionInfo.sessions : 0,
+        teachers: sessionInfo ? sessionInfo.teachers.filter(Boolean).sort() : [],
+        enrolledStudents: entries.length,
+        present,
+        total,
+        percentage: percentOf(present, total)
+      };
+    });
+    
+    // Students below the critical shortage threshold are flagged
+    const { critical: shortageThreshold } = await getThresholds(req.db);
+    const graded = studentReports.filter(s => s.overall.total > 0);
+    const summary = {
+      totalSessions: subjectSummary.reduce((sum, s) => sum + s.sessions, 0),
+      averageAttendance: graded.length > 0
+        ? Math.round(graded.reduce((sum, s) => sum + s.overall.percentage, 0) / graded.length * 100) / 100
+        : 0,
+      overallPercentage: percentOf(
+        subjectSummary.reduce((sum, s) => sum + s.present, 0),
+        subjectSummary.reduce((sum, s) => sum + s.total, 0)
+      ),
+      shortageThreshold,
+      studentsBelowThreshold: graded.filter(s => s.overall.percentage < shortageThreshold).length,
+      term: termRange ? termRange.term : null,
+      workingDays,
+      subjects: subjectSummary
+    };
+    
     // 4. Return complete report data
     res.json({
       success: true,
       stream: stream,
       semester: semesterNum,
+      sections,
       totalStudents: students.length,
       totalSubjects: subjectNames.length,
       subjects: subjectNames,
       students: studentReports,
+      summary,
       reportDate: new Date().toLocaleDateString('en-IN', {
         year: 'numeric',
         month: 'long',
@@ -250,4 +303,69 @@ router.get('/student-subject-report/:stream/:semester', async (req, res) => {
   }
 });
 
+// ============================================================================
+// TEACHER WORKLOAD - CLASSES HELD VS TIMETABLE
+// ============================================================================
+
+// GET - Classes held, average attendance and hours taught per teacher,
+// subject and month, plus subjects with no session in `idleDays` days.
+// Query: ?from=2024-07-01&to=2024-09-30 (default: the last three months),
+// &stream, &teacher=email, &idleDays=7. HODs see their own stream.
+router.get('/teacher-workload', requirePermission('reports:view'), requireStreamAccess(req => req.query.stream || []), async (req, res) => {
+  try {
+    // Default: from the 1st of the month two months back (UTC, like session dates)
+    const today = new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 2, 1));
+    const to = req.query.to ? new Date(req.query.to) : today;
+    const idleDays = req.query.idleDays ? Number(req.query.idleDays) : DEFAULT_IDLE_DAYS;
+    
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ success: false, message: 'from and to must be dates, from not after to' });
+    }
+    if (!Number.isInteger(idleDays) || idleDays < 1 || idleDays > 365) {
+      return res.status(400).json({ success: false, message: 'idleDays must be a whole number of days between 1 and 365' });
+    }
+    
+    const stream = req.query.stream || (getRole(req.user) === 'hod' ? req.user.stream : undefined);
+    
+    console.log(`📊 Generating teacher workload${stream ? ` for ${stream}` : ''} from ${dateKey(from)} to ${dateKey(to)}`);
+    
+    const report = await workloadReport(req.db, {
+      from,
+      to,
+      stream,
+      teacher: req.query.teacher,
+      idleDays,
+      statusRules: await getStatusRules(req.db)
+    });
+    
+    res.json({
+      success: true,
+      from,
+      to,
+      stream: stream || null,
+      idleDays,
+      ...report,
+      summary: {
+        teachers: report.teachers.length,
+        classesHeld: report.teachers.reduce((sum, t) => sum + t.classesHeld, 0),
+        plannedClasses: report.teachers.reduce((sum, t) => sum + t.plannedClasses, 0),
+        hoursTaught: Math.round(report.teachers.reduce((sum, t) => sum + t.hoursTaught, 0) * 10) / 10,
+        idleSubjects: report.idleSubjects.length
+      }
+    });
+    
+    console.log(`✅ Workload: ${report.rows.length} rows, ${report.idleSubjects.length} idle subjects`);
+    
+  } catch (error) {
+    console.error('❌ Error generating teacher workload:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate teacher workload'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,164 @@
+// ============================================================================
+// studentPortalRoutes.js - Student Self-Service Attendance (student.html)
+// ============================================================================
+//
+// Mounted at /student, outside /api - students have no teacher account.
+// Every lookup needs an access token from POST /student/verify.
+
+const express = require('express');
+const router = express.Router();
+const { getStatusRules } = require('../models/attendanceStatus');
+const { studentAttendance } = require('../models/attendanceReport');
+const { getThresholds, levelFor } = require('../models/shortageAlerts');
+const { requestOtp, verifyStudent, verifyAccessToken } = require('../models/studentAccess');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [STUDENT] ${req.method} ${req.path}`);
+  next();
+});
+
+function findActiveStudent(db, studentID) {
+  return db.collection('students').findOne({ studentID: String(studentID || '').trim(), isActive: true });
+}
+
+// X-Student-Token must belong to the student being looked up
+const requireStudentToken = (req, res, next) => {
+  const studentID = verifyAccessToken(req.headers['x-student-token']);
+
+  if (!studentID) {
+    return res.status(401).json({ success: false, error: 'Verification required', verificationRequired: true });
+  }
+  if (studentID !== req.params.studentID) {
+    return res.status(403).json({ success: false, error: 'This verification is for a different student' });
+  }
+
+  next();
+};
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+// POST - Send a one-time code to the parent's phone. Body: { studentID }
+// Same answer whether or not the ID exists; only the rate limits differ.
+router.post('/otp', async (req, res) => {
+  try {
+    const result = await requestOtp(req.db, String(req.body.studentID || '').trim(), req.ip);
+    if (result.limited) {
+      return res.status(429).json({
+        success: false,
+        error: `Too many code requests. Try again in ${Math.ceil(result.retryAfter / 60)} minutes`,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      sent: true,
+      message: 'If this student ID has a parent phone number, a code has been sent to it'
+    });
+
+  } catch (error) {
+    console.error('❌ [STUDENT] Error sending code:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Exchange a date of birth or code for an access token
+// Body: { studentID, dateOfBirth: 'YYYY-MM-DD' } or { studentID, otp }
+router.post('/verify', async (req, res) => {
+  try {
+    const { studentID, dateOfBirth, otp } = req.body;
+
+    if (!studentID || (!dateOfBirth && !otp)) {
+      return res.status(400).json({ success: false, error: 'studentID and dateOfBirth or otp are required' });
+    }
+
+    const result = await verifyStudent(req.db, String(studentID).trim(), { dateOfBirth, otp, ip: req.ip });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`✅ [STUDENT] ${result.studentID} verified by ${otp ? 'code' : 'date of birth'}`);
+    res.json({ success: true, studentID: result.studentID, token: result.token, expiresAt: result.expiresAt });
+
+  } catch (error) {
+    console.error('❌ [STUDENT] Error verifying student:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ATTENDANCE
+// ============================================================================
+
+// GET - The student's per-subject attendance, recent absences and shortage warning
+router.get('/attendance/:studentID', requireStudentToken, async (req, res) => {
+  try {
+    const student = await findActiveStudent(req.db, req.params.studentID);
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+
+    const [statusRules, thresholds] = await Promise.all([getStatusRules(req.db), getThresholds(req.db)]);
+    const { bySubject, overall, recentAbsences } = await studentAttendance(req.db, student, { statusRules });
+
+    const levelOf = totals => totals.total >= thresholds.minSessions ? levelFor(totals.percentage, thresholds) : 'ok';
+
+    // Same shape student.html has always read: subjects[name].attendedClasses/totalClasses
+    const subjects = Object.fromEntries(bySubject.map(s => [s.subject, {
+      attendedClasses: s.present,
+      totalClasses: s.total,
+      percentage: s.percentage,
+      level: levelOf(s)
+    }]));
+
+    const level = levelOf(overall);
+    const shortSubjects = bySubject.filter(s => levelOf(s) !== 'ok').map(s => s.subject);
+
+    res.json({
+      success: true,
+      studentID: student.studentID,
+      name: student.name,
+      stream: student.stream,
+      semester: student.semester,
+      subjects,
+      overall: {
+        attendedClasses: overall.present,
+        totalClasses: overall.total,
+        percentage: overall.percentage
+      },
+      recentAbsences,
+      shortage: {
+        level,
+        shortSubjects,
+        warningThreshold: thresholds.warning,
+        criticalThreshold: thresholds.critical,
+        message: level === 'critical'
+          ? `Your attendance is below ${thresholds.critical}%. Please meet your class teacher.`
+          : level === 'warning'
+            ? `Your attendance is below ${thresholds.warning}%. Attend regularly to stay above ${thresholds.critical}%.`
+            : shortSubjects.length > 0
+              ? `Attendance is low in: ${shortSubjects.join(', ')}`
+              : null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ [STUDENT] Error fetching attendance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
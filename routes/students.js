@@ -1,25 +1,71 @@
 // routes/students.js
+//
+// Streams, subjects and students - the one implementation of these
+// endpoints, backed by models/dataService.js. Mounted at /api/students;
+// routes/streamRoutes.js forwards the old /api/... paths here.
 const express = require('express');
 const router = express.Router();
 const { ObjectId } = require('mongodb');
+const {
+  requirePermission,
+  requireStreamAccess,
+  requireSubjectAccess,
+  requireDocumentStreamAccess,
+  hasPermission,
+  canAccessStream
+} = require('../middleware/rbac');
+const { getRoster, streamSemesters } = require('../models/roster');
+const { validateBatches, splitByCount, splitByRanges } = require('../models/labBatches');
+const data = require('../models/dataService');
 
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
 
-const checkDB = (req, res, next) => {
-  const db = req.app.locals.db || req.app.get('db');
-  if (!db) {
-    return res.status(503).json({ 
-      success: false, 
-      error: 'Database connection not available' 
-    });
-  }
-  req.db = db;
-  next();
+router.use(data.checkDB);
+
+const { studentIdFilter, toObjectIds } = data;
+
+// Stream-scope guards - HODs may only touch their own stream, admins pass
+const bodyStreamInScope = requireStreamAccess(req => req.body.stream);
+const uploadInScope = requireStreamAccess(req => (req.body.students || []).map(s => s.stream));
+const studentInScope = requireDocumentStreamAccess('students', req => studentIdFilter(req.params.id));
+const selectedStudentsInScope = requireDocumentStreamAccess('students', req => ({ _id: { $in: toObjectIds(req.body.studentIds) } }));
+const subjectInScope = requireDocumentStreamAccess('subjects', req => ({ _id: { $in: toObjectIds([req.params.id]) } }));
+
+// Subject rosters need access to the subject, whole-class rosters to the stream
+const rosterInScope = (req, res, next) => {
+  const check = req.query.subject
+    ? requireSubjectAccess(req => ({ ...req.params, subject: req.query.subject }))
+    : requireStreamAccess();
+  check(req, res, next);
 };
 
-router.use(checkDB);
+// The date of birth unlocks the student attendance lookup and the parent's
+// phone reaches the family - only managers of the student's stream read them
+const PRIVATE_STUDENT_FIELDS = ['dateOfBirth', 'parentPhone'];
+
+// Callers who manage no stream never load the private fields
+const studentReadOptions = (req) => hasPermission(req.user, 'students:manage')
+  ? {}
+  : { projection: Object.fromEntries(PRIVATE_STUDENT_FIELDS.map(field => [field, 0])) };
+
+// HODs still get other streams' students without them
+const visibleStudent = (req, student) => {
+  if (hasPermission(req.user, 'students:manage') && canAccessStream(req.user, student.stream)) return student;
+  const visible = { ...student };
+  PRIVATE_STUDENT_FIELDS.forEach(field => delete visible[field]);
+  return visible;
+};
+
+const noCache = (req, res, next) => {
+  res.set({
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+  });
+  next();
+};
 
 // ============================================================================
 // HEALTH CHECK & DEBUG ROUTES
@@ -51,15 +97,21 @@ router.get('/debug/info', async (req, res) => {
 
 router.get('/debug/stats', async (req, res) => {
   try {
-    const studentsCount = await req.db.collection('students').countDocuments();
-    const activeCount = await req.db.collection('students').countDocuments({ isActive: true });
-    
+    const [total, active, streams, subjects] = await Promise.all([
+      req.db.collection('students').countDocuments(),
+      req.db.collection('students').countDocuments({ isActive: true }),
+      req.db.collection('streams').countDocuments(),
+      req.db.collection('subjects').countDocuments()
+    ]);
+
     res.json({
       success: true,
-      stats: { 
-        total: studentsCount,
-        active: activeCount,
-        inactive: studentsCount - activeCount
+      stats: {
+        total,
+        active,
+        inactive: total - active,
+        streams,
+        subjects
       }
     });
   } catch (error) {
@@ -71,23 +123,12 @@ router.get('/debug/stats', async (req, res) => {
 // ✅ STREAM MANAGEMENT ROUTES
 // ============================================================================
 
-router.get('/management/streams', async (req, res) => {
+router.get('/management/streams', noCache, async (req, res) => {
   try {
-    console.log('📚 Fetching all streams...');
-    
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
-    
-    const streams = await req.db.collection('streams')
-      .find({})
-      .sort({ name: 1 })
-      .toArray();
-    
+    const streams = await data.listStreams(req.db);
+
     console.log(`✅ Found ${streams.length} streams`);
-    
+
     res.json({ success: true, streams });
   } catch (error) {
     console.error('❌ Error fetching streams:', error);
@@ -95,123 +136,53 @@ router.get('/management/streams', async (req, res) => {
   }
 });
 
-router.post('/management/streams', async (req, res) => {
+router.post('/management/streams', requirePermission('streams:manage'), async (req, res) => {
   try {
-    const { name, streamCode, semesters } = req.body;
-    
-    console.log('➕ Adding new stream:', { name, streamCode, semesters });
-    
-    if (!name || !streamCode || !semesters) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, streamCode, and semesters are required'
-      });
-    }
-    
-    const existing = await req.db.collection('streams').findOne({
-      $or: [
-        { name: name.toUpperCase() },
-        { streamCode: streamCode.toLowerCase() }
-      ]
-    });
-    
-    if (existing) {
-      return res.status(400).json({
-        success: false,
-        message: 'Stream with this name or code already exists'
-      });
-    }
-    
-    const newStream = {
-      name: name.toUpperCase(),
-      streamCode: streamCode.toLowerCase(),
-      semesters: parseInt(semesters),
-      isActive: true,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    const result = await req.db.collection('streams').insertOne(newStream);
-    
-    console.log('✅ Stream added successfully:', result.insertedId);
-    
+    const stream = await data.createStream(req.db, req.body);
+
+    console.log('✅ Stream added successfully:', stream._id);
+
     res.json({
       success: true,
       message: 'Stream added successfully',
-      stream: { ...newStream, _id: result.insertedId }
+      stream
     });
   } catch (error) {
     console.error('❌ Error adding stream:', error);
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
-router.put('/management/streams/:id', async (req, res) => {
+router.put('/management/streams/:id', requirePermission('streams:manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, streamCode, semesters, isActive } = req.body;
-    
-    console.log(`🔄 Updating stream ${id}`);
-    
-    const updateData = {
-      updatedAt: new Date()
-    };
-    
-    if (name) updateData.name = name.toUpperCase();
-    if (streamCode) updateData.streamCode = streamCode.toLowerCase();
-    if (semesters) updateData.semesters = parseInt(semesters);
-    if (typeof isActive !== 'undefined') updateData.isActive = isActive;
-    
-    const result = await req.db.collection('streams').updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
-    );
-    
-    if (result.modifiedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Stream not found'
-      });
-    }
-    
-    console.log('✅ Stream updated');
-    
+    await data.updateStream(req.db, req.params.id, req.body);
+
+    console.log(`✅ Stream ${req.params.id} updated`);
+
     res.json({
       success: true,
       message: 'Stream updated successfully'
     });
   } catch (error) {
     console.error('❌ Error updating stream:', error);
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
-router.delete('/management/streams/:id', async (req, res) => {
+// Refused while students still belong to the stream
+router.delete('/management/streams/:id', requirePermission('streams:manage'), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    console.log(`🗑️ Deleting stream ${id}`);
-    
-    const result = await req.db.collection('streams').deleteOne({
-      _id: new ObjectId(id)
-    });
-    
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Stream not found'
-      });
-    }
-    
-    console.log('✅ Stream deleted');
-    
+    const stream = await data.deleteStream(req.db, req.params.id);
+
+    console.log(`🗑️ Stream ${stream.name} deleted by ${req.user.email}`);
+
     res.json({
       success: true,
       message: 'Stream deleted successfully'
     });
   } catch (error) {
     console.error('❌ Error deleting stream:', error);
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
@@ -219,29 +190,13 @@ router.delete('/management/streams/:id', async (req, res) => {
 // ✅ SUBJECT MANAGEMENT ROUTES
 // ============================================================================
 
-router.get('/management/subjects', async (req, res) => {
+// Query: ?stream, &semester, &subjectType
+router.get('/management/subjects', noCache, async (req, res) => {
   try {
-    const { stream, semester } = req.query;
-    
-    console.log('📚 Fetching subjects...');
-    
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
-    
-    const query = {};
-    if (stream) query.stream = stream;
-    if (semester) query.semester = parseInt(semester);
-    
-    const subjects = await req.db.collection('subjects')
-      .find(query)
-      .sort({ stream: 1, semester: 1, name: 1 })
-      .toArray();
-    
+    const subjects = await data.listSubjects(req.db, req.query);
+
     console.log(`✅ Found ${subjects.length} subjects`);
-    
+
     res.json({ success: true, subjects });
   } catch (error) {
     console.error('❌ Error fetching subjects:', error);
@@ -249,144 +204,136 @@ router.get('/management/subjects', async (req, res) => {
   }
 });
 
-router.post('/management/subjects', async (req, res) => {
+router.post('/management/subjects', requirePermission('subjects:manage'), bodyStreamInScope, async (req, res) => {
   try {
-    const {
-      name,
-      subjectCode,
-      stream,
-      semester,
-      subjectType,
-      isLanguageSubject,
-      languageType
-    } = req.body;
-    
-    console.log('➕ Adding new subject:', { name, subjectCode, stream, semester });
-    
-    if (!name || !subjectCode || !stream || !semester || !subjectType) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, subjectCode, stream, semester, and subjectType are required'
-      });
-    }
-    
-    const existing = await req.db.collection('subjects').findOne({
-      subjectCode: subjectCode.toUpperCase()
-    });
-    
-    if (existing) {
-      return res.status(400).json({
-        success: false,
-        message: 'Subject with this code already exists'
-      });
-    }
-    
-    const newSubject = {
-      name: name.toUpperCase(),
-      subjectCode: subjectCode.toUpperCase(),
-      stream: stream.toUpperCase(),
-      semester: parseInt(semester),
-      subjectType: subjectType.toUpperCase(),
-      isLanguageSubject: isLanguageSubject || false,
-      languageType: languageType || null,
-      isActive: true,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    const result = await req.db.collection('subjects').insertOne(newSubject);
-    
-    console.log('✅ Subject added successfully:', result.insertedId);
-    
+    const subject = await data.createSubject(req.db, req.body);
+
+    console.log('✅ Subject added successfully:', subject._id);
+
     res.json({
       success: true,
       message: 'Subject added successfully',
-      subject: { ...newSubject, _id: result.insertedId }
+      subject
     });
   } catch (error) {
     console.error('❌ Error adding subject:', error);
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
-router.put('/management/subjects/:id', async (req, res) => {
+router.put('/management/subjects/:id', requirePermission('subjects:manage'), subjectInScope, async (req, res) => {
   try {
-    const { id } = req.params;
-    const {
-      name,
-      subjectCode,
-      stream,
-      semester,
-      subjectType,
-      isLanguageSubject,
-      languageType,
-      isActive
-    } = req.body;
-    
-    console.log(`🔄 Updating subject ${id}`);
-    
-    const updateData = {
-      updatedAt: new Date()
-    };
-    
-    if (name) updateData.name = name.toUpperCase();
-    if (subjectCode) updateData.subjectCode = subjectCode.toUpperCase();
-    if (stream) updateData.stream = stream.toUpperCase();
-    if (semester) updateData.semester = parseInt(semester);
-    if (subjectType) updateData.subjectType = subjectType.toUpperCase();
-    if (typeof isLanguageSubject !== 'undefined') updateData.isLanguageSubject = isLanguageSubject;
-    if (languageType) updateData.languageType = languageType;
-    if (typeof isActive !== 'undefined') updateData.isActive = isActive;
-    
-    const result = await req.db.collection('subjects').updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
-    );
-    
-    if (result.modifiedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Subject not found'
-      });
-    }
-    
-    console.log('✅ Subject updated');
-    
+    await data.updateSubject(req.db, req.params.id, req.body);
+
+    console.log(`✅ Subject ${req.params.id} updated`);
+
     res.json({
       success: true,
       message: 'Subject updated successfully'
     });
   } catch (error) {
     console.error('❌ Error updating subject:', error);
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
-router.delete('/management/subjects/:id', async (req, res) => {
+router.delete('/management/subjects/:id', requirePermission('subjects:manage'), subjectInScope, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    console.log(`🗑️ Deleting subject ${id}`);
-    
-    const result = await req.db.collection('subjects').deleteOne({
-      _id: new ObjectId(id)
-    });
-    
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Subject not found'
-      });
-    }
-    
-    console.log('✅ Subject deleted');
-    
+    await data.deleteSubject(req.db, req.params.id);
+
+    console.log(`🗑️ Subject ${req.params.id} deleted by ${req.user.email}`);
+
     res.json({
       success: true,
       message: 'Subject deleted successfully'
     });
   } catch (error) {
     console.error('❌ Error deleting subject:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================================================
+// LAB BATCHES
+// ============================================================================
+
+// Subject by _id plus the studentIDs of its roster
+async function subjectWithRoster(db, id) {
+  const subject = ObjectId.isValid(id) && await db.collection('subjects').findOne({ _id: new ObjectId(id) });
+  if (!subject) return { subject: null, rosterIDs: [] };
+  const { students } = await getRoster(db, { stream: subject.stream, semester: subject.semester, subject: subject.name });
+  return { subject, rosterIDs: students.map(s => s.studentID) };
+}
+
+function batchSummary(subject, batches, rosterIDs) {
+  const assigned = new Set(batches.flatMap(b => b.studentIDs));
+  return {
+    subject: subject.name,
+    stream: subject.stream,
+    semester: subject.semester,
+    batches: batches.map(b => ({ ...b, count: b.studentIDs.length })),
+    unassigned: rosterIDs.filter(id => !assigned.has(id))
+  };
+}
+
+async function saveBatches(req, res, buildBatches) {
+  const { subject, rosterIDs } = await subjectWithRoster(req.db, req.params.id);
+  if (!subject) {
+    return res.status(404).json({ success: false, message: 'Subject not found' });
+  }
+  
+  let batches;
+  try {
+    batches = buildBatches(rosterIDs);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, message: validationError.message });
+  }
+  
+  await req.db.collection('subjects').updateOne(
+    { _id: subject._id },
+    { $set: { batches, updatedAt: new Date() } }
+  );
+  
+  console.log(`✅ ${subject.name} (${subject.stream} Sem ${subject.semester}): ${batches.length} batches saved by ${req.user.email}`);
+  res.json({ success: true, ...batchSummary(subject, batches, rosterIDs) });
+}
+
+// GET - Batches of a subject and the students not in any batch
+router.get('/management/subjects/:id/batches', requirePermission('attendance:view'), subjectInScope, async (req, res) => {
+  try {
+    const { subject, rosterIDs } = await subjectWithRoster(req.db, req.params.id);
+    if (!subject) {
+      return res.status(404).json({ success: false, message: 'Subject not found' });
+    }
+    
+    res.json({ success: true, ...batchSummary(subject, subject.batches || [], rosterIDs) });
+  } catch (error) {
+    console.error('❌ Error fetching batches:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// PUT - Define batches by hand: { batches: [{ name, studentIDs }] } ([] removes them)
+router.put('/management/subjects/:id/batches', requirePermission('subjects:manage'), subjectInScope, async (req, res) => {
+  try {
+    await saveBatches(req, res, rosterIDs => validateBatches(req.body.batches, rosterIDs));
+  } catch (error) {
+    console.error('❌ Error saving batches:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// POST - Split the roster automatically:
+// { count: 2, names?: ['Batch A', 'Batch B'] } - equal consecutive studentID ranges
+// { ranges: [{ name, from, to }] }             - explicit studentID ranges
+router.post('/management/subjects/:id/batches/split', requirePermission('subjects:manage'), subjectInScope, async (req, res) => {
+  try {
+    const { count, names, ranges } = req.body;
+    await saveBatches(req, res, rosterIDs => ranges
+      ? splitByRanges(rosterIDs, ranges)
+      : splitByCount(rosterIDs, count, names));
+  } catch (error) {
+    console.error('❌ Error splitting batches:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -395,32 +342,19 @@ router.delete('/management/subjects/:id', async (req, res) => {
 // STREAMS ROUTES
 // ============================================================================
 
-router.get('/streams', async (req, res) => {
+// GET - Names of the active streams
+router.get('/streams', noCache, async (req, res) => {
   try {
-    console.log('📚 Fetching all active streams...');
-    
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
-    
-    const streams = await req.db.collection('streams')
-      .find({ isActive: true })
-      .sort({ name: 1 })
-      .toArray();
-    
-    console.log(`✅ Found ${streams.length} active streams`);
-    
+    const streams = await data.listStreams(req.db, { activeOnly: true });
     const streamList = streams.map(s => s.name);
-    
+
     res.json({
       success: true,
       streams: streamList,
       count: streamList.length,
       timestamp: new Date()
     });
-    
+
   } catch (error) {
     console.error('❌ Error fetching streams:', error);
     res.status(500).json({
@@ -430,39 +364,28 @@ router.get('/streams', async (req, res) => {
   }
 });
 
+// GET - One active stream by streamCode or name
 router.get('/streams/:streamCode', async (req, res) => {
   try {
-    const { streamCode } = req.params;
-    
-    console.log(`🔍 Fetching stream details for: ${streamCode}`);
-    
-    const stream = await req.db.collection('streams').findOne({
-      $or: [
-        { streamCode: { $regex: new RegExp(`^${streamCode}$`, 'i') } },
-        { name: { $regex: new RegExp(`^${streamCode}$`, 'i') } }
-      ],
-      isActive: true
-    });
-    
+    const stream = await data.findActiveStream(req.db, req.params.streamCode);
+
     if (!stream) {
       return res.status(404).json({
         success: false,
         error: 'Stream not found'
       });
     }
-    
-    console.log(`✅ Found stream: ${stream.name}`);
-    
+
     res.json({
       success: true,
       stream: {
         streamCode: stream.streamCode || stream.name,
         name: stream.name,
         fullName: stream.fullName || stream.name,
-        semesters: stream.semesters || [1, 2, 3, 4, 5, 6]
+        semesters: streamSemesters(stream)
       }
     });
-    
+
   } catch (error) {
     console.error('❌ Error fetching stream:', error);
     res.status(500).json({
@@ -476,70 +399,48 @@ router.get('/streams/:streamCode', async (req, res) => {
 // SUBJECTS ROUTES
 // ============================================================================
 
-router.get('/subjects/electives', async (req, res) => {
+// Active subjects of one type, for the language/elective pickers
+const subjectsOfType = (subjectType) => async (req, res) => {
   try {
-    console.log('📚 Fetching elective subjects...');
-    
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
-    
-    const subjects = await req.db.collection('subjects')
-      .find({ 
-        subjectType: 'ELECTIVE', 
-        isActive: true 
-      })
-      .sort({ name: 1 })
-      .toArray();
-    
-    console.log(`✅ Found ${subjects.length} elective subjects`);
-    
+    const subjects = await data.listSubjects(req.db, { subjectType, activeOnly: true });
+
     res.json({
       success: true,
-      subjects: subjects,
+      subjects,
       count: subjects.length,
       timestamp: new Date()
     });
-    
+
   } catch (error) {
-    console.error('❌ Error fetching electives:', error);
+    console.error(`❌ Error fetching ${subjectType.toLowerCase()} subjects:`, error);
     res.status(500).json({
       success: false,
       error: error.message
     });
   }
-});
+};
+
+router.get('/subjects/languages', noCache, subjectsOfType('LANGUAGE'));
+router.get('/subjects/electives', noCache, subjectsOfType('ELECTIVE'));
 
 // ============================================================================
 // GET ALL STUDENTS
 // ============================================================================
 
-router.get('/all', async (req, res) => {
+router.get('/all', noCache, async (req, res) => {
   try {
-    res.set({
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0'
-    });
-    
-    console.log('📡 Fetching all students from database...');
-    
-    const students = await req.db.collection('students')
-      .find({})
-      .sort({ stream: 1, semester: 1, name: 1 })
-      .toArray();
-    
+    const students = (await data.listStudents(req.db, {}, studentReadOptions(req)))
+      .map(student => visibleStudent(req, student));
+
     console.log(`✅ Found ${students.length} students`);
-    
+
     res.json({
       success: true,
       students: students,
       totalCount: students.length,
       timestamp: new Date()
     });
-    
+
   } catch (error) {
     console.error('❌ Error fetching students:', error);
     res.status(500).json({
@@ -552,213 +453,79 @@ router.get('/all', async (req, res) => {
 // ============================================================================
 // BULK OPERATIONS
 // ============================================================================
-// ✅ BULK UPLOAD - ALLOW DUPLICATES, JUST SKIP THEM SILENTLY
-router.post('/bulk', async (req, res) => {
+
+// ✅ BULK UPLOAD - rows already in the database or repeated in the file are skipped
+router.post('/bulk', requirePermission('students:manage'), uploadInScope, async (req, res) => {
   try {
-    const students = req.body.students;
-    
-    if (!Array.isArray(students) || students.length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No students provided' 
-      });
-    }
-    
-    console.log(`📊 Bulk upload: ${students.length} students received`);
-    
-    // Step 1: Prepare students
-    const preparedStudents = students.map(student => ({
-      studentID: student.studentID?.toString().trim() || '',
-      name: student.name?.toString().trim() || '',
-      stream: student.stream?.toString().trim() || '',
-      semester: parseInt(student.semester) || 1,
-      parentPhone: student.parentPhone?.toString().trim() || '',
-      languageSubject: student.languageSubject?.toString().trim() || '',
-      electiveSubject: student.electiveSubject?.toString().trim() || '',
-      academicYear: student.academicYear || new Date().getFullYear(),
-      isActive: student.isActive !== false,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    }));
-    
-    // Step 2: Filter valid students (must have ID and name)
-    const validStudents = preparedStudents.filter(s => s.studentID && s.name);
-    
-    if (validStudents.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No valid students found (missing ID or name)'
-      });
-    }
-    
-    // Step 3: Deduplicate within Excel file itself
-    const seenIDs = new Set();
-    const uniqueStudentsFromExcel = [];
-    const duplicatesInExcel = [];
-    
-    for (const student of validStudents) {
-      if (seenIDs.has(student.studentID)) {
-        duplicatesInExcel.push(student.studentID);
-      } else {
-        seenIDs.add(student.studentID);
-        uniqueStudentsFromExcel.push(student);
-      }
-    }
-    
-    console.log(`✅ Unique students in Excel: ${uniqueStudentsFromExcel.length}`);
-    if (duplicatesInExcel.length > 0) {
-      console.log(`⚠️ Duplicate rows in Excel (skipped): ${duplicatesInExcel.length}`);
-    }
-    
-    // Step 4: Check which students already exist in database
-    const existingStudentIDs = await req.db.collection('students')
-      .find({ 
-        studentID: { $in: uniqueStudentsFromExcel.map(s => s.studentID) } 
-      })
-      .project({ studentID: 1 })
-      .toArray();
-    
-    const existingIDs = new Set(existingStudentIDs.map(s => s.studentID));
-    const newStudents = uniqueStudentsFromExcel.filter(s => !existingIDs.has(s.studentID));
-    const alreadyInDB = uniqueStudentsFromExcel.filter(s => existingIDs.has(s.studentID));
-    
-    console.log(`✅ New students to insert: ${newStudents.length}`);
-    if (alreadyInDB.length > 0) {
-      console.log(`ℹ️ Already in database (skipped): ${alreadyInDB.length}`);
-    }
-    
-    // Step 5: Insert only new students (if any)
-    let insertedCount = 0;
-    if (newStudents.length > 0) {
-      const result = await req.db.collection('students').insertMany(newStudents);
-      insertedCount = result.insertedCount;
-      console.log(`✅ Successfully inserted ${insertedCount} students`);
-    }
-    
-    // Step 6: Build success message
-    const totalProcessed = students.length;
-    const totalSkipped = alreadyInDB.length + duplicatesInExcel.length;
-    
-    let message = `✅ Processed ${totalProcessed} students\n`;
-    message += `✅ Added ${insertedCount} new students`;
-    
-    if (totalSkipped > 0) {
-      message += `\nℹ️ ${totalSkipped} already exist (skipped)`;
+    const result = await data.importStudents(req.db, req.body.students, { performedBy: req.user.email });
+    const skippedCount = result.alreadyInDatabase + result.duplicateRows;
+
+    console.log(`📊 Bulk upload by ${req.user.email}: ${result.insertedCount} added, ${skippedCount} skipped`);
+
+    let message = `✅ Processed ${result.totalProcessed} students\n`;
+    message += `✅ Added ${result.insertedCount} new students`;
+    if (skippedCount > 0) {
+      message += `\nℹ️ ${skippedCount} already exist (skipped)`;
     }
-    
-    // Always return success
-    res.json({ 
-      success: true, 
-      insertedCount: insertedCount,
-      skippedCount: totalSkipped,
-      totalProcessed: totalProcessed,
-      message: message,
+
+    res.json({
+      success: true,
+      insertedCount: result.insertedCount,
+      skippedCount,
+      totalProcessed: result.totalProcessed,
+      message,
       details: {
-        newStudents: insertedCount,
-        alreadyInDatabase: alreadyInDB.length,
-        duplicateRowsInExcel: duplicatesInExcel.length
+        newStudents: result.insertedCount,
+        alreadyInDatabase: result.alreadyInDatabase,
+        duplicateRowsInExcel: result.duplicateRows
       }
     });
-    
+
   } catch (error) {
     console.error('❌ Bulk upload error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
     });
   }
 });
 
-// ✅ BULK DELETE - DELETE ALL STUDENTS BY STREAM/SEMESTER
-router.post('/bulk/delete', async (req, res) => {
+// ✅ BULK DELETE - { studentIds } or { stream, semester }, into the recycle bin
+router.post('/bulk/delete', requirePermission('students:bulk-delete'), async (req, res) => {
   try {
-    const { stream, semester, studentIds } = req.body;
-    
-    console.log('🗑️ Bulk delete request:', { stream, semester, studentIds });
-    
-    let query = {};
-    
-    // Option 1: Delete by studentIds array
-    if (Array.isArray(studentIds) && studentIds.length > 0) {
-      const objectIds = studentIds
-        .filter(id => ObjectId.isValid(id))
-        .map(id => new ObjectId(id));
-      
-      query = { _id: { $in: objectIds } };
-    } 
-    // Option 2: Delete by stream and/or semester
-    else {
-      if (stream) query.stream = stream;
-      if (semester) query.semester = parseInt(semester);
-      
-      if (Object.keys(query).length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Please provide studentIds or stream/semester filter'
-        });
-      }
-    }
-    
-    const result = await req.db.collection('students').deleteMany(query);
-    
-    console.log(`✅ Bulk deleted ${result.deletedCount} students`);
-    
+    const students = await data.deleteStudents(req.db, req.body, { deletedBy: req.user.email, reason: req.body.reason });
+
+    console.log(`✅ Bulk deleted ${students.length} students (moved to recycle bin)`);
+
     res.json({
       success: true,
-      message: `Successfully deleted ${result.deletedCount} students`,
-      deletedCount: result.deletedCount
+      message: `Successfully deleted ${students.length} students`,
+      deletedCount: students.length,
+      recycled: true
     });
-    
+
   } catch (error) {
     console.error('❌ Error bulk deleting:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// ✅ BULK UPDATE STATUS
-router.post('/bulk/update-status', async (req, res) => {
+// ✅ BULK UPDATE STATUS - { studentIds, isActive }
+router.post('/bulk/update-status', requirePermission('students:manage'), selectedStudentsInScope, async (req, res) => {
   try {
-    const { studentIds, isActive } = req.body;
-    
-    if (!Array.isArray(studentIds) || studentIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'studentIds array is required'
-      });
-    }
-    
-    if (typeof isActive !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'isActive must be a boolean'
-      });
-    }
-    
-    const objectIds = studentIds
-      .filter(id => ObjectId.isValid(id))
-      .map(id => new ObjectId(id));
-    
-    const result = await req.db.collection('students').updateMany(
-      { _id: { $in: objectIds } },
-      { 
-        $set: { 
-          isActive: isActive,
-          updatedAt: new Date()
-        }
-      }
-    );
-    
-    console.log(`✅ Bulk updated ${result.modifiedCount} students`);
-    
+    const modifiedCount = await data.setStudentsActive(req.db, req.body.studentIds, req.body.isActive);
+
+    console.log(`✅ Bulk updated ${modifiedCount} students`);
+
     res.json({
       success: true,
-      message: `${result.modifiedCount} students updated`,
-      modifiedCount: result.modifiedCount
+      message: `${modifiedCount} students updated`,
+      modifiedCount
     });
-    
+
   } catch (error) {
     console.error('❌ Error bulk updating:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -766,80 +533,23 @@ router.post('/bulk/update-status', async (req, res) => {
 // ADD NEW STUDENT
 // ============================================================================
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('students:manage'), bodyStreamInScope, async (req, res) => {
   try {
-    console.log('🔵 POST /api/students - Add New Student');
-    
-    const studentData = req.body;
-    
-    if (!studentData.studentID) {
-      return res.status(400).json({
-        success: false,
-        error: 'Student ID is required'
-      });
-    }
-    
-    if (!studentData.name) {
-      return res.status(400).json({
-        success: false,
-        error: 'Student name is required'
-      });
-    }
-    
-    if (!studentData.stream) {
-      return res.status(400).json({
-        success: false,
-        error: 'Stream is required'
-      });
-    }
-    
-    if (!studentData.semester) {
-      return res.status(400).json({
-        success: false,
-        error: 'Semester is required'
-      });
-    }
-    
-    const existing = await req.db.collection('students').findOne({ 
-      studentID: studentData.studentID 
-    });
-    
-    if (existing) {
-      return res.status(400).json({
-        success: false,
-        error: 'Student ID already exists'
-      });
-    }
-    
-    const newStudent = {
-      studentID: studentData.studentID.trim(),
-      name: studentData.name.trim(),
-      stream: studentData.stream,
-      semester: parseInt(studentData.semester),
-      parentPhone: studentData.parentPhone?.trim() || '',
-      languageSubject: studentData.languageSubject || '',
-      electiveSubject: studentData.electiveSubject?.trim() || '',
-      academicYear: studentData.academicYear || new Date().getFullYear(),
-      isActive: studentData.isActive !== false,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    const result = await req.db.collection('students').insertOne(newStudent);
-    
-    console.log('✅ Student added successfully! ID:', result.insertedId);
-    
+    const student = await data.createStudent(req.db, req.body, { performedBy: req.user.email });
+
+    console.log('✅ Student added successfully! ID:', student._id);
+
     res.status(201).json({
       success: true,
       message: 'Student added successfully',
-      studentId: result.insertedId
+      studentId: student._id
     });
-    
+
   } catch (error) {
     console.error('❌ Error adding student:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
     });
   }
 });
@@ -848,116 +558,122 @@ router.post('/', async (req, res) => {
 // GET STUDENTS WITH FILTERS
 // ============================================================================
 
+// Query: ?stream, &semester, &section, &language, &elective, &status=true|false
 router.get('/', async (req, res) => {
   try {
-    const { stream, semester, language, elective, status } = req.query;
-    
-    const query = {};
-    if (stream) query.stream = stream;
-    if (semester) query.semester = parseInt(semester);
-    if (language) query.languageSubject = language;
-    if (elective) query.electiveSubject = elective;
-    if (status !== undefined) query.isActive = status === 'true';
-    
-    const students = await req.db.collection('students')
-      .find(query)
-      .sort({ stream: 1, semester: 1, name: 1 })
-      .toArray();
-    
+    const students = (await data.listStudents(req.db, req.query, studentReadOptions(req)))
+      .map(student => visibleStudent(req, student));
     res.json({ success: true, students, count: students.length });
-    
+
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ============================================================================
-// GET SINGLE STUDENT BY ID
+// CLASS ROSTER
 // ============================================================================
 
-router.get('/:id', async (req, res) => {
+// GET - Semesters of a stream, from streams.semesters
+router.get('/semesters/:stream', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    let student;
-    if (ObjectId.isValid(id)) {
-      student = await req.db.collection('students').findOne({ 
-        _id: new ObjectId(id)
-      });
-    }
-    
-    if (!student) {
-      student = await req.db.collection('students').findOne({ 
-        studentID: id
-      });
-    }
-    
-    if (!student) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Student not found' 
+    const streamDoc = await data.findActiveStream(req.db, req.params.stream);
+
+    if (!streamDoc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stream not found'
       });
     }
     
-    res.json({ success: true, student });
+    res.json({
+      success: true,
+      stream: streamDoc.name,
+      semesters: streamSemesters(streamDoc)
+    });
     
   } catch (error) {
+    console.error('❌ Error fetching semesters:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ============================================================================
-// UPDATE STUDENT
-// ============================================================================
-
-router.put('/:id', async (req, res) => {
+// GET - Active students of a class
+// Query: ?subject= (language/elective enrollment), &section=, &batch= (lab batch of the subject)
+router.get('/:stream/:semester(sem\\d+)', requirePermission('attendance:view'), rosterInScope, async (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
-    
-    console.log(`🔄 Updating student ${id}`);
+    const { stream } = req.params;
+    const semester = parseInt(req.params.semester.replace('sem', ''));
+    const { subject, section, batch } = req.query;
     
-    delete updateData._id;
-    delete updateData.createdAt;
-    updateData.updatedAt = new Date();
+    const roster = await getRoster(req.db, { stream, semester, subject, section, batch });
     
-    if (updateData.semester) {
-      updateData.semester = parseInt(updateData.semester);
+    if (subject && !roster.subject) {
+      console.log(`⚠️ Subject ${subject} not found for ${stream} Sem ${semester}, returning the whole class`);
     }
     
-    let result;
-    if (ObjectId.isValid(id)) {
-      result = await req.db.collection('students').updateOne(
-        { _id: new ObjectId(id) },
-        { $set: updateData }
-      );
-    }
+    console.log(`✅ Roster ${stream} Sem ${semester}${subject ? ` / ${subject}` : ''}${section ? ` / ${section}` : ''}: ${roster.students.length} students`);
     
-    if (!result || result.matchedCount === 0) {
-      result = await req.db.collection('students').updateOne(
-        { studentID: id },
-        { $set: updateData }
-      );
-    }
+    res.json({
+      success: true,
+      stream,
+      semester,
+      subject: roster.subject ? roster.subject.name : subject || null,
+      section: section || null,
+      batch: roster.batch,
+      batches: roster.batches,
+      filterApplied: roster.filterApplied,
+      students: roster.students,
+      count: roster.students.length
+    });
     
-    if (result.matchedCount === 0) {
+  } catch (error) {
+    console.error('❌ Error fetching roster:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// GET SINGLE STUDENT BY ID
+// ============================================================================
+
+router.get('/:id', async (req, res) => {
+  try {
+    const student = await data.findStudent(req.db, req.params.id, studentReadOptions(req));
+
+    if (!student) {
       return res.status(404).json({
         success: false,
         error: 'Student not found'
       });
     }
-    
-    console.log(`✅ Student updated`);
-    
+
+    res.json({ success: true, student: visibleStudent(req, student) });
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// UPDATE STUDENT
+// ============================================================================
+
+router.put('/:id', requirePermission('students:manage'), studentInScope, async (req, res) => {
+  try {
+    const result = await data.updateStudent(req.db, req.params.id, req.body, { performedBy: req.user.email });
+
+    console.log(`✅ Student ${req.params.id} updated`);
+
     res.json({
       success: true,
       message: 'Student updated successfully',
       modifiedCount: result.modifiedCount
     });
-    
+
   } catch (error) {
     console.error('❌ Error updating:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -965,41 +681,31 @@ router.put('/:id', async (req, res) => {
 // DELETE STUDENT
 // ============================================================================
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('students:manage'), studentInScope, async (req, res) => {
   try {
-    const { id } = req.params;
-    console.log(`🗑️ Deleting student: ${id}`);
-    
-    let result;
-    if (ObjectId.isValid(id)) {
-      result = await req.db.collection('students').deleteOne({ 
-        _id: new ObjectId(id) 
-      });
-    }
-    
-    if (!result || result.deletedCount === 0) {
-      result = await req.db.collection('students').deleteOne({ 
-        studentID: id 
-      });
-    }
-    
-    if (result.deletedCount === 0) {
+    const student = await data.findStudent(req.db, req.params.id);
+
+    if (!student) {
       return res.status(404).json({
         success: false,
         error: 'Student not found'
       });
     }
-    
-    console.log(`✅ Student deleted`);
-    
+
+    // Kept in the recycle bin until restored or purged
+    await data.deleteStudents(req.db, { studentIds: [String(student._id)] }, { deletedBy: req.user.email, reason: req.query.reason });
+
+    console.log(`♻️ Student ${student.studentID} moved to recycle bin`);
+
     res.json({
       success: true,
-      message: 'Student deleted successfully'
+      message: 'Student deleted - it can be restored from the recycle bin',
+      recycled: true
     });
-    
+
   } catch (error) {
     console.error('❌ Error deleting:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -4,6 +4,9 @@
 
 const express = require('express');
 const router = express.Router();
+const { getRole, getPermissions, hasPermission, canAccessStream } = require('../middleware/rbac');
+const { isTimetabled, addTeacherSubject } = require('../models/teacherSubjects');
+const { checkDB } = require('../models/dataService');
 
 // ============================================================================
 // SCHEMA DEFINITIONS
@@ -16,6 +19,8 @@ const router = express.Router();
  *   firebaseUid: String (unique, required),
  *   name: String,
  *   email: String (unique, required),
+ *   role: 'teacher' | 'hod' | 'principal' | 'admin' (default 'teacher'),
+ *   stream: String (HOD's department, only set for role 'hod'),
  *   createdSubjects: Array<SubjectSchema>,
  *   attendanceQueue: Array<QueueItemSchema>,
  *   completedClasses: Array<CompletedClassSchema>,
@@ -32,6 +37,8 @@ const router = express.Router();
  *   stream: String (e.g., "BCA", "BCOM"),
  *   semester: Number (1-6),
  *   subject: String (subject name),
+ *   sections: Array<String> (e.g. ["A"] or ["A", "B"] combined; empty = whole class),
+ *   batch: String (lab batch of a practical, e.g. "Batch 1"; empty = all batches),
  *   createdAt: String (ISO date),
  *   teacherEmail: String
  * }
@@ -44,6 +51,8 @@ const router = express.Router();
  *   stream: String,
  *   semester: Number,
  *   subject: String,
+ *   sections: Array<String> (optional, from the subject),
+ *   batch: String (optional, from the subject),
  *   addedAt: String (ISO date),
  *   teacherEmail: String
  * }
@@ -57,7 +66,8 @@ const router = express.Router();
  *   semester: Number,
  *   subject: String,
  *   completedAt: String (ISO date),
- *   teacherEmail: String
+ *   teacherEmail: String,
+ *   attendanceId: ObjectId (session saved for the class; set when attendance is submitted)
  * }
  */
 
@@ -65,25 +75,6 @@ const router = express.Router();
 // VALIDATION HELPERS
 // ============================================================================
 
-const validateSubject = (subject) => {
-  if (!subject || typeof subject !== 'object') {
-    throw new Error('Invalid subject object');
-  }
-  
-  const required = ['id', 'stream', 'semester', 'subject', 'createdAt', 'teacherEmail'];
-  const missing = required.filter(field => !subject[field]);
-  
-  if (missing.length > 0) {
-    throw new Error(`Missing required fields: ${missing.join(', ')}`);
-  }
-  
-  if (typeof subject.semester !== 'number' || subject.semester < 1 || subject.semester > 6) {
-    throw new Error('Semester must be a number between 1 and 6');
-  }
-  
-  return true;
-};
-
 const validateQueueItem = (item) => {
   if (!item || typeof item !== 'object') {
     throw new Error('Invalid queue item object');
@@ -163,21 +154,6 @@ const ensureTeacherFields = async (db, email) => {
 // MIDDLEWARE
 // ============================================================================
 
-const checkDB = (req, res, next) => {
-  const db = req.app.locals.db || req.app.get('db');
-  
-  if (!db) {
-    console.error('❌ [TEACHER] Database not available');
-    return res.status(503).json({ 
-      success: false, 
-      error: 'Database connection not available' 
-    });
-  }
-  
-  req.db = db;
-  next();
-};
-
 router.use(checkDB);
 
 router.use((req, res, next) => {
@@ -192,24 +168,36 @@ router.use((req, res, next) => {
 // POST - Create or update teacher profile
 router.post('/profile', async (req, res) => {
   try {
-    const { firebaseUid, name, email } = req.body;
+    // ✅ Identity comes from the verified token, not the request body
+    const { sub: firebaseUid, email } = req.auth;
+    const { name } = req.body;
     
-    if (!firebaseUid) {
+    if (!email) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Firebase UID is required' 
+        error: 'Firebase account has no email address' 
       });
     }
     
-    if (!email) {
-      return res.status(400).json({ 
+    // Profiles are matched by email, so the address must be proven first
+    if (req.auth.email_verified !== true) {
+      return res.status(403).json({ 
         success: false, 
-        error: 'Email is required' 
+        error: 'Verify your email address before creating a profile' 
       });
     }
     
     console.log('👤 [TEACHER] Creating/updating profile for:', email);
     
+    // A profile already linked to a different Firebase account must not be taken over
+    const existing = await req.db.collection('teachers').findOne({ email });
+    if (existing?.firebaseUid && existing.firebaseUid !== firebaseUid) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Email is linked to another account' 
+      });
+    }
+    
     const teacherData = {
       firebaseUid,
       name: name || email.split('@')[0],
@@ -222,6 +210,7 @@ router.post('/profile', async (req, res) => {
       { 
         $set: teacherData,
         $setOnInsert: { 
+          role: 'teacher',
           createdSubjects: [],
           attendanceQueue: [],
           completedClasses: [],
@@ -246,11 +235,25 @@ router.post('/profile', async (req, res) => {
   }
 });
 
+// GET - Signed-in teacher with role and permissions
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    teacher: req.user,
+    role: getRole(req.user),
+    permissions: getPermissions(req.user)
+  });
+});
+
 // GET - Teacher profile by Firebase UID
 router.get('/profile/:firebaseUid', async (req, res) => {
   try {
     console.log('🔍 [TEACHER] Fetching profile by UID:', req.params.firebaseUid);
     
+    if (req.params.firebaseUid !== req.user.firebaseUid) {
+      return res.status(403).json({ success: false, error: 'Cannot read another teacher\'s profile' });
+    }
+    
     const teacher = await req.db.collection('teachers').findOne({ 
       firebaseUid: req.params.firebaseUid 
     });
@@ -274,6 +277,10 @@ router.get('/profile/email/:email', async (req, res) => {
     const email = decodeURIComponent(req.params.email);
     console.log('🔍 [TEACHER] Fetching profile by email:', email);
     
+    if (email !== req.user.email) {
+      return res.status(403).json({ success: false, error: 'Cannot read another teacher\'s profile' });
+    }
+    
     const teacher = await req.db.collection('teachers').findOne({ email });
     
     if (!teacher) {
@@ -296,14 +303,7 @@ router.get('/profile/email/:email', async (req, res) => {
 // GET - Teacher's subjects
 router.get('/subjects', async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email parameter is required'
-      });
-    }
+    const { email } = req.user;
     
     console.log('📚 [TEACHER] Getting subjects for email:', email);
     
@@ -337,25 +337,26 @@ router.get('/subjects', async (req, res) => {
   }
 });
 
-// POST - Add subject to teacher's created subjects
+// POST - Add subject to teacher's created subjects. The list is the
+// teacher's attendance scope, so teachers may only add subjects the
+// timetable gives them; HODs (own stream) and admins may add any.
 router.post('/subjects', async (req, res) => {
   try {
-    const { teacherEmail, subject } = req.body;
+    const { email: teacherEmail } = req.user;
+    const subject = req.body.subject && { ...req.body.subject, teacherEmail };
     
-    if (!teacherEmail || !subject) {
+    if (!subject) {
       return res.status(400).json({
         success: false,
-        error: 'Teacher email and subject are required'
+        error: 'Subject is required'
       });
     }
     
-    // Validate subject schema
-    try {
-      validateSubject(subject);
-    } catch (validationError) {
-      return res.status(400).json({
+    const canAssign = hasPermission(req.user, 'subjects:assign') && canAccessStream(req.user, subject.stream);
+    if (!canAssign && !(await isTimetabled(req.db, teacherEmail, subject))) {
+      return res.status(403).json({
         success: false,
-        error: `Validation failed: ${validationError.message}`
+        error: `${subject.subject} (${subject.stream} Sem ${subject.semester}) is not assigned to you in the timetable - ask your HOD to assign it`
       });
     }
     
@@ -364,41 +365,17 @@ router.post('/subjects', async (req, res) => {
     // ✅ Ensure fields exist first
     await ensureTeacherFields(req.db, teacherEmail);
     
-    // Check for duplicates
-    const teacher = await req.db.collection('teachers').findOne({ email: teacherEmail });
-    if (teacher) {
-      const exists = teacher.createdSubjects?.some(s => 
-        s.stream === subject.stream && 
-        s.semester === subject.semester && 
-        s.subject === subject.subject
-      );
-      
-      if (exists) {
-        return res.status(409).json({
-          success: false,
-          error: 'Subject already exists'
-        });
-      }
-    }
-    
-    const result = await req.db.collection('teachers').findOneAndUpdate(
-      { email: teacherEmail },
-      { 
-        $push: { createdSubjects: subject },
-        $set: { updatedAt: new Date() }
-      },
-      { upsert: true, returnDocument: 'after' }
-    );
+    const teacher = await addTeacherSubject(req.db, teacherEmail, subject);
     
     console.log('✅ [TEACHER] Subject added successfully');
     res.json({ 
       success: true, 
-      teacher: result.value 
+      teacher
     });
     
   } catch (error) {
     console.error('❌ [TEACHER] Error adding subject:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false, 
       error: error.message 
     });
@@ -408,16 +385,9 @@ router.post('/subjects', async (req, res) => {
 // DELETE - Remove subject
 router.delete('/subjects/:subjectId', async (req, res) => {
   try {
-    const { teacherEmail } = req.body;
+    const { email: teacherEmail } = req.user;
     const { subjectId } = req.params;
     
-    if (!teacherEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'Teacher email is required'
-      });
-    }
-    
     console.log('🗑️ [TEACHER] Deleting subject:', subjectId);
     
     const result = await req.db.collection('teachers').findOneAndUpdate(
@@ -458,14 +428,8 @@ router.delete('/subjects/:subjectId', async (req, res) => {
 // POST - Save queue
 router.post('/queue', async (req, res) => {
   try {
-    const { teacherEmail, queueData } = req.body;
-    
-    if (!teacherEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'Teacher email is required'
-      });
-    }
+    const { email: teacherEmail } = req.user;
+    const { queueData } = req.body;
     
     if (!Array.isArray(queueData)) {
       return res.status(400).json({
@@ -519,14 +483,7 @@ router.post('/queue', async (req, res) => {
 // GET - Load queue
 router.get('/queue', async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email parameter is required'
-      });
-    }
+    const { email } = req.user;
     
     console.log('📥 [TEACHER] Loading queue for:', email);
     
@@ -563,16 +520,9 @@ router.get('/queue', async (req, res) => {
 // DELETE - Remove queue item
 router.delete('/queue/:itemId', async (req, res) => {
   try {
-    const { teacherEmail } = req.body;
+    const { email: teacherEmail } = req.user;
     const { itemId } = req.params;
     
-    if (!teacherEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'Teacher email is required'
-      });
-    }
-    
     console.log('🗑️ [TEACHER] Deleting queue item:', itemId);
     
     const result = await req.db.collection('teachers').findOneAndUpdate(
@@ -613,14 +563,8 @@ router.delete('/queue/:itemId', async (req, res) => {
 // POST - Save completed class
 router.post('/completed', async (req, res) => {
   try {
-    const { teacherEmail, completedClass } = req.body;
-    
-    if (!teacherEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'Teacher email is required'
-      });
-    }
+    const { email: teacherEmail } = req.user;
+    const { completedClass } = req.body;
     
     // Validate completed class schema
     try {
@@ -664,14 +608,8 @@ router.post('/completed', async (req, res) => {
 // GET - Get completed classes
 router.get('/completed', async (req, res) => {
   try {
-    const { email, limit } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email parameter is required'
-      });
-    }
+    const { email } = req.user;
+    const { limit } = req.query;
     
     console.log('📊 [TEACHER] Getting completed classes for:', email);
     
@@ -719,16 +657,9 @@ router.get('/completed', async (req, res) => {
 // DELETE - Remove completed class
 router.delete('/completed/:completedId', async (req, res) => {
   try {
-    const { teacherEmail } = req.body;
+    const { email: teacherEmail } = req.user;
     const { completedId } = req.params;
     
-    if (!teacherEmail) {
-      return res.status(400).json({
-        success: false,
-        error: 'Teacher email is required'
-      });
-    }
-    
     console.log('🗑️ [TEACHER] Deleting completed class:', completedId);
     
     const result = await req.db.collection('teachers').findOneAndUpdate(
@@ -768,6 +699,10 @@ router.get('/stats/:email', async (req, res) => {
     const email = decodeURIComponent(req.params.email);
     console.log('📊 [TEACHER] Getting stats for:', email);
     
+    if (email !== req.user.email) {
+      return res.status(403).json({ success: false, error: 'Cannot read another teacher\'s stats' });
+    }
+    
     const teacher = await req.db.collection('teachers').findOne({ email });
     
     if (!teacher) {
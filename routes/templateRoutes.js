@@ -0,0 +1,224 @@
+// ============================================================================
+// templateRoutes.js - Parent Message Templates
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission, canAccessStream } = require('../middleware/rbac');
+const {
+  LANGUAGES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  validateTemplate,
+  getTemplate,
+  listTemplates,
+  absenceValues,
+  renderTemplate
+} = require('../models/messageTemplates');
+const { buildDailyAbsenceSummary } = require('../models/absenceSummary');
+const { dateKey } = require('../models/academicCalendar');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [TEMPLATES] ${req.method} ${req.path}`);
+  next();
+});
+
+// ============================================================================
+// READ ROUTES
+// ============================================================================
+
+// GET - All templates (stored ones override the built-ins)
+router.get('/', requirePermission('messages:send'), async (req, res) => {
+  try {
+    const templates = await listTemplates(req.db);
+    res.json({ success: true, templates, languages: LANGUAGES, placeholders: PLACEHOLDERS });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error fetching templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - One template
+router.get('/:key', requirePermission('messages:send'), async (req, res) => {
+  try {
+    const template = await getTemplate(req.db, req.params.key);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error fetching template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST - Render a template for a real student
+// Body: { studentID, date?: 'YYYY-MM-DD', language?, variants? (unsaved text) }
+router.post('/:key/preview', requirePermission('messages:send'), async (req, res) => {
+  try {
+    const { studentID, language } = req.body;
+
+    if (!studentID) {
+      return res.status(400).json({ success: false, error: 'studentID is required' });
+    }
+
+    let template = await getTemplate(req.db, req.params.key);
+    if (req.body.variants) {
+      try {
+        template = validateTemplate({ key: req.params.key, name: template ? template.name : req.params.key, variants: req.body.variants });
+      } catch (validationError) {
+        return res.status(400).json({ success: false, error: validationError.message });
+      }
+    }
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    const student = await req.db.collection('students').findOne({ studentID });
+    if (!student) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+    if (!canAccessStream(req.user, student.stream)) {
+      return res.status(403).json({ success: false, error: `No access to stream ${student.stream}` });
+    }
+
+    // The student's absences on that day fill the subject placeholders
+    const date = req.body.date || dateKey(new Date());
+    const summary = await buildDailyAbsenceSummary(req.db, {
+      stream: student.stream,
+      semester: student.semester,
+      date
+    });
+    const entry = summary.absenceSummary.find(s => s.studentID === studentID) || {
+      studentID,
+      studentName: student.name,
+      absentSubjects: [],
+      absentSubjectCount: 0,
+      cumulativePercentage: null
+    };
+
+    const rendered = renderTemplate(template, absenceValues(entry, summary), language || student.preferredLanguage);
+
+    res.json({
+      success: true,
+      key: req.params.key,
+      studentID,
+      preferredLanguage: student.preferredLanguage || null,
+      language: rendered.language,
+      body: rendered.body
+    });
+
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error rendering preview:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// MANAGEMENT ROUTES
+// ============================================================================
+
+// POST - Create a template
+router.post('/', requirePermission('templates:manage'), async (req, res) => {
+  try {
+    let template;
+    try {
+      template = validateTemplate(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const existing = await req.db.collection('messageTemplates').findOne({ key: template.key });
+    if (existing || DEFAULT_TEMPLATES[template.key]) {
+      return res.status(409).json({ success: false, error: `Template ${template.key} already exists - use PUT to change it` });
+    }
+
+    const doc = {
+      ...template,
+      createdBy: req.user.email,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    const result = await req.db.collection('messageTemplates').insertOne(doc);
+
+    console.log(`✅ [TEMPLATES] Created ${template.key}`);
+    res.status(201).json({ success: true, template: { ...doc, _id: result.insertedId } });
+
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error creating template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Update a template (built-ins are stored on first change)
+router.put('/:key', requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const existing = await getTemplate(req.db, req.params.key);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    let template;
+    try {
+      template = validateTemplate({
+        ...existing,
+        ...req.body,
+        key: existing.key,
+        variants: { ...existing.variants, ...req.body.variants }
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    await req.db.collection('messageTemplates').updateOne(
+      { key: template.key },
+      {
+        $set: { ...template, updatedBy: req.user.email, updatedAt: new Date() },
+        $setOnInsert: { createdBy: req.user.email, createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    console.log(`✅ [TEMPLATES] Updated ${template.key}`);
+    res.json({ success: true, template });
+
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error updating template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE - Remove a template (built-ins go back to their default text)
+router.delete('/:key', requirePermission('templates:manage'), async (req, res) => {
+  try {
+    const result = await req.db.collection('messageTemplates').deleteOne({ key: req.params.key });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'No stored template with that key' });
+    }
+
+    const isDefault = !!DEFAULT_TEMPLATES[req.params.key];
+    console.log(`🗑️ [TEMPLATES] Deleted ${req.params.key}${isDefault ? ' (reset to default)' : ''}`);
+    res.json({
+      success: true,
+      message: isDefault ? 'Template reset to default' : 'Template deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ [TEMPLATES] Error deleting template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
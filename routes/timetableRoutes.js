@@ -0,0 +1,244 @@
+// ============================================================================
+// timetableRoutes.js - Weekly Timetable
+// ============================================================================
+
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const {
+  requirePermission,
+  requireStreamAccess,
+  requireDocumentStreamAccess,
+  exactMatch
+} = require('../middleware/rbac');
+const {
+  DAYS,
+  formatSlot,
+  getDayName,
+  validatePeriod,
+  findClash,
+  resolvePeriod
+} = require('../models/timetable');
+const { checkDB } = require('../models/dataService');
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+router.use(checkDB);
+
+router.use((req, res, next) => {
+  console.log(`📡 [TIMETABLE] ${req.method} ${req.path}`);
+  next();
+});
+
+const periodInScope = requireDocumentStreamAccess('timetable', req =>
+  ObjectId.isValid(req.params.id) ? { _id: new ObjectId(req.params.id) } : { _id: null }
+);
+
+function withSlot(entry) {
+  return { ...entry, time: formatSlot(entry) };
+}
+
+// ============================================================================
+// READ ROUTES
+// ============================================================================
+
+// GET - Periods, filtered by stream/semester/section/batch/day/teacherEmail
+router.get('/', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { stream, semester, section, batch, day, teacherEmail } = req.query;
+    const query = { isActive: true };
+
+    if (stream) query.stream = exactMatch(stream);
+    if (semester) query.semester = parseInt(String(semester).replace('sem', ''));
+    if (section !== undefined) query.section = String(section).toUpperCase();
+    if (batch !== undefined) query.batch = String(batch).trim();
+    if (day) query.day = DAYS.find(d => d.toLowerCase() === day.toLowerCase()) || day;
+    if (teacherEmail) query.teacherEmail = teacherEmail;
+
+    const periods = await req.db.collection('timetable')
+      .find(query)
+      .sort({ stream: 1, semester: 1, section: 1, day: 1, period: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      periods: periods.map(withSlot),
+      count: periods.length
+    });
+
+  } catch (error) {
+    console.error('❌ [TIMETABLE] Error fetching periods:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - Signed-in teacher's classes for today (or ?date=YYYY-MM-DD)
+router.get('/today', async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const day = getDayName(date);
+
+    const periods = await req.db.collection('timetable')
+      .find({ teacherEmail: req.user.email, day, isActive: true })
+      .sort({ startTime: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      day,
+      date: date.toISOString().split('T')[0],
+      periods: periods.map(withSlot),
+      count: periods.length
+    });
+
+  } catch (error) {
+    console.error('❌ [TIMETABLE] Error fetching today\'s classes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET - Period a session belongs to (?stream&semester&subject&section&batch&date&time&period)
+router.get('/resolve', async (req, res) => {
+  try {
+    const { stream, semester, subject } = req.query;
+
+    if (!stream || !semester || !subject) {
+      return res.status(400).json({
+        success: false,
+        error: 'stream, semester and subject are required'
+      });
+    }
+
+    const period = await resolvePeriod(req.db, req.query);
+
+    res.json({
+      success: true,
+      found: !!period,
+      period: period ? withSlot(period) : null
+    });
+
+  } catch (error) {
+    console.error('❌ [TIMETABLE] Error resolving period:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// MANAGEMENT ROUTES
+// ============================================================================
+
+// POST - Add a period
+router.post('/', requirePermission('timetable:manage'), requireStreamAccess(req => req.body.stream), async (req, res) => {
+  try {
+    let entry;
+    try {
+      entry = validatePeriod(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const clash = await findClash(req.db, entry);
+    if (clash) {
+      return res.status(409).json({ success: false, error: clash });
+    }
+
+    const doc = {
+      ...entry,
+      isActive: true,
+      createdBy: req.user.email,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await req.db.collection('timetable').insertOne(doc);
+
+    console.log(`✅ [TIMETABLE] Added ${entry.stream} Sem ${entry.semester} ${entry.day} P${entry.period}: ${entry.subject}`);
+
+    res.status(201).json({
+      success: true,
+      period: withSlot({ ...doc, _id: result.insertedId })
+    });
+
+  } catch (error) {
+    console.error('❌ [TIMETABLE] Error adding period:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT - Update a period
+router.put('/:id', requirePermission('timetable:manage'), periodInScope, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid period ID' });
+    }
+
+    const timetable = req.db.collection('timetable');
+    const existing = await timetable.findOne({ _id: new ObjectId(id) });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Period not found' });
+    }
+
+    let entry;
+    try {
+      entry = validatePeriod({ ...existing, ...req.body });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const clash = await findClash(req.db, entry, existing._id);
+    if (clash) {
+      return res.status(409).json({ success: false, error: clash });
+    }
+
+    await timetable.updateOne(
+      { _id: existing._id },
+      { $set: { ...entry, updatedBy: req.user.email, updatedAt: new Date() } }
+    );
+
+    console.log(`✅ [TIMETABLE] Updated period ${id}`);
+
+    res.json({
+      success: true,
+      period: withSlot({ ...existing, ...entry })
+    });
+
+  } catch (error) {
+    console.error('❌ [TIMETABLE] Error updating period:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE - Remove a period
+router.delete('/:id', requirePermission('timetable:manage'), periodInScope, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid period ID' });
+    }
+
+    const result = await req.db.collection('timetable').deleteOne({ _id: new ObjectId(id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Period not found' });
+    }
+
+    console.log(`🗑️ [TIMETABLE] Deleted period ${id}`);
+    res.json({ success: true, message: 'Period deleted' });
+
+  } catch (error) {
+    console.error('❌ [TIMETABLE] Error deleting period:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORT ROUTER
+// ============================================================================
+
+module.exports = router;
@@ -1,38 +1,30 @@
 // routes/viewAttendanceRoutes.js - COMPLETE FIXED VERSION
 const express = require('express');
-const mongoose = require('mongoose');
 const router = express.Router();
-
-// ============================================================================
-// SCHEMA (Shared with markAttendanceRoutes)
-// ============================================================================
-
-const attendanceSchema = new mongoose.Schema({
-  stream: { type: String, required: true, trim: true },
-  semester: { type: Number, required: true, min: 1, max: 8 },
-  subject: { type: String, required: true, trim: true },
-  date: { type: Date, required: true },
-  time: { type: String, required: true },
-  studentsPresent: { type: [String], required: true },
-  totalStudents: { type: Number, required: true, min: 0 },
-  presentCount: { type: Number, required: true, min: 0 },
-  absentCount: { type: Number, required: true, min: 0 }
-}, { 
-  timestamps: true,
-  collection: 'attendance'
-});
-
-attendanceSchema.index({ stream: 1, semester: 1, subject: 1, date: -1 }, { background: true });
-attendanceSchema.index({ date: -1, stream: 1 }, { background: true });
-attendanceSchema.index({ createdAt: -1 }, { background: true });
-
-attendanceSchema.pre('save', function(next) {
-  if (!this.presentCount) this.presentCount = this.studentsPresent.length;
-  if (!this.absentCount) this.absentCount = this.totalStudents - this.presentCount;
-  next();
-});
-
-const Attendance = mongoose.models.Attendance || mongoose.model('Attendance', attendanceSchema);
+const Attendance = require('../models/Attendance');
+const {
+  buildSessionUpdate,
+  getStatusMap,
+  getStudentStatus,
+  summarizeStatuses,
+  getStatusRules
+} = require('../models/attendanceStatus');
+const { termWindow } = require('../models/academicCalendar');
+const { withFormerStudents } = require('../models/alumni');
+const { parseSections, normalizeSection, coversSection, sessionSectionFilter, enrollmentQuery } = require('../models/roster');
+const { enrolledStudentIDs } = require('../models/enrollments');
+const { recordAudit, editSummary } = require('../models/attendanceAudit');
+const { getLockSettings, isLocked, lockedResponse } = require('../models/attendanceCorrections');
+const { checkDB, listStreams, deleteSession } = require('../models/dataService');
+const { findBatch, batchOf, coversBatch, sessionBatchFilter } = require('../models/labBatches');
+const {
+  requirePermission,
+  requireSubjectAccess,
+  hasPermission,
+  canAccessSubject,
+  exactMatch,
+  attendanceScopeFilter
+} = require('../middleware/rbac');
 
 // ============================================================================
 // CACHING
@@ -69,12 +61,18 @@ function clearCachePattern(pattern) {
 // MIDDLEWARE
 // ============================================================================
 
-router.use((req, res, next) => {
-  const db = req.app.locals.db || req.app.get('db');
-  if (!db) return res.status(503).json({ success: false, error: 'Database unavailable' });
-  req.db = db;
-  next();
-});
+router.use(checkDB);
+
+// ============================================================================
+// EDIT LOCK
+// ============================================================================
+
+// Sessions past the edit lock window; HODs and admins are never locked out
+async function lockedSessions(req, sessions) {
+  const settings = await getLockSettings(req.db);
+  if (hasPermission(req.user, 'corrections:approve')) return { locked: [], settings };
+  return { locked: sessions.filter(session => isLocked(session, settings)), settings };
+}
 
 // ============================================================================
 // HELPER ROUTES - FIXED VERSION
@@ -87,10 +85,7 @@ router.get('/streams', async (req, res) => {
     
     console.log('📚 [VIEW] Fetching all streams from streams collection');
     
-    const streams = await db.collection('streams')
-      .find({ isActive: true })
-      .sort({ name: 1 })
-      .toArray();
+    const streams = await listStreams(db, { activeOnly: true });
     
     console.log(`✅ [VIEW] Found ${streams.length} active streams`);
     
@@ -122,7 +117,7 @@ router.get('/semesters/:stream', async (req, res) => {
     // Try to get semesters from students collection
     const semesters = await req.db.collection('students')
       .distinct('semester', { 
-        stream: { $regex: new RegExp(`^${stream}$`, 'i') }, // Case-insensitive match
+        stream: exactMatch(stream), // Case-insensitive match
         isActive: true 
       });
     
@@ -158,8 +153,8 @@ router.get('/subjects/:stream/:semester', async (req, res) => {
     const streamDoc = await req.db.collection('streams')
       .findOne({ 
         $or: [
-          { streamCode: { $regex: new RegExp(`^${stream}$`, 'i') } },
-          { name: { $regex: new RegExp(`^${stream}$`, 'i') } }
+          { streamCode: exactMatch(stream) },
+          { name: exactMatch(stream) }
         ],
         isActive: true
       });
@@ -189,7 +184,7 @@ router.get('/subjects/:stream/:semester', async (req, res) => {
     // Step 3: Find subjects using the stream name
     const subjects = await req.db.collection('subjects')
       .find({ 
-        stream: { $regex: new RegExp(`^${streamName}$`, 'i') },
+        stream: exactMatch(streamName),
         semester: semesterNumber,
         isActive: true 
       })
@@ -229,32 +224,99 @@ router.get('/subjects/:stream/:semester', async (req, res) => {
 // VIEW ATTENDANCE ROUTES
 // ============================================================================
 
+// Students of the class plus former students found in `sessions`. With a
+// ?section= or ?batch= filter, former students outside it are left out.
+async function viewStudents(db, students, sessions, sections, labBatch) {
+  const all = await withFormerStudents(db, students, sessions);
+  return all.filter(s => !s.former || (
+    (sections.length === 0 || !s.section || sections.includes(normalizeSection(s.section))) &&
+    (!labBatch || labBatch.studentIDs.includes(s.studentID))
+  ));
+}
+
+// A student's status in a session; null when the session was taught to
+// other sections or another lab batch (students marked in it still count)
+function viewStatus(session, statusMap, student, subjectDoc) {
+  const covered = statusMap.has(student.studentID) ||
+    (coversSection(session, student) && coversBatch(session, student, subjectDoc));
+  return covered ? getStudentStatus(statusMap, student.studentID) : null;
+}
+
+// Subject document with its lab batches, plus the batch picked by ?batch=.
+// Returns { error } for a batch the subject doesn't have.
+async function viewSubject(db, { stream, semester, subject, batch }) {
+  const subjectDoc = await db.collection('subjects').findOne({
+    name: exactMatch(subject),
+    stream: exactMatch(stream),
+    semester
+  });
+  if (!batch) return { subjectDoc, labBatch: null };
+  
+  const labBatch = findBatch(subjectDoc, batch);
+  return labBatch ? { subjectDoc, labBatch } : { error: `${subject} has no batch "${batch}"` };
+}
+
+// Active students taking the subject: its enrolled students (any stream,
+// for open electives) or, before it has enrollments, the class narrowed by
+// the legacy language/elective fields. Then ?section= and ?batch=.
+async function viewRoster(db, { stream, semester, sections, labBatch, subjectDoc }) {
+  const enrolled = await enrolledStudentIDs(db, subjectDoc);
+  const query = enrolled
+    ? { semester, isActive: true, studentID: { $in: enrolled } }
+    : { stream: exactMatch(stream), semester, isActive: true, ...enrollmentQuery(subjectDoc).query };
+  
+  if (sections.length > 0) query.section = { $in: sections };
+  if (labBatch) {
+    query.studentID = { $in: enrolled ? labBatch.studentIDs.filter(id => enrolled.includes(id)) : labBatch.studentIDs };
+  }
+  
+  return db.collection('students')
+    .find(query)
+    .project({ _id: 1, name: 1, studentID: 1, stream: 1, rollNumber: 1, section: 1 })
+    .sort({ studentID: 1 })
+    .toArray();
+}
+
 // GET - Attendance Register (Full Register Book View)
-router.get('/attendance/register/:stream/:semester/:subject', async (req, res) => {
+router.get('/attendance/register/:stream/:semester/:subject', requirePermission('attendance:view'), requireSubjectAccess(), async (req, res) => {
   try {
     const { stream, semester, subject } = req.params;
     const semesterNumber = parseInt(semester.replace('sem', ''));
+    // Optional ?section=A (or A,B) limits the register to those sections
+    const sections = parseSections(req.query.section);
     
-    console.log('📚 [VIEW] Fetching register for:', { stream, semester: semesterNumber, subject });
+    console.log('📚 [VIEW] Fetching register for:', { stream, semester: semesterNumber, subject, sections, batch: req.query.batch });
     
-    // Get all students for this class
-    const students = await req.db.collection('students')
-      .find({ 
-        stream: { $regex: new RegExp(`^${stream}$`, 'i') },
-        semester: semesterNumber, 
-        isActive: true 
-      })
-      .project({ _id: 1, name: 1, studentID: 1, rollNumber: 1 })
-      .sort({ studentID: 1 })
-      .toArray();
+    // Optional ?batch= limits a practical's register to one lab batch
+    const { subjectDoc, labBatch, error: batchError } = await viewSubject(req.db, {
+      stream, semester: semesterNumber, subject, batch: req.query.batch
+    });
+    if (batchError) {
+      return res.status(400).json({ success: false, error: batchError });
+    }
+    
+    // Optional ?termId= limits the register to one academic term
+    let termRange = null;
+    if (req.query.termId) {
+      termRange = await termWindow(req.db, req.query.termId, { stream, semester: semesterNumber });
+      if (!termRange) {
+        return res.status(404).json({ success: false, error: 'Term not found' });
+      }
+    }
+    
+    // Students taking the subject in this class
+    const students = await viewRoster(req.db, { stream, semester: semesterNumber, sections, labBatch, subjectDoc });
     
     console.log(`📊 [VIEW] Found ${students.length} students`);
     
     // Get all attendance records for this subject
     const attendanceRecords = await Attendance.find({
-      stream: { $regex: new RegExp(`^${stream}$`, 'i') },
+      stream: exactMatch(stream),
       semester: semesterNumber,
-      subject: { $regex: new RegExp(`^${subject}$`, 'i') }
+      subject: exactMatch(subject),
+      ...(termRange && { date: termRange.dateFilter }),
+      ...sessionSectionFilter(sections),
+      ...sessionBatchFilter(labBatch && labBatch.name)
     })
     .sort({ date: 1, time: 1 })
     .lean()
@@ -262,59 +324,87 @@ router.get('/attendance/register/:stream/:semester/:subject', async (req, res) =
     
     console.log(`📊 [VIEW] Found ${attendanceRecords.length} attendance sessions`);
     
+    const [statusRules, edits] = await Promise.all([
+      getStatusRules(req.db),
+      editSummary(req.db, attendanceRecords.map(record => record._id))
+    ]);
+    
+    // Students in old sessions who have since graduated, left or moved on
+    const registerStudents = await viewStudents(req.db, students, attendanceRecords, sections, labBatch);
+    
     // Format sessions
     const sessions = attendanceRecords.map(record => ({
       _id: record._id,
       date: record.date,
       time: record.time,
+      sections: record.sections || [],
+      batch: record.batch || null,
       studentsPresent: record.studentsPresent,
+      records: record.records,
       totalStudents: record.totalStudents,
       presentCount: record.presentCount,
-      absentCount: record.absentCount
+      absentCount: record.absentCount,
+      statusCounts: record.statusCounts,
+      conductedBy: record.conductedBy || null,
+      // Edits since the session was saved (history: GET /api/audit/attendance?sessionId=)
+      edited: edits.get(String(record._id)) || null
     }));
+    const statusMaps = attendanceRecords.map(getStatusMap);
     
     const totalSessions = sessions.length;
     
     // Build register data for each student
-    const registerData = students.map(student => {
-      const studentAttendance = sessions.map(session => ({
+    const registerData = registerStudents.map(student => {
+      const studentAttendance = sessions.map((session, index) => ({
         date: session.date,
         time: session.time,
-        status: session.studentsPresent.includes(student.studentID) ? 'P' : 'A',
+        status: viewStatus(session, statusMaps[index], student, subjectDoc),
         sessionId: session._id
       }));
       
-      const presentCount = studentAttendance.filter(a => a.status === 'P').length;
-      const absentCount = studentAttendance.filter(a => a.status === 'A').length;
-      const attendancePercentage = totalSessions > 0 
-        ? ((presentCount / totalSessions) * 100).toFixed(2) 
-        : 0;
+      // Excluded statuses (e.g. medical leave) leave the percentage untouched,
+      // as do sessions taught to other sections (null)
+      const summary = summarizeStatuses(studentAttendance.map(a => a.status).filter(Boolean), statusRules);
       
       return {
         studentID: student.studentID,
         name: student.name,
         rollNumber: student.rollNumber,
+        section: student.section || null,
+        batch: batchOf(subjectDoc, student.studentID),
+        former: !!student.former,
+        archived: !!student.archived,
         attendance: studentAttendance,
-        presentCount,
-        absentCount,
+        presentCount: summary.presentCount,
+        absentCount: summary.absentCount,
+        statusCounts: summary.statusCounts,
+        countedSessions: summary.countedSessions,
         totalSessions,
-        attendancePercentage
+        attendancePercentage: summary.attendancePercentage
       };
     });
     
+    const currentData = registerData.filter(s => !s.former);
+    
     res.json({
       success: true,
       stream,
       semester: semesterNumber,
       subject,
+      sections,
+      batch: labBatch ? labBatch.name : null,
+      batches: (subjectDoc?.batches || []).map(b => b.name),
       students: registerData,
       sessions,
+      statusRules,
+      term: termRange ? termRange.term : null,
       totalSessions,
       totalStudents: students.length,
+      formerStudents: registerStudents.length - students.length,
       statistics: {
         totalPossibleAttendances: totalSessions * students.length,
-        averageAttendance: registerData.length > 0
-          ? (registerData.reduce((sum, s) => sum + parseFloat(s.attendancePercentage), 0) / registerData.length).toFixed(2)
+        averageAttendance: currentData.length > 0
+          ? Math.round(currentData.reduce((sum, s) => sum + s.attendancePercentage, 0) / currentData.length * 100) / 100
           : 0
       }
     });
@@ -326,37 +416,39 @@ router.get('/attendance/register/:stream/:semester/:subject', async (req, res) =
 });
 
 // GET - Single Date Attendance
-router.get('/attendance/date/:stream/:semester/:subject/:date', async (req, res) => {
+router.get('/attendance/date/:stream/:semester/:subject/:date', requirePermission('attendance:view'), requireSubjectAccess(), async (req, res) => {
   try {
     const { stream, semester, subject, date } = req.params;
     const semesterNumber = parseInt(semester.replace('sem', ''));
     const queryDate = new Date(date);
+    const sections = parseSections(req.query.section);
     
-    console.log('📅 [VIEW] Fetching attendance for date:', { stream, semester: semesterNumber, subject, date });
+    console.log('📅 [VIEW] Fetching attendance for date:', { stream, semester: semesterNumber, subject, date, sections, batch: req.query.batch });
     
-    // Get all students
-    const students = await req.db.collection('students')
-      .find({ 
-        stream: { $regex: new RegExp(`^${stream}$`, 'i') },
-        semester: semesterNumber, 
-        isActive: true 
-      })
-      .project({ _id: 1, name: 1, studentID: 1, rollNumber: 1 })
-      .sort({ studentID: 1 })
-      .toArray();
+    const { subjectDoc, labBatch, error: batchError } = await viewSubject(req.db, {
+      stream, semester: semesterNumber, subject, batch: req.query.batch
+    });
+    if (batchError) {
+      return res.status(400).json({ success: false, error: batchError });
+    }
+    
+    // Students taking the subject
+    const students = await viewRoster(req.db, { stream, semester: semesterNumber, sections, labBatch, subjectDoc });
     
     // Set date range
     const startOfDay = new Date(queryDate);
-    startOfDay.setHours(0, 0, 0, 0);
+    startOfDay.setUTCHours(0, 0, 0, 0);
     const endOfDay = new Date(queryDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    endOfDay.setUTCHours(23, 59, 59, 999);
     
     // Get attendance records for this date
     const attendanceRecords = await Attendance.find({
-      stream: { $regex: new RegExp(`^${stream}$`, 'i') },
+      stream: exactMatch(stream),
       semester: semesterNumber,
-      subject: { $regex: new RegExp(`^${subject}$`, 'i') },
-      date: { $gte: startOfDay, $lt: endOfDay }
+      subject: exactMatch(subject),
+      date: { $gte: startOfDay, $lt: endOfDay },
+      ...sessionSectionFilter(sections),
+      ...sessionBatchFilter(labBatch && labBatch.name)
     })
     .sort({ time: 1 })
     .lean()
@@ -374,20 +466,30 @@ router.get('/attendance/date/:stream/:semester/:subject/:date', async (req, res)
       });
     }
     
+    const edits = await editSummary(req.db, attendanceRecords.map(record => record._id));
+    
     // Format sessions
     const sessions = attendanceRecords.map(record => ({
       _id: record._id,
       time: record.time,
+      sections: record.sections || [],
+      batch: record.batch || null,
       studentsPresent: record.studentsPresent,
+      records: record.records,
       presentCount: record.presentCount,
-      absentCount: record.absentCount
+      absentCount: record.absentCount,
+      statusCounts: record.statusCounts,
+      conductedBy: record.conductedBy || null,
+      edited: edits.get(String(record._id)) || null
     }));
+    const statusMaps = attendanceRecords.map(getStatusMap);
     
-    // Build attendance data for each student
-    const attendanceData = students.map(student => {
-      const studentSessions = sessions.map(session => ({
+    // Build attendance data for each student, including former ones
+    const dateStudents = await viewStudents(req.db, students, attendanceRecords, sections, labBatch);
+    const attendanceData = dateStudents.map(student => {
+      const studentSessions = sessions.map((session, index) => ({
         time: session.time,
-        status: session.studentsPresent.includes(student.studentID) ? 'P' : 'A',
+        status: viewStatus(session, statusMaps[index], student, subjectDoc),
         sessionId: session._id
       }));
       
@@ -395,6 +497,10 @@ router.get('/attendance/date/:stream/:semester/:subject/:date', async (req, res)
         studentID: student.studentID,
         name: student.name,
         rollNumber: student.rollNumber,
+        section: student.section || null,
+        batch: batchOf(subjectDoc, student.studentID),
+        former: !!student.former,
+        archived: !!student.archived,
         sessions: studentSessions
       };
     });
@@ -406,8 +512,11 @@ router.get('/attendance/date/:stream/:semester/:subject/:date', async (req, res)
       stream,
       semester: semesterNumber,
       subject,
+      sections,
+      batch: labBatch ? labBatch.name : null,
       students: attendanceData,
-      sessions
+      sessions,
+      statusRules: await getStatusRules(req.db)
     });
     
   } catch (error) {
@@ -417,22 +526,24 @@ router.get('/attendance/date/:stream/:semester/:subject/:date', async (req, res)
 });
 
 // GET - Statistics
-router.get('/attendance/stats/:stream/:semester', async (req, res) => {
+router.get('/attendance/stats/:stream/:semester', requirePermission('attendance:view'), async (req, res) => {
   try {
     const { stream, semester } = req.params;
     const semesterNumber = parseInt(semester.replace('sem', ''));
     
     console.log('📊 [VIEW] Fetching stats for:', { stream, semester: semesterNumber });
     
-    const cacheKey = getCacheKey('stats', { stream, semester: semesterNumber });
+    const cacheKey = getCacheKey('stats', { stream, semester: semesterNumber, scope: String(req.user._id) });
     let stats = getCache(cacheKey);
     
     if (!stats) {
       stats = await Attendance.aggregate([
         { 
           $match: { 
-            stream: { $regex: new RegExp(`^${stream}$`, 'i') },
-            semester: semesterNumber 
+            $and: [
+              { stream: exactMatch(stream), semester: semesterNumber },
+              attendanceScopeFilter(req.user)
+            ]
           } 
         },
         {
@@ -462,41 +573,55 @@ router.get('/attendance/stats/:stream/:semester', async (req, res) => {
 // ============================================================================
 
 // PUT - Update single session
-router.put('/attendance/session/:id', async (req, res) => {
+router.put('/attendance/session/:id', requirePermission('attendance:edit'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { studentsPresent, totalStudents } = req.body;
     
     console.log('💾 [VIEW] Updating session:', id);
-    console.log('📝 [VIEW] Students present:', studentsPresent.length, '/', totalStudents);
     
-    if (!studentsPresent || !Array.isArray(studentsPresent)) {
+    // Accepts { records: [{ studentID, status }] } or legacy { studentsPresent, totalStudents }
+    let sessionUpdate;
+    try {
+      sessionUpdate = buildSessionUpdate(req.body);
+    } catch (validationError) {
       return res.status(400).json({ 
         success: false, 
-        error: 'studentsPresent array required' 
+        error: validationError.message 
       });
     }
     
-    if (!totalStudents || totalStudents < 1) {
+    if (sessionUpdate.$set.totalStudents < 1) {
       return res.status(400).json({ 
         success: false, 
         error: 'totalStudents required' 
       });
     }
     
-    const presentCount = studentsPresent.length;
-    const absentCount = totalStudents - presentCount;
+    console.log('📝 [VIEW] Students present:', sessionUpdate.$set.presentCount, '/', sessionUpdate.$set.totalStudents);
+    
+    const existing = await Attendance.findById(id).lean();
+    if (!existing) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Session not found' 
+      });
+    }
+    
+    if (!canAccessSubject(req.user, existing)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'No access to this session' 
+      });
+    }
+    
+    const { locked, settings } = await lockedSessions(req, [existing]);
+    if (locked.length > 0) {
+      return res.status(403).json(lockedResponse(locked, settings));
+    }
     
     const result = await Attendance.findByIdAndUpdate(
       id,
-      {
-        $set: {
-          studentsPresent,
-          presentCount,
-          absentCount,
-          totalStudents
-        }
-      },
+      sessionUpdate,
       { new: true }
     );
     
@@ -507,6 +632,8 @@ router.put('/attendance/session/:id', async (req, res) => {
       });
     }
     
+    await recordAudit(req.db, req, { action: 'update', before: existing, after: result });
+    
     clearCachePattern(`attendance:${result.stream}`);
     clearCachePattern(`stats:${result.stream}`);
     
@@ -525,7 +652,7 @@ router.put('/attendance/session/:id', async (req, res) => {
 });
 
 // PUT - Bulk update attendance
-router.put('/attendance/bulk/:stream/:semester/:subject/:date', async (req, res) => {
+router.put('/attendance/bulk/:stream/:semester/:subject/:date', requirePermission('attendance:edit'), requireSubjectAccess(), async (req, res) => {
   try {
     const { stream, semester, subject, date } = req.params;
     const { updates } = req.body;
@@ -540,22 +667,52 @@ router.put('/attendance/bulk/:stream/:semester/:subject/:date', async (req, res)
       });
     }
     
-    const bulkOps = updates.map(update => ({
-      updateOne: {
-        filter: { _id: update.sessionId },
-        update: {
-          $set: {
-            studentsPresent: update.studentsPresent,
-            presentCount: update.studentsPresent.length,
-            absentCount: update.totalStudents - update.studentsPresent.length,
-            totalStudents: update.totalStudents
-          }
+    // Only sessions of the class and date named in the URL may be touched
+    const semesterNumber = parseInt(semester.replace('sem', ''));
+    const startOfDay = new Date(date);
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    const endOfDay = new Date(date);
+    endOfDay.setUTCHours(23, 59, 59, 999);
+    if (isNaN(startOfDay)) {
+      return res.status(400).json({ success: false, error: 'Invalid date' });
+    }
+    const classFilter = {
+      stream: exactMatch(stream),
+      semester: semesterNumber,
+      subject: exactMatch(subject),
+      date: { $gte: startOfDay, $lt: endOfDay }
+    };
+    let bulkOps;
+    try {
+      bulkOps = updates.map(update => ({
+        updateOne: {
+          filter: { _id: update.sessionId, ...classFilter },
+          update: buildSessionUpdate(update)
         }
-      }
-    }));
+      }));
+    } catch (validationError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: validationError.message 
+      });
+    }
+    
+    const sessionIds = updates.map(update => update.sessionId);
+    const before = await Attendance.find({ _id: { $in: sessionIds }, ...classFilter }).lean();
+    
+    const { locked, settings } = await lockedSessions(req, before);
+    if (locked.length > 0) {
+      return res.status(403).json(lockedResponse(locked, settings));
+    }
     
     const result = await Attendance.bulkWrite(bulkOps);
     
+    const after = await Attendance.find({ _id: { $in: before.map(s => s._id) } }).lean();
+    const afterById = new Map(after.map(s => [String(s._id), s]));
+    for (const session of before) {
+      await recordAudit(req.db, req, { action: 'update', before: session, after: afterById.get(String(session._id)) });
+    }
+    
     clearCachePattern(`attendance:${stream}`);
     clearCachePattern(`stats:${stream}`);
     
@@ -573,24 +730,38 @@ router.put('/attendance/bulk/:stream/:semester/:subject/:date', async (req, res)
   }
 });
 
-// DELETE - Remove attendance record
-router.delete('/attendance/:id', async (req, res) => {
+// DELETE - Move attendance record to the recycle bin
+router.delete('/attendance/:id', requirePermission('attendance:edit'), async (req, res) => {
   try {
     console.log('🗑️ [VIEW] Deleting attendance:', req.params.id);
     
-    const record = await Attendance.findByIdAndDelete(req.params.id).lean();
+    const existing = await Attendance.findById(req.params.id).lean();
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Record not found' });
+    }
+    
+    if (!canAccessSubject(req.user, existing)) {
+      return res.status(403).json({ success: false, error: 'No access to this record' });
+    }
+    
+    const { locked, settings } = await lockedSessions(req, [existing]);
+    if (locked.length > 0) {
+      return res.status(403).json(lockedResponse(locked, settings));
+    }
+    
+    const removed = await deleteSession(req.db, req, existing, req.query.reason);
     
-    if (!record) {
+    if (!removed) {
       return res.status(404).json({ success: false, error: 'Record not found' });
     }
     
     cache.delete(`attendance:single:${req.params.id}`);
-    clearCachePattern(`attendance:${record.stream}`);
-    clearCachePattern(`stats:${record.stream}`);
+    clearCachePattern(`attendance:${existing.stream}`);
+    clearCachePattern(`stats:${existing.stream}`);
     
-    console.log('✅ [VIEW] Attendance deleted:', req.params.id);
+    console.log('♻️ [VIEW] Attendance moved to recycle bin:', req.params.id);
     
-    res.json({ success: true, message: 'Deleted successfully' });
+    res.json({ success: true, message: 'Moved to the recycle bin', recycled: true });
   } catch (error) {
     console.error('❌ [VIEW] Error deleting record:', error);
     res.status(500).json({ success: false, error: error.message });
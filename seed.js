@@ -9,6 +9,7 @@ const teachers = [
     firebaseUid: "yiB48zYHfcOCzyX5g4GHFgb6jeh1",  // Get this from Firebase Auth
     name: "UMESH SKANDA",
     email: "skandaumesh82@gmail.com",
+    role: "admin",
     
     // Empty fields
     createdSubjects: [],
@@ -41,6 +42,32 @@ const seed = async () => {
     await db.collection('teachers').createIndex({ firebaseUid: 1 }, { unique: true });
     await db.collection('teachers').createIndex({ email: 1 }, { unique: true });
     await db.collection('teachers').createIndex({ createdAt: -1 });
+    await db.collection('timetable').createIndex({ stream: 1, semester: 1, section: 1, day: 1, period: 1 });
+    await db.collection('timetable').createIndex({ teacherEmail: 1, day: 1 });
+    await db.collection('academicCalendar').createIndex({ type: 1, startDate: 1, endDate: 1 });
+    await db.collection('messageLog').createIndex({ kind: 1, stream: 1, semester: 1, date: 1, createdAt: -1 });
+    await db.collection('messageBatches').createIndex({ kind: 1, stream: 1, semester: 1, date: 1 }, { unique: true });
+    await db.collection('messageBatches').createIndex({ batchId: 1 });
+    await db.collection('messageTemplates').createIndex({ key: 1 }, { unique: true });
+    await db.collection('alerts').createIndex({ type: 1, stream: 1, semester: 1, current: 1 });
+    await db.collection('alerts').createIndex({ status: 1, createdAt: -1 });
+    await db.collection('studentOtps').createIndex({ studentID: 1 }, { unique: true });
+    await db.collection('studentOtps').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('studentAccessAttempts').createIndex({ key: 1 }, { unique: true });
+    await db.collection('studentAccessAttempts').createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('alumni').createIndex({ studentID: 1 });
+    await db.collection('alumni').createIndex({ stream: 1, batchYear: -1 });
+    await db.collection('alumni').createIndex({ promotionId: 1 });
+    await db.collection('enrollments').createIndex({ subjectId: 1, studentID: 1 }, { unique: true });
+    await db.collection('enrollments').createIndex({ studentID: 1, semester: 1, status: 1 });
+    await db.collection('attendanceAudit').createIndex({ sessionId: 1, changedAt: -1 });
+    await db.collection('attendanceAudit').createIndex({ studentIDs: 1, changedAt: -1 });
+    await db.collection('attendanceAudit').createIndex({ 'changedBy.email': 1, changedAt: -1 });
+    await db.collection('attendanceCorrections').createIndex({ status: 1, stream: 1, requestedAt: -1 });
+    await db.collection('attendanceCorrections').createIndex({ sessionId: 1, status: 1 });
+    await db.collection('recycleBin').createIndex({ kind: 1, stream: 1, deletedAt: -1 });
+    await db.collection('recycleBin').createIndex({ deletedAt: 1 });
+    await db.collection('recycleBin').createIndex({ studentID: 1 });
     console.log('✅ Indexes created');
   } catch (e) {
     console.log('✅ Indexes already exist');
@@ -49,6 +76,7 @@ const seed = async () => {
   console.log('\n✅ Done! Teacher added:');
   console.log('  • Email: skandaumesh82@gmail.com');
   console.log('  • Name: UMESH SKANDA');
+  console.log('  • Role: admin');
   console.log('  • Subjects: Empty (ready to assign)');
   console.log('  • Attendance Queue: Empty');
   console.log('  • Completed Classes: Empty\n');
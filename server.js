@@ -9,6 +9,12 @@ const app = express();
 const PORT = process.env.PORT || 8080;
 const MONGODB_URI = process.env.MONGODB_URI;
 
+// Reverse proxies in front of the app (1 on Render), so req.ip is the
+// client's address rather than the proxy's - the per-IP limits on the
+// student lookup depend on it
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS) || 0;
+if (TRUST_PROXY_HOPS > 0) app.set('trust proxy', TRUST_PROXY_HOPS);
+
 // ===== Middleware =====
 app.use(compression());
 app.use(express.json({ limit: "1mb" }));
@@ -17,7 +23,7 @@ app.use(express.urlencoded({ extended: true }));
 const corsOptions = {
   origin: "*",
   methods: ["GET", "POST", "PUT", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Student-Token", "Idempotency-Key"]
 };
 app.use(cors(corsOptions));
 
@@ -32,6 +38,9 @@ app.use((req, res, next) => {
   next();
 });
 
+const { scheduleShortageAlerts } = require("./models/shortageAlerts");
+const { scheduleBinPurge } = require("./models/recycleBin");
+
 // ===== MongoDB Connection =====
 mongoose.connect(MONGODB_URI, {
   maxPoolSize: 20,
@@ -40,6 +49,9 @@ mongoose.connect(MONGODB_URI, {
   .then(() => {
     console.log("✅ MongoDB connected");
     app.locals.db = mongoose.connection.db;
+    app.locals.client = mongoose.connection.getClient();
+    scheduleShortageAlerts(() => app.locals.db);
+    scheduleBinPurge(() => app.locals.db);
   })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
@@ -47,11 +59,18 @@ mongoose.connect(MONGODB_URI, {
 app.use((req, res, next) => {
   if (!req.app.locals.db && mongoose.connection.db) {
     req.app.locals.db = mongoose.connection.db;
+    req.app.locals.client = mongoose.connection.getClient();
   }
   req.db = req.app.locals.db;
   next();
 });
 
+// ===== Authentication =====
+// Every /api call must carry a Firebase ID token; POST /api/teacher/profile is
+// allowed before the teacher document exists so first logins can create it
+const { authenticate } = require("./middleware/auth");
+app.use("/api", authenticate({ allowUnregistered: ["POST /teacher/profile"] }));
+
 // ===== Routes =====
 const teacherRoutes = require("./routes/teacherRoutes");
 const streamRoutes = require("./routes/streamRoutes");
@@ -60,6 +79,18 @@ const studentsRoutes = require("./routes/students");
 const reportsRoutes = require('./routes/reports');
 const viewAttendanceRoutes = require('./routes/viewAttendanceRoutes');
 const promotionRoutes = require('./routes/promotion');
+const adminRoutes = require('./routes/adminRoutes');
+const timetableRoutes = require('./routes/timetableRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const messagingRoutes = require('./routes/messagingRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const alumniRoutes = require('./routes/alumniRoutes');
+const enrollmentRoutes = require('./routes/enrollmentRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const correctionRoutes = require('./routes/correctionRoutes');
+const recycleBinRoutes = require('./routes/recycleBinRoutes');
+const studentPortalRoutes = require('./routes/studentPortalRoutes');
 
 // ✅ REGISTER ROUTES - Make sure this line is correct
 app.use('/', promotionRoutes);
@@ -70,10 +101,24 @@ app.use('/api/reports', reportsRoutes);
 
 // ✅ Mount routes in correct order
 app.use("/api/teacher", teacherRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/timetable", timetableRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/alerts", alertRoutes);
+app.use("/api/alumni", alumniRoutes);
+app.use("/api/enrollments", enrollmentRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/corrections", correctionRoutes);
+app.use("/api/recycle-bin", recycleBinRoutes);
 app.use("/api/students", studentsRoutes);
+app.use("/api", messagingRoutes);
 app.use("/api", attendanceRoutes);
 app.use("/api", streamRoutes);
 
+// Student self-service - verified per student, not by teacher login
+app.use("/student", studentPortalRoutes);
+
 // Health check
 app.get("/health", (req, res) => {
   res.json({